@@ -27,6 +27,9 @@ function evaluateFoodForPopulation(nutrition, targetGroup, productData = {}) {
         (window.PREGNANT_LIMITS || PREGNANT_LIMITS) : 
         (window.CHILD_LIMITS || CHILD_LIMITS);
 
+    // Parse ingredients once; every check matches against the structure
+    const parsedIngredients = productData.parsedIngredients || parseIngredients(productData.ingredients || '');
+
     // Initialize evaluation state
     const warnings = [];
     const positives = [];
@@ -37,7 +40,7 @@ function evaluateFoodForPopulation(nutrition, targetGroup, productData = {}) {
     // ============================================
 
     // 1. Check for strictly avoided ingredients (immediate disqualification)
-    const strictCheck = checkStrictlyAvoided(productData, targetGroup, limits);
+    const strictCheck = checkStrictlyAvoided(productData, targetGroup, limits, parsedIngredients);
     if (strictCheck.isViolated) {
         return createAvoidResult(
             targetGroup,
@@ -46,13 +49,35 @@ function evaluateFoodForPopulation(nutrition, targetGroup, productData = {}) {
         );
     }
 
+    // Nutrient verdicts need sugar and salt figures, and fat figures that add up when given
+    const dataQuality = productData.dataQuality ||
+        (typeof assessDataQuality === 'function' ? assessDataQuality(nutrition) : null);
+    const fatFields = targetGroup === 'child' ? ['saturatedFat', 'fat'] : ['saturatedFat'];
+    const evaluatedFields = ['sugar', 'salt', ...fatFields];
+    if (dataQuality) {
+        const unreliable = [
+            ...getUnreliableFields(dataQuality, ['sugar', 'salt']),
+            ...getUnreliableFields(dataQuality, fatFields).filter(field => dataQuality.confidence[field] !== 'missing')
+        ];
+        if (unreliable.length > 0) {
+            return createInsufficientDataResult(targetGroup, dataQuality.issues);
+        }
+    }
+
+    // Undeclared fat figures are skipped and reported, never read as 0
+    const notEvaluated = evaluatedFields.filter(field => !isKnownValue(nutrition[field]));
+    const missingRequired = notEvaluated.filter(field => field === 'sugar' || field === 'salt');
+    if (missingRequired.length > 0) {
+        return createInsufficientDataResult(targetGroup, [`Not declared: ${describeNutrients(missingRequired)}`]);
+    }
+
     // ============================================
     // NUTRIENT EVALUATION
     // ============================================
 
     // 2. Sugar assessment
     const sugarResult = evaluateNutrient(
-        nutrition.sugar || 0,
+        readNutrient(nutrition, 'sugar', limits.sugar.unit),
         limits.sugar,
         'sugar'
     );
@@ -62,7 +87,7 @@ function evaluateFoodForPopulation(nutrition, targetGroup, productData = {}) {
 
     // 3. Salt assessment
     const saltResult = evaluateNutrient(
-        nutrition.salt || 0,
+        readNutrient(nutrition, 'salt', limits.salt.unit),
         limits.salt,
         'salt'
     );
@@ -71,9 +96,9 @@ function evaluateFoodForPopulation(nutrition, targetGroup, productData = {}) {
     if (saltResult.positive) positives.push(saltResult.positive);
 
     // 4. Saturated fat assessment
-    if (limits.saturatedFat) {
+    if (limits.saturatedFat && !notEvaluated.includes('saturatedFat')) {
         const satFatResult = evaluateNutrient(
-            nutrition.saturatedFat || 0,
+            readNutrient(nutrition, 'saturatedFat', limits.saturatedFat.unit),
             limits.saturatedFat,
             'saturated fat'
         );
@@ -82,9 +107,9 @@ function evaluateFoodForPopulation(nutrition, targetGroup, productData = {}) {
     }
 
     // 5. Total fat assessment (for children)
-    if (targetGroup === 'child' && limits.fat) {
+    if (targetGroup === 'child' && limits.fat && !notEvaluated.includes('fat')) {
         const fatResult = evaluateNutrient(
-            nutrition.fat || 0,
+            readNutrient(nutrition, 'fat', limits.fat.unit),
             limits.fat,
             'fat'
         );
@@ -94,9 +119,10 @@ function evaluateFoodForPopulation(nutrition, targetGroup, productData = {}) {
 
     // 6. Caffeine check (pregnant women)
     if (targetGroup === 'pregnant' && limits.caffeine) {
-        const caffeineAmount = nutrition.caffeine || detectCaffeineFromIngredients(productData.ingredients);
+        const caffeineAmount = readNutrient(nutrition, 'caffeine', limits.caffeine.unit) ??
+            detectCaffeineFromIngredients(parsedIngredients);
         if (caffeineAmount > limits.caffeine.moderate) {
-            warnings.push(`Contains caffeine (${caffeineAmount}mg) - not recommended during pregnancy`);
+            warnings.push(`Contains caffeine (${Math.round(caffeineAmount)}${limits.caffeine.unit}) - not recommended during pregnancy`);
             severityScore += 50;
         }
     }
@@ -117,8 +143,9 @@ function evaluateFoodForPopulation(nutrition, targetGroup, productData = {}) {
     }
 
     // 8. Fiber assessment (positive)
-    if (nutrition.fiber >= 3) {
-        positives.push(`Good fiber content (${nutrition.fiber.toFixed(1)}g) - supports digestive health`);
+    const fiber = readNutrient(nutrition, 'fiber', 'g');
+    if (fiber >= 3) {
+        positives.push(`Good fiber content (${fiber.toFixed(1)}g) - supports digestive health`);
     }
 
     // ============================================
@@ -127,19 +154,26 @@ function evaluateFoodForPopulation(nutrition, targetGroup, productData = {}) {
 
     // 9. Check warning triggers
     if (limits.warnings) {
+        // OFF often has no nova_group; estimate it from the ingredients instead
+        const nova = resolveNovaGroup({ ...productData, parsedIngredients });
+
         Object.entries(limits.warnings).forEach(([key, config]) => {
             let triggered = false;
+            let message = config.message;
             
             try {
                 if (config.trigger) {
                     if (key === 'highlyProcessed' || key === 'ultraProcessed') {
-                        triggered = config.trigger(productData);
+                        triggered = config.trigger({ ...productData, nova: nova.group });
+                        if (nova.source === 'estimated' && nova.markers.length > 0) {
+                            message = `${config.message} (estimated from: ${nova.markers.map(m => m.term).join(', ')})`;
+                        }
                     } else if (key === 'allergen') {
                         triggered = config.trigger(productData.allergens || []);
                     } else if (key === 'choking') {
                         triggered = config.trigger(productData);
                     } else if (key === 'artificialAdditives') {
-                        triggered = config.trigger(productData.ingredients || '');
+                        triggered = config.trigger(parsedIngredients);
                     } else {
                         triggered = config.trigger(nutrition);
                     }
@@ -149,17 +183,17 @@ function evaluateFoodForPopulation(nutrition, targetGroup, productData = {}) {
                 console.debug(`Warning trigger failed for ${key}:`, error.message);
             }
 
-            if (triggered && config.message) {
-                warnings.push(config.message);
+            if (triggered && message) {
+                warnings.push(message);
                 severityScore += 15;
             }
         });
     }
 
     // 10. Check caution ingredients (for children)
-    if (targetGroup === 'child' && limits.cautionIngredients && productData.ingredients) {
+    if (targetGroup === 'child' && limits.cautionIngredients && parsedIngredients.ingredients.length > 0) {
         const cautionFound = checkCautionIngredients(
-            productData.ingredients,
+            parsedIngredients,
             limits.cautionIngredients
         );
         if (cautionFound.length > 0) {
@@ -168,6 +202,10 @@ function evaluateFoodForPopulation(nutrition, targetGroup, productData = {}) {
         }
     }
 
+    notEvaluated.forEach(field => {
+        warnings.push(`${describeNutrients([field]).replace(/^./, c => c.toUpperCase())} not declared - not evaluated`);
+    });
+
     // ============================================
     // DETERMINE SUITABILITY
     // ============================================
@@ -212,6 +250,8 @@ function evaluateFoodForPopulation(nutrition, targetGroup, productData = {}) {
         metadata: {
             displayName: metadata?.displayName || targetGroup,
             disclaimer: metadata?.disclaimer || 'This information is for awareness only, not medical advice.',
+            dataConfidence: dataQuality ? getDataConfidence(dataQuality, evaluatedFields) : null,
+            notEvaluated,
             evaluationDate: new Date().toISOString()
         }
     };
@@ -227,14 +267,16 @@ function evaluateNutrient(value, limits, nutrientName) {
         positive: null
     };
 
+    const unit = limits.unit || 'g';
+
     if (value <= limits.safe) {
-        result.positive = `Low ${nutrientName} (${value.toFixed(1)}g) - excellent`;
+        result.positive = `Low ${nutrientName} (${value.toFixed(1)}${unit}) - excellent`;
         result.severity = 0;
     } else if (value <= limits.moderate) {
-        result.warning = `Moderate ${nutrientName} (${value.toFixed(1)}g) - ${limits.reason}`;
+        result.warning = `Moderate ${nutrientName} (${value.toFixed(1)}${unit}) - ${limits.reason}`;
         result.severity = 20;
     } else {
-        result.warning = `High ${nutrientName} (${value.toFixed(1)}g) - ${limits.reason}`;
+        result.warning = `High ${nutrientName} (${value.toFixed(1)}${unit}) - ${limits.reason}`;
         result.severity = 40;
     }
 
@@ -244,7 +286,7 @@ function evaluateNutrient(value, limits, nutrientName) {
 /**
  * Check for strictly avoided ingredients
  */
-function checkStrictlyAvoided(productData, targetGroup, limits) {
+function checkStrictlyAvoided(productData, targetGroup, limits, parsedIngredients) {
     const result = {
         isViolated: false,
         message: '',
@@ -260,14 +302,11 @@ function checkStrictlyAvoided(productData, targetGroup, limits) {
         avoidList = limits.strictlyAvoided;
     }
 
-    // Check ingredients text
-    const ingredients = (productData.ingredients || '').toLowerCase();
-    const productName = (productData.name || '').toLowerCase();
+    // Check parsed ingredients and the product name (whole words, negations ignored)
+    const ingredients = parsedIngredients || parseIngredients(productData.ingredients || '');
     
     for (const avoided of avoidList) {
-        const searchTerm = avoided.toLowerCase();
-        
-        if (ingredients.includes(searchTerm) || productName.includes(searchTerm)) {
+        if (findIngredient(ingredients, avoided) || containsTerm(productData.name, avoided)) {
             result.isViolated = true;
             result.message = `Contains ${avoided} - strictly not recommended for ${targetGroup === 'pregnant' ? 'pregnancy' : 'young children'}`;
             result.explanation = `This product contains ingredients that should be avoided by ${targetGroup === 'pregnant' ? 'pregnant women' : 'children under 6'} due to safety concerns.`;
@@ -280,24 +319,47 @@ function checkStrictlyAvoided(productData, targetGroup, limits) {
 
 /**
  * Check for essential nutrients
+ * @param {Object} nutrition - Nutrition data in storage units
+ * @param {Object} required - { nutrient: { amount, unit } }
  */
 function checkEssentialNutrients(nutrition, required) {
     const positives = [];
+    const amount = (nutrient, fallback) => {
+        const threshold = required[nutrient] || fallback;
+        const value = readNutrient(nutrition, nutrient, threshold.unit);
+        return value !== null && value > 0 && value >= threshold.amount
+            ? `${Math.round(value * 10) / 10}${threshold.unit}`
+            : null;
+    };
+
+    const protein = required.protein && amount('protein');
+    if (protein) {
+        positives.push(`Good protein source (${protein})`);
+    }
+
+    const fiber = amount('fiber', { amount: 3, unit: 'g' });
+    if (fiber) {
+        positives.push(`High fiber (${fiber})`);
+    }
 
-    if (nutrition.protein >= required.protein) {
-        positives.push(`Good protein source (${nutrition.protein.toFixed(1)}g)`);
+    const iron = amount('iron', { amount: 1, unit: 'mg' });
+    if (iron) {
+        positives.push(`Contains iron (${iron}) - important for development`);
     }
 
-    if (nutrition.fiber && nutrition.fiber >= (required.fiber || 3)) {
-        positives.push(`High fiber (${nutrition.fiber.toFixed(1)}g)`);
+    const calcium = amount('calcium', { amount: 100, unit: 'mg' });
+    if (calcium) {
+        positives.push(`Good calcium source (${calcium}) - supports bone health`);
     }
 
-    if (nutrition.iron && nutrition.iron >= (required.iron || 0.001)) {
-        positives.push(`Contains iron - important for development`);
+    const folate = required.folate && amount('folate');
+    if (folate) {
+        positives.push(`Contains folate (${folate}) - supports neural development`);
     }
 
-    if (nutrition.calcium && nutrition.calcium >= (required.calcium || 0.1)) {
-        positives.push(`Good calcium source - supports bone health`);
+    const vitaminD = required.vitaminD && amount('vitaminD');
+    if (vitaminD) {
+        positives.push(`Contains vitamin D (${vitaminD}) - supports bone health`);
     }
 
     return { positives };
@@ -305,34 +367,27 @@ function checkEssentialNutrients(nutrition, required) {
 
 /**
  * Check for caution ingredients in children's food
+ * @param {Object} parsedIngredients - Output of parseIngredients
  */
-function checkCautionIngredients(ingredients, cautionList) {
-    const found = [];
-    const ingredientsLower = ingredients.toLowerCase();
-
-    for (const item of cautionList) {
-        if (ingredientsLower.includes(item.toLowerCase())) {
-            found.push(item);
-        }
-    }
-
-    return found;
+function checkCautionIngredients(parsedIngredients, cautionList) {
+    return findIngredientTerms(parsedIngredients, cautionList);
 }
 
 /**
- * Detect caffeine from ingredients text
+ * Detect caffeine from parsed ingredients
+ * @param {Object} parsedIngredients - Output of parseIngredients
  */
-function detectCaffeineFromIngredients(ingredients) {
-    if (!ingredients) return 0;
+function detectCaffeineFromIngredients(parsedIngredients) {
+    if (!parsedIngredients) return 0;
 
-    const ingredientsLower = ingredients.toLowerCase();
+    const has = term => !!findIngredient(parsedIngredients, term);
     
     // Estimate caffeine content
-    if (ingredientsLower.includes('coffee')) return 80;
-    if (ingredientsLower.includes('espresso')) return 120;
-    if (ingredientsLower.includes('tea') || ingredientsLower.includes('green tea')) return 30;
-    if (ingredientsLower.includes('chocolate') || ingredientsLower.includes('cocoa')) return 10;
-    if (ingredientsLower.includes('energy')) return 100;
+    if (has('coffee')) return 80;
+    if (has('espresso')) return 120;
+    if (has('tea') || has('green tea')) return 30;
+    if (has('chocolate') || has('cocoa')) return 10;
+    if (has('energy')) return 100;
     
     return 0;
 }
@@ -381,14 +436,14 @@ function generateExplanation(category, targetGroup, warnings, positives) {
 /**
  * Create result when data is insufficient
  */
-function createInsufficientDataResult(targetGroup) {
+function createInsufficientDataResult(targetGroup, issues = []) {
     const categories = window.SUITABILITY_CATEGORIES || SUITABILITY_CATEGORIES;
     
     return {
         suitability: 'Insufficient Data',
         emoji: '❓',
         color: '#9ca3af',
-        warnings: ['Not enough nutrition information to evaluate safety'],
+        warnings: ['Not enough nutrition information to evaluate safety', ...issues],
         positives: [],
         explanation: 'This product lacks sufficient nutrition data for a proper safety assessment.',
         severityScore: null,
@@ -12,37 +12,41 @@
 const PREGNANT_LIMITS = {
     // Critical limits
     sugar: {
+        unit: 'g',
         safe: 3,           // g - Very low sugar preferred
         moderate: 5,       // g - Acceptable occasionally
         avoid: 10,         // g - Too high, avoid
         reason: 'Excess sugar increases gestational diabetes risk'
     },
     salt: {
+        unit: 'g',
         safe: 0.2,         // g - Low sodium preferred
         moderate: 0.3,     // g - Acceptable
         avoid: 0.5,        // g - High sodium (hypertension risk)
         reason: 'High salt can cause swelling and high blood pressure'
     },
     caffeine: {
+        unit: 'mg',
         safe: 0,           // mg - Caffeine-free ideal
         moderate: 20,      // mg - Very low caffeine OK
         avoid: 50,         // mg - Exceeds safe limits per serving
         reason: 'Caffeine crosses placenta, limit to 200mg/day total'
     },
     saturatedFat: {
+        unit: 'g',
         safe: 3,           // g - Low sat fat
         moderate: 5,       // g - Acceptable
         avoid: 8,          // g - Too high
         reason: 'High saturated fat affects cardiovascular health'
     },
     
-    // Nutrient requirements (minimums for "Good" rating)
+    // Nutrient requirements (minimums for "Good" rating), compared via units.js
     requiredNutrients: {
-        protein: 5,        // g - Good protein source
-        fiber: 3,          // g - Digestive health
-        iron: 0.002,       // g (2mg) - Critical for pregnancy
-        calcium: 0.1,      // g (100mg) - Bone health
-        folate: 0.0001     // g (100mcg) - Neural development
+        protein: { amount: 5, unit: 'g' },      // Good protein source
+        fiber: { amount: 3, unit: 'g' },        // Digestive health
+        iron: { amount: 2, unit: 'mg' },        // Critical for pregnancy
+        calcium: { amount: 100, unit: 'mg' },   // Bone health
+        folate: { amount: 100, unit: 'µg' }     // Neural development
     },
 
     // Dangerous ingredients (ingredient text scanning)
@@ -71,7 +75,7 @@ const PREGNANT_LIMITS = {
             message: 'Ultra-processed foods may lack essential nutrients'
         },
         lowProtein: {
-            trigger: (nutrition) => nutrition.protein < 2,
+            trigger: (nutrition) => isKnownValue(nutrition.protein) && nutrition.protein < 2,
             message: 'Low protein content - ensure adequate protein from other sources'
         },
         highCalories: {
@@ -79,10 +83,11 @@ const PREGNANT_LIMITS = {
             message: 'Very high calorie density - monitor portion sizes'
         },
         artificialAdditives: {
-            trigger: (ingredients) => {
-                if (!ingredients) return false;
-                const artificial = ['e102', 'e110', 'e122', 'e129', 'e951', 'e952'];
-                return artificial.some(code => ingredients.toLowerCase().includes(code));
+            // High-risk additives, or any with a pregnancy-specific concern
+            trigger: (parsedIngredients) => {
+                if (!parsedIngredients) return false;
+                const report = assessAdditives(collectAdditiveCodes({ parsedIngredients }), { populations: ['pregnant'] });
+                return report.additives.some(additive => additive.tier === 'high' || additive.relevantConcerns.length > 0);
             },
             message: 'Contains artificial additives - choose natural alternatives when possible'
         }
@@ -96,30 +101,35 @@ const PREGNANT_LIMITS = {
 const CHILD_LIMITS = {
     // Critical limits - stricter than adults
     sugar: {
+        unit: 'g',
         safe: 2,           // g - Very low sugar
         moderate: 3,       // g - Occasional treats only
         avoid: 5,          // g - Too high for regular consumption
         reason: 'Excess sugar causes tooth decay and unhealthy eating habits'
     },
     salt: {
+        unit: 'g',
         safe: 0.1,         // g - Very low sodium
         moderate: 0.2,     // g - Acceptable
         avoid: 0.3,        // g - Too high (kidney development)
         reason: 'Young kidneys cannot process excess sodium'
     },
     fat: {
+        unit: 'g',
         safe: 8,           // g - Moderate healthy fats
         moderate: 10,      // g - Acceptable
         avoid: 15,         // g - Too high
         reason: 'Excess fat can lead to childhood obesity'
     },
     saturatedFat: {
+        unit: 'g',
         safe: 2,           // g - Low sat fat
         moderate: 3,       // g - Acceptable
         avoid: 5,          // g - Too high
         reason: 'High saturated fat affects heart health development'
     },
     fiber: {
+        unit: 'g',
         minimum: 2,        // g - Digestive health
         optimal: 3,        // g - Good source
         reason: 'Fiber prevents constipation and supports gut health'
@@ -157,12 +167,12 @@ const CHILD_LIMITS = {
         ]
     },
 
-    // Nutrient requirements
+    // Nutrient requirements, compared via units.js
     essentialNutrients: {
-        protein: 3,        // g - Growth and development
-        calcium: 0.15,     // g (150mg) - Bone development
-        iron: 0.001,       // g (1mg) - Cognitive development
-        vitaminD: 0.000010 // g (10mcg) - Bone health
+        protein: { amount: 3, unit: 'g' },      // Growth and development
+        calcium: { amount: 150, unit: 'mg' },   // Bone development
+        iron: { amount: 1, unit: 'mg' },        // Cognitive development
+        vitaminD: { amount: 10, unit: 'µg' }    // Bone health
     },
 
     // Warning triggers
@@ -184,7 +194,8 @@ const CHILD_LIMITS = {
         },
         lowNutrients: {
             trigger: (nutrition) => {
-                return nutrition.protein < 2 && nutrition.fiber < 1;
+                return isKnownValue(nutrition.protein) && isKnownValue(nutrition.fiber) &&
+                    nutrition.protein < 2 && nutrition.fiber < 1;
             },
             message: 'Low nutritional value - not ideal for growing children'
         },
@@ -0,0 +1,151 @@
+// ============================================
+// 🏆 STREAKS & ACHIEVEMENTS
+// ============================================
+// Streaks are computed from dated scan and journal activity
+// Achievements come from a declarative definition table; each
+// definition type has a rule that decides whether it is unlocked
+
+/**
+ * Achievement definitions
+ * type decides which rule in ACHIEVEMENT_RULES evaluates the entry
+ */
+const ACHIEVEMENT_DEFINITIONS = [
+    { id: 'first-scan', type: 'threshold', metric: 'totalScans', target: 1, icon: '🎉', title: 'First Scan!', description: 'You\'ve started your health journey' },
+    { id: 'scanner-pro', type: 'threshold', metric: 'totalScans', target: 10, icon: '📊', title: 'Scanner Pro!', description: 'You\'ve scanned 10 products' },
+    { id: 'scan-centurion', type: 'threshold', metric: 'totalScans', target: 100, icon: '💯', title: 'Scan Centurion', description: 'You\'ve scanned 100 products' },
+    { id: 'health-warrior', type: 'threshold', metric: 'healthyChoices', target: 5, icon: '💪', title: 'Health Warrior!', description: 'Made 5 healthy food choices' },
+    { id: 'streak-3', type: 'streak', target: 3, icon: '🔥', title: 'Warming Up', description: '3-day activity streak' },
+    { id: 'streak-7', type: 'streak', target: 7, icon: '🔥', title: 'On Fire', description: '7-day activity streak' },
+    { id: 'streak-30', type: 'streak', target: 30, icon: '🏅', title: 'Habit Formed', description: '30-day activity streak' },
+    { id: 'category-champion', type: 'categoryGrade', grades: ['A+', 'A'], target: 5, icon: '🥇', title: 'Category Champion', description: 'Scanned 5 A-grade products in one category' },
+    { id: 'sugar-smart-week', type: 'underDailyValue', nutrient: 'sugar', days: 7, icon: '🍬', title: 'Sugar Smart', description: 'Stayed under your sugar limit for 7 logged days in a row' },
+    { id: 'salt-smart-week', type: 'underDailyValue', nutrient: 'salt', days: 7, icon: '🧂', title: 'Salt Smart', description: 'Stayed under your salt limit for 7 logged days in a row' }
+];
+
+/**
+ * Rules per definition type
+ * Each receives (definition, context) and returns true once unlocked
+ */
+const ACHIEVEMENT_RULES = {
+    threshold: (def, context) => (context[def.metric] || 0) >= def.target,
+
+    streak: (def, context) => context.streak.longest >= def.target,
+
+    categoryGrade: (def, context) => {
+        const productsByCategory = {};
+
+        context.scanHistory
+            .filter(item => def.grades.includes(item.grade))
+            .forEach(item => {
+                const category = (item.categories || '').split(',')[0].trim();
+                if (!category) return;
+                (productsByCategory[category] = productsByCategory[category] || new Set()).add(toGTINKey(item.barcode));
+            });
+
+        return Object.values(productsByCategory).some(barcodes => barcodes.size >= def.target);
+    },
+
+    underDailyValue: (def, context) => {
+        const limit = calculateDailyValue(0, def.nutrient, context.dailyValueOptions).target;
+        const byDay = {};
+        context.journal.forEach(entry => {
+            (byDay[entry.date] = byDay[entry.date] || []).push(entry);
+        });
+
+        // A day with an entry that doesn't declare the nutrient is not evaluated
+        const underDays = Object.keys(byDay).filter(day => {
+            const totals = calculateJournalTotals(byDay[day]);
+            return !totals.unknown.includes(def.nutrient) && totals[def.nutrient] <= limit;
+        });
+
+        return longestDayRun(underDays) >= def.days;
+    }
+};
+
+/**
+ * Longest run of consecutive calendar days
+ * @param {Array} dayKeys - Day keys (YYYY-MM-DD), any order, duplicates allowed
+ * @returns {number} Length of the longest run
+ */
+function longestDayRun(dayKeys) {
+    const days = [...new Set(dayKeys)].sort();
+    let longest = 0;
+    let run = 0;
+
+    days.forEach((day, index) => {
+        run = index > 0 && shiftDayKey(days[index - 1], 1) === day ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    });
+
+    return longest;
+}
+
+/**
+ * Compute current and longest streak of active days
+ * Day keys are local calendar days, so DST changes and late-night
+ * scans never split or merge days
+ * @param {Array} dayKeys - Days with any activity
+ * @param {string} today - Today's day key
+ * @returns {Object} { current, longest }
+ */
+function computeStreak(dayKeys, today = toDayKey()) {
+    const active = new Set(dayKeys);
+
+    // Today still counts as "in progress" until midnight
+    let cursor = active.has(today) ? today : shiftDayKey(today, -1);
+    let current = 0;
+    while (active.has(cursor)) {
+        current++;
+        cursor = shiftDayKey(cursor, -1);
+    }
+
+    return {
+        current,
+        longest: Math.max(current, longestDayRun(dayKeys))
+    };
+}
+
+/**
+ * Collect the days a user scanned or logged food
+ * @param {Object} data - { scanHistory, journal }
+ * @returns {Array} Day keys
+ */
+function getActivityDays(data) {
+    return [
+        ...(data.scanHistory || []).map(item => toDayKey(item.timestamp)),
+        ...(data.journal || []).map(entry => entry.date)
+    ];
+}
+
+/**
+ * Find achievements that are newly unlocked
+ * @param {Object} context - { totalScans, healthyChoices, streak, scanHistory, journal, dailyValueOptions }
+ * @param {Object} unlocked - Already unlocked { id: unlockedAt }
+ * @returns {Array} Newly unlocked definitions
+ */
+function evaluateAchievements(context, unlocked = {}) {
+    return ACHIEVEMENT_DEFINITIONS.filter(def => {
+        if (unlocked[def.id]) return false;
+
+        const rule = ACHIEVEMENT_RULES[def.type];
+        if (!rule) {
+            console.warn(`No achievement rule for type "${def.type}"`);
+            return false;
+        }
+
+        return rule(def, context);
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ACHIEVEMENT_DEFINITIONS,
+        ACHIEVEMENT_RULES,
+        computeStreak,
+        getActivityDays,
+        evaluateAchievements
+    };
+}
+
+console.log('✅ Achievements loaded successfully');
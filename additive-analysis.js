@@ -0,0 +1,222 @@
+// ============================================
+// 🧪 ADDITIVE ANALYSIS
+// ============================================
+// Local additive reference on top of the parser's ADDITIVE_TABLE:
+// a risk tier per E-number, the reason for it, and concerns that
+// only apply to some people (children, pregnancy)
+// Feeds the results "Additives" card and the engine-v3 score penalties
+
+/**
+ * Risk tiers, lowest first
+ * penalty is subtracted from the health score per additive (engine-v3)
+ */
+const ADDITIVE_RISK_TIERS = {
+    unknown: { rank: 0, label: 'Not assessed', penalty: 0, color: '#94a3b8' },
+    low: { rank: 1, label: 'Low concern', penalty: 0, color: '#10b981' },
+    moderate: { rank: 2, label: 'Moderate concern', penalty: 3, color: '#f59e0b' },
+    high: { rank: 3, label: 'High concern', penalty: 6, color: '#ef4444' }
+};
+
+// Many additives in one product should not outweigh its nutrition
+const MAX_ADDITIVE_PENALTY = 15;
+
+const HYPERACTIVITY_CONCERN = 'Linked to hyperactivity in children (Southampton study); EU labels must warn about it';
+const SWEETENER_CHILD_CONCERN = 'Intense sweeteners are not recommended for young children';
+
+/**
+ * Additives with a known concern
+ * Anything in ADDITIVE_TABLE that is not listed here is low concern
+ */
+const ADDITIVE_RISK_REFERENCE = {
+    // Southampton colours
+    e102: { tier: 'high', rationale: 'Azo dye; can trigger intolerance reactions', concerns: { children: HYPERACTIVITY_CONCERN } },
+    e104: { tier: 'high', rationale: 'Synthetic dye with a low acceptable daily intake', concerns: { children: HYPERACTIVITY_CONCERN } },
+    e110: { tier: 'high', rationale: 'Azo dye; can trigger intolerance reactions', concerns: { children: HYPERACTIVITY_CONCERN } },
+    e122: { tier: 'high', rationale: 'Azo dye; can trigger intolerance reactions', concerns: { children: HYPERACTIVITY_CONCERN } },
+    e124: { tier: 'high', rationale: 'Azo dye; can trigger intolerance reactions', concerns: { children: HYPERACTIVITY_CONCERN } },
+    e129: { tier: 'high', rationale: 'Azo dye; can trigger intolerance reactions', concerns: { children: HYPERACTIVITY_CONCERN } },
+
+    // Other colours
+    e123: { tier: 'high', rationale: 'Azo dye banned as a food colour in the US' },
+    e127: { tier: 'moderate', rationale: 'Contains iodine and may affect thyroid function at high intake' },
+    e150c: { tier: 'moderate', rationale: 'Ammonia caramels can contain 4-MEI, a possible carcinogen' },
+    e150d: { tier: 'moderate', rationale: 'Ammonia caramels can contain 4-MEI, a possible carcinogen' },
+    e151: { tier: 'moderate', rationale: 'Azo dye; can trigger intolerance reactions' },
+    e171: { tier: 'high', rationale: 'No longer considered safe by EFSA and banned in the EU since 2022' },
+
+    // Preservatives
+    e210: { tier: 'moderate', rationale: 'Can form benzene together with vitamin C', concerns: { children: 'Part of the Southampton study mixtures linked to hyperactivity' } },
+    e211: { tier: 'moderate', rationale: 'Can form benzene together with vitamin C', concerns: { children: 'Part of the Southampton study mixtures linked to hyperactivity' } },
+    e220: { tier: 'moderate', rationale: 'Sulphites can trigger asthma attacks in sensitive people' },
+    e223: { tier: 'moderate', rationale: 'Sulphites can trigger asthma attacks in sensitive people' },
+    e224: { tier: 'moderate', rationale: 'Sulphites can trigger asthma attacks in sensitive people' },
+    e249: { tier: 'high', rationale: 'Nitrites form nitrosamines; processed meat is a group 1 carcinogen', concerns: { pregnant: 'Limit cured meats during pregnancy' } },
+    e250: { tier: 'high', rationale: 'Nitrites form nitrosamines; processed meat is a group 1 carcinogen', concerns: { pregnant: 'Limit cured meats during pregnancy' } },
+    e251: { tier: 'high', rationale: 'Nitrates convert to nitrites in the body', concerns: { pregnant: 'Limit cured meats during pregnancy' } },
+    e252: { tier: 'high', rationale: 'Nitrates convert to nitrites in the body', concerns: { pregnant: 'Limit cured meats during pregnancy' } },
+
+    // Antioxidants
+    e310: { tier: 'moderate', rationale: 'Possible endocrine effects; can cause skin sensitisation' },
+    e319: { tier: 'moderate', rationale: 'Synthetic antioxidant with a low acceptable daily intake' },
+    e320: { tier: 'high', rationale: 'Classified as possibly carcinogenic to humans (IARC 2B)' },
+    e321: { tier: 'moderate', rationale: 'Synthetic antioxidant under review for endocrine effects' },
+
+    // Phosphates
+    e338: { tier: 'moderate', rationale: 'Added phosphates raise phosphorus intake; a concern for kidney health' },
+    e339: { tier: 'moderate', rationale: 'Added phosphates raise phosphorus intake; a concern for kidney health' },
+    e340: { tier: 'moderate', rationale: 'Added phosphates raise phosphorus intake; a concern for kidney health' },
+    e341: { tier: 'moderate', rationale: 'Added phosphates raise phosphorus intake; a concern for kidney health' },
+    e450: { tier: 'moderate', rationale: 'Added phosphates raise phosphorus intake; a concern for kidney health' },
+    e451: { tier: 'moderate', rationale: 'Added phosphates raise phosphorus intake; a concern for kidney health' },
+    e452: { tier: 'moderate', rationale: 'Added phosphates raise phosphorus intake; a concern for kidney health' },
+
+    // Emulsifiers and thickeners
+    e407: { tier: 'moderate', rationale: 'Linked to gut inflammation in animal studies' },
+    e433: { tier: 'moderate', rationale: 'Emulsifier shown to disturb gut bacteria in animal studies' },
+    e466: { tier: 'moderate', rationale: 'Emulsifier shown to disturb gut bacteria in animal studies' },
+
+    // Sweeteners
+    e420: { tier: 'low', rationale: 'Polyol; large amounts have a laxative effect', concerns: { children: 'Laxative effect at smaller amounts in children' } },
+    e950: { tier: 'moderate', rationale: 'Intense sweetener; long-term effects still debated', concerns: { children: SWEETENER_CHILD_CONCERN } },
+    e951: { tier: 'moderate', rationale: 'Classified as possibly carcinogenic (IARC 2B); a source of phenylalanine', concerns: { children: SWEETENER_CHILD_CONCERN, pregnant: 'Avoid with phenylketonuria; moderate intake during pregnancy' } },
+    e952: { tier: 'moderate', rationale: 'Intense sweetener banned in the US', concerns: { children: SWEETENER_CHILD_CONCERN, pregnant: 'Best avoided during pregnancy' } },
+    e954: { tier: 'moderate', rationale: 'Intense sweetener; crosses the placenta', concerns: { children: SWEETENER_CHILD_CONCERN, pregnant: 'Best avoided during pregnancy' } },
+    e955: { tier: 'moderate', rationale: 'Intense sweetener; may affect gut bacteria', concerns: { children: SWEETENER_CHILD_CONCERN } },
+    e965: { tier: 'low', rationale: 'Polyol; large amounts have a laxative effect', concerns: { children: 'Laxative effect at smaller amounts in children' } },
+    e967: { tier: 'low', rationale: 'Polyol; large amounts have a laxative effect', concerns: { children: 'Laxative effect at smaller amounts in children' } },
+
+    // Flavour enhancers
+    e621: { tier: 'low', rationale: 'Safe at normal intake; some people report sensitivity' },
+    e627: { tier: 'low', rationale: 'Purine source; people with gout may want to limit it' },
+    e631: { tier: 'low', rationale: 'Purine source; people with gout may want to limit it' },
+    e635: { tier: 'low', rationale: 'Purine source; people with gout may want to limit it' }
+};
+
+/**
+ * Canonical E-number codes found in a product
+ * Combines E-numbers resolved from the ingredient text with the
+ * additive tags from Open Food Facts ("en:e330")
+ * @param {Object} product - { ingredients, parsedIngredients, additiveTags }
+ * @returns {Array} Unique codes in first-seen order
+ */
+function collectAdditiveCodes(product = {}) {
+    const codes = new Set();
+
+    const ingredientsText = typeof product.ingredients === 'string' ? product.ingredients : '';
+    const parsed = product.parsedIngredients || (ingredientsText ? parseIngredients(ingredientsText) : null);
+    flattenIngredients(parsed)
+        .filter(node => node.additive)
+        .forEach(node => codes.add(node.additive.code));
+
+    (product.additiveTags || []).forEach(tag => {
+        const code = normalizeAdditiveCode(tag);
+        if (code) codes.add(code);
+    });
+
+    return [...codes];
+}
+
+/**
+ * Normalise an E-number or OFF tag to an ADDITIVE_TABLE key
+ * "en:e322i" -> "e322", "E 150d" -> "e150d"
+ */
+function normalizeAdditiveCode(value) {
+    const match = String(value).toLowerCase().replace(/^[a-z]{2}:/, '').match(/^e[\s-]?(\d{3,4})([a-i])?/);
+    if (!match) return null;
+
+    const code = `e${match[1]}${match[2] || ''}`;
+    return ADDITIVE_TABLE[code] ? code : `e${match[1]}`;
+}
+
+/**
+ * Risk details for one additive
+ * @param {string} code - E-number code
+ * @param {Array} populations - Active populations ('children', 'pregnant')
+ * @returns {Object} Additive with tier, rationale, concerns and penalty
+ */
+function assessAdditive(code, populations = []) {
+    const additive = ADDITIVE_TABLE[code];
+    const reference = ADDITIVE_RISK_REFERENCE[code];
+
+    const tier = reference ? reference.tier : (additive ? 'low' : 'unknown');
+    const concerns = (reference && reference.concerns) || {};
+    const relevantConcerns = populations
+        .filter(population => concerns[population])
+        .map(population => ({ population, text: concerns[population] }));
+
+    return {
+        code,
+        label: code.toUpperCase(),
+        name: additive ? additive.name : code.toUpperCase(),
+        function: additive ? additive.function : 'unknown',
+        tier,
+        tierLabel: ADDITIVE_RISK_TIERS[tier].label,
+        color: ADDITIVE_RISK_TIERS[tier].color,
+        rationale: reference
+            ? reference.rationale
+            : (additive ? 'No specific concerns at permitted levels' : 'Not in the local additive reference'),
+        concerns,
+        relevantConcerns,
+        penalty: ADDITIVE_RISK_TIERS[tier].penalty
+    };
+}
+
+/**
+ * Assess a list of additive codes
+ * Scoring uses the tier penalty only; population concerns are
+ * surfaced for the user but never change the stored score
+ * @param {Array} codes - E-number codes
+ * @param {Object} options - { populations }
+ * @returns {Object} { additives, counts, highestTier, totalPenalty, populationConcerns }
+ */
+function assessAdditives(codes = [], options = {}) {
+    const populations = options.populations || [];
+    const additives = [...new Set(codes)]
+        .map(code => assessAdditive(code, populations))
+        .sort((a, b) => ADDITIVE_RISK_TIERS[b.tier].rank - ADDITIVE_RISK_TIERS[a.tier].rank || a.code.localeCompare(b.code));
+
+    const counts = {};
+    Object.keys(ADDITIVE_RISK_TIERS).forEach(tier => { counts[tier] = 0; });
+    additives.forEach(additive => { counts[additive.tier]++; });
+
+    const rawPenalty = additives.reduce((sum, additive) => sum + additive.penalty, 0);
+
+    return {
+        additives,
+        counts,
+        highestTier: additives.length > 0 ? additives[0].tier : null,
+        totalPenalty: Math.min(MAX_ADDITIVE_PENALTY, rawPenalty),
+        populationConcerns: additives.filter(additive => additive.relevantConcerns.length > 0)
+    };
+}
+
+/**
+ * Additive analysis for a product
+ * @param {Object} product - Product in app format
+ * @param {Object} options - { populations }
+ */
+function analyzeProductAdditives(product, options = {}) {
+    return assessAdditives(collectAdditiveCodes(product), options);
+}
+
+/**
+ * Populations whose additive concerns apply, from user settings
+ */
+function getAdditivePopulations(settings = {}) {
+    const preferences = settings.dietaryPreferences || [];
+    return ['children', 'pregnant'].filter(population => preferences.includes(population));
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ADDITIVE_RISK_TIERS,
+        ADDITIVE_RISK_REFERENCE,
+        collectAdditiveCodes,
+        assessAdditives,
+        analyzeProductAdditives,
+        getAdditivePopulations
+    };
+}
+
+console.log('✅ Additive Analysis loaded successfully');
@@ -0,0 +1,414 @@
+// ============================================
+// 🗄️ API CACHE - Memory + IndexedDB
+// ============================================
+// Two-tier cache for API results: a memory tier for the session and
+// an IndexedDB tier that survives reloads. Both evict least recently
+// used entries once they pass their entry count or byte budget.
+// Expired entries are still served for a while (stale-while-revalidate)
+// while a fresh copy is fetched in the background.
+
+const API_CACHE_CONFIG = {
+    dbName: 'nutravue-cache',
+    version: 1,
+    store: 'entries',
+
+    // Budgets per tier (bytes are the JSON size of the cached data)
+    memory: { maxEntries: 200, maxBytes: 5 * 1024 * 1024 },
+    persistent: { maxEntries: 1000, maxBytes: 25 * 1024 * 1024 },
+
+    // How long an entry is fresh, per kind
+    ttl: {
+        product: 24 * 60 * 60 * 1000,       // 24 hours
+        search: 60 * 60 * 1000,             // 1 hour
+        alternatives: 6 * 60 * 60 * 1000    // 6 hours
+    },
+
+    // How long after that it may still be served while refreshing
+    staleFor: {
+        product: 7 * 24 * 60 * 60 * 1000,   // 7 days
+        search: 24 * 60 * 60 * 1000,        // 1 day
+        alternatives: 3 * 24 * 60 * 60 * 1000
+    }
+};
+
+/**
+ * Tiered Cache
+ * get/set work on entries; fetch() adds stale-while-revalidate on top
+ */
+class TieredCache {
+    constructor(config = {}) {
+        this.config = {
+            ...API_CACHE_CONFIG,
+            ...config,
+            ttl: { ...API_CACHE_CONFIG.ttl, ...(config.ttl || {}) },
+            staleFor: { ...API_CACHE_CONFIG.staleFor, ...(config.staleFor || {}) }
+        };
+        this.memory = new Map(); // insertion order doubles as LRU order
+        this.memoryBytes = 0;
+        this.refreshing = new Map();
+        this.dbPromise = null;
+        this.prunePromise = null;
+        this.resetStats();
+    }
+
+    /**
+     * Zero the hit/miss counters
+     */
+    resetStats() {
+        this.stats = {
+            memoryHits: 0,
+            persistentHits: 0,
+            misses: 0,
+            staleServed: 0,
+            revalidations: 0,
+            revalidationErrors: 0,
+            evictions: 0,
+            byKind: {}
+        };
+    }
+
+    /**
+     * Whether the IndexedDB tier is available
+     */
+    isPersistent() {
+        return this.config.persistent !== false && typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Lazily open the database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = openIndexedDB(this.config.dbName, this.config.version, (db) => {
+                if (!db.objectStoreNames.contains(this.config.store)) {
+                    const store = db.createObjectStore(this.config.store, { keyPath: 'key' });
+                    store.createIndex('lastAccess', 'lastAccess', { unique: false });
+                }
+            }).catch(error => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a callback against the entry store
+     */
+    async withStore(mode, callback) {
+        const db = await this.open();
+        const tx = db.transaction(this.config.store, mode);
+        const result = callback(tx.objectStore(this.config.store));
+
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+
+        return result;
+    }
+
+    /**
+     * Look up an entry in either tier
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} { data, kind, stale, tier } or null (miss or past its stale window)
+     */
+    async get(key) {
+        const now = Date.now();
+        let entry = this.memory.get(key);
+        let tier = 'memory';
+
+        if (!entry && this.isPersistent()) {
+            entry = await this.readPersistent(key);
+            tier = 'persistent';
+        }
+
+        if (!entry || now > entry.staleUntil) {
+            if (entry) this.delete(key);
+            return null;
+        }
+
+        // Most recently used goes to the end
+        entry.lastAccess = now;
+        this.remember(entry);
+        if (tier === 'persistent') this.writePersistent(entry);
+
+        return { data: entry.data, kind: entry.kind, stale: now > entry.expiresAt, tier };
+    }
+
+    /**
+     * Store data in both tiers
+     * @param {string} key - Cache key
+     * @param {string} kind - 'product' | 'search' | 'alternatives' (picks the TTL)
+     * @param {*} data - Structured-cloneable data
+     */
+    async set(key, kind, data) {
+        const now = Date.now();
+        const ttl = this.config.ttl[kind] ?? this.config.ttl.product;
+        const entry = {
+            key,
+            kind,
+            data,
+            storedAt: now,
+            lastAccess: now,
+            expiresAt: now + ttl,
+            staleUntil: now + ttl + (this.config.staleFor[kind] ?? 0),
+            bytes: estimateBytes(data)
+        };
+
+        this.remember(entry);
+        if (this.isPersistent()) {
+            await this.writePersistent(entry);
+            this.prunePersistent();
+        }
+    }
+
+    /**
+     * Remove an entry from both tiers
+     */
+    delete(key) {
+        this.forget(key);
+        if (this.isPersistent()) {
+            this.withStore('readwrite', store => store.delete(key))
+                .catch(error => console.warn('⚠️ Cache delete failed:', error.message));
+        }
+    }
+
+    /**
+     * Empty both tiers
+     */
+    async clear() {
+        this.memory.clear();
+        this.memoryBytes = 0;
+        if (this.isPersistent()) {
+            await this.withStore('readwrite', store => store.clear());
+        }
+    }
+
+    /**
+     * Cached value, or the loader's result
+     * Stale entries are returned at once and refreshed in the background
+     * @param {string} key - Cache key
+     * @param {string} kind - Entry kind (picks the TTL)
+     * @param {Function} load - Async loader for a fresh value
+     * @param {Object} options - { forceRefresh, shouldCache(data), schedule(task), onRefresh(data) }
+     * @returns {Promise<*>} Data
+     */
+    async fetch(key, kind, load, options = {}) {
+        const cached = options.forceRefresh ? null : await this.get(key);
+        this.count(kind, cached ? 'hits' : 'misses');
+
+        if (cached) {
+            if (cached.tier === 'memory') this.stats.memoryHits++;
+            else this.stats.persistentHits++;
+
+            if (cached.stale) {
+                this.stats.staleServed++;
+                this.revalidate(key, kind, load, options);
+            }
+            return cached.data;
+        }
+
+        this.stats.misses++;
+        const data = await load();
+        await this.store(key, kind, data, options);
+        return data;
+    }
+
+    /**
+     * Refresh a stale entry once, in the background
+     */
+    revalidate(key, kind, load, options) {
+        if (this.refreshing.has(key)) return;
+
+        const schedule = options.schedule || (task => task());
+        const refresh = Promise.resolve()
+            .then(() => schedule(load))
+            .then(async data => {
+                this.stats.revalidations++;
+                const stored = await this.store(key, kind, data, options);
+                if (stored && typeof options.onRefresh === 'function') options.onRefresh(data);
+            })
+            .catch(error => {
+                // The stale copy stays until its window closes
+                this.stats.revalidationErrors++;
+                console.warn(`⚠️ Background refresh of ${key} failed:`, error.message);
+            })
+            .finally(() => this.refreshing.delete(key));
+
+        this.refreshing.set(key, refresh);
+    }
+
+    /**
+     * Store a loaded value unless the caller says it shouldn't be cached
+     * @returns {Promise<boolean>} Whether it was stored
+     */
+    async store(key, kind, data, options) {
+        const shouldCache = options.shouldCache || (value => value !== null && value !== undefined);
+        if (!shouldCache(data)) return false;
+
+        await this.set(key, kind, data).catch(error => {
+            console.warn('⚠️ Could not persist cache entry:', error.message);
+        });
+        return true;
+    }
+
+    /**
+     * Hit and miss counts per kind
+     */
+    count(kind, outcome) {
+        const counts = this.stats.byKind[kind] || (this.stats.byKind[kind] = { hits: 0, misses: 0 });
+        counts[outcome]++;
+    }
+
+    /**
+     * Put an entry at the most recently used end of the memory tier
+     */
+    remember(entry) {
+        this.forget(entry.key);
+        this.memory.set(entry.key, entry);
+        this.memoryBytes += entry.bytes;
+
+        const { maxEntries, maxBytes } = this.config.memory;
+        for (const [key] of this.memory) {
+            if (this.memory.size <= maxEntries && this.memoryBytes <= maxBytes) break;
+            if (key === entry.key) break; // never evict what was just stored
+            this.forget(key);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Drop an entry from the memory tier
+     */
+    forget(key) {
+        const entry = this.memory.get(key);
+        if (!entry) return;
+        this.memory.delete(key);
+        this.memoryBytes -= entry.bytes;
+    }
+
+    /**
+     * Read an entry from IndexedDB (null when unavailable)
+     */
+    async readPersistent(key) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(this.config.store, 'readonly');
+            return (await promisifyRequest(tx.objectStore(this.config.store).get(key))) || null;
+        } catch (error) {
+            console.warn('⚠️ Cache read failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Write an entry to IndexedDB
+     */
+    writePersistent(entry) {
+        return this.withStore('readwrite', store => store.put(entry))
+            .catch(error => console.warn('⚠️ Cache write failed:', error.message));
+    }
+
+    /**
+     * Evict least recently used IndexedDB entries past the budget
+     * Writes close together share one pass
+     */
+    prunePersistent() {
+        if (this.prunePromise) return this.prunePromise;
+
+        this.prunePromise = sleep(0)
+            .then(() => this.withStore('readwrite', store => {
+                const request = store.index('lastAccess').getAll();
+                request.onsuccess = () => {
+                    const { maxEntries, maxBytes } = this.config.persistent;
+                    let entries = request.result.length;
+                    let bytes = request.result.reduce((sum, entry) => sum + entry.bytes, 0);
+
+                    // Oldest access first
+                    for (const entry of request.result) {
+                        if (entries <= maxEntries && bytes <= maxBytes) break;
+                        store.delete(entry.key);
+                        entries--;
+                        bytes -= entry.bytes;
+                        this.stats.evictions++;
+                    }
+                };
+            }))
+            .catch(error => console.warn('⚠️ Cache prune failed:', error.message))
+            .finally(() => {
+                this.prunePromise = null;
+            });
+
+        return this.prunePromise;
+    }
+
+    /**
+     * Hit/miss stats and tier sizes
+     * @returns {Promise<Object>} Diagnostics
+     */
+    async getDiagnostics() {
+        const hits = this.stats.memoryHits + this.stats.persistentHits;
+        const lookups = hits + this.stats.misses;
+        let persistent = { enabled: false, entries: 0, bytes: 0 };
+
+        if (this.isPersistent()) {
+            try {
+                const db = await this.open();
+                const tx = db.transaction(this.config.store, 'readonly');
+                const entries = await promisifyRequest(tx.objectStore(this.config.store).getAll());
+                persistent = {
+                    enabled: true,
+                    entries: entries.length,
+                    bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0)
+                };
+            } catch (error) {
+                persistent = { enabled: false, entries: 0, bytes: 0, error: error.message };
+            }
+        }
+
+        return {
+            ...this.stats,
+            byKind: JSON.parse(JSON.stringify(this.stats.byKind)),
+            hits,
+            hitRate: lookups === 0 ? 0 : Math.round((hits / lookups) * 100),
+            refreshing: this.refreshing.size,
+            memory: { entries: this.memory.size, bytes: this.memoryBytes, ...this.config.memory },
+            persistent: { ...this.config.persistent, ...persistent }
+        };
+    }
+}
+
+/**
+ * Approximate size of cached data (length of its JSON)
+ */
+function estimateBytes(data) {
+    try {
+        return JSON.stringify(data)?.length || 0;
+    } catch (error) {
+        return 0;
+    }
+}
+
+// Shared cache for API results
+const apiCache = new TieredCache();
+
+/**
+ * Cache hit/miss stats and sizes (for the console or a diagnostics panel)
+ */
+function getCacheDiagnostics() {
+    return apiCache.getDiagnostics();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        API_CACHE_CONFIG,
+        TieredCache,
+        apiCache,
+        getCacheDiagnostics
+    };
+}
+
+console.log('✅ API Cache loaded successfully');
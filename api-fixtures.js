@@ -0,0 +1,282 @@
+// ============================================
+// 🎞️ API FIXTURES - Record / Replay
+// ============================================
+// Every Open Food Facts request goes through apiFetch. In 'live' mode
+// it is a plain fetch; 'record' also keeps each response so it can be
+// saved as a fixture file; 'replay' serves responses from that file
+// without touching the network. Fixture entries can simulate timeouts,
+// network errors, 404s, `status: 0` and malformed payloads.
+//
+// Pick the mode with ?api=record / ?api=replay, or setApiTransportMode().
+
+const API_TRANSPORT_CONFIG = {
+    modes: ['live', 'record', 'replay'],
+    fixturesURL: 'fixtures/openfoodfacts.json',
+    storageKey: 'api_transport_mode'
+};
+
+let apiTransportMode = readInitialTransportMode();
+
+// Fixtures by request key, and how often each one has been replayed
+const apiFixtures = new Map();
+const apiFixtureCalls = new Map();
+let apiFixturesPromise = null;
+
+// Responses captured in record mode
+const recordedApiFixtures = new Map();
+
+/**
+ * Mode from the page URL, then from the last saved choice
+ */
+function readInitialTransportMode() {
+    const fromURL = typeof location !== 'undefined'
+        ? (String(location.search || '').match(/[?&]api=(\w+)/) || [])[1]
+        : null;
+    let saved = null;
+
+    try {
+        saved = typeof localStorage !== 'undefined' ? localStorage.getItem(API_TRANSPORT_CONFIG.storageKey) : null;
+    } catch (error) {
+        saved = null;
+    }
+
+    return [fromURL, saved].find(mode => API_TRANSPORT_CONFIG.modes.includes(mode)) || 'live';
+}
+
+/**
+ * Current transport mode
+ */
+function getApiTransportMode() {
+    return apiTransportMode;
+}
+
+/**
+ * Switch transport mode
+ * @param {string} mode - 'live' | 'record' | 'replay'
+ * @param {Object} options - { persist: remember the choice across reloads }
+ */
+function setApiTransportMode(mode, options = {}) {
+    if (!API_TRANSPORT_CONFIG.modes.includes(mode)) {
+        throw new Error(`Unknown API transport mode: ${mode}`);
+    }
+
+    apiTransportMode = mode;
+    apiFixtureCalls.clear();
+
+    if (options.persist && typeof localStorage !== 'undefined') {
+        localStorage.setItem(API_TRANSPORT_CONFIG.storageKey, mode);
+    }
+}
+
+/**
+ * Run a task in another mode, then switch back
+ * @param {string} mode - Mode for the task
+ * @param {Function} task - Async function
+ * @returns {Promise<*>} Task result
+ */
+async function withApiTransport(mode, task) {
+    const previous = apiTransportMode;
+    setApiTransportMode(mode);
+
+    try {
+        return await task();
+    } finally {
+        setApiTransportMode(previous);
+    }
+}
+
+/**
+ * Key a request by method and URL, with query parameters sorted
+ * so the same request always finds the same fixture
+ */
+function fixtureKey(url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+
+    try {
+        const parsed = new URL(url, 'http://localhost/');
+        parsed.searchParams.sort();
+        return `${method} ${parsed.origin}${parsed.pathname}${parsed.search}`;
+    } catch (error) {
+        return `${method} ${url}`;
+    }
+}
+
+/**
+ * Add fixtures, replacing entries with the same key
+ * @param {Object} fixtures - { "GET https://…": entry | [entry, …] }
+ *   entry: { status, statusText, body | bodyText, fault: 'timeout' | 'network', delay }
+ *   A list is served in order, the last entry repeating (e.g. a timeout, then success)
+ */
+function registerApiFixtures(fixtures) {
+    Object.entries(fixtures || {}).forEach(([key, entry]) => {
+        const [method, ...url] = key.split(' ');
+        apiFixtures.set(fixtureKey(url.join(' '), { method }), entry);
+    });
+}
+
+/**
+ * Load the fixture file once (always over the real network)
+ */
+function loadApiFixtures() {
+    if (!apiFixturesPromise) {
+        apiFixturesPromise = fetch(API_TRANSPORT_CONFIG.fixturesURL)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                return response.json();
+            })
+            .then(fixtures => {
+                // Entries registered in code win over the file
+                const registered = Object.fromEntries(apiFixtures);
+                registerApiFixtures(fixtures);
+                apiFixtures.forEach((_, key) => {
+                    if (registered[key]) apiFixtures.set(key, registered[key]);
+                });
+            })
+            .catch(error => {
+                apiFixturesPromise = null;
+                throw new Error(`Could not load API fixtures: ${error.message}`);
+            });
+    }
+    return apiFixturesPromise;
+}
+
+/**
+ * fetch() replacement used for every Open Food Facts request
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options (signal is honoured by simulated timeouts)
+ * @returns {Promise<Response>} Response
+ */
+async function apiFetch(url, init = {}) {
+    if (apiTransportMode === 'replay') {
+        return replayApiFixture(url, init);
+    }
+
+    const response = await fetch(url, init);
+
+    if (apiTransportMode === 'record') {
+        await recordApiFixture(url, init, response.clone());
+    }
+
+    return response;
+}
+
+/**
+ * Keep a live response as a fixture entry
+ */
+async function recordApiFixture(url, init, response) {
+    const text = await response.text();
+    const entry = { status: response.status, statusText: response.statusText };
+
+    try {
+        entry.body = JSON.parse(text);
+    } catch (error) {
+        entry.bodyText = text;
+    }
+
+    recordedApiFixtures.set(fixtureKey(url, init), entry);
+}
+
+/**
+ * Serve a request from the fixtures
+ * @throws {Error} error.code 'FIXTURE_MISSING' when nothing was recorded for it
+ */
+async function replayApiFixture(url, init) {
+    const key = fixtureKey(url, init);
+
+    if (!apiFixtures.has(key)) {
+        await loadApiFixtures().catch(error => console.warn('⚠️', error.message));
+    }
+
+    const fixture = apiFixtures.get(key);
+    if (!fixture) {
+        const error = new Error(`No recorded fixture for ${key}`);
+        error.code = 'FIXTURE_MISSING';
+        throw error;
+    }
+
+    // A list plays in order, its last entry repeating
+    const call = apiFixtureCalls.get(key) || 0;
+    apiFixtureCalls.set(key, call + 1);
+    const entry = Array.isArray(fixture) ? fixture[Math.min(call, fixture.length - 1)] : fixture;
+
+    if (entry.delay) {
+        await sleep(entry.delay);
+    }
+
+    if (entry.fault === 'timeout') {
+        return simulateTimeout(init.signal);
+    }
+    if (entry.fault === 'network') {
+        throw new TypeError('Failed to fetch');
+    }
+
+    const body = entry.bodyText ?? JSON.stringify(entry.body ?? {});
+    return new Response(body, {
+        status: entry.status || 200,
+        statusText: entry.statusText || '',
+        headers: { 'Content-Type': entry.bodyText !== undefined ? 'text/html' : 'application/json' }
+    });
+}
+
+/**
+ * Never answer; reject once the caller aborts or the API timeout passes
+ */
+function simulateTimeout(signal) {
+    return new Promise((_, reject) => {
+        const abort = () => reject(new DOMException('The operation was aborted.', 'AbortError'));
+
+        if (signal?.aborted) {
+            abort();
+        } else if (signal) {
+            signal.addEventListener('abort', abort, { once: true });
+        } else {
+            setTimeout(abort, API_CONFIG.timeout);
+        }
+    });
+}
+
+/**
+ * Recorded responses merged over the loaded fixtures, ready to save
+ * @returns {Object} Fixture file contents
+ */
+function getRecordedApiFixtures() {
+    const fixtures = Object.fromEntries(apiFixtures);
+    recordedApiFixtures.forEach((entry, key) => {
+        fixtures[key] = entry;
+    });
+
+    return Object.fromEntries(Object.entries(fixtures).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Download the recorded fixtures as openfoodfacts.json (browser)
+ * Entries already in the fixture file are kept
+ */
+async function downloadApiFixtures() {
+    await loadApiFixtures().catch(error => console.warn('⚠️', error.message));
+
+    const blob = new Blob([JSON.stringify(getRecordedApiFixtures(), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = API_TRANSPORT_CONFIG.fixturesURL.split('/').pop();
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        API_TRANSPORT_CONFIG,
+        getApiTransportMode,
+        setApiTransportMode,
+        withApiTransport,
+        fixtureKey,
+        registerApiFixtures,
+        loadApiFixtures,
+        apiFetch,
+        getRecordedApiFixtures,
+        downloadApiFixtures
+    };
+}
+
+console.log(`✅ API Fixtures loaded successfully (${apiTransportMode} mode)`);
@@ -11,100 +11,305 @@ const API_CONFIG = {
     retryDelay: 1000
 };
 
-// In-memory cache for API responses
-const apiCache = new Map();
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+// Lookups currently running, shared by callers asking for the same barcode
+const inFlightProducts = new Map();
+
+// Defaults for batch lookups (OFF asks for at most ~100 product reads per minute)
+const BATCH_CONFIG = {
+    concurrency: 4,
+    requestsPerSecond: 1.5,
+    maxRetries: 2
+};
 
 /**
- * Fetch product from Open Food Facts API with retry logic
+ * Fetch product through the provider chain with retry logic
+ * Cached products come back at once; stale ones are refreshed in the background (api-cache.js)
+ * The cache holds the provider record, not the enriched product: scores, daily values and
+ * warnings depend on the caller's options, so every call enriches its own copy
+ * Concurrent calls for the same barcode share one lookup
  * @param {string} barcode - Product barcode
- * @param {Object} options - Fetch options
+ * @param {Object} options - Fetch and enrichment options (providers: ids in lookup order, maxRetries,
+ *   forceRefresh, onRefresh(product) after a background refresh, scheduleRefresh(task) to queue it)
  * @returns {Promise<Object>} Product data with health score
+ * @throws {Error} error.code is 'PRODUCT_NOT_FOUND' or 'FETCH_FAILED'
  */
 async function fetchProductWithHealthScore(barcode, options = {}) {
-    // Check cache first
-    const cacheKey = `product_${barcode}`;
-    const cached = getCachedData(cacheKey);
-    if (cached && !options.forceRefresh) {
-        console.log('✅ Returning cached product data');
-        return cached;
+    // UPC-A, UPC-E and EAN-13 scans of one product share a key (gtin.js)
+    barcode = toGTINKey(barcode);
+    const cacheKey = productCacheKey(barcode);
+
+    const load = () => fetchRecordShared(barcode, cacheKey, options);
+
+    const entry = await apiCache.fetch(cacheKey, 'product', load, {
+        forceRefresh: options.forceRefresh,
+        schedule: options.scheduleRefresh,
+        onRefresh: options.onRefresh && (async refreshed => options.onRefresh(await enrichCacheEntry(refreshed, options))),
+        // Offline fallbacks are stale already; the next lookup should try the network again
+        shouldCache: refreshed => refreshed && !refreshed.offline
+    });
+
+    return enrichCacheEntry(entry, options);
+}
+
+/**
+ * Cache key for a product's provider record
+ * (product_ entries from before held products enriched for one caller)
+ */
+function productCacheKey(barcode) {
+    return `productRecord_${barcode}`;
+}
+
+/**
+ * Enriched product for one caller from a cached { record, offline } entry
+ */
+async function enrichCacheEntry(entry, options) {
+    const product = await enrichProductData(entry.record, options);
+
+    if (entry.offline) {
+        product.metadata = { ...product.metadata, ...entry.offline };
+    }
+    return product;
+}
+
+/**
+ * One lookup per barcode at a time
+ */
+function fetchRecordShared(barcode, cacheKey, options) {
+    if (inFlightProducts.has(cacheKey)) {
+        return inFlightProducts.get(cacheKey);
     }
 
+    const request = fetchRecordWithRetries(barcode, options)
+        .finally(() => inFlightProducts.delete(cacheKey));
+    inFlightProducts.set(cacheKey, request);
+    return request;
+}
+
+/**
+ * Provider lookup, retried on failure
+ * @returns {Promise<Object>} { record, offline: offline store metadata when the network path failed }
+ */
+async function fetchRecordWithRetries(barcode, options = {}) {
+    const maxRetries = options.maxRetries ?? API_CONFIG.maxRetries;
     let lastError;
     
     // Retry logic
-    for (let attempt = 1; attempt <= API_CONFIG.maxRetries; attempt++) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
-            console.log(`🔄 Fetching product ${barcode} (attempt ${attempt}/${API_CONFIG.maxRetries})`);
+            console.log(`🔄 Fetching product ${barcode} (attempt ${attempt}/${maxRetries})`);
             
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.timeout);
-
-            const response = await fetch(
-                `${API_CONFIG.baseURL}/product/${barcode}`,
-                {
-                    headers: {
-                        'User-Agent': API_CONFIG.userAgent,
-                        'Accept': 'application/json'
-                    },
-                    signal: controller.signal
-                }
-            );
-
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const data = await response.json();
-
-            if (data.status === 0 || !data.product) {
-                throw new Error('PRODUCT_NOT_FOUND');
-            }
+            // Providers are tried in order (Open Food Facts first by default)
+            const { provider, payload, product } = await lookupProduct(barcode, options);
 
-            // Parse and enrich product data
-            const enrichedProduct = await enrichProductData(data.product, barcode, options);
+            saveToOfflineStore(barcode, payload, provider);
 
-            // Cache the result
-            setCachedData(cacheKey, enrichedProduct);
-
-            console.log('✅ Product fetched and enriched successfully');
-            return enrichedProduct;
+            console.log('✅ Product fetched successfully');
+            return { record: product, offline: null };
 
         } catch (error) {
             lastError = error;
             console.warn(`⚠️ Attempt ${attempt} failed:`, error.message);
 
-            // Don't retry on specific errors
-            if (error.message === 'PRODUCT_NOT_FOUND' || error.name === 'AbortError') {
+            // Don't retry when every provider says the barcode is unknown
+            if (error.message === 'PRODUCT_NOT_FOUND') {
                 break;
             }
 
             // Wait before retrying
-            if (attempt < API_CONFIG.maxRetries) {
+            if (attempt < maxRetries) {
                 await sleep(API_CONFIG.retryDelay * attempt);
             }
         }
     }
 
+    // Serve a stored copy when the network path failed
+    const offlineEntry = await loadRecordFromOfflineStore(barcode);
+    if (offlineEntry) {
+        console.log('📦 Returning offline product data');
+        return offlineEntry;
+    }
+
     // All retries failed
-    throw new Error(`Failed to fetch product after ${API_CONFIG.maxRetries} attempts: ${lastError?.message || 'Unknown error'}`);
+    const error = new Error(`Failed to fetch product after ${maxRetries} attempts: ${lastError?.message || 'Unknown error'}`);
+    error.code = lastError?.message === 'PRODUCT_NOT_FOUND' ? 'PRODUCT_NOT_FOUND' : 'FETCH_FAILED';
+    throw error;
 }
 
 /**
- * Enrich product data with health scores and analysis
- * @param {Object} apiProduct - Raw API product data
+ * Queue that runs async tasks with a concurrency cap and a start-rate limit
+ * @param {Object} options - { concurrency, requestsPerSecond (0 = unlimited) }
+ * @returns {Object} { add(task) → Promise, clear(), pending, active }
+ */
+function createRequestQueue(options = {}) {
+    const concurrency = Math.max(1, options.concurrency || BATCH_CONFIG.concurrency);
+    const minInterval = options.requestsPerSecond ? 1000 / options.requestsPerSecond : 0;
+
+    const pending = [];
+    let active = 0;
+    let nextStartAt = 0;
+    let timer = null;
+
+    const pump = () => {
+        if (timer) return;
+
+        while (active < concurrency && pending.length > 0) {
+            const wait = nextStartAt - Date.now();
+            if (wait > 0) {
+                timer = setTimeout(() => {
+                    timer = null;
+                    pump();
+                }, wait);
+                return;
+            }
+
+            nextStartAt = Date.now() + minInterval;
+            const { task, resolve, reject } = pending.shift();
+            active++;
+
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    active--;
+                    pump();
+                });
+        }
+    };
+
+    return {
+        add(task) {
+            return new Promise((resolve, reject) => {
+                pending.push({ task, resolve, reject });
+                pump();
+            });
+        },
+
+        // Drop tasks that have not started yet
+        clear() {
+            pending.splice(0).forEach(({ reject }) => reject(new Error('QUEUE_CLEARED')));
+        },
+
+        get pending() {
+            return pending.length;
+        },
+
+        get active() {
+            return active;
+        }
+    };
+}
+
+/**
+ * Look up many barcodes at once
+ * Duplicates are fetched once; results keep the order of first appearance
+ * @param {Array} barcodes - Barcodes to look up
+ * @param {Object} options - Enrichment options plus { concurrency, requestsPerSecond, maxRetries, onProgress }
+ * @returns {Promise<Object>} { results: [{ barcode, status, product?, error? }], summary }
+ */
+async function fetchProductsBatch(barcodes, options = {}) {
+    const unique = [...new Set((barcodes || []).map(toGTINKey).filter(Boolean))];
+    const queue = createRequestQueue({
+        concurrency: options.concurrency || BATCH_CONFIG.concurrency,
+        requestsPerSecond: options.requestsPerSecond ?? BATCH_CONFIG.requestsPerSecond
+    });
+    const fetchOptions = { ...options, maxRetries: options.maxRetries ?? BATCH_CONFIG.maxRetries };
+
+    let completed = 0;
+    const report = result => {
+        completed++;
+        if (typeof options.onProgress === 'function') {
+            options.onProgress({ completed, total: unique.length, barcode: result.barcode, status: result.status });
+        }
+        return result;
+    };
+
+    const results = await Promise.all(unique.map(barcode => {
+        if (!isValidBarcode(barcode)) {
+            return Promise.resolve(report({ barcode, status: 'error', error: 'INVALID_BARCODE' }));
+        }
+
+        // Cached products do not need a request slot; refreshing stale ones does
+        const request = (options.forceRefresh ? Promise.resolve(null) : apiCache.get(productCacheKey(barcode)))
+            .then(cached => cached
+                ? fetchProductWithHealthScore(barcode, { ...fetchOptions, scheduleRefresh: task => queue.add(task) })
+                : queue.add(() => fetchProductWithHealthScore(barcode, fetchOptions)));
+
+        return request
+            .then(product => report({ barcode, status: 'success', product }))
+            .catch(error => report(error.code === 'PRODUCT_NOT_FOUND'
+                ? { barcode, status: 'not-found' }
+                : { barcode, status: 'error', error: error.message }));
+    }));
+
+    return {
+        results,
+        summary: {
+            total: results.length,
+            success: results.filter(r => r.status === 'success').length,
+            notFound: results.filter(r => r.status === 'not-found').length,
+            error: results.filter(r => r.status === 'error').length
+        }
+    };
+}
+
+/**
+ * Persist a raw provider payload for offline lookups (best effort)
  * @param {string} barcode - Product barcode
+ * @param {Object} payload - Raw payload as returned by the provider
+ * @param {string} provider - Provider id, used to normalise it again later
+ */
+function saveToOfflineStore(barcode, payload, provider = 'off') {
+    if (typeof offlineProductStore === 'undefined' || !offlineProductStore.isSupported()) return;
+
+    offlineProductStore.saveProduct(barcode, payload, 'scan', provider)
+        .catch(error => console.warn('⚠️ Could not save product offline:', error.message));
+}
+
+/**
+ * Provider record from the offline store, with the metadata that marks it offline/stale
+ * @param {string} barcode - Product barcode
+ * @returns {Promise<Object|null>} { record, offline } or null
+ */
+async function loadRecordFromOfflineStore(barcode) {
+    if (typeof offlineProductStore === 'undefined' || !offlineProductStore.isSupported()) return null;
+
+    try {
+        const stored = await offlineProductStore.getProduct(barcode);
+        if (!stored) return null;
+
+        return {
+            record: normalizeProviderPayload(stored.provider, stored.product, barcode),
+            offline: {
+                source: 'Offline product store',
+                offline: true,
+                stale: true,
+                storedAt: stored.storedAt,
+                origin: stored.origin
+            }
+        };
+    } catch (error) {
+        console.warn('⚠️ Offline store lookup failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Enrich product data with health scores and analysis
+ * @param {Object} record - Provider record (see product-providers.js)
  * @param {Object} options - Enrichment options
  * @returns {Object} Enriched product data
  */
-async function enrichProductData(apiProduct, barcode, options = {}) {
-    // Extract and normalize nutrition data per 100g
-    const nutrition = extractNutritionData(apiProduct);
+async function enrichProductData(record, options = {}) {
+    // Nutrition per 100g, already normalised by the provider
+    const nutrition = record.nutrition;
+
+    // Consistency checks; scoring and warnings soften verdicts on doubtful fields
+    const dataQuality = assessDataQuality(nutrition);
 
     // Calculate health score (using the health-score-engine.js function)
     const healthScore = calculateHealthScore(nutrition, {
+        additives: collectAdditiveCodes(record),
+        dataQuality,
         gender: options.gender || 'male',
         isDiabetic: options.isDiabetic || false,
         activityLevel: options.activityLevel || 'moderate'
@@ -118,107 +323,143 @@ async function enrichProductData(apiProduct, barcode, options = {}) {
 
     // Generate diabetic warnings (using diabetic-warnings.js)
     const diabeticWarnings = generateDiabeticWarnings(nutrition, {
+        dataQuality,
         isDiabetic: options.isDiabetic || false,
         diabeticType: options.diabeticType || 'type2'
     });
 
-    // Extract allergens
-    const allergens = extractAllergens(apiProduct);
+    // Nutri-Score from the provider, or computed locally when missing
+    const nutriScore = resolveNutriScore(record);
 
-    // Get product image
-    const productImage = extractProductImage(apiProduct);
+    // NOVA group from the provider, or estimated from the ingredients when missing
+    const nova = resolveNovaGroup(record);
 
     // Build enriched product object
     return {
         // Basic product info
-        name: apiProduct.product_name || apiProduct.product_name_en || 'Unknown Product',
-        brand: apiProduct.brands || 'Unknown Brand',
-        barcode: barcode,
-        image: productImage,
+        name: record.name,
+        brand: record.brand,
+        barcode: record.barcode,
+        image: record.image || 'https://via.placeholder.com/400/6366f1/ffffff?text=No+Image',
         
         // Nutrition per 100g
         nutrition: nutrition,
         
+        // Portion sizes in g or ml
+        servingSize: record.servingSize,
+        servingQuantity: record.servingQuantity,
+        servingUnit: record.servingUnit,
+        packageSize: record.packageSize,
+        packageQuantity: record.packageQuantity,
+        packageUnit: record.packageUnit,
+        
         // Health analysis
         healthScore: healthScore,
         dailyValues: dailyValues,
         diabeticWarnings: diabeticWarnings,
         
         // Additional info
-        allergens: allergens,
-        ingredients: apiProduct.ingredients_text || apiProduct.ingredients_text_en || 'Not available',
-        categories: apiProduct.categories || '',
+        allergens: record.allergens,
+        ingredients: record.ingredients || 'Not available',
+        categories: record.categories,
         
-        // Quality scores from API
-        nutriscore: apiProduct.nutriscore_grade || null,
-        nova: apiProduct.nova_group || null,
-        ecoscore: apiProduct.ecoscore_grade || null,
+        // Quality scores
+        nutriscore: nutriScore.grade,
+        nutriscoreSource: nutriScore.source,
+        nova: nova.group,
+        novaSource: nova.source,
+        novaMarkers: nova.markers,
+        additiveTags: record.additiveTags,
+        ecoscore: record.ecoscore,
         
         // Metadata
         metadata: {
-            lastUpdated: apiProduct.last_modified_t ? new Date(apiProduct.last_modified_t * 1000) : new Date(),
-            completeness: calculateCompleteness(apiProduct),
-            dataQuality: assessDataQuality(nutrition),
-            source: 'Open Food Facts',
-            apiVersion: 'v2'
+            lastUpdated: record.lastModified ? new Date(record.lastModified) : new Date(),
+            lastModified: record.lastModified,
+            completeness: record.completeness,
+            dataQuality,
+            provider: record.provider,
+            source: getProviderName(record.provider)
         }
     };
 }
 
+/**
+ * First declared value among nutriment keys
+ * @returns {number|null} Value, or null when none of the keys is declared
+ */
+function readNutriment(nutriments, ...keys) {
+    for (const key of keys) {
+        const raw = nutriments[key];
+        const value = typeof raw === 'string' ? parseFloat(raw) : raw;
+        if (isKnownValue(value)) return value;
+    }
+    return null;
+}
+
 /**
  * Extract normalized nutrition data per 100g
+ * Undeclared nutrients are null so they can't pass as zero
+ * Values are in OFF units: grams per 100g, energy in kcal (see units.js)
  * @param {Object} apiProduct - API product data
  * @returns {Object} Normalized nutrition data
  */
 function extractNutritionData(apiProduct) {
     const nutriments = apiProduct.nutriments || {};
+    const salt = readNutriment(nutriments, 'salt_100g', 'salt');
+    const sodium = readNutriment(nutriments, 'sodium_100g', 'sodium');
+
+    // Some labels only declare kJ (energy_100g is always kJ)
+    const kilojoules = readNutriment(nutriments, 'energy-kj_100g', 'energy_100g');
 
     return {
         // Energy
-        calories: nutriments['energy-kcal_100g'] || nutriments['energy-kcal'] || 0,
+        calories: readNutriment(nutriments, 'energy-kcal_100g', 'energy-kcal') ?? convertUnit(kilojoules, 'kJ', 'kcal'),
         
         // Macronutrients
-        carbs: nutriments.carbohydrates_100g || nutriments.carbohydrates || 0,
-        sugar: nutriments.sugars_100g || nutriments.sugars || 0,
-        fat: nutriments.fat_100g || nutriments.fat || 0,
-        saturatedFat: nutriments['saturated-fat_100g'] || nutriments['saturated-fat'] || 0,
-        protein: nutriments.proteins_100g || nutriments.proteins || 0,
-        fiber: nutriments.fiber_100g || nutriments.fiber || 0,
+        carbs: readNutriment(nutriments, 'carbohydrates_100g', 'carbohydrates'),
+        sugar: readNutriment(nutriments, 'sugars_100g', 'sugars'),
+        fat: readNutriment(nutriments, 'fat_100g', 'fat'),
+        saturatedFat: readNutriment(nutriments, 'saturated-fat_100g', 'saturated-fat'),
+        protein: readNutriment(nutriments, 'proteins_100g', 'proteins'),
+        fiber: readNutriment(nutriments, 'fiber_100g', 'fiber'),
         
-        // Minerals
-        salt: nutriments.salt_100g || nutriments.salt || 0,
-        sodium: nutriments.sodium_100g || nutriments.sodium || 0,
+        // Minerals (either one gives the other)
+        salt: salt ?? (sodium !== null ? sodium * 2.5 : null),
+        sodium: sodium ?? (salt !== null ? salt / 2.5 : null),
         
         // Additional nutrients
-        cholesterol: nutriments.cholesterol_100g || nutriments.cholesterol || 0,
+        cholesterol: readNutriment(nutriments, 'cholesterol_100g', 'cholesterol'),
+        caffeine: readNutriment(nutriments, 'caffeine_100g'),
         vitamins: extractVitamins(nutriments),
         minerals: extractMinerals(nutriments)
     };
 }
 
 /**
- * Extract vitamin data
+ * Extract vitamin data (grams per 100g, as OFF reports them)
  */
 function extractVitamins(nutriments) {
     return {
-        a: nutriments['vitamin-a_100g'] || 0,
-        c: nutriments['vitamin-c_100g'] || 0,
-        d: nutriments['vitamin-d_100g'] || 0,
-        e: nutriments['vitamin-e_100g'] || 0,
-        b12: nutriments['vitamin-b12_100g'] || 0
+        a: readNutriment(nutriments, 'vitamin-a_100g'),
+        c: readNutriment(nutriments, 'vitamin-c_100g'),
+        d: readNutriment(nutriments, 'vitamin-d_100g'),
+        e: readNutriment(nutriments, 'vitamin-e_100g'),
+        b12: readNutriment(nutriments, 'vitamin-b12_100g'),
+        folate: readNutriment(nutriments, 'vitamin-b9_100g', 'folates_100g')
     };
 }
 
 /**
- * Extract mineral data
+ * Extract mineral data (grams per 100g, as OFF reports them)
  */
 function extractMinerals(nutriments) {
     return {
-        calcium: nutriments['calcium_100g'] || 0,
-        iron: nutriments['iron_100g'] || 0,
-        magnesium: nutriments['magnesium_100g'] || 0,
-        potassium: nutriments['potassium_100g'] || 0,
-        zinc: nutriments['zinc_100g'] || 0
+        calcium: readNutriment(nutriments, 'calcium_100g'),
+        iron: readNutriment(nutriments, 'iron_100g'),
+        magnesium: readNutriment(nutriments, 'magnesium_100g'),
+        potassium: readNutriment(nutriments, 'potassium_100g'),
+        zinc: readNutriment(nutriments, 'zinc_100g')
     };
 }
 
@@ -295,49 +536,20 @@ function calculateCompleteness(apiProduct) {
     return Math.min(100, score);
 }
 
-/**
- * Assess nutrition data quality
- */
-function assessDataQuality(nutrition) {
-    let quality = 'excellent';
-    let issues = [];
-
-    // Check for missing critical data
-    if (nutrition.calories === 0) {
-        issues.push('Missing calorie information');
-        quality = 'poor';
-    }
-
-    if (nutrition.sugar === 0 && nutrition.fat === 0 && nutrition.protein === 0) {
-        issues.push('Missing all macronutrient data');
-        quality = 'poor';
-    }
-
-    // Check for suspicious values
-    if (nutrition.calories > 900) {
-        issues.push('Unusually high calories (>900 kcal/100g)');
-        quality = quality === 'excellent' ? 'good' : quality;
-    }
-
-    if (nutrition.sugar > 100) {
-        issues.push('Invalid sugar value (>100g/100g)');
-        quality = 'poor';
-    }
-
-    if (issues.length === 0) {
-        return { quality: 'excellent', issues: [] };
-    } else if (issues.length <= 2 && quality !== 'poor') {
-        return { quality: 'good', issues };
-    } else {
-        return { quality, issues };
-    }
-}
+// Fields requested from search, enough for the OFF provider to normalise a result
+const SEARCH_FIELDS = [
+    'code', 'product_name', 'brands', 'image_url', 'image_front_url', 'nutriscore_grade', 'nova_group',
+    'nutriments', 'categories', 'categories_tags', 'ingredients_text', 'additives_tags', 'allergens_tags',
+    'serving_size', 'serving_quantity', 'serving_quantity_unit', 'quantity', 'product_quantity', 'product_quantity_unit'
+].join(',');
 
 /**
  * Search products by query
+ * Results are cached per URL; failed searches are not
  * @param {string} query - Search query
- * @param {Object} options - Search options
- * @returns {Promise<Array>} Array of products
+ * @param {Object} options - Search options (throwOnError re-throws instead of returning [],
+ *   cacheKind picks the cache TTL, forceRefresh skips the cache)
+ * @returns {Promise<Array>} Array of raw Open Food Facts products
  */
 async function searchProducts(query, options = {}) {
     const {
@@ -345,11 +557,14 @@ async function searchProducts(query, options = {}) {
         pageSize = 20,
         sortBy = 'popularity',
         categories = null,
-        nutriscoreGrades = null
+        nutriscoreGrades = null,
+        throwOnError = false,
+        cacheKind = 'search',
+        forceRefresh = false
     } = options;
 
     try {
-        let url = `${API_CONFIG.baseURL}/search?search_terms=${encodeURIComponent(query)}&page=${page}&page_size=${pageSize}&fields=product_name,brands,image_url,nutriscore_grade,nova_group,nutriments`;
+        let url = `${API_CONFIG.baseURL}/search?search_terms=${encodeURIComponent(query)}&page=${page}&page_size=${pageSize}&fields=${SEARCH_FIELDS}`;
 
         if (categories) {
             url += `&categories_tags=${encodeURIComponent(categories)}`;
@@ -359,21 +574,24 @@ async function searchProducts(query, options = {}) {
             url += `&nutriscore_grade=${nutriscoreGrades}`;
         }
 
-        const response = await fetch(url, {
-            headers: {
-                'User-Agent': API_CONFIG.userAgent
-            }
-        });
+        return await apiCache.fetch(`search_${url}`, cacheKind, async () => {
+            const response = await apiFetch(url, {
+                headers: {
+                    'User-Agent': API_CONFIG.userAgent
+                }
+            });
 
-        if (!response.ok) {
-            throw new Error(`Search failed: ${response.status}`);
-        }
+            if (!response.ok) {
+                throw new Error(`Search failed: ${response.status}`);
+            }
 
-        const data = await response.json();
-        return data.products || [];
+            const data = await response.json();
+            return data.products || [];
+        }, { forceRefresh });
 
     } catch (error) {
         console.error('Search error:', error);
+        if (throwOnError) throw error;
         return [];
     }
 }
@@ -392,7 +610,8 @@ async function fetchHealthierAlternatives(category, currentScore) {
         const products = await searchProducts('', {
             pageSize: 15,
             categories: categorySearch,
-            nutriscoreGrades: 'a,b'
+            nutriscoreGrades: 'a,b',
+            cacheKind: 'alternatives'
         });
 
         // Filter and score alternatives
@@ -432,28 +651,13 @@ async function fetchHealthierAlternatives(category, currentScore) {
 // CACHE MANAGEMENT
 // ============================================
 
-function getCachedData(key) {
-    const cached = apiCache.get(key);
-    if (!cached) return null;
-
-    const age = Date.now() - cached.timestamp;
-    if (age > CACHE_DURATION) {
-        apiCache.delete(key);
-        return null;
-    }
-
-    return cached.data;
-}
+// Products, searches and alternatives live in apiCache (api-cache.js)
 
-function setCachedData(key, data) {
-    apiCache.set(key, {
-        data,
-        timestamp: Date.now()
-    });
-}
-
-function clearCache() {
-    apiCache.clear();
+/**
+ * Empty the memory and IndexedDB cache tiers
+ */
+async function clearCache() {
+    await apiCache.clear();
     console.log('✅ API cache cleared');
 }
 
@@ -466,24 +670,20 @@ function sleep(ms) {
 }
 
 /**
- * Validate barcode format
+ * Validate barcode format and check digit (any GS1 format, see gtin.js)
  * @param {string} barcode - Barcode to validate
  * @returns {boolean} Is valid
  */
 function isValidBarcode(barcode) {
-    if (!barcode || typeof barcode !== 'string') return false;
-    
-    // Remove spaces and validate
-    const cleaned = barcode.replace(/\s/g, '');
-    
-    // Check if it's numeric and reasonable length (8-14 digits)
-    return /^\d{8,14}$/.test(cleaned);
+    return isValidGTIN(barcode);
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         fetchProductWithHealthScore,
+        fetchProductsBatch,
+        createRequestQueue,
         searchProducts,
         fetchHealthierAlternatives,
         isValidBarcode,
@@ -5,76 +5,84 @@ const API_BASE_URL = 'https://world.openfoodfacts.org/api/v0'; // edited v0
 const USER_AGENT = 'FoodScanPro/1.0 (Nutrition Analysis App)';
 
 /**
- * Fetch product data from Open Food Facts API
+ * Fetch product data through the provider chain (product-providers.js)
  * @param {string} barcode - Product barcode
- * @returns {Promise<Object>} Product data
+ * @returns {Promise<Object>} Product data, tagged with the provider that answered
  */
 async function fetchProductFromAPI(barcode) {
     try {
-        const response = await fetch(`${API_BASE_URL}/product/${barcode}`, {
-            headers: {
-                'User-Agent': USER_AGENT
-            }
-        });
+        const { provider, payload, product } = await lookupProduct(barcode);
+
+        saveToOfflineStore(barcode, payload, provider);
+        return parseProductData(product);
+    } catch (error) {
+        console.error('API fetch error:', error);
 
-        if (!response.ok) {
-            throw new Error(`API Error: ${response.status}`);
+        // Fall back to previously scanned or pre-seeded products
+        const record = await getOfflineRecord(barcode);
+        if (record) {
+            const product = parseProductData(normalizeProviderPayload(record.provider, record.product, barcode));
+            product.metadata = {
+                source: 'Offline product store',
+                offline: true,
+                stale: true,
+                storedAt: record.storedAt
+            };
+            return product;
         }
 
-        const data = await response.json(); // edited json
-        
-        if (data.status === 0 || !data.product) {
-            throw new Error('Product not found in database');
+        if (error.message === 'PRODUCT_NOT_FOUND') {
+            const notFound = new Error('Product not found in database');
+            notFound.code = 'PRODUCT_NOT_FOUND';
+            throw notFound;
         }
+        throw error;
+    }
+}
+
+/**
+ * Look up a product in the offline store without throwing
+ */
+async function getOfflineRecord(barcode) {
+    if (typeof offlineProductStore === 'undefined' || !offlineProductStore.isSupported()) return null;
 
-        return parseProductData(data.product, barcode);
+    try {
+        return await offlineProductStore.getProduct(barcode);
     } catch (error) {
-        console.error('API fetch error:', error);
-        throw error;
+        console.warn('Offline lookup failed:', error);
+        return null;
     }
 }
 
 /**
- * Parse Open Food Facts API response to our app format
+ * Turn a provider record into our app format
+ * @param {Object} record - Normalised record from a product provider
+ * @returns {Object} Product
  */
-function parseProductData(apiProduct, barcode) {
-    // Get nutriments per 100g
-    const nutriments = apiProduct.nutriments || {};
-    
-    // Extract allergens
-    const allergens = [];
-    const allergenTags = apiProduct.allergens_tags || [];
-    if (allergenTags.some(tag => tag.includes('nuts') || tag.includes('peanuts'))) allergens.push('nuts');
-    if (allergenTags.some(tag => tag.includes('milk') || tag.includes('dairy'))) allergens.push('dairy');
-    if (allergenTags.some(tag => tag.includes('gluten'))) allergens.push('gluten');
-    if (allergenTags.some(tag => tag.includes('soy'))) allergens.push('soy');
-    if (allergenTags.some(tag => tag.includes('eggs'))) allergens.push('eggs');
-
-    // Get product image
-    let productImage = apiProduct.image_url || apiProduct.image_front_url;
-    if (!productImage && apiProduct.images && apiProduct.images.front) {
-        productImage = apiProduct.images.front.display?.en || apiProduct.images.front.small?.en;
-    }
-
-    return {
-        name: apiProduct.product_name || apiProduct.product_name_en || 'Unknown Product',
-        brand: apiProduct.brands || 'Unknown Brand',
-        barcode: barcode,
-        image: productImage || `https://via.placeholder.com/400/6366f1/ffffff?text=No+Image`,
-        nutrition: {
-            calories: nutriments['energy-kcal_100g'] || nutriments['energy-kcal'] || 0,
-            sugar: nutriments.sugars_100g || nutriments.sugars || 0,
-            fat: nutriments.fat_100g || nutriments.fat || 0,
-            salt: nutriments.salt_100g || nutriments.salt || 0,
-            protein: nutriments.proteins_100g || nutriments.proteins || 0,
-            fiber: nutriments.fiber_100g || nutriments.fiber || 0
-        },
-        allergens: allergens,
-        ingredients: apiProduct.ingredients_text || apiProduct.ingredients_text_en || 'Ingredients not available',
-        categories: apiProduct.categories || '',
-        nutriscore: apiProduct.nutriscore_grade || null,
-        nova: apiProduct.nova_group || null
+function parseProductData(record) {
+    const product = {
+        ...record,
+        image: record.image || `https://via.placeholder.com/400/6366f1/ffffff?text=No+Image`,
+        ingredients: record.ingredients || 'Ingredients not available',
+        nutriscoreSource: record.nutriscore ? 'api' : null,
+        novaSource: record.nova ? 'api' : null
     };
+
+    // Many products have no Nutri-Score from their provider; compute one locally
+    // (stays null when a negative component isn't declared)
+    if (!product.nutriscore) {
+        product.nutriscore = resolveNutriScore(product).grade;
+        product.nutriscoreSource = product.nutriscore ? 'computed' : null;
+    }
+
+    if (!product.nova) {
+        const nova = estimateNovaGroup(record);
+        product.nova = nova.group;
+        product.novaSource = 'estimated';
+        product.novaMarkers = nova.markers;
+    }
+
+    return product;
 }
 
 /**
@@ -86,36 +94,31 @@ async function fetchAlternativeProducts(category, currentNutriscore) {
         
         // Search for products in same category with better nutriscore
         const categorySearch = category.split(',')[0].trim(); // Take first category
-        const response = await fetch(
-            `${API_BASE_URL}/search?categories_tags=${encodeURIComponent(categorySearch)}&nutriscore_grade=a,b&page_size=10&fields=product_name,brands,nutriscore_grade,image_url,nutriments`,
-            {
+        const url = `${API_BASE_URL}/search?categories_tags=${encodeURIComponent(categorySearch)}&nutriscore_grade=a,b&page_size=10&fields=product_name,brands,nutriscore_grade,image_url,nutriments`;
+
+        // Cached per category (api-cache.js); failed requests aren't cached
+        const products = await apiCache.fetch(`alternatives_${url}`, 'alternatives', async () => {
+            const response = await apiFetch(url, {
                 headers: {
                     'User-Agent': USER_AGENT
                 }
-            }
-        );
+            });
 
-        if (!response.ok) {
-            return [];
-        }
+            if (!response.ok) {
+                throw new Error(`Alternatives search failed: ${response.status}`);
+            }
 
-        const data = await response.json();
-        const products = data.products || [];
+            const data = await response.json();
+            return data.products || [];
+        });
 
-        // Filter and format alternatives
+        // Filter and format alternatives (grades compare alphabetically, 'a' is best)
         return products
             .filter(p => p.product_name && p.nutriscore_grade)
+            .filter(p => !currentNutriscore || p.nutriscore_grade < currentNutriscore.toLowerCase())
             .slice(0, 3)
             .map(p => {
-                const nutriments = p.nutriments || {};
-                const healthScore = calculateHealthScore({
-                    calories: nutriments['energy-kcal_100g'] || 0,
-                    sugar: nutriments.sugars_100g || 0,
-                    fat: nutriments.fat_100g || 0,
-                    salt: nutriments.salt_100g || 0,
-                    protein: nutriments.proteins_100g || 0,
-                    fiber: nutriments.fiber_100g || 0
-                }).score;
+                const healthScore = calculateHealthScore(extractNutritionData(p)).score;
 
                 return {
                     name: p.product_name,
@@ -140,18 +143,17 @@ const state = {
     streakDays: 0,
     currentProduct: null,
     scanHistory: [],
+    comparisonTray: [],
+    achievements: {},
     settings: {
         voiceEnabled: true,
         dietaryPreferences: [],
         allergens: [],
         calorieGoal: 2000
     },
-    dailyIntake: {
-        calories: 0,
-        sugar: 0,
-        fat: 0,
-        salt: 0
-    },
+    journal: [],
+    productVersions: {},
+    cart: { items: [], startedAt: null },
     darkMode: false
 };
 
@@ -171,12 +173,17 @@ const historyBadge = document.getElementById('historyBadge');
 const modeBtns = document.querySelectorAll('.mode-btn');
 const scannerModes = document.querySelectorAll('.scanner-mode');
 
-// Camera Scanner
-const startCameraBtn = document.getElementById('startCameraBtn');
-const captureBtn = document.getElementById('captureBtn');
-const stopCameraBtn = document.getElementById('stopCameraBtn');
-const cameraVideo = document.getElementById('cameraVideo');
-const cameraCanvas = document.getElementById('cameraCanvas');
+// Camera Scanner (the camera itself is run by camera-scanner-fix.js)
+const cameraContainer = document.querySelector('.camera-container');
+const barcodeImageInput = document.getElementById('barcodeImageInput');
+
+// Shopping Cart
+const cartModeToggle = document.getElementById('cartModeToggle');
+const cartPanel = document.getElementById('cartPanel');
+const cartCount = document.getElementById('cartCount');
+const cartList = document.getElementById('cartList');
+const cartSummaryBtn = document.getElementById('cartSummaryBtn');
+const clearCartBtn = document.getElementById('clearCartBtn');
 
 // Manual Input
 const barcodeInput = document.getElementById('barcodeInput');
@@ -187,6 +194,18 @@ const scanBtn = document.getElementById('scanBtn');
 const voiceBtn = document.getElementById('voiceBtn');
 const voiceText = document.getElementById('voiceText');
 
+// Product Name Search
+const searchQueryInput = document.getElementById('searchQueryInput');
+const clearSearchBtn = document.getElementById('clearSearchBtn');
+const searchCategorySelect = document.getElementById('searchCategorySelect');
+const searchGradeBtns = document.querySelectorAll('.search-grade-btn');
+const searchStatus = document.getElementById('searchStatus');
+const searchResults = document.getElementById('searchResults');
+const searchPagination = document.getElementById('searchPagination');
+const searchPrevBtn = document.getElementById('searchPrevBtn');
+const searchNextBtn = document.getElementById('searchNextBtn');
+const searchPageLabel = document.getElementById('searchPageLabel');
+
 // Demo Products
 const demoCards = document.querySelectorAll('.demo-card');
 
@@ -201,6 +220,7 @@ const productName = document.getElementById('productName');
 const productBrand = document.getElementById('productBrand');
 const productBarcode = document.getElementById('productBarcode');
 const demoBadge = document.getElementById('demoBadge');
+const productSource = document.getElementById('productSource');
 
 // Score
 const scoreCircle = document.getElementById('scoreCircle');
@@ -210,6 +230,8 @@ const scoreEmoji = document.getElementById('scoreEmoji');
 const scoreGrade = document.querySelector('.grade-value');
 const percentileValue = document.getElementById('percentileValue');
 const scoreRecommendation = document.getElementById('scoreRecommendation');
+const scoreDataWarning = document.getElementById('scoreDataWarning');
+const scoreNotEvaluated = document.getElementById('scoreNotEvaluated');
 const voiceAnalysisBtn = document.getElementById('voiceAnalysisBtn');
 const shareScoreBtn = document.getElementById('shareScoreBtn');
 
@@ -217,6 +239,11 @@ const shareScoreBtn = document.getElementById('shareScoreBtn');
 const aiInsights = document.getElementById('aiInsights');
 const insightsList = document.getElementById('insightsList');
 
+// Nutri-Score
+const nutriscoreSource = document.getElementById('nutriscoreSource');
+const nutriscoreScale = document.getElementById('nutriscoreScale');
+const nutriscoreBreakdown = document.getElementById('nutriscoreBreakdown');
+
 // Warnings
 const warningsCard = document.getElementById('warningsCard');
 const warningCount = document.getElementById('warningCount');
@@ -226,12 +253,23 @@ const warningsList = document.getElementById('warningsList');
 const allergyCard = document.getElementById('allergyCard');
 const allergyContent = document.getElementById('allergyContent');
 
+// Additives
+const additivesCard = document.getElementById('additivesCard');
+const additiveCount = document.getElementById('additiveCount');
+const additivesSummary = document.getElementById('additivesSummary');
+const additivesList = document.getElementById('additivesList');
+
 // Nutrition
 const nutritionGrid = document.getElementById('nutritionGrid');
 const servingBtns = document.querySelectorAll('.serving-btn');
+const servingDescription = document.getElementById('servingDescription');
+const customServing = document.getElementById('customServing');
+const customServingInput = document.getElementById('customServingInput');
+const customServingUnit = document.getElementById('customServingUnit');
 const addToTrackerBtn = document.getElementById('addToTrackerBtn');
 const dailyCalories = document.getElementById('dailyCalories');
 const dailyCaloriesText = document.getElementById('dailyCaloriesText');
+const openJournalBtn = document.getElementById('openJournalBtn');
 
 // Alternatives
 const alternativesCard = document.getElementById('alternativesCard');
@@ -250,11 +288,48 @@ const closeHistoryBtn = document.getElementById('closeHistoryBtn');
 const historyList = document.getElementById('historyList');
 const filterBtns = document.querySelectorAll('.filter-btn');
 
+const compareBtn = document.getElementById('compareBtn');
+const compareBadge = document.getElementById('compareBadge');
+const compareModal = document.getElementById('compareModal');
+const closeCompareBtn = document.getElementById('closeCompareBtn');
+const clearCompareBtn = document.getElementById('clearCompareBtn');
+const comparisonContent = document.getElementById('comparisonContent');
+
+const cartModal = document.getElementById('cartModal');
+const closeCartBtn = document.getElementById('closeCartBtn');
+const cartSummaryContent = document.getElementById('cartSummaryContent');
+
+const codePickerModal = document.getElementById('codePickerModal');
+const closeCodePickerBtn = document.getElementById('closeCodePickerBtn');
+const codePickerList = document.getElementById('codePickerList');
+
+const reportsBtn = document.getElementById('reportsBtn');
+const reportsModal = document.getElementById('reportsModal');
+const closeReportsBtn = document.getElementById('closeReportsBtn');
+const reportPeriodBtns = document.querySelectorAll('.report-period-btn');
+const reportContent = document.getElementById('reportContent');
+const exportReportBtn = document.getElementById('exportReportBtn');
+
+const achievementsBtn = document.getElementById('achievementsBtn');
+const achievementsModal = document.getElementById('achievementsModal');
+const closeAchievementsBtn = document.getElementById('closeAchievementsBtn');
+const achievementsList = document.getElementById('achievementsList');
+
+const journalModal = document.getElementById('journalModal');
+const closeJournalBtn = document.getElementById('closeJournalBtn');
+const journalPrevDayBtn = document.getElementById('journalPrevDay');
+const journalNextDayBtn = document.getElementById('journalNextDay');
+const journalDayLabel = document.getElementById('journalDayLabel');
+const journalEntriesList = document.getElementById('journalEntries');
+const journalTotals = document.getElementById('journalTotals');
+
 const settingsBtn = document.getElementById('settingsBtn');
 const settingsModal = document.getElementById('settingsModal');
 const closeSettingsBtn = document.getElementById('closeSettingsBtn');
 const voiceEnabledToggle = document.getElementById('voiceEnabled');
 const calorieGoalInput = document.getElementById('calorieGoal');
+const offlineCatalogInput = document.getElementById('offlineCatalogInput');
+const offlineCatalogStatus = document.getElementById('offlineCatalogStatus');
 
 // Toast & Achievement
 const toast = document.getElementById('toast');
@@ -267,9 +342,19 @@ const achievementDesc = document.getElementById('achievementDesc');
 // INITIALIZATION
 // ============================================
 function init() {
+    journalDay = toDayKey();
     loadState();
     setupEventListeners();
     updateStats();
+    updateCompareBadge();
+    renderCart();
+    resumeCartLookups();
+    
+    // Catch up on achievements earned before they were tracked, without popups
+    checkAchievements({ silent: true });
+    
+    // Start a fresh day in the journal at local midnight
+    scheduleDayRollover(handleDayRollover);
     
     // Apply dark mode if enabled
     if (state.darkMode) {
@@ -300,14 +385,52 @@ function setupEventListeners() {
         barcodeInput.focus();
     });
     
-    // Camera controls
-    startCameraBtn.addEventListener('click', startCamera);
-    stopCameraBtn.addEventListener('click', stopCamera);
-    captureBtn.addEventListener('click', captureImage);
+    // Barcode from a photo (upload or drop)
+    barcodeImageInput.addEventListener('change', () => {
+        if (barcodeImageInput.files[0]) scanImage(barcodeImageInput.files[0]);
+        barcodeImageInput.value = '';
+    });
+    cameraContainer.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        cameraContainer.classList.add('drag-over');
+    });
+    cameraContainer.addEventListener('dragleave', () => cameraContainer.classList.remove('drag-over'));
+    cameraContainer.addEventListener('drop', (e) => {
+        e.preventDefault();
+        cameraContainer.classList.remove('drag-over');
+        const file = [...e.dataTransfer.files].find(entry => entry.type.startsWith('image/'));
+        if (file) {
+            scanImage(file);
+        } else {
+            showToast('⚠️ Drop an image file', 'warning');
+        }
+    });
+    
+    // Shopping cart
+    cartModeToggle.addEventListener('change', () => setCartMode(cartModeToggle.checked));
+    cartSummaryBtn.addEventListener('click', () => openModal(cartModal));
+    clearCartBtn.addEventListener('click', clearCart);
     
     // Voice input
     voiceBtn.addEventListener('click', handleVoiceInput);
     
+    // Product name search
+    searchQueryInput.addEventListener('input', handleSearchInput);
+    clearSearchBtn.addEventListener('click', () => {
+        searchQueryInput.value = '';
+        handleSearchInput();
+        searchQueryInput.focus();
+    });
+    searchCategorySelect.addEventListener('change', () => updateSearchFilters());
+    searchGradeBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            btn.classList.toggle('active');
+            updateSearchFilters();
+        });
+    });
+    searchPrevBtn.addEventListener('click', () => changeSearchPage(-1));
+    searchNextBtn.addEventListener('click', () => changeSearchPage(1));
+    
     // Demo products
     demoCards.forEach(card => {
         card.addEventListener('click', () => scanProduct(card.dataset.barcode));
@@ -325,15 +448,38 @@ function setupEventListeners() {
     servingBtns.forEach(btn => {
         btn.addEventListener('click', (e) => updateServing(e.target));
     });
+    customServingInput.addEventListener('change', (e) => updateCustomServing(parseFloat(e.target.value)));
     
     // Daily tracker
     addToTrackerBtn.addEventListener('click', addToDaily);
+    openJournalBtn.addEventListener('click', () => openModal(journalModal));
+    
+    // Timers are throttled in background tabs, so re-check the day on return
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) updateDailyTracker();
+    });
     
     // Modals
     historyBtn.addEventListener('click', () => openModal(historyModal));
     closeHistoryBtn.addEventListener('click', () => closeModal(historyModal));
     settingsBtn.addEventListener('click', () => openModal(settingsModal));
     closeSettingsBtn.addEventListener('click', () => closeModal(settingsModal));
+    compareBtn.addEventListener('click', () => openModal(compareModal));
+    closeCompareBtn.addEventListener('click', () => closeModal(compareModal));
+    clearCompareBtn.addEventListener('click', clearComparison);
+    closeCartBtn.addEventListener('click', () => closeModal(cartModal));
+    closeCodePickerBtn.addEventListener('click', () => closeModal(codePickerModal));
+    closeJournalBtn.addEventListener('click', () => closeModal(journalModal));
+    achievementsBtn.addEventListener('click', () => openModal(achievementsModal));
+    closeAchievementsBtn.addEventListener('click', () => closeModal(achievementsModal));
+    reportsBtn.addEventListener('click', () => openModal(reportsModal));
+    closeReportsBtn.addEventListener('click', () => closeModal(reportsModal));
+    exportReportBtn.addEventListener('click', exportReportPDF);
+    reportPeriodBtns.forEach(btn => {
+        btn.addEventListener('click', () => changeReportPeriod(parseInt(btn.dataset.period)));
+    });
+    journalPrevDayBtn.addEventListener('click', () => changeJournalDay(-1));
+    journalNextDayBtn.addEventListener('click', () => changeJournalDay(1));
     
     // History filters
     filterBtns.forEach(btn => {
@@ -352,6 +498,9 @@ function setupEventListeners() {
         updateDailyTracker();
     });
     
+    // Offline catalog import
+    if (offlineCatalogInput) offlineCatalogInput.addEventListener('change', importOfflineCatalog);
+    
     // Dietary preferences
     document.querySelectorAll('input[name="diet"]').forEach(input => {
         input.addEventListener('change', updateDietaryPreferences);
@@ -363,7 +512,7 @@ function setupEventListeners() {
     });
     
     // Modal overlay close
-    [historyModal, settingsModal].forEach(modal => {
+    [historyModal, settingsModal, compareModal, cartModal, codePickerModal, journalModal, reportsModal, achievementsModal].forEach(modal => {
         modal.addEventListener('click', (e) => {
             if (e.target === modal) closeModal(modal);
         });
@@ -399,16 +548,18 @@ function switchScannerMode(mode) {
     
     // Stop camera if switching away from camera mode
     if (mode !== 'camera') {
-        stopCamera();
+        enhancedCamera.stopCamera();
     }
 }
 
 // ============================================
 // BARCODE SCANNING - UPDATED TO USE API
 // ============================================
-async function scanProduct(barcode) {
-    if (!barcode || barcode.length < 8) {
-        showToast('⚠️ Please enter a valid barcode', 'warning');
+async function scanProduct(barcode, options = {}) {
+    // UPC-A, UPC-E and EAN-13 scans of one product resolve to the same GTIN
+    const gtin = normalizeGTIN(barcode, options);
+    if (!gtin.valid) {
+        showToast(`⚠️ Please enter a valid barcode${gtin.digits ? ` (${gtin.error})` : ''}`, 'warning');
         return;
     }
     
@@ -416,19 +567,8 @@ async function scanProduct(barcode) {
     
     try {
         // Fetch product from Open Food Facts API
-        const product = await fetchProductFromAPI(barcode);
-        
-        state.currentProduct = product;
-        await displayProduct(product);
-        
-        // Add to history
-        addToHistory(product);
-        
-        // Update stats
-        updateScanStats();
-        
-        // Check achievements
-        checkAchievements();
+        const product = await fetchProductFromAPI(gtin.gtin);
+        await openProduct(product);
         
     } catch (error) {
         console.error('Scan error:', error);
@@ -437,98 +577,118 @@ async function scanProduct(barcode) {
     }
 }
 
+/**
+ * Show a looked-up product and record it as a scan
+ */
+async function openProduct(product) {
+    state.currentProduct = product;
+    
+    // Compare with the version seen last time, before the history gets this scan
+    trackProductVersion(product);
+    
+    await displayProduct(product);
+    
+    if (product.metadata?.offline) {
+        showToast('📦 Offline - showing saved product data', 'info');
+    } else if (product.reformulation) {
+        showToast(`🔄 ${product.name} has changed: ${product.reformulation.summary}`, 'info');
+    }
+    
+    // Add to history
+    addToHistory(product);
+    
+    // Update stats
+    updateScanStats();
+    
+    // Check achievements
+    checkAchievements();
+}
+
+/**
+ * Record this scan in the product's version timeline (product-versions.js)
+ * Sets product.reformulation when a product the user scanned or logged before has changed
+ */
+function trackProductVersion(product) {
+    const baseline = state.scanHistory.find(item => item.barcode === product.barcode) ||
+        [...state.journal].reverse().find(entry => entry.barcode === product.barcode);
+    const { change } = recordProductVersion(state.productVersions, product, scoreProduct(product), { baseline });
+
+    product.reformulation = change;
+}
+
 async function handleManualScan() {
     const barcode = barcodeInput.value.trim();
     await scanProduct(barcode);
 }
 
 // ============================================
-// CAMERA SCANNER
+// BARCODE FROM A PHOTO
 // ============================================
-let stream = null;
-let quaggaStarted = false;
+// Still images for when the live camera can't be used (permission denied,
+// desktop without a camera) or a frame was captured by hand
+let imageScanPending = false;
 
-async function startCamera() {
+/**
+ * Decode a photo, captured frame or dropped file and scan what it shows
+ * @param {*} source - File/Blob, data URL, image or canvas
+ */
+async function scanImage(source) {
+    if (imageScanPending) return;
+    imageScanPending = true;
+    showToast('🔍 Looking for a barcode in the image…', 'info');
+    
     try {
-        stream = await navigator.mediaDevices.getUserMedia({ 
-            video: { facingMode: 'environment' } 
-        });
-        
-        cameraVideo.srcObject = stream;
-        startCameraBtn.style.display = 'none';
-        captureBtn.style.display = 'inline-flex';
-        stopCameraBtn.style.display = 'inline-flex';
+        const codes = await decodeBarcodesFromImage(source);
         
-        // Initialize Quagga for barcode detection
-        initQuagga();
-        
-        showToast('📸 Camera started!');
+        if (codes.length === 0) {
+            showToast('⚠️ No barcode found - try a sharper, closer photo', 'warning');
+        } else if (codes.length === 1) {
+            await scanDetectedCode(codes[0].code);
+        } else {
+            showCodePicker(codes);
+        }
     } catch (error) {
-        showToast('❌ Camera access denied', 'error');
-        console.error('Camera error:', error);
+        console.error('Image decode error:', error);
+        showToast('❌ Could not read that image', 'error');
+    } finally {
+        imageScanPending = false;
     }
 }
 
-function initQuagga() {
-    if (typeof Quagga === 'undefined') {
-        console.warn('Quagga library not loaded');
-        return;
+/**
+ * Scan a code found in an image (into the cart in cart mode)
+ */
+async function scanDetectedCode(code) {
+    if (cartMode) {
+        await scanIntoCart(code);
+    } else {
+        await scanProduct(code);
     }
-
-    Quagga.init({
-        inputStream: {
-            name: "Live",
-            type: "LiveStream",
-            target: cameraVideo,
-            constraints: {
-                facingMode: "environment"
-            }
-        },
-        decoder: {
-            readers: ["ean_reader", "ean_8_reader", "upc_reader", "upc_e_reader"]
-        }
-    }, function(err) {
-        if (err) {
-            console.error(err);
-            return;
-        }
-        Quagga.start();
-        quaggaStarted = true;
-    });
-
-    Quagga.onDetected(async function(result) {
-        const code = result.codeResult.code;
-        if (code && code.length >= 8) {
-            stopCamera();
-            await scanProduct(code);
-        }
-    });
-}
-
-function captureImage() {
-    const context = cameraCanvas.getContext('2d');
-    cameraCanvas.width = cameraVideo.videoWidth;
-    cameraCanvas.height = cameraVideo.videoHeight;
-    context.drawImage(cameraVideo, 0, 0);
-    
-    showToast('📸 Image captured! Processing...', 'info');
 }
 
-function stopCamera() {
-    if (stream) {
-        stream.getTracks().forEach(track => track.stop());
-        stream = null;
-    }
+/**
+ * Ask which code to scan when an image holds several
+ */
+function showCodePicker(codes) {
+    // Decoded text comes from the image, so escape it like product text
+    codePickerList.innerHTML = codes.map(({ code, gtinFormat, decoderName }) => `
+        <div class="history-item code-picker-item" data-code="${escapeHTML(code)}">
+            <div class="history-info">
+                <div class="history-name"><i class="fas fa-barcode"></i> ${escapeHTML(code)}</div>
+                <div class="history-date">${escapeHTML(gtinFormat)} · read by ${escapeHTML(decoderName)}</div>
+            </div>
+            <i class="fas fa-chevron-right"></i>
+        </div>
+    `).join('');
     
-    if (quaggaStarted && typeof Quagga !== 'undefined') {
-        Quagga.stop();
-        quaggaStarted = false;
-    }
+    codePickerList.querySelectorAll('.code-picker-item').forEach(row => {
+        row.addEventListener('click', async () => {
+            closeModal(codePickerModal);
+            await scanDetectedCode(row.dataset.code);
+        });
+    });
     
-    cameraVideo.srcObject = null;
-    startCameraBtn.style.display = 'inline-flex';
-    captureBtn.style.display = 'none';
-    stopCameraBtn.style.display = 'none';
+    openModal(codePickerModal);
 }
 
 // ============================================
@@ -555,7 +715,7 @@ function handleVoiceInput() {
         
         voiceText.textContent = `"${transcript}"`;
         
-        if (/^\d{8,13}$/.test(barcode)) {
+        if (/^\d{6,14}$/.test(barcode)) {
             await scanProduct(barcode);
         } else {
             showToast('⚠️ Please speak a valid barcode number', 'warning');
@@ -576,6 +736,186 @@ function handleVoiceInput() {
     recognition.start();
 }
 
+// ============================================
+// PRODUCT NAME SEARCH
+// ============================================
+const SEARCH_MIN_QUERY_LENGTH = 2;
+const SEARCH_DEBOUNCE_MS = 350;
+
+const productSearch = {
+    query: '',
+    category: '',
+    grades: [],
+    page: 1,
+    pageSize: 10,
+    debounceTimer: null,
+    requestId: 0,
+    results: []
+};
+
+function handleSearchInput() {
+    productSearch.query = searchQueryInput.value.trim();
+    productSearch.page = 1;
+    
+    // Wait for the user to stop typing before hitting the API
+    clearTimeout(productSearch.debounceTimer);
+    productSearch.debounceTimer = setTimeout(runProductSearch, SEARCH_DEBOUNCE_MS);
+}
+
+function updateSearchFilters() {
+    productSearch.category = searchCategorySelect.value;
+    productSearch.grades = Array.from(searchGradeBtns)
+        .filter(btn => btn.classList.contains('active'))
+        .map(btn => btn.dataset.grade);
+    productSearch.page = 1;
+    
+    clearTimeout(productSearch.debounceTimer);
+    runProductSearch();
+}
+
+function changeSearchPage(offset) {
+    productSearch.page = Math.max(1, productSearch.page + offset);
+    runProductSearch();
+}
+
+/**
+ * Search Open Food Facts by name, or the offline store when that fails
+ */
+async function runProductSearch() {
+    const { query, category, grades, page, pageSize } = productSearch;
+    const requestId = ++productSearch.requestId;
+    
+    if (query.length < SEARCH_MIN_QUERY_LENGTH) {
+        productSearch.results = [];
+        searchResults.innerHTML = '';
+        searchPagination.style.display = 'none';
+        searchStatus.textContent = `Type at least ${SEARCH_MIN_QUERY_LENGTH} letters to search`;
+        return;
+    }
+    
+    searchStatus.textContent = 'Searching...';
+    
+    let results;
+    let hasMore;
+    let offline = false;
+    
+    try {
+        if (navigator.onLine === false) throw new Error('Offline');
+        
+        const products = await searchProducts(query, {
+            page,
+            pageSize,
+            categories: category || null,
+            nutriscoreGrades: grades.length > 0 ? grades.join(',') : null,
+            throwOnError: true
+        });
+        
+        results = products
+            .filter(p => p.code && p.product_name)
+            .map(p => parseProductData(normalizeProviderPayload('off', p, p.code)));
+        hasMore = products.length === pageSize;
+    } catch (error) {
+        const matches = await searchOfflineProducts(query, { category, grades });
+        results = matches.slice((page - 1) * pageSize, page * pageSize);
+        hasMore = matches.length > page * pageSize;
+        offline = true;
+    }
+    
+    // A newer query started while this one was in flight
+    if (requestId !== productSearch.requestId) return;
+    
+    productSearch.results = results;
+    renderSearchResults(results, { offline, hasMore });
+}
+
+/**
+ * Fuzzy name search over offline store records and scan history
+ * @param {string} query - Product name typed by the user
+ * @param {Object} filters - { category, grades }
+ * @returns {Promise<Array>} Products, best match first
+ */
+async function searchOfflineProducts(query, filters = {}) {
+    const candidates = new Map();
+    
+    if (typeof offlineProductStore !== 'undefined' && offlineProductStore.isSupported()) {
+        try {
+            const records = await offlineProductStore.getAllProducts();
+            records.forEach(record => {
+                const product = normalizeProviderPayload(record.provider, record.product, record.barcode);
+                product.metadata = { source: 'Offline product store', offline: true, stale: true, storedAt: record.storedAt };
+                candidates.set(record.barcode, { product, fromStore: true });
+            });
+        } catch (error) {
+            console.warn('Offline search failed:', error);
+        }
+    }
+    
+    state.scanHistory.forEach(item => {
+        if (!candidates.has(item.barcode)) candidates.set(item.barcode, { product: item, fromStore: false });
+    });
+    
+    return Array.from(candidates.values())
+        .map(candidate => ({ ...candidate, match: fuzzyMatchScore(query, `${candidate.product.name} ${candidate.product.brand}`) }))
+        .filter(({ match }) => match > 0)
+        .sort((a, b) => b.match - a.match)
+        // Only matches get the (slower) Nutri-Score and NOVA pass
+        .map(({ product, fromStore }) => (fromStore ? parseProductData(product) : product))
+        .filter(product => !filters.category ||
+            (product.categoriesTags || []).includes(filters.category) ||
+            (product.categories || '').toLowerCase().includes(filters.category.replace(/^[a-z]{2}:/, '').replace(/-/g, ' ')))
+        .filter(product => !filters.grades || filters.grades.length === 0 ||
+            filters.grades.includes((product.nutriscore || '').toLowerCase()));
+}
+
+function renderSearchResults(results, { offline, hasMore }) {
+    const { page } = productSearch;
+    
+    searchStatus.textContent = results.length === 0
+        ? (offline ? 'No saved products match while offline' : 'No products found')
+        : offline
+            ? '📦 Offline - showing matches from saved products'
+            : `Showing results ${(page - 1) * productSearch.pageSize + 1}-${(page - 1) * productSearch.pageSize + results.length}`;
+    
+    searchResults.innerHTML = '';
+    results.forEach(product => {
+        const healthData = scoreProduct(product);
+        const scoreClass = healthData.score >= 70 ? 'good' : healthData.score >= 40 ? 'warning' : 'danger';
+        const grade = escapeHTML((product.nutriscore || '').toLowerCase());
+        
+        const resultEl = document.createElement('button');
+        resultEl.className = 'search-result';
+        resultEl.innerHTML = `
+            <img src="${escapeHTML(product.image)}" alt="${escapeHTML(product.name)}">
+            <div class="search-result-details">
+                <div class="search-result-name">${escapeHTML(product.name)}</div>
+                <div class="search-result-meta">
+                    ${escapeHTML(product.brand)}${grade ? ` • <span class="search-result-grade grade-${grade}">${grade.toUpperCase()}</span>` : ''}
+                </div>
+            </div>
+            <div class="search-result-score ${scoreClass}">
+                ${healthData.score}
+            </div>
+        `;
+        
+        resultEl.addEventListener('click', async () => {
+            showLoading();
+            try {
+                await openProduct(product);
+            } catch (error) {
+                console.error('Search result error:', error);
+                hideLoading();
+                showToast(`❌ ${error.message}`, 'error');
+            }
+        });
+        searchResults.appendChild(resultEl);
+    });
+    
+    searchPagination.style.display = page > 1 || hasMore ? 'flex' : 'none';
+    searchPrevBtn.disabled = page <= 1;
+    searchNextBtn.disabled = !hasMore;
+    searchPageLabel.textContent = `Page ${page}`;
+}
+
 // ============================================
 // DISPLAY PRODUCT - UPDATED FOR API DATA
 // ============================================
@@ -585,13 +925,19 @@ async function displayProduct(product) {
     productName.textContent = product.name;
     productBrand.textContent = product.brand;
     productBarcode.textContent = product.barcode;
+    productSource.textContent = product.metadata?.offline
+        ? `${getProviderName(product.provider)} (offline copy)`
+        : getProviderName(product.provider);
     
     // Calculate health score
-    const healthData = calculateHealthScore(product.nutrition);
+    const healthData = scoreProduct(product);
     
     // Update score display
     updateScoreDisplay(healthData);
     
+    // Nutri-Score letter and the points behind it
+    displayNutriScore(product);
+    
     // Generate AI insights
     generateAIInsights(product, healthData);
     
@@ -601,8 +947,11 @@ async function displayProduct(product) {
     // Check allergens
     checkAllergens(product);
     
-    // Display nutrition facts
-    displayNutrition(product.nutrition);
+    // List additives with their risk and rationale
+    displayAdditives(product);
+    
+    // Display nutrition facts for the selected serving
+    showServingNutrition(product);
     
     // Load and display alternatives
     await loadAlternatives(product);
@@ -616,74 +965,15 @@ async function displayProduct(product) {
 // ============================================
 // HEALTH SCORE CALCULATION
 // ============================================
-function calculateHealthScore(nutrition) {
-    let score = 100;
-
-    if (nutrition.calories > 200)
-        score -= Math.min(30, (nutrition.calories - 200) / 5);
-
-    if (nutrition.sugar > 5)
-        score -= Math.min(25, (nutrition.sugar - 5) * 3);
-
-    if (nutrition.fat > 10)
-        score -= Math.min(20, (nutrition.fat - 10) * 2);
-
-    if (nutrition.salt > 0.3)
-        score -= Math.min(15, (nutrition.salt - 0.3) * 20);
-
-    // ✅ Positive nutrients
-    if (nutrition.protein >= 8)
-        score += Math.min(10, nutrition.protein);
-
-    if (nutrition.fiber >= 5)
-        score += Math.min(10, nutrition.fiber * 2);
-
-    score = Math.max(0, Math.min(100, Math.round(score)));
-
-    let grade, label, emoji, recommendation, color;
-
-    if (score >= 90) {
-        grade = 'A+';
-        label = 'Excellent';
-        emoji = '🌟';
-        recommendation = 'Highly nutritious and healthy choice!';
-        color = '#10b981';
-    } else if (score >= 80) {
-        grade = 'A';
-        label = 'Very Good';
-        emoji = '😊';
-        recommendation = 'Great option for daily consumption.';
-        color = '#22c55e';
-    } else if (score >= 70) {
-        grade = 'B';
-        label = 'Good';
-        emoji = '👍';
-        recommendation = 'Healthy, but consume mindfully.';
-        color = '#84cc16';
-    } else if (score >= 60) {
-        grade = 'C';
-        label = 'Average';
-        emoji = '😐';
-        recommendation = 'Okay occasionally, not ideal daily.';
-        color = '#eab308';
-    } else if (score >= 40) {
-        grade = 'D';
-        label = 'Unhealthy';
-        emoji = '😕';
-        recommendation = 'Limit intake and choose better options.';
-        color = '#f97316';
-    } else {
-        grade = 'F';
-        label = 'Very Unhealthy';
-        emoji = '⚠️';
-        recommendation = 'Avoid frequent consumption.';
-        color = '#ef4444';
-    }
-
-    return { score, grade, label, emoji, recommendation, color };
+// Scoring lives in health-score-engine (1).js. Saved products keep the
+// algorithm version they were scored with, so their grades stay stable.
+function scoreProduct(product) {
+    return calculateHealthScore(product.nutrition, {
+        algorithmVersion: product.scoreVersion,
+        additives: collectAdditiveCodes(product)
+    });
 }
 
-
 function updateScoreDisplay(healthData) {
     scoreNumber.textContent = healthData.score;
     scoreLabel.textContent = healthData.label;
@@ -691,6 +981,19 @@ function updateScoreDisplay(healthData) {
     scoreGrade.textContent = healthData.grade;
     scoreRecommendation.textContent = healthData.recommendation;
     
+    // Doubtful label figures (data-quality.js) make the score approximate
+    scoreDataWarning.textContent = healthData.dataWarning ? `⚠️ ${healthData.dataWarning}` : '';
+    scoreDataWarning.style.display = healthData.dataWarning ? 'block' : 'none';
+    
+    // Conclusions that rest on missing data (older score versions don't report them)
+    const notEvaluated = healthData.notEvaluated || [];
+    scoreNotEvaluated.innerHTML = notEvaluated.length > 0 ? `
+        <h4><i class="fas fa-question-circle"></i> Not evaluated</h4>
+        <ul>${notEvaluated.map(item => `<li>${item.message}</li>`).join('')}</ul>
+        ${healthData.metadata.scoreCap ? `<p>Score capped at ${healthData.metadata.scoreCap} until these are known.</p>` : ''}
+    ` : '';
+    scoreNotEvaluated.style.display = notEvaluated.length > 0 ? 'block' : 'none';
+    
     // Update circle color
     scoreCircle.style.setProperty('--score-color', healthData.color);
     scoreCircle.style.setProperty('--score', healthData.score);
@@ -708,7 +1011,7 @@ function generateAIInsights(product, healthData) {
     const n = product.nutrition;
     
     // Calorie insight
-    if (n.calories < 100) {
+    if (isKnownValue(n.calories) && n.calories < 100) {
         insights.push({
             icon: '💚',
             type: 'positive',
@@ -723,7 +1026,7 @@ function generateAIInsights(product, healthData) {
     }
     
     // Sugar insight
-    if (n.sugar < 5) {
+    if (isKnownValue(n.sugar) && n.sugar < 5) {
         insights.push({
             icon: '✨',
             type: 'positive',
@@ -738,7 +1041,7 @@ function generateAIInsights(product, healthData) {
     }
     
     // Fat insight
-    if (n.fat < 3) {
+    if (isKnownValue(n.fat) && n.fat < 3) {
         insights.push({
             icon: '🥗',
             type: 'positive',
@@ -753,7 +1056,7 @@ function generateAIInsights(product, healthData) {
     }
     
     // Salt insight
-    if (n.salt < 0.3) {
+    if (isKnownValue(n.salt) && n.salt < 0.3) {
         insights.push({
             icon: '👌',
             type: 'positive',
@@ -785,6 +1088,25 @@ function generateAIInsights(product, healthData) {
         });
     }
     
+    // Recipe changed since the user's last scan
+    if (product.reformulation) {
+        insights.push({
+            icon: '🔄',
+            type: 'warning',
+            text: `Changed since you last scanned or logged it: ${product.reformulation.summary}`
+        });
+    }
+    
+    // Undeclared nutrients: say so instead of implying they passed
+    const unknown = listUnknownNutrients(n, ['calories', 'sugar', 'fat', 'salt', 'protein', 'fiber']);
+    if (unknown.length > 0) {
+        insights.push({
+            icon: '❓',
+            type: 'warning',
+            text: `Not declared: ${describeNutrients(unknown)} — these checks were skipped`
+        });
+    }
+    
     // Render insights
     insightsList.innerHTML = insights.map(insight => `
         <div class="insight-item ${insight.type}">
@@ -796,17 +1118,87 @@ function generateAIInsights(product, healthData) {
     aiInsights.style.display = insights.length > 0 ? 'block' : 'none';
 }
 
+// ============================================
+// NUTRI-SCORE
+// ============================================
+function displayNutriScore(product) {
+    const nutriScore = resolveNutriScore(product);
+    
+    nutriscoreSource.textContent = nutriScore.source === 'api'
+        ? 'From Open Food Facts'
+        : 'Computed locally';
+    nutriscoreSource.className = `nutriscore-source ${nutriScore.source}`;
+    
+    nutriscoreScale.innerHTML = ['a', 'b', 'c', 'd', 'e'].map(grade => `
+        <span class="nutriscore-letter grade-${grade} ${grade === nutriScore.grade ? 'active' : ''}">${grade.toUpperCase()}</span>
+    `).join('');
+    
+    const renderComponents = (components, sign) => components.map(c => c.value === null ? `
+        <div class="nutriscore-row not-declared">
+            <span>${c.label}</span>
+            <span>Not declared</span>
+            <span class="nutriscore-points">—/${c.max}</span>
+        </div>
+    ` : `
+        <div class="nutriscore-row ${c.key === 'protein' && !nutriScore.proteinCounted ? 'not-counted' : ''}">
+            <span>${c.label}</span>
+            <span>${c.value} ${c.unit}</span>
+            <span class="nutriscore-points">${sign}${c.points}/${c.max}</span>
+        </div>
+    `).join('');
+    
+    const notes = [];
+    if (nutriScore.source === 'api' && nutriScore.computedGrade && nutriScore.computedGrade !== nutriScore.grade) {
+        notes.push(`Local estimate gives ${nutriScore.computedGrade.toUpperCase()}; OFF may use data not shown here.`);
+    }
+    if (!nutriScore.proteinCounted) {
+        notes.push('Protein does not count because the negative points are 11 or more.');
+    }
+    if (nutriScore.notEvaluated.length > 0) {
+        const missing = nutriScore.notEvaluated.map(key => [...nutriScore.negative.components, ...nutriScore.positive.components]
+            .find(c => c.key === key).label.toLowerCase());
+        notes.push(nutriScore.grade
+            ? `Not declared: ${missing.join(', ')}.`
+            : `Not declared: ${missing.join(', ')}. A grade can't be given without every negative component.`);
+    }
+    if (nutriScore.fruitVegNutsSource !== 'label') {
+        notes.push('Fruit, vegetable and nut content estimated from the ingredient list.');
+    }
+    
+    nutriscoreBreakdown.innerHTML = `
+        <div class="nutriscore-group">
+            <h4>Negative points (${nutriScore.negative.points})</h4>
+            ${renderComponents(nutriScore.negative.components, '+')}
+        </div>
+        <div class="nutriscore-group">
+            <h4>Positive points (${nutriScore.positive.points})</h4>
+            ${renderComponents(nutriScore.positive.components, '-')}
+        </div>
+        <div class="nutriscore-total">
+            ${nutriScore.grade ? `Score ${nutriScore.score}` : 'No grade'} · ${nutriScore.category} scale
+        </div>
+        ${notes.map(note => `<p class="nutriscore-note"><i class="fas fa-info-circle"></i> ${note}</p>`).join('')}
+    `;
+}
+
 // ============================================
 // WARNINGS
 // ============================================
 function checkWarnings(product, healthData) {
     const warnings = [];
     const n = product.nutrition;
+    const dataQuality = assessDataQuality(n);
+    const sugarUnreliable = getUnreliableFields(dataQuality, ['sugar']).length > 0;
     
     if (healthData.score < 50) {
         warnings.push({ icon: '⚠️', text: 'Low nutritional value' });
     }
     
+    // Label values that don't add up
+    dataQuality.issues.forEach(issue => {
+        warnings.push({ icon: '📋', text: issue });
+    });
+    
     if (n.sugar > 20) {
         warnings.push({ icon: '🍬', text: 'Very high sugar content' });
     }
@@ -821,7 +1213,9 @@ function checkWarnings(product, healthData) {
     
     // Check dietary preferences
     state.settings.dietaryPreferences.forEach(pref => {
-        if (pref === 'diabetic' && n.sugar > 10) {
+        if (pref === 'diabetic' && sugarUnreliable) {
+            warnings.push({ icon: '💉', text: 'Sugar data unreliable - check the label before eating' });
+        } else if (pref === 'diabetic' && n.sugar > 10) {
             warnings.push({ icon: '💉', text: 'Not suitable for diabetics' });
         }
         if (pref === 'keto' && n.sugar > 5) {
@@ -879,6 +1273,44 @@ function checkAllergens(product) {
     }
 }
 
+// ============================================
+// ADDITIVES
+// ============================================
+function displayAdditives(product) {
+    const report = analyzeProductAdditives(product, { populations: getAdditivePopulations(state.settings) });
+    
+    if (report.additives.length === 0) {
+        additivesCard.style.display = 'none';
+        return;
+    }
+    
+    additiveCount.textContent = report.additives.length;
+    additivesSummary.innerHTML = ['high', 'moderate', 'low']
+        .filter(tier => report.counts[tier] > 0)
+        .map(tier => `
+            <span class="additive-tier-chip" style="--tier-color: ${ADDITIVE_RISK_TIERS[tier].color}">
+                ${report.counts[tier]} ${ADDITIVE_RISK_TIERS[tier].label.toLowerCase()}
+            </span>
+        `).join('');
+    
+    additivesList.innerHTML = report.additives.map(additive => `
+        <div class="additive-item" style="--tier-color: ${additive.color}">
+            <div class="additive-title">
+                <strong>${additive.label}</strong>
+                <span>${additive.name}</span>
+                <span class="additive-tier">${additive.tierLabel}</span>
+            </div>
+            <div class="additive-function">${additive.function}</div>
+            <p class="additive-rationale">${additive.rationale}</p>
+            ${additive.relevantConcerns.map(concern => `
+                <p class="additive-concern"><i class="fas fa-exclamation-circle"></i> ${concern.text}</p>
+            `).join('')}
+        </div>
+    `).join('');
+    
+    additivesCard.style.display = 'block';
+}
+
 // ============================================
 // NUTRITION DISPLAY
 // ============================================
@@ -893,6 +1325,19 @@ function displayNutrition(nutrition) {
     ];
     
     nutritionGrid.innerHTML = items.map(item => {
+        if (!isKnownValue(item.value)) {
+            return `
+            <div class="nutrition-item not-declared">
+                <div class="nutrition-header">
+                    <span class="nutrition-icon">${item.icon}</span>
+                    <span class="nutrition-label">${item.label}</span>
+                    <span class="nutrition-value" title="Not declared">—</span>
+                </div>
+                <div class="nutrition-unknown">Not declared</div>
+            </div>
+        `;
+        }
+        
         const percentage = Math.min(100, (item.value / item.max) * 100);
         const barClass = item.positive ? 'positive' : (percentage > 80 ? 'danger' : percentage > 50 ? 'warning' : 'good');
         
@@ -914,48 +1359,90 @@ function displayNutrition(nutrition) {
 // ============================================
 // SERVING SIZE
 // ============================================
-let currentServing = 1;
+// Portion sizes come from serving-size.js; '100' | 'serving' | 'package' | 'custom'
+let currentServing = 'serving';
+let customServingGrams = 150;
+
+/**
+ * Multiple of 100g for the selected serving button
+ */
+function getServingMultiplier(product, serving = currentServing) {
+    const grams = getPortionGrams(product, serving, customServingGrams);
+    
+    // Products without a known serving or package size show per-100g values
+    return grams ? grams / 100 : 1;
+}
+
+/**
+ * Portion being shown, e.g. "1 serving (25 g)"
+ */
+function getServingLabel(product, serving = currentServing) {
+    return describePortion(product, serving, customServingGrams) || describePortion(product, '100');
+}
+
+function showServingNutrition(product) {
+    const options = getPortionOptions(product, customServingGrams);
+    const selected = options.find(option => option.id === currentServing);
+    
+    servingBtns.forEach(btn => {
+        const option = options.find(item => item.id === btn.dataset.serving);
+        btn.textContent = option.label;
+        btn.disabled = !option.available;
+        btn.title = option.available ? '' : `${option.label} size not declared`;
+    });
+    
+    customServing.style.display = currentServing === 'custom' ? 'flex' : 'none';
+    customServingUnit.textContent = isLiquidProduct(product) ? 'ml' : 'g';
+    servingDescription.textContent = selected.available
+        ? `Per ${getServingLabel(product)}`
+        : `${selected.label} size not declared - showing per ${describePortion(product, '100')}`;
+    
+    displayNutrition(scaleNutrition(product.nutrition, getServingMultiplier(product)));
+}
 
 function updateServing(btn) {
     servingBtns.forEach(b => b.classList.remove('active'));
     btn.classList.add('active');
     
-    const multiplier = parseFloat(btn.dataset.serving);
-    currentServing = multiplier;
+    currentServing = btn.dataset.serving;
     
     if (!state.currentProduct) return;
     
-    const nutrition = { ...state.currentProduct.nutrition };
-    Object.keys(nutrition).forEach(key => {
-        nutrition[key] = nutrition[key] * multiplier;
-    });
+    showServingNutrition(state.currentProduct);
+}
+
+function updateCustomServing(grams) {
+    if (!(grams > 0)) return;
     
-    displayNutrition(nutrition);
+    customServingGrams = grams;
+    if (state.currentProduct) showServingNutrition(state.currentProduct);
 }
 
 // ============================================
-// DAILY TRACKER
+// DAILY TRACKER & FOOD JOURNAL
 // ============================================
+// Day shown in the journal, set in init() (food-journal.js loads after this file)
+let journalDay = null;
+
 function addToDaily() {
     if (!state.currentProduct) return;
     
-    const n = state.currentProduct.nutrition;
-    const multiplier = currentServing;
-    
-    state.dailyIntake.calories += n.calories * multiplier;
-    state.dailyIntake.sugar += n.sugar * multiplier;
-    state.dailyIntake.fat += n.fat * multiplier;
-    state.dailyIntake.salt += n.salt * multiplier;
+    const multiplier = getServingMultiplier(state.currentProduct);
+    const portion = getServingLabel(state.currentProduct);
+    state.journal.push(createJournalEntry(state.currentProduct, multiplier, new Date(), portion));
     
     updateDailyTracker();
+    updateStats();
     saveState();
+    checkAchievements();
     
-    showToast('✅ Added to daily tracker!');
+    showToast(`✅ Added ${portion} to today's journal!`);
 }
 
 function updateDailyTracker() {
     const goal = state.settings.calorieGoal;
-    const current = state.dailyIntake.calories;
+    const totals = calculateJournalTotals(getJournalEntriesForDay(state.journal, toDayKey()));
+    const current = totals.calories || 0;
     const percentage = Math.min(100, (current / goal) * 100);
     
     dailyCalories.style.width = `${percentage}%`;
@@ -970,23 +1457,123 @@ function updateDailyTracker() {
     }
 }
 
-// ============================================
-// ALTERNATIVES - UPDATED TO USE API
-// ============================================
-async function loadAlternatives(product) {
-    try {
-        const alternatives = await fetchAlternativeProducts(
-            product.categories,
-            product.nutriscore
-        );
-        
-        if (alternatives.length > 0) {
-            alternativesList.innerHTML = alternatives.map(alt => `
-                <div class="alternative-item">
-                    <img src="${alt.image}" alt="${alt.name}" class="alternative-image">
-                    <div class="alternative-info">
-                        <div class="alternative-name">${alt.name}</div>
-                        <div class="alternative-brand">${alt.brand}</div>
+function handleDayRollover(newDay) {
+    // Follow the new day if the journal was showing today
+    if (journalDay === shiftDayKey(newDay, -1)) {
+        journalDay = newDay;
+    }
+    
+    updateDailyTracker();
+    updateStats();
+    if (journalModal.classList.contains('active')) renderJournal();
+}
+
+function changeJournalDay(offset) {
+    const next = shiftDayKey(journalDay, offset);
+    if (next > toDayKey()) return;
+    
+    journalDay = next;
+    renderJournal();
+}
+
+function updateJournalEntry(id, grams) {
+    const entry = state.journal.find(item => item.id === id);
+    if (!entry || !(grams > 0)) return;
+    
+    entry.servingMultiplier = grams / 100;
+    entry.portion = null; // No longer the serving or package it was logged as
+    saveState();
+    updateDailyTracker();
+    renderJournal();
+}
+
+function deleteJournalEntry(id) {
+    state.journal = state.journal.filter(item => item.id !== id);
+    saveState();
+    updateDailyTracker();
+    updateStats();
+    renderJournal();
+    showToast('🗑️ Journal entry removed', 'info');
+}
+
+function renderJournal() {
+    const today = toDayKey();
+    const entries = getJournalEntriesForDay(state.journal, journalDay);
+    
+    journalDayLabel.textContent = journalDay === today
+        ? 'Today'
+        : new Date(`${journalDay}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    journalNextDayBtn.disabled = journalDay >= today;
+    
+    if (entries.length === 0) {
+        journalEntriesList.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-utensils"></i>
+                <p>Nothing logged for this day</p>
+            </div>
+        `;
+    } else {
+        journalEntriesList.innerHTML = entries.map(entry => `
+            <div class="journal-entry" data-id="${entry.id}">
+                <div class="history-info">
+                    <div class="history-name">${escapeHTML(entry.name)}</div>
+                    <div class="history-date">
+                        ${new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} •
+                        ${entry.portion ? `${entry.portion} • ` : ''}${Math.round((entry.nutrition.calories || 0) * entry.servingMultiplier)} kcal
+                    </div>
+                </div>
+                <label class="journal-grams">
+                    <input type="number" min="1" step="5" value="${Math.round(entry.servingMultiplier * 100)}"> g
+                </label>
+                <button class="journal-delete" title="Delete entry">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+        
+        journalEntriesList.querySelectorAll('.journal-entry').forEach(row => {
+            const id = row.dataset.id;
+            row.querySelector('input').addEventListener('change', (e) => updateJournalEntry(id, parseFloat(e.target.value)));
+            row.querySelector('.journal-delete').addEventListener('click', () => deleteJournalEntry(id));
+        });
+    }
+    
+    const comparison = compareTotalsToDailyValues(calculateJournalTotals(entries), {
+        gender: autoDetectGender(state.settings),
+        profile: autoDetectProfile(state.settings)
+    });
+    
+    // Totals missing an undeclared value are shown as a lower bound, or as not declared
+    journalTotals.innerHTML = comparison.map(row => `
+        <div class="daily-item" title="${row.unknown ? 'Some entries don\'t declare this nutrient' : ''}">
+            <span>${row.label}</span>
+            <div class="daily-bar">
+                <div class="daily-fill" style="width: ${Math.min(100, row.percentage ?? 0)}%; background: ${row.color}"></div>
+            </div>
+            <span>${row.value === null
+                ? `Not declared/${row.target} ${row.unit}`
+                : `${row.unknown ? '≥ ' : ''}${row.value}/${row.target} ${row.unit} (${row.percentage}%)`}</span>
+        </div>
+    `).join('');
+}
+
+// ============================================
+// ALTERNATIVES - UPDATED TO USE API
+// ============================================
+async function loadAlternatives(product) {
+    try {
+        const alternatives = await fetchAlternativeProducts(
+            product.categories,
+            product.nutriscore
+        );
+        
+        if (alternatives.length > 0) {
+            alternativesList.innerHTML = alternatives.map(alt => `
+                <div class="alternative-item">
+                    <img src="${alt.image}" alt="${alt.name}" class="alternative-image">
+                    <div class="alternative-info">
+                        <div class="alternative-name">${alt.name}</div>
+                        <div class="alternative-brand">${alt.brand}</div>
                         <div class="alternative-reason">${alt.reason}</div>
                     </div>
                     <div class="alternative-score ${alt.score >= 70 ? 'good' : 'warning'}">
@@ -1037,7 +1624,7 @@ function speakAnalysis() {
         return;
     }
     
-    const healthData = calculateHealthScore(state.currentProduct.nutrition);
+    const healthData = scoreProduct(state.currentProduct);
     const text = `${state.currentProduct.name} by ${state.currentProduct.brand}. Health score: ${healthData.score} out of 100. Grade: ${healthData.grade}. ${healthData.recommendation}`;
     
     const utterance = new SpeechSynthesisUtterance(text);
@@ -1051,42 +1638,74 @@ function speakAnalysis() {
 // ============================================
 // EXPORT PDF
 // ============================================
+/**
+ * Start a jsPDF document with a title
+ * Returns a writer that tracks the cursor and adds pages when needed
+ */
+function createPDFWriter(title) {
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
+    let y = 20;
+    
+    const space = (amount = 10) => {
+        y += amount;
+    };
+    
+    const write = (text, size = 12) => {
+        if (y > 280) {
+            doc.addPage();
+            y = 20;
+        }
+        doc.setFontSize(size);
+        doc.text(text, 20, y);
+        y += 10;
+    };
+    
+    write(title, 20);
+    space();
+    
+    return { doc, write, space };
+}
+
 function exportPDF() {
     if (!state.currentProduct) return;
     
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF();
+    const pdf = createPDFWriter('FoodScan Pro - Nutrition Report');
     
-    const healthData = calculateHealthScore(state.currentProduct.nutrition);
+    const healthData = scoreProduct(state.currentProduct);
     const p = state.currentProduct;
     
-    // Title
-    doc.setFontSize(20);
-    doc.text('FoodScan Pro - Nutrition Report', 20, 20);
-    
     // Product info
-    doc.setFontSize(12);
-    doc.text(`Product: ${p.name}`, 20, 40);
-    doc.text(`Brand: ${p.brand}`, 20, 50);
-    doc.text(`Barcode: ${p.barcode}`, 20, 60);
+    pdf.write(`Product: ${p.name}`);
+    pdf.write(`Brand: ${p.brand}`);
+    pdf.write(`Barcode: ${p.barcode}`);
     
     // Health Score
-    doc.setFontSize(16);
-    doc.text(`Health Score: ${healthData.score}/100 (${healthData.grade})`, 20, 80);
-    doc.setFontSize(12);
-    doc.text(healthData.recommendation, 20, 90);
-    
-    // Nutrition Facts
-    doc.text('Nutrition Facts (per 100g):', 20, 110);
-    doc.text(`Calories: ${p.nutrition.calories.toFixed(1)} kcal`, 20, 120);
-    doc.text(`Sugar: ${p.nutrition.sugar.toFixed(1)}g`, 20, 130);
-    doc.text(`Fat: ${p.nutrition.fat.toFixed(1)}g`, 20, 140);
-    doc.text(`Salt: ${p.nutrition.salt.toFixed(2)}g`, 20, 150);
-    doc.text(`Protein: ${p.nutrition.protein.toFixed(1)}g`, 20, 160);
-    doc.text(`Fiber: ${p.nutrition.fiber.toFixed(1)}g`, 20, 170);
+    pdf.space();
+    pdf.write(`Health Score: ${healthData.score}/100 (${healthData.grade})`, 16);
+    pdf.write(healthData.recommendation);
+    
+    // Nutrition Facts per 100g, plus the portion picked in the nutrition card
+    const portions = [describePortion(p, '100')];
+    if (currentServing !== '100' && getPortionGrams(p, currentServing, customServingGrams)) {
+        portions.push(getServingLabel(p));
+    }
+    const format = (value, digits, unit) => (isKnownValue(value) ? `${value.toFixed(digits)}${unit}` : 'Not declared');
+    
+    portions.forEach((portion, index) => {
+        const n = index === 0 ? p.nutrition : scaleNutrition(p.nutrition, getServingMultiplier(p));
+        pdf.space();
+        pdf.write(`Nutrition Facts (per ${portion}):`);
+        pdf.write(`Calories: ${format(n.calories, 1, ' kcal')}`);
+        pdf.write(`Sugar: ${format(n.sugar, 1, 'g')}`);
+        pdf.write(`Fat: ${format(n.fat, 1, 'g')}`);
+        pdf.write(`Salt: ${format(n.salt, 2, 'g')}`);
+        pdf.write(`Protein: ${format(n.protein, 1, 'g')}`);
+        pdf.write(`Fiber: ${format(n.fiber, 1, 'g')}`);
+    });
     
     // Save
-    doc.save(`foodscan-${p.barcode}.pdf`);
+    pdf.doc.save(`foodscan-${p.barcode}.pdf`);
     showToast('📄 PDF exported successfully!');
 }
 
@@ -1108,21 +1727,24 @@ function saveProduct() {
     }
 }
 
+const MAX_HISTORY_ITEMS = 300;
+
 function addToHistory(product) {
-    const healthData = calculateHealthScore(product.nutrition);
+    const healthData = scoreProduct(product);
     
     const historyItem = {
         ...product,
         score: healthData.score,
         grade: healthData.grade,
+        scoreVersion: healthData.algorithmVersion,
         timestamp: new Date().toISOString()
     };
     
     state.scanHistory.unshift(historyItem);
     
-    // Keep only last 50
-    if (state.scanHistory.length > 50) {
-        state.scanHistory = state.scanHistory.slice(0, 50);
+    // Keep enough history for 90-day reports
+    if (state.scanHistory.length > MAX_HISTORY_ITEMS) {
+        state.scanHistory = state.scanHistory.slice(0, MAX_HISTORY_ITEMS);
     }
     
     historyBadge.textContent = state.scanHistory.length;
@@ -1166,12 +1788,16 @@ function renderHistory(filter = 'all') {
                 <div class="history-meta">
                     ${item.brand} • ${date.toLocaleDateString()}
                 </div>
+                ${renderProductTimeline(item.barcode)}
             </div>
             <div class="history-score ${scoreClass}">
                 ${item.score}
             </div>
         `;
         
+        // Opening the timeline shouldn't open the product
+        historyEl.querySelector('.history-timeline')?.addEventListener('click', event => event.stopPropagation());
+        
         historyEl.addEventListener('click', () => {
             closeModal(historyModal);
             displayProduct(item);
@@ -1181,6 +1807,28 @@ function renderHistory(filter = 'all') {
     });
 }
 
+/**
+ * Change timeline for a product with more than one version
+ */
+function renderProductTimeline(barcode) {
+    const timeline = getProductTimeline(state.productVersions, barcode);
+    if (timeline.length < 2) return '';
+    
+    return `
+        <details class="history-timeline">
+            <summary>🔄 Changed ${timeline.length - 1} time${timeline.length > 2 ? 's' : ''}</summary>
+            <ol>
+                ${timeline.map(version => `
+                    <li>
+                        <span class="timeline-date">${new Date(version.lastModified || version.recordedAt).toLocaleDateString()}</span>
+                        ${escapeHTML(version.summary)}
+                    </li>
+                `).join('')}
+            </ol>
+        </details>
+    `;
+}
+
 function filterHistory(filter) {
     filterBtns.forEach(btn => btn.classList.remove('active'));
     event.target.classList.add('active');
@@ -1188,10 +1836,454 @@ function filterHistory(filter) {
 }
 
 // ============================================
-// COMPARISON (Future Feature)
+// COMPARISON
 // ============================================
 function addToComparison() {
-    showToast('🔄 Comparison feature coming soon!', 'info');
+    if (!state.currentProduct) return;
+    
+    const product = state.currentProduct;
+    
+    if (state.comparisonTray.some(item => item.barcode === product.barcode)) {
+        showToast('ℹ️ Product already in comparison', 'info');
+        return;
+    }
+    
+    if (state.comparisonTray.length >= COMPARISON_LIMITS.max) {
+        showToast(`⚠️ You can compare up to ${COMPARISON_LIMITS.max} products`, 'warning');
+        return;
+    }
+    
+    state.comparisonTray.push(product);
+    saveState();
+    updateCompareBadge();
+    
+    const count = state.comparisonTray.length;
+    if (count >= COMPARISON_LIMITS.min) {
+        showToast(`🔄 Added to comparison (${count}/${COMPARISON_LIMITS.max}) - tap compare to view`);
+    } else {
+        showToast(`🔄 Added to comparison - scan ${COMPARISON_LIMITS.min - count} more to compare`);
+    }
+}
+
+function removeFromComparison(barcode) {
+    state.comparisonTray = state.comparisonTray.filter(item => item.barcode !== barcode);
+    saveState();
+    updateCompareBadge();
+    renderComparison();
+}
+
+function clearComparison() {
+    state.comparisonTray = [];
+    saveState();
+    updateCompareBadge();
+    renderComparison();
+}
+
+function updateCompareBadge() {
+    compareBadge.textContent = state.comparisonTray.length;
+}
+
+function renderComparison() {
+    const tray = state.comparisonTray;
+    
+    if (tray.length < COMPARISON_LIMITS.min) {
+        comparisonContent.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-balance-scale"></i>
+                <p>${tray.length === 0
+                    ? 'No products to compare yet. Tap "Compare" on a scanned product.'
+                    : `${escapeHTML(tray[0].name)} is waiting - add one more product to compare.`}</p>
+            </div>
+        `;
+        return;
+    }
+    
+    const comparison = buildComparison(tray, {
+        gender: autoDetectGender(state.settings),
+        isDiabetic: state.settings.dietaryPreferences.includes('diabetic'),
+        customGrams: currentServing === 'custom' ? customServingGrams : null
+    });
+    
+    const headerCells = comparison.columns.map((column, index) => `
+        <th class="${comparison.overall.winnerIndex === index ? 'overall-winner' : ''}">
+            <img src="${escapeHTML(column.image)}" alt="${escapeHTML(column.name)}">
+            <div class="compare-product-name">${escapeHTML(column.name)}</div>
+            <div class="compare-product-brand">${escapeHTML(column.brand)}</div>
+            <button class="compare-remove" data-barcode="${escapeHTML(column.barcode)}" title="Remove">
+                <i class="fas fa-times"></i>
+            </button>
+        </th>
+    `).join('');
+    
+    let bodyRows = '';
+    let currentSection = null;
+    comparison.rows.forEach(row => {
+        if (row.section !== currentSection) {
+            currentSection = row.section;
+            bodyRows += `<tr class="compare-section"><td colspan="${comparison.columns.length + 1}">${row.section}</td></tr>`;
+        }
+        
+        const cells = row.cells.map((cell, index) => `
+            <td class="${row.winners.includes(index) ? 'row-winner' : ''}">${cell.display}</td>
+        `).join('');
+        bodyRows += `<tr><th scope="row">${row.label}</th>${cells}</tr>`;
+    });
+    
+    comparisonContent.innerHTML = `
+        <div class="compare-recommendation">${escapeHTML(comparison.overall.message)}</div>
+        <div class="compare-table-wrapper">
+            <table class="compare-table">
+                <thead><tr><th></th>${headerCells}</tr></thead>
+                <tbody>${bodyRows}</tbody>
+            </table>
+        </div>
+    `;
+    
+    comparisonContent.querySelectorAll('.compare-remove').forEach(btn => {
+        btn.addEventListener('click', () => removeFromComparison(btn.dataset.barcode));
+    });
+}
+
+// ============================================
+// SHOPPING CART
+// ============================================
+// Continuous camera scanning into a cart (shopping-cart.js)
+let cartMode = false;
+let cartQueue = null;
+
+function setCartMode(enabled) {
+    cartMode = enabled;
+    
+    // The enhanced camera owns detection when it is loaded
+    if (typeof enhancedCamera !== 'undefined') {
+        enhancedCamera.setContinuousMode(enabled, code => scanIntoCart(code));
+    }
+    
+    if (enabled && !state.cart.startedAt) {
+        state.cart.startedAt = new Date().toISOString();
+    }
+    
+    renderCart();
+    showToast(enabled ? '🛒 Cart mode on - keep scanning, the camera stays live' : '🛒 Cart mode off', 'info');
+}
+
+/**
+ * Add a scanned barcode to the cart and look it up in the background
+ */
+async function scanIntoCart(barcode) {
+    const { status, item } = addCartScan(state.cart, barcode);
+    
+    if (status === 'debounced') return;
+    if (status === 'duplicate') {
+        showToast(`ℹ️ ${item.name || 'This product'} is already in the cart`, 'info');
+        return;
+    }
+    if (status === 'full') {
+        showToast(`⚠️ The cart holds up to ${CART_CONFIG.maxItems} items`, 'warning');
+        return;
+    }
+    
+    renderCart();
+    await lookUpCartItem(item.barcode);
+}
+
+/**
+ * Look a cart item up and save the outcome
+ */
+async function lookUpCartItem(barcode) {
+    // Lookups share a rate-limited queue so a fast run doesn't flood the API
+    cartQueue = cartQueue || createRequestQueue({ concurrency: 2, requestsPerSecond: BATCH_CONFIG.requestsPerSecond });
+    
+    try {
+        const product = await cartQueue.add(() => fetchProductFromAPI(barcode));
+        const resolved = resolveCartItem(state.cart, barcode, product, scoreProduct(product), {
+            allergens: state.settings.allergens
+        });
+        
+        if (resolved?.allergens.length > 0) {
+            showToast(`⚠️ ${resolved.name} contains ${resolved.allergens.join(', ')}`, 'warning');
+        }
+    } catch (error) {
+        console.error('Cart lookup error:', error);
+        failCartItem(state.cart, barcode, error.code === 'PRODUCT_NOT_FOUND' ? 'not-found' : 'error', error.message);
+    }
+    
+    saveState();
+    renderCart();
+}
+
+/**
+ * Finish lookups that were still running when the page was closed
+ */
+function resumeCartLookups() {
+    state.cart.items
+        .filter(item => item.status === 'loading')
+        .forEach(item => lookUpCartItem(item.barcode));
+}
+
+function removeFromCart(barcode) {
+    removeCartItem(state.cart, barcode);
+    saveState();
+    renderCart();
+}
+
+function clearCart() {
+    state.cart = { items: [], startedAt: cartMode ? new Date().toISOString() : null };
+    saveState();
+    renderCart();
+}
+
+function renderCart() {
+    const items = state.cart.items;
+    
+    cartPanel.style.display = cartMode || items.length > 0 ? 'block' : 'none';
+    cartCount.textContent = items.length;
+    
+    if (items.length === 0) {
+        cartList.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-shopping-cart"></i>
+                <p>Scan products to add them to the cart</p>
+            </div>
+        `;
+        return;
+    }
+    
+    // Newest first
+    cartList.innerHTML = [...items].reverse().map(item => {
+        if (item.status !== 'ready') {
+            return `
+                <div class="history-item cart-item" data-barcode="${escapeHTML(item.barcode)}">
+                    <div class="history-info">
+                        <div class="history-name">${escapeHTML(item.barcode)}</div>
+                        <div class="history-date">
+                            ${item.status === 'loading' ? '<i class="fas fa-spinner fa-spin"></i> Looking up…'
+                                : item.status === 'not-found' ? 'Not found in any database' : `Lookup failed: ${escapeHTML(item.error)}`}
+                        </div>
+                    </div>
+                    <button class="journal-delete cart-remove" title="Remove"><i class="fas fa-times"></i></button>
+                </div>
+            `;
+        }
+        
+        const scoreClass = item.score >= 70 ? 'good' : item.score >= 40 ? 'warning' : 'danger';
+        return `
+            <div class="history-item cart-item" data-barcode="${escapeHTML(item.barcode)}">
+                <img src="${escapeHTML(item.image)}" alt="${escapeHTML(item.name)}" class="history-image">
+                <div class="history-info">
+                    <div class="history-name">${escapeHTML(item.name)}</div>
+                    <div class="history-date">
+                        ${escapeHTML(item.brand)}
+                        ${item.allergens.length > 0 ? `<span class="cart-allergen">⚠️ ${escapeHTML(item.allergens.join(', '))}</span>` : ''}
+                    </div>
+                </div>
+                <div class="history-score ${scoreClass}">${item.score}</div>
+                <button class="journal-delete cart-remove" title="Remove"><i class="fas fa-times"></i></button>
+            </div>
+        `;
+    }).join('');
+    
+    cartList.querySelectorAll('.cart-item').forEach(row => {
+        const barcode = row.dataset.barcode;
+        row.querySelector('.cart-remove').addEventListener('click', (e) => {
+            e.stopPropagation();
+            removeFromCart(barcode);
+        });
+        
+        // Opening an item is a regular scan (shown, added to history)
+        row.addEventListener('click', () => {
+            const item = state.cart.items.find(entry => entry.barcode === barcode);
+            if (item?.status === 'ready') scanProduct(barcode);
+        });
+    });
+}
+
+function renderCartSummary() {
+    const summary = summarizeCart(state.cart);
+    
+    if (summary.count === 0) {
+        cartSummaryContent.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-shopping-cart"></i>
+                <p>${summary.pending > 0 ? 'Still looking up your items…' : 'The cart is empty. Turn on cart mode and scan as you shop.'}</p>
+            </div>
+        `;
+        return;
+    }
+    
+    const nutrientRows = summary.nutrients.map(row => `
+        <li>${row.label} <strong>${row.value} ${row.unit}</strong></li>
+    `).join('') || '<li>—</li>';
+    
+    const offenders = summary.worst.map((item, index) => `
+        <li>
+            ${escapeHTML(item.name)} <strong>${item.score}/100 (${item.grade})</strong>
+            <div class="cart-swap" id="cartSwap${index}"><i class="fas fa-spinner fa-spin"></i> Finding a swap…</div>
+        </li>
+    `).join('') || `<li>No items scoring under ${CART_CONFIG.offenderBelow} - nice shop!</li>`;
+    
+    cartSummaryContent.innerHTML = `
+        <div class="report-stats">
+            <div class="report-stat">
+                <span class="stat-number">${summary.count}</span>
+                <span class="stat-label">Items</span>
+            </div>
+            <div class="report-stat">
+                <span class="stat-number">${summary.averageScore ?? '—'}</span>
+                <span class="stat-label">Avg score</span>
+            </div>
+            <div class="report-stat">
+                <span class="stat-number">${summary.allergenItems.length}</span>
+                <span class="stat-label">Allergen alerts</span>
+            </div>
+        </div>
+        
+        <div class="report-section">
+            <h4><i class="fas fa-calculator"></i> Nutrition in the cart</h4>
+            <ul>${nutrientRows}</ul>
+            <p>Whole packages of ${summary.sized} item${summary.sized === 1 ? '' : 's'}${summary.unsized > 0
+                ? ` • ${summary.unsized} without a package size left out` : ''}</p>
+        </div>
+        
+        ${summary.allergenItems.length > 0 ? `
+            <div class="report-section">
+                <h4><i class="fas fa-exclamation-triangle"></i> Contains your allergens</h4>
+                <ul>${summary.allergenItems.map(item => `<li>${escapeHTML(item.name)} <strong>${escapeHTML(item.allergens.join(', '))}</strong></li>`).join('')}</ul>
+            </div>
+        ` : ''}
+        
+        <div class="report-section">
+            <h4><i class="fas fa-thumbs-down"></i> Worst offenders</h4>
+            <ul>${offenders}</ul>
+        </div>
+        
+        ${summary.pending + summary.failed > 0 ? `
+            <p>${summary.pending} still loading • ${summary.failed} not found</p>
+        ` : ''}
+    `;
+    
+    // Swaps come from the alternatives search, one offender at a time
+    summary.worst.forEach(async (item, index) => {
+        const alternatives = await fetchAlternativeProducts(item.categories, item.nutriscore);
+        const swap = pickCartSwap(item, alternatives, state.cart);
+        const slot = document.getElementById(`cartSwap${index}`);
+        if (!slot) return;
+        
+        slot.innerHTML = swap
+            ? `🔄 Try <strong>${escapeHTML(swap.name)}</strong>${swap.brand ? ` (${escapeHTML(swap.brand)})` : ''} - ${swap.score}/100, +${swap.gain}`
+            : 'No better alternative found';
+    });
+}
+
+// ============================================
+// TREND REPORTS
+// ============================================
+let reportPeriod = 7;
+
+function getCurrentReport() {
+    return buildNutritionReport(
+        { scanHistory: state.scanHistory, journal: state.journal },
+        reportPeriod,
+        {
+            gender: autoDetectGender(state.settings),
+            profile: autoDetectProfile(state.settings)
+        }
+    );
+}
+
+function changeReportPeriod(days) {
+    reportPeriod = days;
+    reportPeriodBtns.forEach(btn => btn.classList.toggle('active', parseInt(btn.dataset.period) === days));
+    renderReport();
+}
+
+function renderReport() {
+    const { scans, intake } = getCurrentReport();
+    
+    if (scans.count === 0 && intake.daysLogged === 0) {
+        reportContent.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-chart-line"></i>
+                <p>No scans or journal entries in the last ${reportPeriod} days</p>
+            </div>
+        `;
+        return;
+    }
+    
+    const maxGradeCount = Math.max(1, ...Object.values(scans.gradeDistribution));
+    const gradeBars = Object.entries(scans.gradeDistribution).map(([grade, count]) => `
+        <div class="daily-item">
+            <span>${grade}</span>
+            <div class="daily-bar">
+                <div class="daily-fill" style="width: ${(count / maxGradeCount) * 100}%"></div>
+            </div>
+            <span>${count}</span>
+        </div>
+    `).join('');
+    
+    const productList = (items) => items.map(item => `
+        <li>${escapeHTML(item.name)} <strong>${item.score}/100 (${item.grade})</strong></li>
+    `).join('') || '<li>—</li>';
+    
+    reportContent.innerHTML = `
+        <div class="report-stats">
+            <div class="report-stat">
+                <span class="stat-number">${scans.averageScore ?? '—'}</span>
+                <span class="stat-label">Avg score</span>
+            </div>
+            <div class="report-stat">
+                <span class="stat-number">${scans.count}</span>
+                <span class="stat-label">Scans</span>
+            </div>
+            <div class="report-stat">
+                <span class="stat-number">${intake.daysOverSugar}/${intake.daysLogged}</span>
+                <span class="stat-label">Days over sugar</span>
+            </div>
+            <div class="report-stat">
+                <span class="stat-number">${intake.daysOverSalt}/${intake.daysLogged}</span>
+                <span class="stat-label">Days over salt</span>
+            </div>
+        </div>
+        
+        <div class="report-section">
+            <h4><i class="fas fa-star"></i> Grade distribution</h4>
+            <div class="daily-progress">${gradeBars}</div>
+        </div>
+        
+        <div class="report-section">
+            <h4><i class="fas fa-tags"></i> Most scanned categories</h4>
+            <ul>${scans.topCategories.map(c => `<li>${escapeHTML(c.name)} <strong>${c.count}</strong></li>`).join('') || '<li>—</li>'}</ul>
+        </div>
+        
+        <div class="report-section">
+            <h4><i class="fas fa-thumbs-up"></i> Best products</h4>
+            <ul>${productList(scans.best)}</ul>
+        </div>
+        
+        <div class="report-section">
+            <h4><i class="fas fa-thumbs-down"></i> Worst products</h4>
+            <ul>${productList(scans.worst)}</ul>
+        </div>
+        
+        <div class="report-section">
+            <h4><i class="fas fa-book"></i> Logged intake</h4>
+            <p>${intake.daysLogged} days logged • avg ${intake.averageCalories ?? '—'} kcal/day •
+               sugar limit ${intake.sugarLimit}g • salt limit ${intake.saltLimit}g</p>
+        </div>
+    `;
+}
+
+function exportReportPDF() {
+    const report = getCurrentReport();
+    const pdf = createPDFWriter(`FoodScan Pro - ${report.periodDays}-Day Nutrition Report`);
+    
+    formatReportLines(report).forEach(line => {
+        if (line.size === 16) pdf.space();
+        pdf.write(line.text, line.size);
+    });
+    
+    pdf.doc.save(`foodscan-report-${report.to}-${report.periodDays}d.pdf`);
+    showToast('📄 Report exported successfully!');
 }
 
 // ============================================
@@ -1200,7 +2292,7 @@ function addToComparison() {
 function shareResults() {
     if (!state.currentProduct) return;
 
-    const healthData = calculateHealthScore(state.currentProduct.nutrition);
+    const healthData = scoreProduct(state.currentProduct);
     const text = `I just scanned ${state.currentProduct.name} with FoodScan Pro!\n\nHealth Score: ${healthData.score}/100\nGrade: ${healthData.grade}\n\n${healthData.recommendation}`;
 
     if (navigator.share) {
@@ -1242,6 +2334,35 @@ function updateAllergenSettings() {
     saveState();
 }
 
+async function importOfflineCatalog() {
+    const file = offlineCatalogInput.files[0];
+    if (!file || typeof offlineProductStore === 'undefined') return;
+    
+    offlineCatalogStatus.textContent = 'Importing...';
+    
+    try {
+        const result = await offlineProductStore.importDump(file);
+        showToast(`📦 Imported ${result.imported} products for offline use`);
+    } catch (error) {
+        console.error('Catalog import failed:', error);
+        showToast('❌ Could not import catalog file', 'error');
+    }
+    
+    offlineCatalogInput.value = '';
+    updateOfflineCatalogStatus();
+}
+
+async function updateOfflineCatalogStatus() {
+    if (!offlineCatalogStatus || typeof offlineProductStore === 'undefined') return;
+    
+    try {
+        const count = await offlineProductStore.count();
+        offlineCatalogStatus.textContent = `${count} products available offline`;
+    } catch (error) {
+        offlineCatalogStatus.textContent = 'Offline storage unavailable';
+    }
+}
+
 // ============================================
 // STATS & ACHIEVEMENTS
 // ============================================
@@ -1249,7 +2370,7 @@ function updateScanStats() {
     state.totalScans++;
     
     if (state.currentProduct) {
-        const healthData = calculateHealthScore(state.currentProduct.nutrition);
+        const healthData = scoreProduct(state.currentProduct);
         if (healthData.score >= 70) {
             state.healthyChoices++;
         }
@@ -1260,26 +2381,59 @@ function updateScanStats() {
 }
 
 function updateStats() {
+    state.streakDays = computeStreak(getActivityDays(state)).current;
+    
     totalScansEl.textContent = state.totalScans;
     healthyChoicesEl.textContent = state.healthyChoices;
     streakDaysEl.textContent = state.streakDays;
 }
 
-function checkAchievements() {
-    // First Scan
-    if (state.totalScans === 1) {
-        showAchievement('First Scan! 🎉', 'You\'ve started your health journey');
-    }
+function checkAchievements(options = {}) {
+    const context = {
+        totalScans: state.totalScans,
+        healthyChoices: state.healthyChoices,
+        streak: computeStreak(getActivityDays(state)),
+        scanHistory: state.scanHistory,
+        journal: state.journal,
+        dailyValueOptions: {
+            gender: autoDetectGender(state.settings),
+            profile: autoDetectProfile(state.settings)
+        }
+    };
     
-    // 10 Scans
-    if (state.totalScans === 10) {
-        showAchievement('Scanner Pro! 📊', 'You\'ve scanned 10 products');
-    }
+    const unlocked = evaluateAchievements(context, state.achievements);
+    if (unlocked.length === 0) return;
     
-    // 5 Healthy Choices
-    if (state.healthyChoices === 5) {
-        showAchievement('Health Warrior! 💪', 'Made 5 healthy food choices');
-    }
+    const unlockedAt = new Date().toISOString();
+    unlocked.forEach(def => {
+        state.achievements[def.id] = unlockedAt;
+    });
+    saveState();
+    
+    if (options.silent) return;
+    
+    // Show one popup after another
+    unlocked.forEach((def, index) => {
+        setTimeout(() => showAchievement(`${def.title} ${def.icon}`, def.description), index * 4500);
+    });
+}
+
+function renderAchievements() {
+    achievementsList.innerHTML = ACHIEVEMENT_DEFINITIONS.map(def => {
+        const unlockedAt = state.achievements[def.id];
+        
+        return `
+            <div class="history-item trophy-item ${unlockedAt ? 'unlocked' : 'locked'}">
+                <span class="trophy-icon">${unlockedAt ? def.icon : '🔒'}</span>
+                <div class="history-info">
+                    <div class="history-name">${def.title}</div>
+                    <div class="history-date">
+                        ${def.description}${unlockedAt ? ` • ${new Date(unlockedAt).toLocaleDateString()}` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
 }
 
 function showAchievement(title, description) {
@@ -1301,6 +2455,31 @@ function openModal(modal) {
     if (modal === historyModal) {
         renderHistory();
     }
+    
+    if (modal === settingsModal) {
+        updateOfflineCatalogStatus();
+    }
+    
+    if (modal === compareModal) {
+        renderComparison();
+    }
+    
+    if (modal === cartModal) {
+        renderCartSummary();
+    }
+    
+    if (modal === journalModal) {
+        journalDay = toDayKey();
+        renderJournal();
+    }
+    
+    if (modal === reportsModal) {
+        renderReport();
+    }
+    
+    if (modal === achievementsModal) {
+        renderAchievements();
+    }
 }
 
 function closeModal(modal) {
@@ -1318,6 +2497,17 @@ function resetScanner() {
     window.scrollTo({ top: 0, behavior: 'smooth' });
 }
 
+// ============================================
+// HTML ESCAPING
+// ============================================
+/**
+ * Escape product text (anyone can edit OFF names) before it goes into innerHTML
+ */
+function escapeHTML(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value ?? '').replace(/[&<>"']/g, char => entities[char]);
+}
+
 // ============================================
 // TOAST NOTIFICATIONS
 // ============================================
@@ -1364,6 +2554,11 @@ function loadState() {
         if (saved) {
             const parsed = JSON.parse(saved);
             Object.assign(state, parsed);
+            migrateHistoryScoreVersions();
+            migrateBarcodeKeys();
+            
+            // The undated running counter is replaced by the journal
+            delete state.dailyIntake;
             
             // Update UI with loaded state
             voiceEnabledToggle.checked = state.settings.voiceEnabled;
@@ -1388,6 +2583,39 @@ function loadState() {
     }
 }
 
+/**
+ * Tag history saved before scores were versioned.
+ * health-score-engine (1).js loads after app.js, so its calculateHealthScore
+ * was the one that actually produced those scores.
+ */
+function migrateHistoryScoreVersions() {
+    state.scanHistory.forEach(item => {
+        if (!item.scoreVersion) {
+            item.scoreVersion = 'engine-v2';
+        }
+    });
+}
+
+/**
+ * Move barcodes saved before GTIN normalisation to their canonical key,
+ * so an earlier UPC-A scan and a new EAN-13 scan are the same product
+ */
+function migrateBarcodeKeys() {
+    [state.scanHistory, state.journal, state.comparisonTray].forEach(items => {
+        items.forEach(item => {
+            if (item.barcode) item.barcode = toGTINKey(item.barcode);
+        });
+    });
+
+    const timelines = {};
+    Object.entries(state.productVersions || {}).forEach(([barcode, timeline]) => {
+        const key = toGTINKey(barcode);
+        timelines[key] = [...(timelines[key] || []), ...timeline]
+            .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+    });
+    state.productVersions = timelines;
+}
+
 // ============================================
 // INITIALIZE APP
 // ============================================
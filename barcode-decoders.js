@@ -0,0 +1,572 @@
+// ============================================
+// 🔍 BARCODE DECODERS
+// ============================================
+// Live barcode decoding behind one interface. The browser's native
+// BarcodeDetector is preferred where it exists (faster, better on
+// EAN-8 and UPC-E); QuaggaJS is the fallback. Every detection reports
+// the decoder, the symbology and how long decoding took, and per-decoder
+// stats are kept so decoders can be compared. Still images (uploaded
+// photos, a captured frame) are decoded too, at several rotations and scales.
+
+const BARCODE_DECODER_CONFIG = {
+    // Decoders tried in order until one is supported and starts
+    order: ['native', 'quagga'],
+
+    // Symbologies to look for (BarcodeDetector and Quagga share these names)
+    formats: ['ean_13', 'ean_8', 'upc_a', 'upc_e', 'code_128', 'code_39'],
+
+    native: {
+        frameInterval: 100 // ms between frames (10 per second, like Quagga)
+    },
+    quagga: {
+        url: 'https://cdn.jsdelivr.net/npm/@ericblade/quagga2@1.8.4/dist/quagga.min.js'
+    },
+    image: {
+        maxSide: 1280,                // photos are scaled down to this first
+        scales: [1, 0.5, 1.5],        // then tried at these sizes
+        rotations: [0, 90, 45, 135]   // 1D codes read both ways, so 180/270 add nothing
+    }
+};
+
+/**
+ * Quagga readers for the symbologies above
+ */
+const QUAGGA_READERS = [
+    "ean_reader",      // EAN-13 (most common)
+    "ean_8_reader",    // EAN-8
+    "code_128_reader", // Code 128
+    "code_39_reader",  // Code 39
+    "upc_reader",      // UPC-A
+    "upc_e_reader"     // UPC-E
+];
+
+/**
+ * Frame and detection counts per decoder
+ */
+const decoderStats = {};
+
+/**
+ * Count a decoded frame
+ * @param {string} id - Decoder id
+ * @param {number} decodeMs - Time spent on the frame
+ * @param {boolean} detected - Whether a barcode was found in it
+ */
+function recordDecoderFrame(id, decodeMs, detected = false) {
+    const stats = decoderStats[id] || (decoderStats[id] = { frames: 0, detections: 0, totalDecodeMs: 0 });
+    stats.frames++;
+    stats.totalDecodeMs += decodeMs;
+    if (detected) stats.detections++;
+}
+
+/**
+ * Per-decoder stats for comparing decoders
+ * @returns {Object} { [id]: { name, frames, detections, averageDecodeMs } }
+ */
+function getDecoderStats() {
+    return Object.fromEntries(Object.entries(decoderStats).map(([id, stats]) => [id, {
+        name: BARCODE_DECODERS[id]?.name || id,
+        frames: stats.frames,
+        detections: stats.detections,
+        averageDecodeMs: stats.frames === 0 ? 0 : Math.round(stats.totalDecodeMs / stats.frames * 10) / 10
+    }]));
+}
+
+/**
+ * A detection as every decoder reports it
+ * @param {Object} decoder - Decoder that found the code
+ * @param {Object} fields - { code, format, confidence (0-1, null when the decoder has none), decodeMs, startedAt, raw }
+ * @returns {Object} { code, format, decoder, decoderName, confidence, timing: { decodeMs, sinceStartMs }, raw }
+ */
+function createDetection(decoder, { code, format, confidence = null, decodeMs, startedAt, raw = null }) {
+    return {
+        code: String(code),
+        format: format || null,
+        decoder: decoder.id,
+        decoderName: decoder.name,
+        confidence,
+        timing: {
+            decodeMs: Math.round(decodeMs * 10) / 10,
+            sinceStartMs: Math.round(decoderNow() - startedAt)
+        },
+        raw
+    };
+}
+
+/**
+ * High-resolution time where available
+ */
+function decoderNow() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+// ============================================
+// DECODERS
+// ============================================
+
+/**
+ * Native BarcodeDetector (Chrome on Android and macOS, Safari 17+)
+ */
+function createNativeDecoder() {
+    let running = false;
+    let timer = null;
+
+    return {
+        id: 'native',
+        name: 'BarcodeDetector',
+
+        async isSupported() {
+            if (typeof BarcodeDetector === 'undefined') return false;
+            try {
+                // Some platforms ship the API with no formats behind it
+                const supported = await BarcodeDetector.getSupportedFormats();
+                return BARCODE_DECODER_CONFIG.formats.some(format => supported.includes(format));
+            } catch (error) {
+                return false;
+            }
+        },
+
+        async start(video, onDetect) {
+            const detector = await createNativeDetector();
+            const startedAt = decoderNow();
+            running = true;
+
+            const scanFrame = async () => {
+                if (!running) return;
+
+                // Skip frames until the video has one to show
+                if (video.readyState >= 2) {
+                    const frameStart = decoderNow();
+                    try {
+                        const [barcode] = await detector.detect(video);
+                        const decodeMs = decoderNow() - frameStart;
+                        recordDecoderFrame(this.id, decodeMs, !!barcode);
+
+                        if (barcode && running) {
+                            onDetect(createDetection(this, {
+                                code: barcode.rawValue,
+                                format: barcode.format,
+                                decodeMs,
+                                startedAt,
+                                raw: barcode
+                            }));
+                        }
+                    } catch (error) {
+                        console.warn('⚠️ BarcodeDetector frame failed:', error.message);
+                    }
+                }
+
+                if (running) timer = setTimeout(scanFrame, BARCODE_DECODER_CONFIG.native.frameInterval);
+            };
+
+            scanFrame();
+        },
+
+        async decodeImage(image) {
+            const detector = await createNativeDetector();
+            const barcodes = await detector.detect(image);
+            return barcodes.map(barcode => ({ code: barcode.rawValue, format: barcode.format, confidence: null, raw: barcode }));
+        },
+
+        stop() {
+            running = false;
+            clearTimeout(timer);
+        }
+    };
+}
+
+/**
+ * BarcodeDetector for the configured formats this browser supports
+ */
+async function createNativeDetector() {
+    const supported = await BarcodeDetector.getSupportedFormats();
+    return new BarcodeDetector({
+        formats: BARCODE_DECODER_CONFIG.formats.filter(format => supported.includes(format))
+    });
+}
+
+/**
+ * QuaggaJS (loaded on demand)
+ */
+function createQuaggaDecoder() {
+    let started = false;
+
+    return {
+        id: 'quagga',
+        name: 'QuaggaJS',
+
+        async isSupported() {
+            return true;
+        },
+
+        async start(video, onDetect) {
+            if (typeof Quagga === 'undefined') {
+                await loadQuaggaJS();
+            }
+
+            const startedAt = decoderNow();
+            let lastFrameAt = startedAt;
+
+            await new Promise((resolve, reject) => {
+                Quagga.init(createQuaggaConfig(video), (err) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    Quagga.start();
+                    started = true;
+                    resolve();
+                });
+            });
+
+            // Quagga doesn't time its frames; the gap between processed frames is the closest measure
+            let frameMs = 0;
+            Quagga.onProcessed((result) => {
+                const frameAt = decoderNow();
+                frameMs = frameAt - lastFrameAt;
+                lastFrameAt = frameAt;
+                recordDecoderFrame(this.id, frameMs, !!result?.codeResult?.code);
+                drawQuaggaOverlay(result);
+            });
+
+            Quagga.onDetected((result) => {
+                onDetect(createDetection(this, {
+                    code: result.codeResult.code,
+                    format: result.codeResult.format,
+                    confidence: calculateQuaggaConfidence(result),
+                    decodeMs: frameMs,
+                    startedAt,
+                    raw: result
+                }));
+            });
+        },
+
+        async decodeImage(image) {
+            if (typeof Quagga === 'undefined') {
+                await loadQuaggaJS();
+            }
+
+            return new Promise((resolve) => {
+                Quagga.decodeSingle({
+                    src: image.toDataURL('image/png'),
+                    numOfWorkers: 0,
+                    inputStream: { size: Math.max(image.width, image.height) },
+                    locator: { patchSize: "medium", halfSample: true },
+                    decoder: { readers: QUAGGA_READERS, multiple: true },
+                    locate: true
+                }, (result) => {
+                    // One result, a list (multiple: true) or nothing
+                    const results = [].concat(result || []).filter(entry => entry?.codeResult?.code);
+                    resolve(results.map(entry => ({
+                        code: entry.codeResult.code,
+                        format: entry.codeResult.format,
+                        confidence: calculateQuaggaConfidence(entry),
+                        raw: entry
+                    })));
+                });
+            });
+        },
+
+        stop() {
+            if (started && typeof Quagga !== 'undefined') {
+                Quagga.offDetected();
+                Quagga.offProcessed();
+                Quagga.stop();
+            }
+            started = false;
+        }
+    };
+}
+
+/**
+ * Quagga settings tuned for product barcodes on mobile
+ */
+function createQuaggaConfig(video) {
+    return {
+        inputStream: {
+            name: "Live",
+            type: "LiveStream",
+            target: video,
+            constraints: {
+                facingMode: "environment",
+                width: { min: 640, ideal: 1280 },
+                height: { min: 480, ideal: 720 }
+            },
+            area: { // Scanning area (center of frame)
+                top: "20%",
+                right: "10%",
+                left: "10%",
+                bottom: "20%"
+            },
+            singleChannel: false // Use color for better detection
+        },
+        locator: {
+            patchSize: "medium",
+            halfSample: true
+        },
+        numOfWorkers: navigator.hardwareConcurrency || 4,
+        frequency: 10, // Process 10 frames per second
+        decoder: {
+            readers: QUAGGA_READERS,
+            multiple: false // Only detect one barcode at a time
+        },
+        locate: true
+    };
+}
+
+/**
+ * Load QuaggaJS library dynamically
+ */
+function loadQuaggaJS() {
+    return new Promise((resolve, reject) => {
+        console.log('📦 Loading QuaggaJS library...');
+
+        const script = document.createElement('script');
+        script.src = BARCODE_DECODER_CONFIG.quagga.url;
+        script.onload = () => {
+            console.log('✅ QuaggaJS loaded');
+            resolve();
+        };
+        script.onerror = () => {
+            console.error('❌ Failed to load QuaggaJS');
+            reject(new Error('Failed to load QuaggaJS'));
+        };
+
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Quagga detection confidence (1 - average decoder error)
+ */
+function calculateQuaggaConfidence(result) {
+    if (!result || !result.codeResult) return 0;
+
+    const decoders = result.codeResult.decoders || [];
+    if (decoders.length === 0) return 0;
+
+    const avgError = decoders.reduce((sum, decoder) =>
+        sum + (decoder.error || 1), 0) / decoders.length;
+
+    return Math.max(0, 1 - avgError);
+}
+
+/**
+ * Draw Quagga's candidate boxes and the decoded code on its overlay
+ */
+function drawQuaggaOverlay(result) {
+    const drawingCtx = Quagga.canvas?.ctx?.overlay;
+    const drawingCanvas = Quagga.canvas?.dom?.overlay;
+
+    if (!drawingCtx || !drawingCanvas) return;
+
+    drawingCtx.clearRect(0, 0, drawingCanvas.width, drawingCanvas.height);
+
+    // Draw detection box when barcode found
+    if (result && result.boxes) {
+        result.boxes.filter(box => box !== result.box).forEach(box => {
+            Quagga.ImageDebug.drawPath(box, {x: 0, y: 1}, drawingCtx, {
+                color: 'green',
+                lineWidth: 2
+            });
+        });
+    }
+
+    // Draw main detection box
+    if (result && result.box) {
+        Quagga.ImageDebug.drawPath(result.box, {x: 0, y: 1}, drawingCtx, {
+            color: '#00FF00',
+            lineWidth: 3
+        });
+    }
+
+    // Draw barcode line
+    if (result && result.codeResult && result.codeResult.code) {
+        drawingCtx.font = "24px Arial";
+        drawingCtx.fillStyle = '#00FF00';
+        drawingCtx.fillText(result.codeResult.code, 10, 30);
+    }
+}
+
+/**
+ * Registered decoder factories by id (each start gets a fresh decoder)
+ */
+const BARCODE_DECODERS = {
+    native: { id: 'native', name: 'BarcodeDetector', create: createNativeDecoder },
+    quagga: { id: 'quagga', name: 'QuaggaJS', create: createQuaggaDecoder }
+};
+
+/**
+ * Add or replace a decoder
+ * @param {Object} definition - { id, name, create() } where create returns
+ *   { id, name, isSupported(), start(video, onDetect), stop(), decodeImage(canvas) (optional) }
+ *   onDetect gets createDetection() results; decodeImage resolves to [{ code, format, confidence }]
+ */
+function registerBarcodeDecoder(definition) {
+    if (!definition || !definition.id || typeof definition.create !== 'function') {
+        throw new Error('A decoder needs an id and create()');
+    }
+    BARCODE_DECODERS[definition.id] = definition;
+}
+
+/**
+ * Start the first decoder that is supported and starts
+ * @param {HTMLVideoElement} video - Live camera video
+ * @param {Function} onDetect - Called with each detection
+ * @param {Object} options - { decoders: ids in order }
+ * @returns {Promise<Object>} The running decoder (call stop() on it)
+ * @throws {Error} When no decoder could start
+ */
+async function startBarcodeDecoder(video, onDetect, options = {}) {
+    const order = options.decoders || BARCODE_DECODER_CONFIG.order;
+    const failures = [];
+
+    for (const id of order) {
+        const definition = BARCODE_DECODERS[id];
+        if (!definition) {
+            console.warn(`Unknown barcode decoder "${id}", skipping`);
+            continue;
+        }
+
+        const decoder = definition.create();
+        if (!(await decoder.isSupported())) {
+            console.log(`ℹ️ ${decoder.name} not available on this device`);
+            continue;
+        }
+
+        try {
+            await decoder.start(video, onDetect);
+            console.log(`✅ ${decoder.name} started`);
+            return decoder;
+        } catch (error) {
+            console.warn(`⚠️ ${decoder.name} failed to start:`, error.message);
+            failures.push(`${decoder.name}: ${error.message}`);
+            decoder.stop();
+        }
+    }
+
+    throw new Error(failures.length > 0 ? failures.join('; ') : 'No barcode decoder available');
+}
+
+// ============================================
+// STILL IMAGES
+// ============================================
+
+/**
+ * Something drawable from a File/Blob, data URL, image, canvas or bitmap
+ */
+async function loadImageSource(source) {
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+        if (typeof createImageBitmap === 'function') {
+            return createImageBitmap(source);
+        }
+        source = URL.createObjectURL(source);
+    }
+
+    if (typeof source === 'string') {
+        const image = new Image();
+        image.src = source;
+        await image.decode();
+        return image;
+    }
+
+    return source;
+}
+
+/**
+ * Draw an image rotated and scaled onto a fresh canvas
+ * @param {Object} image - Drawable (see loadImageSource)
+ * @param {number} rotation - Degrees
+ * @param {number} scale - Size relative to the image fitted to image.maxSide
+ */
+function renderImageVariant(image, rotation, scale) {
+    const width = image.naturalWidth || image.videoWidth || image.width;
+    const height = image.naturalHeight || image.videoHeight || image.height;
+    const fit = Math.min(1, BARCODE_DECODER_CONFIG.image.maxSide / Math.max(width, height)) * scale;
+    const radians = rotation * Math.PI / 180;
+
+    // Canvas big enough for the rotated image
+    const drawnWidth = width * fit;
+    const drawnHeight = height * fit;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(Math.abs(drawnWidth * Math.cos(radians)) + Math.abs(drawnHeight * Math.sin(radians)));
+    canvas.height = Math.round(Math.abs(drawnWidth * Math.sin(radians)) + Math.abs(drawnHeight * Math.cos(radians)));
+
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff'; // quiet zone around rotated corners
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.translate(canvas.width / 2, canvas.height / 2);
+    context.rotate(radians);
+    context.drawImage(image, -drawnWidth / 2, -drawnHeight / 2, drawnWidth, drawnHeight);
+
+    return canvas;
+}
+
+/**
+ * Find product barcodes in a still image
+ * Each rotation and scale is tried in turn until one yields valid GTINs
+ * @param {*} source - File/Blob (upload or drop), data URL, image, canvas (captured frame) or bitmap
+ * @param {Object} options - { decoders: ids in order, renderVariant(image, rotation, scale) }
+ * @returns {Promise<Array>} [{ code (canonical GTIN), rawCode, format, gtinFormat, decoder, decoderName, confidence, rotation, scale, timing }]
+ */
+async function decodeBarcodesFromImage(source, options = {}) {
+    const image = await loadImageSource(source);
+    const renderVariant = options.renderVariant || renderImageVariant;
+    const { scales, rotations } = BARCODE_DECODER_CONFIG.image;
+
+    for (const id of options.decoders || BARCODE_DECODER_CONFIG.order) {
+        const definition = BARCODE_DECODERS[id];
+        if (!definition) continue;
+
+        const decoder = definition.create();
+        if (typeof decoder.decodeImage !== 'function' || !(await decoder.isSupported())) continue;
+
+        const startedAt = decoderNow();
+        for (const scale of scales) {
+            for (const rotation of rotations) {
+                const frameStart = decoderNow();
+                let found = [];
+                try {
+                    found = await decoder.decodeImage(renderVariant(image, rotation, scale));
+                } catch (error) {
+                    console.warn(`⚠️ ${decoder.name} could not decode the image:`, error.message);
+                }
+                const decodeMs = decoderNow() - frameStart;
+
+                // Keep product barcodes only, once each
+                const codes = new Map();
+                found.forEach(result => {
+                    const gtin = normalizeGTIN(result.code, { format: result.format });
+                    if (!gtin.valid || codes.has(gtin.gtin)) return;
+
+                    codes.set(gtin.gtin, {
+                        ...createDetection(decoder, { ...result, decodeMs, startedAt }),
+                        code: gtin.gtin,
+                        rawCode: String(result.code),
+                        gtinFormat: gtin.format,
+                        rotation,
+                        scale
+                    });
+                });
+                recordDecoderFrame(decoder.id, decodeMs, codes.size > 0);
+
+                if (codes.size > 0) return [...codes.values()];
+            }
+        }
+    }
+
+    return [];
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BARCODE_DECODER_CONFIG,
+        BARCODE_DECODERS,
+        registerBarcodeDecoder,
+        startBarcodeDecoder,
+        decodeBarcodesFromImage,
+        getDecoderStats
+    };
+}
+
+console.log('✅ Barcode Decoders loaded successfully');
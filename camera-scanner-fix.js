@@ -1,8 +1,10 @@
 // ============================================
 // 📷 ENHANCED CAMERA & BARCODE SCANNER FIX
 // ============================================
-// Fixes: QuaggaJS integration, mobile camera, permissions, API pipeline
-// Version: 2.0
+// Fixes: barcode decoding, mobile camera, permissions, API pipeline
+// Decoding goes through barcode-decoders.js (BarcodeDetector, else QuaggaJS)
+// Captured frames are decoded as still images
+// Version: 2.2
 
 /**
  * Enhanced Camera Manager
@@ -11,12 +13,16 @@
 class EnhancedCameraManager {
     constructor() {
         this.stream = null;
-        this.quaggaStarted = false;
+        this.decoder = null;
         this.cameraInitialized = false;
         this.detectionActive = false;
         this.lastDetectedCode = null;
         this.lastDetectionTime = 0;
         this.detectionCooldown = 3000; // 3 seconds between scans
+        this.consensus = new ScanConsensus(); // frames must agree before a code is accepted
+        this.holdTimer = null;
+        this.continuousMode = false; // cart mode: keep scanning instead of opening each product
+        this.onContinuousScan = null;
         
         this.elements = {
             video: document.getElementById('cameraVideo'),
@@ -73,6 +79,10 @@ class EnhancedCameraManager {
                     3. Select "Allow"<br>
                     4. Refresh the page
                 </div>
+                <button class="camera-btn secondary" data-action="upload-photo" style="margin-top: 16px;">
+                    <i class="fas fa-image"></i>
+                    Upload a photo instead
+                </button>
             </div>
         `;
         
@@ -87,6 +97,11 @@ class EnhancedCameraManager {
             infoDiv.innerHTML = message;
             infoDiv.style.cssText = 'margin: 20px 0;';
             cameraMode.appendChild(infoDiv);
+
+            // Without the camera a photo of the barcode still works
+            infoDiv.querySelector('[data-action="upload-photo"]').addEventListener('click', () => {
+                document.getElementById('barcodeImageInput')?.click();
+            });
         }
     }
 
@@ -149,7 +164,7 @@ class EnhancedCameraManager {
             this.updateCameraUI(true);
             
             // Initialize barcode detection
-            await this.initQuaggaJS();
+            await this.initDecoder();
             
             this.cameraInitialized = true;
             console.log('✅ Camera started successfully');
@@ -165,253 +180,88 @@ class EnhancedCameraManager {
     }
 
     /**
-     * Initialize QuaggaJS with optimized settings
+     * Start the preferred barcode decoder (BarcodeDetector, else QuaggaJS)
      */
-    async initQuaggaJS() {
-        return new Promise((resolve, reject) => {
-            // Check if Quagga is loaded
-            if (typeof Quagga === 'undefined') {
-                console.error('❌ QuaggaJS library not loaded');
-                
-                // Try to load it dynamically
-                this.loadQuaggaJS()
-                    .then(() => this.initQuaggaJS())
-                    .then(resolve)
-                    .catch(reject);
-                return;
-            }
-
-            if (!this.elements.video) {
-                reject(new Error('Video element not found'));
-                return;
-            }
-
-            console.log('🔧 Initializing QuaggaJS...');
-
-            const quaggaConfig = {
-                inputStream: {
-                    name: "Live",
-                    type: "LiveStream",
-                    target: this.elements.video,
-                    constraints: {
-                        facingMode: "environment",
-                        width: { min: 640, ideal: 1280 },
-                        height: { min: 480, ideal: 720 }
-                    },
-                    area: { // Scanning area (center of frame)
-                        top: "20%",
-                        right: "10%",
-                        left: "10%",
-                        bottom: "20%"
-                    },
-                    singleChannel: false // Use color for better detection
-                },
-                locator: {
-                    patchSize: "medium",
-                    halfSample: true
-                },
-                numOfWorkers: navigator.hardwareConcurrency || 4,
-                frequency: 10, // Process 10 frames per second
-                decoder: {
-                    readers: [
-                        "ean_reader",      // EAN-13 (most common)
-                        "ean_8_reader",    // EAN-8
-                        "code_128_reader", // Code 128
-                        "code_39_reader",  // Code 39
-                        "upc_reader",      // UPC-A
-                        "upc_e_reader"     // UPC-E
-                    ],
-                    multiple: false // Only detect one barcode at a time
-                },
-                locate: true
-            };
-
-            Quagga.init(quaggaConfig, (err) => {
-                if (err) {
-                    console.error('QuaggaJS init error:', err);
-                    reject(err);
-                    return;
-                }
-
-                Quagga.start();
-                this.quaggaStarted = true;
-                this.detectionActive = true;
-                console.log('✅ QuaggaJS started successfully');
-
-                // Set up detection handler
-                this.setupBarcodeDetection();
-                
-                // Set up visual feedback
-                this.setupVisualFeedback();
-
-                resolve();
-            });
-        });
-    }
+    async initDecoder() {
+        if (!this.elements.video) {
+            throw new Error('Video element not found');
+        }
 
-    /**
-     * Load QuaggaJS library dynamically
-     */
-    async loadQuaggaJS() {
-        return new Promise((resolve, reject) => {
-            console.log('📦 Loading QuaggaJS library...');
-            
-            const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/@ericblade/quagga2@1.8.4/dist/quagga.min.js';
-            script.onload = () => {
-                console.log('✅ QuaggaJS loaded');
-                resolve();
-            };
-            script.onerror = () => {
-                console.error('❌ Failed to load QuaggaJS');
-                reject(new Error('Failed to load QuaggaJS'));
-            };
-            
-            document.head.appendChild(script);
-        });
+        console.log('🔧 Initializing barcode decoder...');
+        this.consensus.reset();
+        this.detectionActive = true;
+        try {
+            this.decoder = await startBarcodeDecoder(this.elements.video, detection => this.handleDetection(detection));
+        } catch (error) {
+            this.detectionActive = false;
+            throw error;
+        }
     }
 
     /**
-     * Setup barcode detection with validation
+     * Buffer a detection and scan the code once enough frames agree on it
+     * @param {Object} detection - { code, format, decoder, decoderName, confidence, timing } from barcode-decoders.js
      */
-    setupBarcodeDetection() {
-        Quagga.onDetected(async (result) => {
-            if (!this.detectionActive) return;
-
-            const code = result.codeResult.code;
-            
-            // Validate barcode
-            if (!this.isValidBarcode(code)) {
-                console.log('Invalid barcode detected:', code);
-                return;
-            }
+    async handleDetection(detection) {
+        if (!this.detectionActive) return;
+
+        // Digits are voted on across frames; the winner must have a valid check digit (scan-consensus.js)
+        const reading = this.consensus.add(detection);
+        if (reading.status === 'ignored') {
+            console.log('Not a product barcode:', detection.code);
+            return;
+        }
+        if (reading.status === 'pending') {
+            this.showDetectionFeedback('holding', reading.progress);
+            return;
+        }
 
-            // Check cooldown (prevent multiple scans of same code)
-            const now = Date.now();
-            if (code === this.lastDetectedCode && 
-                (now - this.lastDetectionTime) < this.detectionCooldown) {
-                return;
-            }
+        // UPC-E and padded codes become the canonical GTIN (gtin.js)
+        const code = normalizeGTIN(reading.code, { format: reading.format }).gtin;
 
-            // Check confidence level
-            const confidence = this.calculateConfidence(result);
-            if (confidence < 0.8) {
-                console.log('Low confidence detection:', confidence);
-                return;
-            }
-
-            console.log('✅ Barcode detected:', code, 'Confidence:', confidence);
+        // Check cooldown (prevent multiple scans of same code)
+        const now = Date.now();
+        if (code === this.lastDetectedCode && 
+            (now - this.lastDetectionTime) < this.detectionCooldown) {
+            return;
+        }
 
-            // Update last detection
-            this.lastDetectedCode = code;
-            this.lastDetectionTime = now;
-            this.detectionActive = false;
+        console.log(`✅ Barcode detected by ${detection.decoderName}:`, code, reading.format,
+            `${reading.frames} frames, ${Math.round(reading.agreement * 100)}% agreement,`,
+            `${detection.timing.sinceStartMs}ms after start`);
 
-            // Visual feedback
-            this.showDetectionFeedback(true);
+        // Update last detection
+        this.lastDetectedCode = code;
+        this.lastDetectionTime = now;
 
-            // Play beep sound (optional)
+        // Cart mode: hand the code over and keep the camera live
+        if (this.continuousMode && typeof this.onContinuousScan === 'function') {
+            this.showDetectionFeedback('success');
             this.playBeep();
+            this.onContinuousScan(code);
+            return;
+        }
 
-            // Stop camera
-            this.stopCamera();
+        this.detectionActive = false;
 
-            // Trigger scan via health system or original function
-            await this.processScan(code);
-        });
-    }
+        // Visual feedback
+        this.showDetectionFeedback('success');
 
-    /**
-     * Setup visual feedback overlay
-     */
-    setupVisualFeedback() {
-        Quagga.onProcessed((result) => {
-            const drawingCtx = Quagga.canvas.ctx.overlay;
-            const drawingCanvas = Quagga.canvas.dom.overlay;
-
-            if (!drawingCtx || !drawingCanvas) return;
-
-            drawingCtx.clearRect(0, 0, drawingCanvas.width, drawingCanvas.height);
-
-            // Draw detection box when barcode found
-            if (result && result.boxes) {
-                drawingCtx.strokeStyle = 'rgba(0, 255, 0, 0.5)';
-                drawingCtx.lineWidth = 2;
-
-                result.boxes.filter(box => box !== result.box).forEach(box => {
-                    Quagga.ImageDebug.drawPath(box, {x: 0, y: 1}, drawingCtx, {
-                        color: 'green',
-                        lineWidth: 2
-                    });
-                });
-            }
+        // Play beep sound (optional)
+        this.playBeep();
 
-            // Draw main detection box
-            if (result && result.box) {
-                Quagga.ImageDebug.drawPath(result.box, {x: 0, y: 1}, drawingCtx, {
-                    color: '#00FF00',
-                    lineWidth: 3
-                });
-            }
+        // Stop camera
+        this.stopCamera();
 
-            // Draw barcode line
-            if (result && result.codeResult && result.codeResult.code) {
-                drawingCtx.font = "24px Arial";
-                drawingCtx.fillStyle = '#00FF00';
-                drawingCtx.fillText(result.codeResult.code, 10, 30);
-            }
-        });
+        // Trigger scan via health system or original function
+        await this.processScan(code);
     }
 
     /**
-     * Validate barcode format
+     * Validate barcode format (check digit of any GS1 format, see gtin.js)
      */
     isValidBarcode(code) {
-        if (!code || typeof code !== 'string') return false;
-        
-        // Remove spaces
-        const cleaned = code.replace(/\s/g, '');
-        
-        // Check if numeric and reasonable length
-        if (!/^\d{8,14}$/.test(cleaned)) return false;
-        
-        // Basic checksum validation for EAN-13
-        if (cleaned.length === 13) {
-            return this.validateEAN13(cleaned);
-        }
-        
-        return true;
-    }
-
-    /**
-     * Validate EAN-13 checksum
-     */
-    validateEAN13(code) {
-        if (code.length !== 13) return false;
-        
-        let sum = 0;
-        for (let i = 0; i < 12; i++) {
-            sum += parseInt(code[i]) * (i % 2 === 0 ? 1 : 3);
-        }
-        
-        const checksum = (10 - (sum % 10)) % 10;
-        return checksum === parseInt(code[12]);
-    }
-
-    /**
-     * Calculate detection confidence
-     */
-    calculateConfidence(result) {
-        if (!result || !result.codeResult) return 0;
-        
-        // Average the confidence of all decoders
-        const decoders = result.codeResult.decoders || [];
-        if (decoders.length === 0) return 0;
-        
-        const avgError = decoders.reduce((sum, decoder) => 
-            sum + (decoder.error || 1), 0) / decoders.length;
-        
-        return Math.max(0, 1 - avgError);
+        return isValidGTIN(code);
     }
 
     /**
@@ -453,13 +303,41 @@ class EnhancedCameraManager {
         }
     }
 
+    /**
+     * Keep the camera live and pass every scanned code to a callback (cart mode)
+     * @param {boolean} enabled - Continuous scanning on or off
+     * @param {Function} onScan - Called with each accepted canonical GTIN
+     */
+    setContinuousMode(enabled, onScan = null) {
+        this.continuousMode = enabled;
+        this.onContinuousScan = enabled ? onScan : null;
+    }
+
+    /**
+     * Change how many frames must agree before a code is accepted
+     * @param {string} strictness - 'relaxed' | 'balanced' | 'strict'
+     */
+    setScanStrictness(strictness) {
+        this.consensus.setStrictness(strictness);
+        this.consensus.reset();
+    }
+
     /**
      * Show detection feedback
+     * @param {string} status - 'success' | 'error' flash the frame, 'holding' shows a "hold steady" bar
+     * @param {number} progress - How far consensus has got (0-1), for 'holding'
      */
-    showDetectionFeedback(success = true) {
+    showDetectionFeedback(status = 'success', progress = 0) {
         const video = this.elements.video;
         if (!video) return;
 
+        if (status === 'holding') {
+            this.showHoldSteady(video, progress);
+            return;
+        }
+        this.hideHoldSteady();
+
+        const success = status === 'success';
         const overlay = document.createElement('div');
         overlay.style.cssText = `
             position: absolute;
@@ -492,6 +370,53 @@ class EnhancedCameraManager {
         }
     }
 
+    /**
+     * "Hold steady" label with a progress bar while frames agree on a code
+     */
+    showHoldSteady(video, progress) {
+        let indicator = document.getElementById('scanHoldIndicator');
+
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.id = 'scanHoldIndicator';
+            indicator.style.cssText = `
+                position: absolute;
+                left: 50%;
+                bottom: 16px;
+                transform: translateX(-50%);
+                padding: 8px 16px;
+                border-radius: 999px;
+                background: rgba(0, 0, 0, 0.6);
+                color: #fff;
+                font-size: 0.9rem;
+                pointer-events: none;
+                z-index: 1000;
+            `;
+            indicator.innerHTML = `
+                <div>✋ Hold steady…</div>
+                <div style="height: 4px; margin-top: 6px; background: rgba(255, 255, 255, 0.3); border-radius: 2px;">
+                    <div class="scan-hold-progress" style="height: 100%; width: 0; background: #22c55e; border-radius: 2px; transition: width 0.1s;"></div>
+                </div>
+            `;
+            video.parentElement.style.position = 'relative';
+            video.parentElement.appendChild(indicator);
+        }
+
+        indicator.querySelector('.scan-hold-progress').style.width = `${Math.round(progress * 100)}%`;
+
+        // Disappears when frames stop coming (barcode moved out of view)
+        clearTimeout(this.holdTimer);
+        this.holdTimer = setTimeout(() => this.hideHoldSteady(), this.consensus.level.windowMs);
+    }
+
+    /**
+     * Remove the "hold steady" label
+     */
+    hideHoldSteady() {
+        clearTimeout(this.holdTimer);
+        document.getElementById('scanHoldIndicator')?.remove();
+    }
+
     /**
      * Play beep sound
      */
@@ -532,8 +457,9 @@ class EnhancedCameraManager {
         
         context.drawImage(this.elements.video, 0, 0);
 
-        if (typeof showToast === 'function') {
-            showToast('📸 Image captured!', 'success');
+        // Decode the still frame (app.js: barcode from a photo)
+        if (typeof scanImage === 'function') {
+            scanImage(this.elements.canvas);
         }
 
         return this.elements.canvas.toDataURL('image/jpeg', 0.8);
@@ -554,12 +480,14 @@ class EnhancedCameraManager {
             this.stream = null;
         }
 
-        // Stop Quagga
-        if (this.quaggaStarted && typeof Quagga !== 'undefined') {
-            Quagga.stop();
-            this.quaggaStarted = false;
-            this.detectionActive = false;
+        // Stop the decoder
+        if (this.decoder) {
+            this.decoder.stop();
+            this.decoder = null;
         }
+        this.detectionActive = false;
+        this.consensus.reset();
+        this.hideHoldSteady();
 
         // Clear video source
         if (this.elements.video) {
@@ -659,19 +587,6 @@ class EnhancedCameraManager {
 // Create global camera manager instance
 const enhancedCamera = new EnhancedCameraManager();
 
-// Override existing camera functions
-if (typeof window.startCamera !== 'undefined') {
-    window.startCamera = () => enhancedCamera.startCamera();
-}
-
-if (typeof window.stopCamera !== 'undefined') {
-    window.stopCamera = () => enhancedCamera.stopCamera();
-}
-
-if (typeof window.captureImage !== 'undefined') {
-    window.captureImage = () => enhancedCamera.captureImage();
-}
-
 // Hook up to existing buttons
 window.addEventListener('load', () => {
     const startBtn = document.getElementById('startCameraBtn');
@@ -236,20 +236,21 @@ function generateDVRecommendation(percentage, nutrient, category) {
  * Calculate all daily values for nutrition profile
  * @param {Object} nutrition - Nutrition data per 100g
  * @param {Object} options - Calculation options
- * @returns {Object} Complete daily value analysis
+ * @returns {Object} Complete daily value analysis (undeclared nutrients are left out and listed in summary.notEvaluated)
  */
 function calculateAllDailyValues(nutrition, options = {}) {
     const nutrients = ['calories', 'sugar', 'fat', 'salt', 'protein', 'fiber'];
+    const notEvaluated = listUnknownNutrients(nutrition, nutrients);
     const results = {};
 
-    nutrients.forEach(nutrient => {
-        const value = nutrition[nutrient] || 0;
-        results[nutrient] = calculateDailyValue(value, nutrient, options);
+    nutrients.filter(nutrient => !notEvaluated.includes(nutrient)).forEach(nutrient => {
+        results[nutrient] = calculateDailyValue(nutrition[nutrient], nutrient, options);
     });
 
     // Calculate summary statistics
-    const averagePercentage = Math.round(
-        Object.values(results).reduce((sum, dv) => sum + dv.percentage, 0) / nutrients.length
+    const evaluated = Object.values(results);
+    const averagePercentage = evaluated.length === 0 ? 0 : Math.round(
+        evaluated.reduce((sum, dv) => sum + dv.percentage, 0) / evaluated.length
     );
 
     const highNutrients = Object.entries(results)
@@ -266,6 +267,7 @@ function calculateAllDailyValues(nutrition, options = {}) {
             averagePercentage,
             highNutrients,
             lowNutrients,
+            notEvaluated,
             profile: options.profile || 'standard',
             gender: options.gender || 'male',
             genderSymbol: (options.gender || 'male') === 'male' ? '♂' : '♀'
@@ -0,0 +1,234 @@
+// ============================================
+// 📋 NUTRITION DATA QUALITY
+// ============================================
+// Cross-checks a nutrition panel for internal consistency (energy
+// against macros, salt against sodium, sub-totals against totals)
+// and rates how far each field can be trusted. Scoring, diabetic
+// warnings and population evaluation read the per-field confidence
+// to soften or withhold verdicts built on doubtful numbers.
+
+/**
+ * Nutrition fields that get a confidence rating
+ */
+const DATA_QUALITY_FIELDS = ['calories', 'carbs', 'sugar', 'fat', 'saturatedFat', 'protein', 'fiber', 'salt', 'sodium'];
+
+/**
+ * Confidence levels, most trusted first
+ */
+const CONFIDENCE_LEVELS = { high: 3, medium: 2, low: 1, missing: 0 };
+
+/**
+ * How far label values may drift before a check fails
+ */
+const DATA_QUALITY_TOLERANCES = {
+    energyRelative: 0.2,     // Declared kcal vs 4/4/9 (labels round, fiber and polyols differ)
+    energyAbsolute: 20,      // kcal, so near-zero foods are not flagged
+    energyImplausible: 0.5,  // Beyond this the energy figure itself is suspect
+    saltRelative: 0.1,
+    saltAbsolute: 0.05,      // g
+    subsetMargin: 0.5,       // g, rounding on sugar/carbs and saturated/total fat
+    macroSumMargin: 2        // g over 100g
+};
+
+/**
+ * Display names for nutrition fields
+ */
+const NUTRIENT_LABELS = {
+    calories: 'calories',
+    carbs: 'carbohydrates',
+    sugar: 'sugar',
+    fat: 'fat',
+    saturatedFat: 'saturated fat',
+    protein: 'protein',
+    fiber: 'fiber',
+    salt: 'salt',
+    sodium: 'sodium'
+};
+
+/**
+ * Whether a nutrition value was declared
+ * Missing nutrients are null, never 0 - zero is a real measurement
+ */
+function isKnownValue(value) {
+    return typeof value === 'number' && !isNaN(value);
+}
+
+/**
+ * A nutrient value, or null when it wasn't declared
+ */
+function knownOrNull(value) {
+    return isKnownValue(value) ? value : null;
+}
+
+/**
+ * Fields a nutrition object leaves undeclared
+ * @param {Object} nutrition - Nutrition data
+ * @param {Array} fields - Nutrition keys to check
+ * @returns {Array} Keys without a value
+ */
+function listUnknownNutrients(nutrition, fields) {
+    return fields.filter(field => !isKnownValue((nutrition || {})[field]));
+}
+
+/**
+ * Readable list of nutrition fields ("sugar, saturated fat")
+ */
+function describeNutrients(fields) {
+    return fields.map(field => NUTRIENT_LABELS[field] || field).join(', ');
+}
+
+/**
+ * Check a nutrition panel for missing, impossible and inconsistent values
+ * @param {Object} nutrition - Nutrition data per 100g (extractNutritionData shape)
+ * @returns {Object} { quality: 'excellent' | 'good' | 'poor', issues, checks, confidence }
+ */
+function assessDataQuality(nutrition) {
+    const n = nutrition || {};
+    const tolerances = DATA_QUALITY_TOLERANCES;
+    const checks = [];
+    const confidence = {};
+
+    DATA_QUALITY_FIELDS.forEach(field => {
+        confidence[field] = isKnownValue(n[field]) ? 'high' : 'missing';
+    });
+
+    const known = field => confidence[field] !== 'missing';
+
+    // Checks only ever lower a field's confidence
+    const lower = (fields, level) => {
+        fields.forEach(field => {
+            if (known(field) && CONFIDENCE_LEVELS[level] < CONFIDENCE_LEVELS[confidence[field]]) {
+                confidence[field] = level;
+            }
+        });
+    };
+
+    const flag = (id, severity, message, fields, level) => {
+        checks.push({ id, severity, message, fields });
+        lower(fields, level);
+    };
+
+    // Missing critical data
+    if (!known('calories')) {
+        checks.push({ id: 'missing-calories', severity: 'critical', message: 'Missing calorie information', fields: ['calories'] });
+    }
+
+    const macroFields = ['carbs', 'sugar', 'fat', 'protein'];
+    if (macroFields.every(field => !known(field))) {
+        checks.push({ id: 'missing-macros', severity: 'critical', message: 'Missing all macronutrient data', fields: macroFields });
+    }
+
+    // Impossible values
+    ['carbs', 'sugar', 'fat', 'saturatedFat', 'protein', 'fiber', 'salt'].forEach(field => {
+        if (known(field) && (n[field] < 0 || n[field] > 100)) {
+            flag(`range-${field}`, 'critical', `Invalid ${field} value (${n[field]}g/100g)`, [field], 'low');
+        }
+    });
+
+    if (known('calories') && n.calories > 900) {
+        flag('range-calories', 'warning', 'Unusually high calories (>900 kcal/100g)', ['calories'], 'medium');
+    }
+
+    // Declared energy vs 4/4/9 Atwater energy from the macros
+    if (known('calories') && ['carbs', 'fat', 'protein'].every(known)) {
+        const atwater = 4 * n.carbs + 4 * n.protein + 9 * n.fat;
+        const difference = Math.abs(n.calories - atwater);
+        const allowed = Math.max(tolerances.energyAbsolute, tolerances.energyRelative * Math.max(n.calories, atwater));
+
+        if (difference > allowed) {
+            const implausible = difference > tolerances.energyImplausible * Math.max(n.calories, atwater);
+            const message = `Declared energy (${Math.round(n.calories)} kcal) does not match its macronutrients (~${Math.round(atwater)} kcal from 4/4/9)`;
+
+            if (implausible) {
+                // Far off: most likely the energy figure (kJ entered as kcal, wrong column)
+                flag('energy-atwater', 'critical', message, ['calories'], 'low');
+                lower(['carbs', 'fat', 'protein'], 'medium');
+            } else {
+                flag('energy-atwater', 'warning', message, ['calories', 'carbs', 'fat', 'protein'], 'medium');
+            }
+        }
+    }
+
+    // Salt vs sodium × 2.5
+    if (known('salt') && known('sodium') && (n.salt > 0 || n.sodium > 0)) {
+        const expectedSalt = n.sodium * 2.5;
+        const allowed = Math.max(tolerances.saltAbsolute, tolerances.saltRelative * Math.max(n.salt, expectedSalt));
+
+        if (Math.abs(n.salt - expectedSalt) > allowed) {
+            flag('salt-sodium', 'warning', `Salt (${n.salt}g) does not match sodium × 2.5 (${expectedSalt.toFixed(2)}g)`, ['salt', 'sodium'], 'low');
+        }
+    }
+
+    // Sub-totals can't exceed their totals
+    if (known('sugar') && known('carbs') && n.sugar > n.carbs + tolerances.subsetMargin) {
+        flag('sugar-carbs', 'critical', `Sugar (${n.sugar}g) exceeds total carbohydrates (${n.carbs}g)`, ['sugar', 'carbs'], 'low');
+    }
+
+    if (known('saturatedFat') && known('fat') && n.saturatedFat > n.fat + tolerances.subsetMargin) {
+        flag('saturated-fat', 'critical', `Saturated fat (${n.saturatedFat}g) exceeds total fat (${n.fat}g)`, ['saturatedFat', 'fat'], 'low');
+    }
+
+    // 100g of food can't hold more than 100g of nutrients
+    const massFields = ['carbs', 'fat', 'protein', 'fiber', 'salt'].filter(known);
+    const macroSum = massFields.reduce((sum, field) => sum + Math.max(0, n[field]), 0);
+    if (macroSum > 100 + tolerances.macroSumMargin) {
+        flag('macro-sum', 'critical', `Macronutrients add up to ${Math.round(macroSum)}g per 100g`, massFields, 'low');
+    }
+
+    const issues = checks.map(check => check.message);
+    let quality = 'excellent';
+    if (checks.some(check => check.severity === 'critical')) {
+        quality = 'poor';
+    } else if (checks.length > 0) {
+        quality = 'good';
+    }
+
+    return { quality, issues, checks, confidence };
+}
+
+/**
+ * Fields whose confidence is below a minimum
+ * @param {Object} dataQuality - Output of assessDataQuality
+ * @param {Array} fields - Nutrition keys a verdict depends on
+ * @param {string} minimum - Lowest acceptable level
+ * @returns {Array} Field names that should not back a verdict
+ */
+function getUnreliableFields(dataQuality, fields, minimum = 'medium') {
+    if (!dataQuality || !dataQuality.confidence) return [];
+
+    return fields.filter(field => {
+        const level = dataQuality.confidence[field] || 'high';
+        return CONFIDENCE_LEVELS[level] < CONFIDENCE_LEVELS[minimum];
+    });
+}
+
+/**
+ * Lowest confidence among a set of fields
+ * @param {Object} dataQuality - Output of assessDataQuality
+ * @param {Array} fields - Nutrition keys
+ * @returns {string} 'high' | 'medium' | 'low' | 'missing'
+ */
+function getDataConfidence(dataQuality, fields) {
+    if (!dataQuality || !dataQuality.confidence) return 'high';
+
+    return fields
+        .map(field => dataQuality.confidence[field] || 'high')
+        .reduce((lowest, level) => (CONFIDENCE_LEVELS[level] < CONFIDENCE_LEVELS[lowest] ? level : lowest), 'high');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DATA_QUALITY_TOLERANCES,
+        NUTRIENT_LABELS,
+        isKnownValue,
+        knownOrNull,
+        listUnknownNutrients,
+        describeNutrients,
+        assessDataQuality,
+        getUnreliableFields,
+        getDataConfidence
+    };
+}
+
+console.log('✅ Data Quality loaded successfully');
@@ -76,14 +76,22 @@ function generateDiabeticWarnings(nutrition, options = {}) {
         return warnings;
     }
 
+    // No glucose verdict from a sugar figure that doesn't add up
+    const dataQuality = options.dataQuality ||
+        (typeof assessDataQuality === 'function' ? assessDataQuality(nutrition) : null);
+    if (dataQuality && getUnreliableFields(dataQuality, ['sugar']).length > 0) {
+        return [createUnreliableSugarWarning(dataQuality)];
+    }
+
+    // Undeclared nutrients stay null; their checks are skipped and listed
     const n = {
-        sugar: nutrition.sugar || 0,
-        calories: nutrition.calories || 0,
-        fat: nutrition.fat || 0,
-        salt: nutrition.salt || 0,
-        protein: nutrition.protein || 0,
-        fiber: nutrition.fiber || 0,
-        carbs: nutrition.carbs || (nutrition.sugar || 0) // Estimate if not provided
+        sugar: nutrition.sugar,
+        calories: knownOrNull(nutrition.calories),
+        fat: knownOrNull(nutrition.fat),
+        salt: knownOrNull(nutrition.salt),
+        protein: knownOrNull(nutrition.protein),
+        fiber: knownOrNull(nutrition.fiber),
+        carbs: knownOrNull(nutrition.carbs) ?? nutrition.sugar // Estimate if not provided
     };
 
     // ============================================
@@ -242,7 +250,7 @@ function generateDiabeticWarnings(nutrition, options = {}) {
     }
 
     // Ideal diabetic food
-    if (n.sugar < 3 && n.calories < 200 && n.fiber >= 5) {
+    if (n.sugar < 3 && n.calories !== null && n.calories < 200 && n.fiber >= 5) {
         warnings.push({
             ...DIABETIC_SEVERITY.SAFE,
             type: 'ideal_diabetic',
@@ -268,12 +276,49 @@ function generateDiabeticWarnings(nutrition, options = {}) {
         });
     }
 
+    // ============================================
+    // NOT EVALUATED (undeclared nutrients)
+    // ============================================
+
+    const unknown = listUnknownNutrients(nutrition, ['carbs', 'fat', 'salt', 'calories', 'fiber', 'protein']);
+    if (unknown.length > 0) {
+        warnings.push({
+            ...DIABETIC_SEVERITY.LOW,
+            type: 'not_evaluated',
+            title: 'Not Evaluated',
+            message: `Not declared: ${describeNutrients(unknown)}`,
+            detail: 'Checks that depend on these nutrients were skipped, not passed.',
+            action: 'Check the package label'
+        });
+    }
+
     // Sort warnings by priority (most critical first)
     warnings.sort((a, b) => a.priority - b.priority);
 
     return warnings;
 }
 
+/**
+ * Warning shown instead of a glucose verdict when the sugar figure is doubtful
+ * @param {Object} dataQuality - Output of assessDataQuality
+ */
+function createUnreliableSugarWarning(dataQuality) {
+    const missing = dataQuality.confidence.sugar === 'missing';
+
+    return {
+        ...DIABETIC_SEVERITY.MODERATE,
+        type: 'sugar_unreliable',
+        title: missing ? 'SUGAR DATA MISSING' : 'SUGAR DATA UNRELIABLE',
+        message: missing
+            ? 'No sugar content is declared for this product'
+            : 'The declared sugar content is inconsistent with the rest of the label',
+        detail: dataQuality.issues.join('; ') || 'Blood glucose impact cannot be estimated.',
+        impact: 'Blood glucose impact cannot be estimated',
+        action: 'Check the package label before eating',
+        glycemicImpact: null
+    };
+}
+
 /**
  * Generate quick diabetic risk assessment
  * @param {Object} nutrition - Nutrition data
@@ -285,8 +330,17 @@ function assessDiabeticRisk(nutrition, isDiabetic = false) {
         return { risk: 'not_applicable', score: 0 };
     }
 
-    const sugar = nutrition.sugar || 0;
-    const fat = nutrition.fat || 0;
+    if (typeof assessDataQuality === 'function' && getUnreliableFields(assessDataQuality(nutrition), ['sugar']).length > 0) {
+        return {
+            risk: 'unknown',
+            score: null,
+            recommendation: 'Sugar data is missing or inconsistent - check the package label',
+            severity: DIABETIC_SEVERITY.MODERATE
+        };
+    }
+
+    const sugar = nutrition.sugar;
+    const fat = nutrition.fat || 0; // Unknown fat adds no risk points
     let riskScore = 0;
 
     // Calculate risk score (0-100)
@@ -402,11 +456,16 @@ function formatWarningHTML(warning) {
 /**
  * Calculate estimated glucose impact
  * @param {Object} nutrition - Nutrition data
- * @returns {Object} Glucose impact estimation
+ * @returns {Object|null} Glucose impact estimation (null without carb or sugar data)
  */
 function estimateGlucoseImpact(nutrition) {
+    // Nothing to estimate from without carbohydrate or sugar figures
+    if (!isKnownValue(nutrition.carbs) && !isKnownValue(nutrition.sugar)) {
+        return null;
+    }
+
     const sugar = nutrition.sugar || 0;
-    const carbs = nutrition.carbs || sugar;
+    const carbs = nutrition.carbs ?? sugar;
     const fiber = nutrition.fiber || 0;
     const protein = nutrition.protein || 0;
     const fat = nutrition.fat || 0;
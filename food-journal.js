@@ -0,0 +1,201 @@
+// ============================================
+// 📔 FOOD JOURNAL
+// ============================================
+// Dated intake journal replacing the old running dailyIntake counter
+// Entries keep per-100g nutrition plus a serving multiplier, so
+// servings can be edited later and totals recomputed per day
+
+/**
+ * Nutrients totalled per day and compared against DAILY_VALUES
+ * unit is the one DAILY_VALUES uses; totals are converted into it
+ */
+const JOURNAL_NUTRIENTS = [
+    { key: 'calories', label: 'Calories', unit: 'kcal' },
+    { key: 'carbs', label: 'Carbs', unit: 'g' },
+    { key: 'sugar', label: 'Sugar', unit: 'g' },
+    { key: 'fat', label: 'Fat', unit: 'g' },
+    { key: 'saturatedFat', label: 'Saturated Fat', unit: 'g' },
+    { key: 'protein', label: 'Protein', unit: 'g' },
+    { key: 'fiber', label: 'Fiber', unit: 'g' },
+    { key: 'salt', label: 'Salt', unit: 'g' },
+    { key: 'sodium', label: 'Sodium', unit: 'mg' },
+    { key: 'cholesterol', label: 'Cholesterol', unit: 'mg' }
+];
+
+/**
+ * Local calendar day key (YYYY-MM-DD)
+ * @param {Date|string} date - Date to convert (defaults to now)
+ * @returns {string} Day key in the user's time zone
+ */
+function toDayKey(date = new Date()) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Shift a day key by a number of days
+ */
+function shiftDayKey(dayKey, days) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return toDayKey(new Date(year, month - 1, day + days));
+}
+
+/**
+ * Multiply every numeric nutrient, including nested vitamins/minerals
+ * @param {Object} nutrition - Nutrition values
+ * @param {number} multiplier - Scale factor
+ * @returns {Object} Scaled copy
+ */
+function scaleNutrition(nutrition, multiplier) {
+    const scaled = {};
+
+    Object.entries(nutrition || {}).forEach(([key, value]) => {
+        if (typeof value === 'number') {
+            scaled[key] = value * multiplier;
+        } else if (value && typeof value === 'object') {
+            scaled[key] = scaleNutrition(value, multiplier);
+        } else {
+            scaled[key] = value;
+        }
+    });
+
+    return scaled;
+}
+
+/**
+ * Add nutrition objects together (nested objects are summed per key)
+ */
+function sumNutrition(target, addition) {
+    Object.entries(addition || {}).forEach(([key, value]) => {
+        if (typeof value === 'number') {
+            target[key] = (target[key] || 0) + value;
+        } else if (value && typeof value === 'object') {
+            target[key] = sumNutrition(target[key] || {}, value);
+        }
+    });
+
+    return target;
+}
+
+/**
+ * Create a journal entry for a product
+ * @param {Object} product - Product in app format (nutrition per 100g)
+ * @param {number} servingMultiplier - Multiple of 100g eaten
+ * @param {Date} date - When it was eaten (defaults to now)
+ * @param {string} portion - Portion it was logged as, e.g. "1 serving (25 g)"
+ * @returns {Object} Journal entry
+ */
+function createJournalEntry(product, servingMultiplier = 1, date = new Date(), portion = null) {
+    return {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        date: toDayKey(date),
+        timestamp: new Date(date).toISOString(),
+        barcode: product.barcode,
+        name: product.name,
+        brand: product.brand,
+        image: product.image,
+        servingMultiplier,
+        portion,
+        nutrition: JSON.parse(JSON.stringify(product.nutrition || {}))
+    };
+}
+
+/**
+ * Entries for one day, oldest first
+ */
+function getJournalEntriesForDay(entries, dayKey = toDayKey()) {
+    return entries
+        .filter(entry => entry.date === dayKey)
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Total nutrition eaten across entries
+ * Undeclared values add nothing, so a total is only complete when every
+ * entry declares the nutrient; the others are listed in `unknown`
+ * @param {Array} entries - Journal entries
+ * @returns {Object} Summed nutrition (as eaten, not per 100g) plus
+ *   unknown: JOURNAL_NUTRIENTS keys some entry leaves undeclared
+ */
+function calculateJournalTotals(entries) {
+    const totals = entries.reduce(
+        (sum, entry) => sumNutrition(sum, scaleNutrition(entry.nutrition, entry.servingMultiplier)),
+        {}
+    );
+
+    totals.unknown = JOURNAL_NUTRIENTS
+        .map(({ key }) => key)
+        .filter(key => entries.some(entry => readNutrient(entry.nutrition, key) === null));
+
+    return totals;
+}
+
+/**
+ * Compare a day's totals against the user's daily values
+ * @param {Object} totals - Output of calculateJournalTotals
+ * @param {Object} options - { gender, profile }
+ * @returns {Array} One row per nutrient with value, target and percentage
+ *   unknown rows have a value that is only a lower bound, or null when no entry declares it
+ */
+function compareTotalsToDailyValues(totals, options = {}) {
+    return JOURNAL_NUTRIENTS.map(({ key, label, unit }) => {
+        const unknown = (totals.unknown || []).includes(key);
+        // Nothing logged is a real zero; nothing declared is not
+        const value = readNutrient(totals, key, unit) ?? (unknown ? null : 0);
+        const dv = calculateDailyValue(value ?? 0, key, options);
+
+        return {
+            nutrient: key,
+            label,
+            unit,
+            value: value === null ? null : Math.round(value * 10) / 10,
+            unknown,
+            target: dv.target,
+            percentage: value === null ? null : dv.percentage,
+            category: value === null ? null : dv.category,
+            color: value === null ? null : dv.color
+        };
+    });
+}
+
+/**
+ * Call back at every local midnight
+ * @param {Function} onRollover - Receives the new day key
+ * @returns {Function} Cancels the schedule
+ */
+function scheduleDayRollover(onRollover) {
+    let timer = null;
+
+    const scheduleNext = () => {
+        const now = new Date();
+        const nextMidnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+
+        // Small buffer so the callback lands safely inside the new day
+        timer = setTimeout(() => {
+            onRollover(toDayKey());
+            scheduleNext();
+        }, nextMidnight - now + 1000);
+    };
+
+    scheduleNext();
+    return () => clearTimeout(timer);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        JOURNAL_NUTRIENTS,
+        toDayKey,
+        shiftDayKey,
+        scaleNutrition,
+        createJournalEntry,
+        getJournalEntriesForDay,
+        calculateJournalTotals,
+        compareTotalsToDailyValues,
+        scheduleDayRollover
+    };
+}
+
+console.log('✅ Food Journal loaded successfully');
@@ -0,0 +1,164 @@
+// ============================================
+// 🔢 GTIN - Barcode Validation & Normalisation
+// ============================================
+// One place for barcode rules. Validates the GS1 check digit of
+// UPC-A, UPC-E, EAN-8, EAN-13 and GTIN-14, expands UPC-E to UPC-A
+// and turns every code into the canonical form Open Food Facts uses:
+// 13 digits (GTIN-14 keeps a non-zero indicator digit), EAN-8 as 8.
+// The same product scanned as UPC-A, UPC-E or EAN-13 gets one key.
+
+/**
+ * Formats by digit count
+ */
+const GTIN_FORMATS = {
+    6: 'UPC-E',     // compressed digits only (number system 0, no check digit)
+    8: 'EAN-8',     // or UPC-E with number system and check digit
+    12: 'UPC-A',
+    13: 'EAN-13',
+    14: 'GTIN-14'
+};
+
+/**
+ * Digits of a barcode (spaces and dashes removed), or '' if anything else is in it
+ */
+function cleanBarcode(input) {
+    const cleaned = String(input ?? '').replace(/[\s-]/g, '');
+    return /^\d+$/.test(cleaned) ? cleaned : '';
+}
+
+/**
+ * GS1 check digit for the digits before it
+ * Weights alternate 3, 1 starting from the rightmost digit
+ */
+function computeCheckDigit(body) {
+    const sum = [...body].reverse()
+        .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+    return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Whether the last digit is the GS1 check digit of the rest
+ */
+function hasValidCheckDigit(code) {
+    return code.length > 1 && computeCheckDigit(code.slice(0, -1)) === code.slice(-1);
+}
+
+/**
+ * Expand a UPC-E code to its 12-digit UPC-A
+ * @param {string} code - 6 digits (number system 0), or 8 with number system and check digit
+ * @returns {string|null} UPC-A, or null when it isn't UPC-E
+ */
+function expandUPCE(code) {
+    const digits = code.length === 6 ? `0${code}` : code.slice(0, 7);
+    if (!/^[01]\d{6}$/.test(digits)) return null;
+
+    const [system, d1, d2, d3, d4, d5, d6] = digits;
+    let body;
+
+    if ('012'.includes(d6)) {
+        body = `${system}${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+    } else if (d6 === '3') {
+        body = `${system}${d1}${d2}${d3}00000${d4}${d5}`;
+    } else if (d6 === '4') {
+        body = `${system}${d1}${d2}${d3}${d4}00000${d5}`;
+    } else {
+        body = `${system}${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+    }
+
+    const upcA = body + computeCheckDigit(body);
+
+    // An 8-digit UPC-E carries the UPC-A check digit
+    if (code.length === 8 && code[7] !== upcA[11]) return null;
+    return upcA;
+}
+
+/**
+ * Canonical key for a validated code ('0' + UPC-A, EAN-8 stays 8 digits)
+ * Matches Open Food Facts: leading zeros dropped, padded to 13, 00000-prefixed codes back to EAN-8
+ */
+function canonicalGTIN(code) {
+    const stripped = code.replace(/^0+/, '') || '0';
+    if (stripped.length <= 8 && code.length === 8) return code;
+
+    const padded = stripped.padStart(13, '0');
+    return padded.startsWith('00000') && padded.length === 13 ? padded.slice(5) : padded;
+}
+
+/**
+ * Validate and normalise a barcode
+ * @param {string} input - Scanned or typed code
+ * @param {Object} options - { format: Quagga decoder format ('upc_e', 'ean_8', …) when known }
+ * @returns {Object} { valid, gtin (canonical key), format, digits, error }
+ */
+function normalizeGTIN(input, options = {}) {
+    const digits = cleanBarcode(input);
+    const result = { valid: false, gtin: null, format: null, digits, error: null };
+
+    if (!digits) {
+        result.error = 'Barcode must contain only digits';
+        return result;
+    }
+
+    // 8 digits are EAN-8 unless the scanner said UPC-E or only UPC-E fits
+    const decoderFormat = String(options.format || '').toLowerCase();
+    const asUPCE = digits.length === 6 || (digits.length === 8 && (
+        decoderFormat === 'upc_e' ||
+        (decoderFormat !== 'ean_8' && !hasValidCheckDigit(digits) && expandUPCE(digits))
+    ));
+
+    if (asUPCE) {
+        const upcA = expandUPCE(digits);
+        if (!upcA) {
+            result.error = 'Invalid UPC-E check digit';
+            return result;
+        }
+        return { ...result, valid: true, gtin: canonicalGTIN(upcA), format: 'UPC-E' };
+    }
+
+    const format = GTIN_FORMATS[digits.length];
+    if (!format || digits.length === 6) {
+        result.error = 'Barcode must have 8, 12, 13 or 14 digits';
+        return result;
+    }
+
+    if (!hasValidCheckDigit(digits)) {
+        result.error = `Invalid ${format} check digit`;
+        result.format = format;
+        return result;
+    }
+
+    return { ...result, valid: true, gtin: canonicalGTIN(digits), format };
+}
+
+/**
+ * Whether a code is a valid GTIN of any format
+ */
+function isValidGTIN(input, options = {}) {
+    return normalizeGTIN(input, options).valid;
+}
+
+/**
+ * Canonical key for a code, or its digits when it isn't a valid GTIN
+ * (in-house codes still get a stable key)
+ */
+function toGTINKey(input) {
+    const normalized = normalizeGTIN(input);
+    return normalized.gtin || normalized.digits || String(input ?? '').trim();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GTIN_FORMATS,
+        cleanBarcode,
+        computeCheckDigit,
+        hasValidCheckDigit,
+        expandUPCE,
+        canonicalGTIN,
+        normalizeGTIN,
+        isValidGTIN,
+        toGTINKey
+    };
+}
+
+console.log('✅ GTIN loaded successfully');
@@ -6,12 +6,192 @@
 // Author: FoodScan Pro Team
 
 /**
- * Calculate comprehensive health score with advanced algorithm
+ * Algorithm version used when a call does not ask for one
+ */
+const DEFAULT_SCORING_VERSION = 'engine-v4';
+
+/**
+ * Grade cutoffs per algorithm version (highest first)
+ */
+const GRADE_SCALES = {
+    'legacy-app-v1': [
+        { min: 90, grade: 'A+', label: 'Excellent', emoji: '🌟', color: '#10b981' },
+        { min: 80, grade: 'A', label: 'Very Good', emoji: '😊', color: '#22c55e' },
+        { min: 70, grade: 'B', label: 'Good', emoji: '👍', color: '#84cc16' },
+        { min: 60, grade: 'C', label: 'Average', emoji: '😐', color: '#eab308' },
+        { min: 40, grade: 'D', label: 'Unhealthy', emoji: '😕', color: '#f97316' },
+        { min: 0, grade: 'F', label: 'Very Unhealthy', emoji: '⚠️', color: '#ef4444' }
+    ],
+    'engine-v2': [
+        { min: 90, grade: 'A+', label: 'Excellent', emoji: '🌟', color: '#10b981' },
+        { min: 80, grade: 'A', label: 'Very Good', emoji: '✅', color: '#22c55e' },
+        { min: 70, grade: 'B', label: 'Good', emoji: '👍', color: '#84cc16' },
+        { min: 60, grade: 'C', label: 'Fair', emoji: '⚠️', color: '#f59e0b' },
+        { min: 50, grade: 'D', label: 'Poor', emoji: '⚠️', color: '#f97316' },
+        { min: 0, grade: 'F', label: 'Very Poor', emoji: '❌', color: '#ef4444' }
+    ]
+};
+
+// engine-v3 only adds additive penalties and engine-v4 only handles
+// undeclared nutrients; the grade cutoffs are unchanged
+GRADE_SCALES['engine-v3'] = GRADE_SCALES['engine-v2'];
+GRADE_SCALES['engine-v4'] = GRADE_SCALES['engine-v2'];
+
+/**
+ * Registered scoring algorithms, keyed by version.
+ * Versions are never changed once released - add a new one instead,
+ * so scores stored in history can always be reproduced.
+ */
+const SCORING_ALGORITHMS = {
+    'legacy-app-v1': scoreWithLegacyAppV1,
+    'engine-v2': scoreWithEngineV2,
+    'engine-v3': scoreWithEngineV3,
+    'engine-v4': scoreWithEngineV4
+};
+
+/**
+ * Nutrition fields every scoring version reads
+ */
+const SCORED_NUTRIENTS = ['calories', 'sugar', 'fat', 'salt', 'protein', 'fiber'];
+
+/**
+ * Calculate health score with the requested algorithm version
+ * @param {Object} nutrition - Nutrition data per 100g
+ * @param {Object} options - Scoring options (algorithmVersion, gender, isDiabetic, additives...)
+ * @returns {Object} Complete health score data, tagged with algorithmVersion
+ *   (plus confidence and dataWarning when the data quality could be assessed)
+ */
+function calculateHealthScore(nutrition, options = {}) {
+    let version = options.algorithmVersion || DEFAULT_SCORING_VERSION;
+
+    if (!SCORING_ALGORITHMS[version]) {
+        console.warn(`Unknown scoring version "${version}", using ${DEFAULT_SCORING_VERSION}`);
+        version = DEFAULT_SCORING_VERSION;
+    }
+
+    const result = SCORING_ALGORITHMS[version](nutrition || {}, options);
+    result.algorithmVersion = version;
+    result.metadata.version = version;
+
+    // Doubtful input lowers the confidence, never the score or recommendation,
+    // so every version's output stays reproducible
+    const dataQuality = options.dataQuality ||
+        (typeof assessDataQuality === 'function' ? assessDataQuality(nutrition || {}) : null);
+    if (dataQuality) {
+        const unreliable = getUnreliableFields(dataQuality, SCORED_NUTRIENTS);
+        result.confidence = getDataConfidence(dataQuality, SCORED_NUTRIENTS);
+        result.metadata.dataQuality = dataQuality.quality;
+        result.metadata.dataIssues = dataQuality.issues;
+
+        result.dataWarning = unreliable.length > 0
+            ? `Treat this score as approximate: the ${unreliable.join(', ')} figures look inconsistent or missing.`
+            : null;
+    }
+
+    return result;
+}
+
+/**
+ * List available scoring versions
+ */
+function getScoringVersions() {
+    return Object.keys(SCORING_ALGORITHMS);
+}
+
+/**
+ * Look up grade information for a score
+ */
+function assignGrade(score, version) {
+    const scale = GRADE_SCALES[version] || GRADE_SCALES[DEFAULT_SCORING_VERSION];
+    return scale.find(step => score >= step.min) || scale[scale.length - 1];
+}
+
+/**
+ * Original app.js algorithm: flat linear penalties, D grade from 40
+ * @param {Object} nutrition - Nutrition data per 100g
+ * @returns {Object} Health score data
+ */
+function scoreWithLegacyAppV1(nutrition) {
+    const n = {
+        calories: nutrition.calories || 0,
+        sugar: nutrition.sugar || 0,
+        fat: nutrition.fat || 0,
+        salt: nutrition.salt || 0,
+        protein: nutrition.protein || 0,
+        fiber: nutrition.fiber || 0
+    };
+
+    let score = 100;
+    const penalties = [];
+    const rewards = [];
+
+    const applyPenalty = (type, penalty, message) => {
+        score -= penalty;
+        penalties.push({ type, value: n[type], penalty, message });
+    };
+
+    const applyReward = (type, bonus, message) => {
+        score += bonus;
+        rewards.push({ type, value: n[type], bonus, message });
+    };
+
+    if (n.calories > 200)
+        applyPenalty('calories', Math.min(30, (n.calories - 200) / 5), `High calorie density: ${n.calories} kcal/100g`);
+
+    if (n.sugar > 5)
+        applyPenalty('sugar', Math.min(25, (n.sugar - 5) * 3), `Sugar content: ${n.sugar.toFixed(1)}g/100g`);
+
+    if (n.fat > 10)
+        applyPenalty('fat', Math.min(20, (n.fat - 10) * 2), `Fat content: ${n.fat.toFixed(1)}g/100g`);
+
+    if (n.salt > 0.3)
+        applyPenalty('salt', Math.min(15, (n.salt - 0.3) * 20), `Salt content: ${n.salt.toFixed(2)}g/100g`);
+
+    // ✅ Positive nutrients
+    if (n.protein >= 8)
+        applyReward('protein', Math.min(10, n.protein), `Good protein: ${n.protein.toFixed(1)}g/100g`);
+
+    if (n.fiber >= 5)
+        applyReward('fiber', Math.min(10, n.fiber * 2), `High fiber: ${n.fiber.toFixed(1)}g/100g`);
+
+    score = Math.max(0, Math.min(100, Math.round(score)));
+
+    const { grade, label, emoji, color } = assignGrade(score, 'legacy-app-v1');
+    const recommendations = {
+        'A+': 'Highly nutritious and healthy choice!',
+        'A': 'Great option for daily consumption.',
+        'B': 'Healthy, but consume mindfully.',
+        'C': 'Okay occasionally, not ideal daily.',
+        'D': 'Limit intake and choose better options.',
+        'F': 'Avoid frequent consumption.'
+    };
+
+    return {
+        score,
+        grade,
+        label,
+        emoji,
+        color,
+        recommendation: recommendations[grade],
+        diabeticWarning: null,
+        penalties,
+        rewards,
+        nutritionProfile: { ...n },
+        metadata: {
+            totalPenalties: penalties.reduce((sum, p) => sum + p.penalty, 0),
+            totalRewards: rewards.reduce((sum, r) => sum + r.bonus, 0),
+            timestamp: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Engine v2: progressive multi-factor penalties and rewards
  * @param {Object} nutrition - Nutrition data per 100g
  * @param {Object} options - Scoring options
  * @returns {Object} Complete health score data
  */
-function calculateHealthScore(nutrition, options = {}) {
+function scoreWithEngineV2(nutrition, options = {}) {
     // Normalize nutrition values
     const n = {
         calories: Math.max(0, nutrition.calories || 0),
@@ -241,39 +421,7 @@ function calculateHealthScore(nutrition, options = {}) {
     score = Math.max(0, Math.min(100, Math.round(score)));
 
     // Determine grade
-    let grade, label, emoji, color;
-    
-    if (score >= 90) {
-        grade = 'A+';
-        label = 'Excellent';
-        emoji = '🌟';
-        color = '#10b981';
-    } else if (score >= 80) {
-        grade = 'A';
-        label = 'Very Good';
-        emoji = '✅';
-        color = '#22c55e';
-    } else if (score >= 70) {
-        grade = 'B';
-        label = 'Good';
-        emoji = '👍';
-        color = '#84cc16';
-    } else if (score >= 60) {
-        grade = 'C';
-        label = 'Fair';
-        emoji = '⚠️';
-        color = '#f59e0b';
-    } else if (score >= 50) {
-        grade = 'D';
-        label = 'Poor';
-        emoji = '⚠️';
-        color = '#f97316';
-    } else {
-        grade = 'F';
-        label = 'Very Poor';
-        emoji = '❌';
-        color = '#ef4444';
-    }
+    const { grade, label, emoji, color } = assignGrade(score, 'engine-v2');
 
     // ============================================
     // RECOMMENDATIONS
@@ -307,12 +455,152 @@ function calculateHealthScore(nutrition, options = {}) {
         metadata: {
             totalPenalties: penalties.reduce((sum, p) => sum + p.penalty, 0),
             totalRewards: rewards.reduce((sum, r) => sum + r.bonus, 0),
-            version: '2.0',
             timestamp: new Date().toISOString()
         }
     };
 }
 
+/**
+ * Engine v3: engine v2 plus a penalty per additive of concern
+ * Each additive penalty carries its own explanation
+ * @param {Object} nutrition - Nutrition data per 100g
+ * @param {Object} options - Scoring options; options.additives lists E-number codes
+ * @returns {Object} Complete health score data
+ */
+function scoreWithEngineV3(nutrition, options = {}) {
+    const result = scoreWithEngineV2(nutrition, options);
+
+    const additiveReport = typeof assessAdditives === 'function'
+        ? assessAdditives(options.additives || [])
+        : null;
+    if (!additiveReport || additiveReport.totalPenalty === 0) {
+        return result;
+    }
+
+    // Spread the capped total over the additives, worst first
+    let remaining = additiveReport.totalPenalty;
+    additiveReport.additives
+        .filter(additive => additive.penalty > 0)
+        .forEach(additive => {
+            const penalty = Math.min(additive.penalty, remaining);
+            if (penalty <= 0) return;
+            remaining -= penalty;
+            result.penalties.push({
+                type: 'additive',
+                value: additive.code,
+                penalty,
+                message: `${additive.label} ${additive.name} (${additive.tierLabel.toLowerCase()}): ${additive.rationale}`
+            });
+        });
+
+    // Re-apply the penalty to the unclamped v2 score so clamping happens once
+    const unclamped = 100 - result.metadata.totalPenalties + result.metadata.totalRewards;
+    const score = Math.max(0, Math.min(100, Math.round(unclamped - additiveReport.totalPenalty)));
+    const { grade, label, emoji, color } = assignGrade(score, 'engine-v3');
+
+    return {
+        ...result,
+        score,
+        grade,
+        label,
+        emoji,
+        color,
+        recommendation: generateRecommendation(score, result.nutritionProfile, result.penalties, result.rewards, options.isDiabetic || false),
+        metadata: {
+            ...result.metadata,
+            totalPenalties: result.penalties.reduce((sum, p) => sum + p.penalty, 0),
+            additivePenalty: additiveReport.totalPenalty
+        }
+    };
+}
+
+/**
+ * Nutrients each engine-v2 reward depends on
+ */
+const REWARD_INPUTS = {
+    protein: ['protein'],
+    fiber: ['fiber'],
+    lowcal: ['calories', 'protein'],
+    optimal: ['sugar', 'fat', 'salt', 'protein', 'fiber']
+};
+
+/**
+ * Nutrients whose penalties keep a score honest; without them a
+ * product can't be rated Good or better
+ */
+const LIMITING_NUTRIENTS = ['calories', 'sugar', 'fat', 'salt'];
+
+/**
+ * Highest score a product can reach while a limiting nutrient is undeclared
+ */
+const UNKNOWN_NUTRIENT_SCORE_CAP = 69;
+
+/**
+ * Engine v4: engine v3 with undeclared nutrients kept unknown
+ * Earlier versions read a missing value as 0, so a product without
+ * sugar data looked sugar-free. Here rules on undeclared nutrients are
+ * reported as not evaluated, rewards they would have granted are
+ * withdrawn, and the score is capped while a limiting nutrient is unknown.
+ * @param {Object} nutrition - Nutrition data per 100g (null = undeclared)
+ * @param {Object} options - Scoring options
+ * @returns {Object} Health score data with notEvaluated
+ */
+function scoreWithEngineV4(nutrition, options = {}) {
+    const unknown = SCORED_NUTRIENTS.filter(key => typeof nutrition[key] !== 'number' || isNaN(nutrition[key]));
+    const result = scoreWithEngineV3(nutrition, options);
+
+    const notEvaluated = unknown.map(key => ({
+        type: key,
+        message: `${key.charAt(0).toUpperCase()}${key.slice(1)} not declared - not evaluated`
+    }));
+
+    if (unknown.length === 0) {
+        return { ...result, notEvaluated };
+    }
+
+    // Penalties never fire on a missing value (read as 0); rewards can
+    const rewards = result.rewards.filter(reward =>
+        !(REWARD_INPUTS[reward.type] || []).some(key => unknown.includes(key))
+    );
+    const totalRewards = rewards.reduce((sum, r) => sum + r.bonus, 0);
+
+    let score = Math.max(0, Math.min(100, Math.round(100 - result.metadata.totalPenalties + totalRewards)));
+    const unknownLimiting = LIMITING_NUTRIENTS.filter(key => unknown.includes(key));
+    const scoreCap = unknownLimiting.length > 0 ? UNKNOWN_NUTRIENT_SCORE_CAP : null;
+    if (scoreCap !== null) {
+        score = Math.min(score, scoreCap);
+    }
+
+    const { grade, label, emoji, color } = assignGrade(score, 'engine-v4');
+    const nutritionProfile = { ...result.nutritionProfile };
+    unknown.forEach(key => { nutritionProfile[key] = null; });
+
+    const isDiabetic = options.isDiabetic || false;
+    let diabeticWarning = result.diabeticWarning;
+    if (isDiabetic && unknown.includes('sugar')) {
+        diabeticWarning = '❓ Sugar not declared - diabetic suitability not evaluated. Check the package label.';
+    }
+
+    return {
+        ...result,
+        score,
+        grade,
+        label,
+        emoji,
+        color,
+        recommendation: generateRecommendation(score, nutritionProfile, result.penalties, rewards, isDiabetic),
+        diabeticWarning,
+        rewards,
+        nutritionProfile,
+        notEvaluated,
+        metadata: {
+            ...result.metadata,
+            totalRewards,
+            scoreCap
+        }
+    };
+}
+
 /**
  * Generate personalized recommendation
  */
@@ -360,7 +648,12 @@ function generateDiabeticWarning(nutrition, isDiabetic) {
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { calculateHealthScore };
+    module.exports = {
+        calculateHealthScore,
+        getScoringVersions,
+        DEFAULT_SCORING_VERSION,
+        SCORING_ALGORITHMS
+    };
 }
 
 console.log('✅ Health Score Engine v2.0 loaded successfully');
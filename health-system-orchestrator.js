@@ -150,7 +150,8 @@ class HealthSystemOrchestrator {
      * Fallback product fetch
      */
     async fetchProductFallback(barcode) {
-        const response = await fetch(`https://world.openfoodfacts.org/api/v2/product/${barcode}`);
+        const request = typeof apiFetch === 'function' ? apiFetch : fetch;
+        const response = await request(`https://world.openfoodfacts.org/api/v2/product/${barcode}`);
         const data = await response.json();
         
         if (data.status === 0 || !data.product) {
@@ -164,26 +165,18 @@ class HealthSystemOrchestrator {
      * Parse basic product data
      */
     parseBasicProduct(apiProduct, barcode) {
-        const nutriments = apiProduct.nutriments || {};
-        
         return {
             name: apiProduct.product_name || 'Unknown Product',
             brand: apiProduct.brands || 'Unknown Brand',
             barcode: barcode,
             image: apiProduct.image_url || 'https://via.placeholder.com/400',
-            nutrition: {
-                calories: nutriments['energy-kcal_100g'] || 0,
-                sugar: nutriments.sugars_100g || 0,
-                fat: nutriments.fat_100g || 0,
-                salt: nutriments.salt_100g || 0,
-                protein: nutriments.proteins_100g || 0,
-                fiber: nutriments.fiber_100g || 0,
-                carbs: nutriments.carbohydrates_100g || 0
-            },
+            nutrition: extractNutritionData(apiProduct),
+            ...extractPortionSizes(apiProduct),
             allergens: [],
             ingredients: apiProduct.ingredients_text || 'Not available',
             categories: apiProduct.categories || '',
-            nutriscore: apiProduct.nutriscore_grade || null
+            nutriscore: apiProduct.nutriscore_grade || null,
+            additiveTags: apiProduct.additives_tags || []
         };
     }
 
@@ -194,7 +187,7 @@ class HealthSystemOrchestrator {
         const nutrition = product.nutrition;
 
         // Calculate health score
-        const healthScore = calculateHealthScore(nutrition, options);
+        const healthScore = calculateHealthScore(nutrition, { ...options, additives: collectAdditiveCodes(product) });
 
         // Calculate daily values
         const dailyValues = calculateAllDailyValues(nutrition, options);
@@ -216,7 +209,9 @@ class HealthSystemOrchestrator {
     displayEnhancedProduct(product) {
         // Use UI integration module
         if (typeof healthUI !== 'undefined') {
-            healthUI.displayHealthAnalysis(product, this.userProfile);
+            // Follow the portion picked in the nutrition card
+            const servingMultiplier = typeof getServingMultiplier === 'function' ? getServingMultiplier(product) : 1;
+            healthUI.displayHealthAnalysis(product, { ...this.userProfile, servingMultiplier });
         }
 
         // Store current product
@@ -13,19 +13,19 @@
 const SAFETY_LIMITS = {
     pregnancy: {
         // Critical nutrients to monitor
-        vitaminA_retinol_max: 3000,    // mcg (IU equivalent ~10,000 IU max daily)
-        caffeine_max: 0,                // mg per 100g (avoid caffeine-containing foods)
+        vitaminA_retinol_max: { amount: 3000, unit: 'µg' },  // ~10,000 IU max daily
+        caffeine_max: { amount: 0, unit: 'mg' },            // per 100g (avoid caffeine-containing foods)
         sugar_max: 5,                   // g (WHO: limit added sugars)
-        sodium_max: 0.3,                // g (equivalent to 0.75g salt)
+        sodium_max: { amount: 0.3, unit: 'g' },             // equivalent to 0.75g salt
         mercury_max: 0,                 // Should be zero for safety
         alcohol_max: 0,                 // Absolute zero tolerance
         
         // Beneficial nutrients (minimums)
-        iron_min: 2,                    // mg (important for pregnancy)
-        calcium_min: 100,               // mg (bone health)
+        iron_min: { amount: 2, unit: 'mg' },                // important for pregnancy
+        calcium_min: { amount: 100, unit: 'mg' },           // bone health
         protein_min: 8,                 // g (fetal development)
         fiber_min: 5,                   // g (digestive health)
-        folate_min: 50,                 // mcg (neural tube development)
+        folate_min: { amount: 50, unit: 'µg' },             // neural tube development
         
         // Warning thresholds
         calories_caution: 250,          // kcal (avoid calorie-dense foods)
@@ -37,8 +37,8 @@ const SAFETY_LIMITS = {
         // STRICT limits for babies/children under 6
         sugar_max: 2,                   // g (AAP: no added sugar under 2 years)
         salt_max: 0.2,                  // g (very low sodium tolerance)
-        sodium_max: 0.08,               // g
-        caffeine_max: 0,                // Absolutely zero
+        sodium_max: { amount: 0.08, unit: 'g' },
+        caffeine_max: { amount: 0, unit: 'mg' },            // Absolutely zero
         artificialSweeteners_max: 0,    // Zero tolerance
         
         // Choking hazards (texture indicators)
@@ -46,8 +46,8 @@ const SAFETY_LIMITS = {
         
         // Nutritional minimums
         protein_min: 5,                 // g (growth)
-        calcium_min: 80,                // mg (bone development)
-        iron_min: 1.5,                  // mg (brain development)
+        calcium_min: { amount: 80, unit: 'mg' },            // bone development
+        iron_min: { amount: 1.5, unit: 'mg' },              // brain development
         
         // Caution thresholds
         calories_caution: 180,          // kcal
@@ -131,21 +131,23 @@ function analyzePregnancySafety(nutrition) {
     let warnings = [];
     let positives = [];
     
-    // Normalize nutrition values
+    // Normalize nutrition values (undeclared stays null and its rule is skipped)
     const n = {
-        calories: nutrition.calories || 0,
-        sugar: nutrition.sugar || 0,
-        sodium: nutrition.sodium || (nutrition.salt || 0) * 400, // Convert salt to sodium
-        salt: nutrition.salt || 0,
-        fat: nutrition.fat || 0,
-        saturatedFat: nutrition.saturatedFat || 0,
-        protein: nutrition.protein || 0,
-        fiber: nutrition.fiber || 0,
-        caffeine: nutrition.caffeine || 0,
-        vitaminA: nutrition.vitamins?.a || 0,
-        iron: nutrition.minerals?.iron || nutrition.iron || 0,
-        calcium: nutrition.minerals?.calcium || nutrition.calcium || 0,
-        folate: nutrition.vitamins?.folate || nutrition.folate || 0
+        calories: knownOrNull(nutrition.calories),
+        sugar: knownOrNull(nutrition.sugar),
+        salt: knownOrNull(nutrition.salt),
+        fat: knownOrNull(nutrition.fat),
+        saturatedFat: knownOrNull(nutrition.saturatedFat),
+        protein: knownOrNull(nutrition.protein),
+        fiber: knownOrNull(nutrition.fiber),
+        // Micronutrients are read in the unit of their limit (units.js)
+        sodium: readNutrient(nutrition, 'sodium', limits.sodium_max.unit) ??
+            convertUnit(isKnownValue(nutrition.salt) ? nutrition.salt / 2.5 : null, 'g', limits.sodium_max.unit),
+        caffeine: readNutrient(nutrition, 'caffeine', limits.caffeine_max.unit),
+        vitaminA: readNutrient(nutrition, 'vitaminA', limits.vitaminA_retinol_max.unit),
+        iron: readNutrient(nutrition, 'iron', limits.iron_min.unit),
+        calcium: readNutrient(nutrition, 'calcium', limits.calcium_min.unit),
+        folate: readNutrient(nutrition, 'folate', limits.folate_min.unit)
     };
     
     // Check ingredients for unsafe items
@@ -157,11 +159,11 @@ function analyzePregnancySafety(nutrition) {
     // ============================================
     
     // 1. Caffeine (any amount is concerning)
-    if (n.caffeine > limits.caffeine_max) {
+    if (n.caffeine > limits.caffeine_max.amount) {
         score = 0;
         warnings.push({
             severity: 'critical',
-            message: `Contains caffeine (${n.caffeine}mg/100g) - limit caffeine during pregnancy`,
+            message: `Contains caffeine (${Math.round(n.caffeine)}${limits.caffeine_max.unit}/100g) - limit caffeine during pregnancy`,
             nutrient: 'caffeine'
         });
     }
@@ -177,11 +179,11 @@ function analyzePregnancySafety(nutrition) {
     }
     
     // 3. Excessive Vitamin A (Retinol) - teratogenic risk
-    if (n.vitaminA > limits.vitaminA_retinol_max) {
+    if (n.vitaminA > limits.vitaminA_retinol_max.amount) {
         score -= 40;
         warnings.push({
             severity: 'critical',
-            message: `Very high Vitamin A (${n.vitaminA}mcg) - may cause birth defects`,
+            message: `Very high Vitamin A (${Math.round(n.vitaminA)}${limits.vitaminA_retinol_max.unit}) - may cause birth defects`,
             nutrient: 'vitaminA'
         });
     }
@@ -202,12 +204,12 @@ function analyzePregnancySafety(nutrition) {
     }
     
     // 5. High sodium (preeclampsia/edema risk)
-    if (n.salt > limits.sodium_max) {
-        const sodiumPenalty = Math.min(20, (n.salt - limits.sodium_max) * 25);
+    if (n.sodium > limits.sodium_max.amount) {
+        const sodiumPenalty = Math.min(20, (n.sodium - limits.sodium_max.amount) * 25);
         score -= sodiumPenalty;
         warnings.push({
             severity: 'high',
-            message: `High sodium (${n.salt.toFixed(2)}g) - may increase blood pressure`,
+            message: `High sodium (${n.sodium.toFixed(2)}${limits.sodium_max.unit}) - may increase blood pressure`,
             nutrient: 'sodium'
         });
     }
@@ -239,18 +241,18 @@ function analyzePregnancySafety(nutrition) {
     // ============================================
     
     // 8. Good iron content (anemia prevention)
-    if (n.iron >= limits.iron_min) {
+    if (n.iron >= limits.iron_min.amount) {
         positives.push({
-            message: `Good iron content (${n.iron.toFixed(1)}mg) - supports healthy pregnancy`,
+            message: `Good iron content (${n.iron.toFixed(1)}${limits.iron_min.unit}) - supports healthy pregnancy`,
             nutrient: 'iron'
         });
         score += 5;
     }
     
     // 9. Good calcium (bone health)
-    if (n.calcium >= limits.calcium_min) {
+    if (n.calcium >= limits.calcium_min.amount) {
         positives.push({
-            message: `Contains calcium (${n.calcium.toFixed(0)}mg) - important for baby's bones`,
+            message: `Contains calcium (${n.calcium.toFixed(0)}${limits.calcium_min.unit}) - important for baby's bones`,
             nutrient: 'calcium'
         });
         score += 5;
@@ -275,9 +277,9 @@ function analyzePregnancySafety(nutrition) {
     }
     
     // 12. Folate present (neural tube health)
-    if (n.folate >= limits.folate_min) {
+    if (n.folate >= limits.folate_min.amount) {
         positives.push({
-            message: `Contains folate (${n.folate.toFixed(0)}mcg) - crucial for baby's development`,
+            message: `Contains folate (${n.folate.toFixed(0)}${limits.folate_min.unit}) - crucial for baby's development`,
             nutrient: 'folate'
         });
         score += 8;
@@ -317,7 +319,7 @@ function analyzePregnancySafety(nutrition) {
         explanation = 'This food should be avoided during pregnancy due to safety concerns.';
     }
     
-    return {
+    return markNotEvaluated({
         score,
         status,
         label,
@@ -337,7 +339,7 @@ function analyzePregnancySafety(nutrition) {
             folate: n.folate
         },
         timestamp: new Date().toISOString()
-    };
+    }, listUnknownNutrients(nutrition, ['sugar', 'salt', 'calories', 'saturatedFat']));
 }
 
 // ============================================
@@ -355,18 +357,18 @@ function analyzeBabySafety(nutrition) {
     let warnings = [];
     let positives = [];
     
-    // Normalize nutrition values
+    // Normalize nutrition values (undeclared stays null and its rule is skipped)
     const n = {
-        calories: nutrition.calories || 0,
-        sugar: nutrition.sugar || 0,
-        salt: nutrition.salt || 0,
-        sodium: nutrition.sodium || (nutrition.salt || 0) * 400,
-        fat: nutrition.fat || 0,
-        protein: nutrition.protein || 0,
-        fiber: nutrition.fiber || 0,
-        caffeine: nutrition.caffeine || 0,
-        calcium: nutrition.minerals?.calcium || nutrition.calcium || 0,
-        iron: nutrition.minerals?.iron || nutrition.iron || 0
+        calories: knownOrNull(nutrition.calories),
+        sugar: knownOrNull(nutrition.sugar),
+        salt: knownOrNull(nutrition.salt),
+        fat: knownOrNull(nutrition.fat),
+        protein: knownOrNull(nutrition.protein),
+        fiber: knownOrNull(nutrition.fiber),
+        // Micronutrients are read in the unit of their limit (units.js)
+        caffeine: readNutrient(nutrition, 'caffeine', limits.caffeine_max.unit),
+        calcium: readNutrient(nutrition, 'calcium', limits.calcium_min.unit),
+        iron: readNutrient(nutrition, 'iron', limits.iron_min.unit)
     };
     
     // Check ingredients for unsafe items
@@ -378,7 +380,7 @@ function analyzeBabySafety(nutrition) {
     // ============================================
     
     // 1. ANY caffeine = immediate disqualification
-    if (n.caffeine > 0) {
+    if (n.caffeine > limits.caffeine_max.amount) {
         score = 0;
         warnings.push({
             severity: 'critical',
@@ -467,25 +469,25 @@ function analyzeBabySafety(nutrition) {
     }
     
     // 9. Calcium for bone development
-    if (n.calcium >= limits.calcium_min) {
+    if (n.calcium >= limits.calcium_min.amount) {
         positives.push({
-            message: `Contains calcium (${n.calcium.toFixed(0)}mg) - important for growing bones`,
+            message: `Contains calcium (${n.calcium.toFixed(0)}${limits.calcium_min.unit}) - important for growing bones`,
             nutrient: 'calcium'
         });
         score += 8;
     }
     
     // 10. Iron for brain development
-    if (n.iron >= limits.iron_min) {
+    if (n.iron >= limits.iron_min.amount) {
         positives.push({
-            message: `Contains iron (${n.iron.toFixed(1)}mg) - crucial for brain development`,
+            message: `Contains iron (${n.iron.toFixed(1)}${limits.iron_min.unit}) - crucial for brain development`,
             nutrient: 'iron'
         });
         score += 8;
     }
     
     // 11. Low sugar AND low salt (ideal profile)
-    if (n.sugar <= 1 && n.salt <= 0.1) {
+    if (n.sugar !== null && n.salt !== null && n.sugar <= 1 && n.salt <= 0.1) {
         positives.push({
             message: 'Very low in sugar and salt - excellent for young children',
             nutrient: 'overall'
@@ -527,7 +529,7 @@ function analyzeBabySafety(nutrition) {
         explanation = 'This food is unsafe for children under 6 and should be completely avoided.';
     }
     
-    return {
+    return markNotEvaluated({
         score,
         status,
         label,
@@ -547,7 +549,7 @@ function analyzeBabySafety(nutrition) {
             iron: n.iron
         },
         timestamp: new Date().toISOString()
-    };
+    }, listUnknownNutrients(nutrition, ['sugar', 'salt', 'calories', 'fat']));
 }
 
 // ============================================
@@ -565,17 +567,41 @@ function checkUnsafeIngredients(ingredients, context) {
         return [];
     }
     
-    const ingredientsLower = ingredients.toLowerCase();
     const unsafeList = UNSAFE_INGREDIENTS[context] || [];
-    const found = [];
     
-    unsafeList.forEach(unsafe => {
-        if (ingredientsLower.includes(unsafe.toLowerCase())) {
-            found.push(unsafe);
-        }
-    });
-    
-    return found;
+    // Whole-ingredient matching: "no added sugar" or "coconut" never count
+    return findIngredientTerms(parseIngredients(ingredients), unsafeList);
+}
+
+/**
+ * Record which limits could not be checked
+ * A food is never called safe while its sugar or salt is undeclared
+ * @param {Object} result - Analyzer result
+ * @param {Array} unknown - Undeclared nutrients the analyzer has limits for
+ * @returns {Object} Result with notEvaluated
+ */
+function markNotEvaluated(result, unknown) {
+    if (unknown.length === 0) {
+        return { ...result, notEvaluated: [] };
+    }
+
+    const marked = {
+        ...result,
+        notEvaluated: unknown,
+        warnings: [...result.warnings, `Not evaluated (not declared): ${describeNutrients(unknown)}`]
+    };
+
+    if (result.status === 'Safe' && (unknown.includes('sugar') || unknown.includes('salt'))) {
+        Object.assign(marked, {
+            status: 'Caution',
+            label: 'Not Fully Evaluated',
+            emoji: '❓',
+            color: '#6b7280',
+            explanation: `No problems were found, but ${describeNutrients(unknown)} could not be checked. Read the package label before serving.`
+        });
+    }
+
+    return marked;
 }
 
 /**
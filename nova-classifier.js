@@ -0,0 +1,130 @@
+// ============================================
+// 🏭 NOVA CLASSIFIER
+// ============================================
+// Estimates the NOVA processing group from parsed ingredients
+// when Open Food Facts has no nova_group. The matched markers are
+// returned as evidence so warnings can say why.
+
+/**
+ * Additive functions that mark ultra-processed food (NOVA 4)
+ * These are cosmetic additives not used in home cooking
+ */
+const NOVA_4_ADDITIVE_FUNCTIONS = [
+    'colour', 'flavour enhancer', 'emulsifier', 'sweetener', 'thickener',
+    'stabiliser', 'glazing agent', 'anti-foaming agent', 'bulking agent', 'humectant'
+];
+
+/**
+ * Ingredients only produced industrially (NOVA 4)
+ */
+const NOVA_4_INGREDIENT_TERMS = [
+    'flavouring', 'flavoring', 'natural flavour', 'natural flavor', 'artificial flavour', 'artificial flavor', 'aroma',
+    'modified starch', 'modified maize starch', 'modified corn starch', 'maltodextrin', 'dextrose',
+    'glucose syrup', 'glucose-fructose syrup', 'fructose syrup', 'high fructose corn syrup', 'invert sugar', 'fructose',
+    'hydrogenated', 'interesterified', 'protein isolate', 'hydrolysed protein', 'hydrolyzed protein',
+    'whey protein', 'milk protein concentrate', 'casein', 'mechanically separated', 'soy protein'
+];
+
+/**
+ * Additive functions typical of processed (not ultra-processed) food (NOVA 3)
+ */
+const NOVA_3_ADDITIVE_FUNCTIONS = ['preservative', 'antioxidant', 'acid', 'acidity regulator'];
+
+/**
+ * Processed culinary ingredients (NOVA 2)
+ * On their own they are group 2; added to a food they make it group 3
+ */
+const NOVA_2_CULINARY_TERMS = [
+    'sugar', 'salt', 'sea salt', 'oil', 'butter', 'lard', 'vinegar', 'honey', 'maple syrup', 'starch'
+];
+
+/**
+ * Estimate the NOVA group
+ * @param {Object} product - { ingredients, parsedIngredients, additiveTags }
+ * @returns {Object} { group (1-4, or null without ingredients), markers, source: 'estimated' }
+ */
+function estimateNovaGroup(product = {}) {
+    const ingredientsText = typeof product.ingredients === 'string' ? product.ingredients : '';
+    const parsed = product.parsedIngredients || (ingredientsText ? parseIngredients(ingredientsText) : null);
+    const nodes = flattenIngredients(parsed);
+
+    if (nodes.length === 0) {
+        return { group: null, markers: [], source: 'estimated' };
+    }
+
+    const ultraMarkers = [];
+    const processedMarkers = [];
+    const culinaryNodes = [];
+
+    nodes.forEach(node => {
+        if (node.additive) {
+            const marker = { type: 'additive', term: `${node.additive.code.toUpperCase()} ${node.additive.name}`, ingredient: node.text };
+            if (NOVA_4_ADDITIVE_FUNCTIONS.includes(node.additive.function)) ultraMarkers.push(marker);
+            else if (NOVA_3_ADDITIVE_FUNCTIONS.includes(node.additive.function)) processedMarkers.push(marker);
+            return;
+        }
+
+        const ultraTerm = NOVA_4_INGREDIENT_TERMS.find(term => containsTerm(node.name, term));
+        if (ultraTerm) {
+            ultraMarkers.push({ type: 'ingredient', term: ultraTerm, ingredient: node.text });
+            return;
+        }
+
+        const culinaryTerm = NOVA_2_CULINARY_TERMS.find(term => containsTerm(node.name, term));
+        if (culinaryTerm) {
+            culinaryNodes.push({ type: 'ingredient', term: culinaryTerm, ingredient: node.text });
+        }
+    });
+
+    // OFF additive tags catch additives the ingredient text leaves out
+    if (typeof assessAdditives === 'function') {
+        const listed = new Set(nodes.filter(node => node.additive).map(node => node.additive.code));
+        assessAdditives(collectAdditiveCodes({ additiveTags: product.additiveTags }))
+            .additives
+            .filter(additive => !listed.has(additive.code) && NOVA_4_ADDITIVE_FUNCTIONS.includes(additive.function))
+            .forEach(additive => ultraMarkers.push({ type: 'additive', term: `${additive.label} ${additive.name}`, ingredient: additive.label }));
+    }
+
+    if (ultraMarkers.length > 0) {
+        return { group: 4, markers: ultraMarkers, source: 'estimated' };
+    }
+
+    // Only culinary ingredients (olive oil, sea salt, honey)
+    const topLevel = parsed.ingredients.filter(node => !node.negated);
+    const allCulinary = topLevel.every(node => NOVA_2_CULINARY_TERMS.some(term => containsTerm(node.name, term)));
+    if (allCulinary && processedMarkers.length === 0) {
+        return { group: 2, markers: culinaryNodes, source: 'estimated' };
+    }
+
+    if (processedMarkers.length > 0 || culinaryNodes.length > 0) {
+        return { group: 3, markers: [...processedMarkers, ...culinaryNodes], source: 'estimated' };
+    }
+
+    return { group: 1, markers: [], source: 'estimated' };
+}
+
+/**
+ * NOVA group for a product, preferring the Open Food Facts value
+ * @param {Object} product - { nova, ingredients, parsedIngredients, additiveTags }
+ * @returns {Object} { group, markers, source: 'api' | 'estimated' }
+ */
+function resolveNovaGroup(product = {}) {
+    const supplied = parseInt(product.nova, 10);
+    if (product.novaSource !== 'estimated' && supplied >= 1 && supplied <= 4) {
+        return { group: supplied, markers: [], source: 'api' };
+    }
+
+    return estimateNovaGroup(product);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NOVA_4_ADDITIVE_FUNCTIONS,
+        NOVA_4_INGREDIENT_TERMS,
+        estimateNovaGroup,
+        resolveNovaGroup
+    };
+}
+
+console.log('✅ NOVA Classifier loaded successfully');
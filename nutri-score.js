@@ -0,0 +1,232 @@
+// ============================================
+// 🅰️ NUTRI-SCORE
+// ============================================
+// Local implementation of the official Nutri-Score algorithm
+// (general foods, beverages, added fats and cheese), used when
+// Open Food Facts has no grade. Every component reports its points
+// so the UI can explain the letter. An undeclared negative component
+// leaves the grade null rather than scoring it as zero.
+
+/**
+ * Points thresholds: a value strictly above thresholds[i] earns i + 1 points
+ */
+const NUTRISCORE_THRESHOLDS = {
+    energy: [335, 670, 1005, 1340, 1675, 2010, 2345, 2680, 3015, 3350],
+    sugars: [4.5, 9, 13.5, 18, 22.5, 27, 31, 36, 40, 45],
+    saturatedFat: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+    saturatedFatRatio: [10, 16, 22, 28, 34, 40, 46, 52, 58, 64],
+    sodium: [90, 180, 270, 360, 450, 540, 630, 720, 810, 900],
+    fiber: [0.9, 1.9, 2.8, 3.7, 4.7],
+    protein: [1.6, 3.2, 4.8, 6.4, 8.0],
+    beverageEnergy: [0, 30, 60, 90, 120, 150, 180, 210, 240, 270],
+    beverageSugars: [0, 1.5, 3, 4.5, 6, 7.5, 9, 10.5, 12, 13.5]
+};
+
+/**
+ * Grade boundaries (highest score for each letter)
+ */
+const NUTRISCORE_GRADES = {
+    general: [{ max: -1, grade: 'a' }, { max: 2, grade: 'b' }, { max: 10, grade: 'c' }, { max: 18, grade: 'd' }, { max: Infinity, grade: 'e' }],
+    beverage: [{ max: 1, grade: 'b' }, { max: 5, grade: 'c' }, { max: 9, grade: 'd' }, { max: Infinity, grade: 'e' }]
+};
+
+/**
+ * Category keywords, checked in order against the product categories
+ */
+const NUTRISCORE_CATEGORY_KEYWORDS = [
+    { category: 'water', keywords: ['waters', 'mineral water', 'spring water'] },
+    { category: 'cheese', keywords: ['cheeses', 'cheese'] },
+    { category: 'fat', keywords: ['fats', 'vegetable oils', 'olive oils', 'oils', 'butters', 'margarines'] },
+    // Milk and dairy drinks are scored as foods
+    { category: 'general', keywords: ['milks', 'dairy drinks', 'milk drinks'] },
+    { category: 'beverage', keywords: ['beverages', 'drinks', 'sodas', 'juices', 'nectars'] }
+];
+
+/**
+ * Ingredient words counted towards fruit, vegetables, legumes and nuts
+ */
+const FRUIT_VEG_NUT_TERMS = [
+    'fruit', 'vegetable', 'apple', 'pear', 'orange', 'lemon', 'banana', 'grape', 'strawberry', 'raspberry',
+    'blueberry', 'cherry', 'peach', 'apricot', 'mango', 'pineapple', 'tomato', 'carrot', 'onion', 'pepper',
+    'spinach', 'pea', 'bean', 'lentil', 'chickpea', 'potato', 'olive', 'almond', 'hazelnut', 'walnut',
+    'cashew', 'pistachio', 'peanut', 'coconut', 'date', 'fig', 'raisin', 'plum', 'berry'
+];
+
+/**
+ * Points for a value against a threshold list
+ */
+function pointsFor(value, thresholds) {
+    return thresholds.filter(threshold => value > threshold).length;
+}
+
+/**
+ * Nutri-Score category of a product
+ * @param {Object} product - { categories, categoriesTags }
+ * @returns {string} 'general' | 'beverage' | 'water' | 'fat' | 'cheese'
+ */
+function detectNutriScoreCategory(product = {}) {
+    const text = [product.categories || '', ...(product.categoriesTags || [])]
+        .join(',')
+        .toLowerCase()
+        .replace(/\b[a-z]{2}:/g, '')
+        .replace(/-/g, ' ');
+
+    const match = NUTRISCORE_CATEGORY_KEYWORDS.find(({ keywords }) =>
+        keywords.some(keyword => new RegExp(`(^|,)\\s*${keyword}\\s*(,|$)`).test(text))
+    );
+
+    return match ? match.category : 'general';
+}
+
+/**
+ * Fruit, vegetable, legume and nut content in percent
+ * Prefers the OFF value; otherwise adds up the declared percentages
+ * of matching ingredients (undeclared amounts count as zero)
+ * @param {Object} product - { fruitVegNuts, ingredients, parsedIngredients }
+ * @returns {Object} { percent, source: 'label' | 'ingredients' | 'none' }
+ */
+function estimateFruitVegNuts(product = {}) {
+    if (typeof product.fruitVegNuts === 'number') {
+        return { percent: product.fruitVegNuts, source: 'label' };
+    }
+
+    const ingredientsText = typeof product.ingredients === 'string' ? product.ingredients : '';
+    const parsed = product.parsedIngredients || (ingredientsText ? parseIngredients(ingredientsText) : null);
+    const topLevel = ((parsed && parsed.ingredients) || []).filter(node => !node.negated && node.percent !== null);
+    const matching = topLevel.filter(node => FRUIT_VEG_NUT_TERMS.some(term => containsTerm(node.name, term)));
+
+    if (matching.length === 0) {
+        return { percent: 0, source: 'none' };
+    }
+
+    const percent = Math.min(100, matching.reduce((sum, node) => sum + node.percent, 0));
+    return { percent, source: 'ingredients' };
+}
+
+/**
+ * Compute the Nutri-Score
+ * @param {Object} nutrition - Output of extractNutritionData (per 100g)
+ * @param {Object} options - { category, fruitVegNuts (percent) }
+ * @returns {Object} { grade, score, category, negative, positive, proteinCounted, notEvaluated, source }
+ */
+function computeNutriScore(nutrition = {}, options = {}) {
+    const category = options.category || 'general';
+    const fruitVegNuts = options.fruitVegNuts || 0;
+    const isBeverage = category === 'beverage' || category === 'water';
+
+    const calories = knownOrNull(nutrition.calories);
+    const sodium = knownOrNull(nutrition.sodium) ?? (isKnownValue(nutrition.salt) ? nutrition.salt / 2.5 : null);
+
+    const energyKj = calories === null ? null : calories * 4.184;
+    const sugars = knownOrNull(nutrition.sugar);
+    const saturatedFat = knownOrNull(nutrition.saturatedFat);
+    const sodiumMg = sodium === null ? null : sodium * 1000;
+    const fiber = knownOrNull(nutrition.fiber);
+    const protein = knownOrNull(nutrition.protein);
+
+    // Undeclared components keep null value and points
+    const component = (key, label, value, unit, points, max) => (value === null
+        ? { key, label, value: null, unit, points: null, max }
+        : { key, label, value: Math.round(value * 10) / 10, unit, points, max });
+
+    // Negative components
+    const negative = [
+        isBeverage
+            ? component('energy', 'Energy', energyKj, 'kJ', pointsFor(energyKj, NUTRISCORE_THRESHOLDS.beverageEnergy), 10)
+            : component('energy', 'Energy', energyKj, 'kJ', pointsFor(energyKj, NUTRISCORE_THRESHOLDS.energy), 10),
+        isBeverage
+            ? component('sugars', 'Sugars', sugars, 'g', pointsFor(sugars, NUTRISCORE_THRESHOLDS.beverageSugars), 10)
+            : component('sugars', 'Sugars', sugars, 'g', pointsFor(sugars, NUTRISCORE_THRESHOLDS.sugars), 10)
+    ];
+
+    if (category === 'fat') {
+        // Added fats are judged on the share of saturated fat, not the amount
+        const fat = knownOrNull(nutrition.fat);
+        const ratio = saturatedFat === null || fat === null ? null : (fat > 0 ? saturatedFat / fat * 100 : 0);
+        negative.push(component('saturatedFatRatio', 'Saturated fat / fat', ratio, '%', pointsFor(ratio, NUTRISCORE_THRESHOLDS.saturatedFatRatio), 10));
+    } else {
+        negative.push(component('saturatedFat', 'Saturated fat', saturatedFat, 'g', pointsFor(saturatedFat, NUTRISCORE_THRESHOLDS.saturatedFat), 10));
+    }
+    negative.push(component('sodium', 'Sodium', sodiumMg, 'mg', pointsFor(sodiumMg, NUTRISCORE_THRESHOLDS.sodium), 10));
+
+    // Positive components
+    const fruitVegPoints = isBeverage
+        ? (fruitVegNuts > 80 ? 10 : fruitVegNuts > 60 ? 4 : fruitVegNuts > 40 ? 2 : 0)
+        : (fruitVegNuts > 80 ? 5 : fruitVegNuts > 60 ? 2 : fruitVegNuts > 40 ? 1 : 0);
+    const positive = [
+        component('fruitVegNuts', 'Fruit, vegetables & nuts', fruitVegNuts, '%', fruitVegPoints, isBeverage ? 10 : 5),
+        component('fiber', 'Fiber', fiber, 'g', pointsFor(fiber, NUTRISCORE_THRESHOLDS.fiber), 5),
+        component('protein', 'Protein', protein, 'g', pointsFor(protein, NUTRISCORE_THRESHOLDS.protein), 5)
+    ];
+
+    const negativePoints = negative.reduce((sum, c) => sum + (c.points || 0), 0);
+
+    // Protein only counts for very unhealthy foods if they are cheese or mostly fruit/veg
+    const proteinCounted = category === 'cheese' || negativePoints < 11 || fruitVegPoints >= 5;
+    const counted = proteinCounted ? positive : positive.filter(c => c.key !== 'protein');
+    const positivePoints = counted.reduce((sum, c) => sum + (c.points || 0), 0);
+
+    const score = negativePoints - positivePoints;
+    const notEvaluated = [...negative, ...positive].filter(c => c.value === null).map(c => c.key);
+    const negativeUnknown = negative.some(c => c.value === null);
+
+    let grade;
+    if (category === 'water') {
+        grade = 'a';
+    } else if (negativeUnknown) {
+        // Unknown positives only cost points; an unknown negative could hide any grade
+        grade = null;
+    } else {
+        const scale = isBeverage ? NUTRISCORE_GRADES.beverage : NUTRISCORE_GRADES.general;
+        grade = scale.find(step => score <= step.max).grade;
+    }
+
+    return {
+        grade,
+        score,
+        category,
+        negative: { points: negativePoints, components: negative },
+        positive: { points: positivePoints, components: positive },
+        proteinCounted,
+        notEvaluated,
+        source: 'computed'
+    };
+}
+
+/**
+ * Nutri-Score for a product in app format
+ * Keeps the Open Food Facts grade when there is one; the computed
+ * breakdown is always attached so the letter can be explained
+ * @param {Object} product - Product with nutrition, categories, ingredients
+ * @returns {Object} computeNutriScore output plus { grade, source: 'api' | 'computed', computedGrade, fruitVegNutsSource }
+ */
+function resolveNutriScore(product = {}) {
+    const fruitVegNuts = estimateFruitVegNuts(product);
+    const computed = computeNutriScore(product.nutrition, {
+        category: detectNutriScoreCategory(product),
+        fruitVegNuts: fruitVegNuts.percent
+    });
+
+    const apiGrade = product.nutriscoreSource === 'computed' ? null : product.nutriscore;
+
+    return {
+        ...computed,
+        grade: apiGrade ? apiGrade.toLowerCase() : computed.grade,
+        computedGrade: computed.grade,
+        source: apiGrade ? 'api' : 'computed',
+        fruitVegNutsSource: fruitVegNuts.source
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NUTRISCORE_THRESHOLDS,
+        detectNutriScoreCategory,
+        estimateFruitVegNuts,
+        computeNutriScore,
+        resolveNutriScore
+    };
+}
+
+console.log('✅ Nutri-Score loaded successfully');
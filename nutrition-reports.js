@@ -0,0 +1,183 @@
+// ============================================
+// 📈 NUTRITION TREND REPORTS
+// ============================================
+// Aggregates scan history and the food journal over
+// 7/30/90 day windows for the reports view and PDF export
+
+const REPORT_PERIODS = [7, 30, 90];
+
+const GRADE_ORDER = ['A+', 'A', 'B', 'C', 'D', 'F'];
+
+/**
+ * Build a trend report
+ * @param {Object} data - { scanHistory, journal }
+ * @param {number} days - Window length in days (including today)
+ * @param {Object} options - { gender, profile, now }
+ * @returns {Object} Scan and intake statistics for the window
+ */
+function buildNutritionReport(data, days = 7, options = {}) {
+    const today = toDayKey(options.now || new Date());
+    const from = shiftDayKey(today, -(days - 1));
+    const inWindow = dayKey => dayKey >= from && dayKey <= today;
+
+    const scans = (data.scanHistory || []).filter(item => inWindow(toDayKey(item.timestamp)));
+    const journal = (data.journal || []).filter(entry => inWindow(entry.date));
+
+    return {
+        periodDays: days,
+        from,
+        to: today,
+        scans: summarizeScans(scans),
+        intake: summarizeIntake(journal, options)
+    };
+}
+
+/**
+ * Score, grade and category statistics for scanned products
+ */
+function summarizeScans(scans) {
+    // Every score figure comes from one scale; scans that can't be scored are left out of them
+    const rated = scans
+        .map(item => ({ ...item, ...rescoreScan(item) }))
+        .filter(item => Number.isFinite(item.score));
+
+    const gradeDistribution = {};
+    GRADE_ORDER.forEach(grade => { gradeDistribution[grade] = 0; });
+    rated.forEach(item => {
+        if (item.grade in gradeDistribution) gradeDistribution[item.grade]++;
+    });
+
+    const categoryCounts = {};
+    scans.forEach(item => {
+        // OFF lists categories broad to specific; the first is the comparable one
+        const category = (item.categories || '').split(',')[0].trim();
+        if (category) categoryCounts[category] = (categoryCounts[category] || 0) + 1;
+    });
+
+    const topCategories = Object.entries(categoryCounts)
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 5);
+
+    // Rank each product once, using its most recent scan (any symbology)
+    const latestByBarcode = new Map();
+    rated.forEach(item => {
+        const key = toGTINKey(item.barcode);
+        const existing = latestByBarcode.get(key);
+        if (!existing || item.timestamp > existing.timestamp) latestByBarcode.set(key, item);
+    });
+    const ranked = [...latestByBarcode.values()]
+        .map(item => ({ barcode: item.barcode, name: item.name, brand: item.brand, score: item.score, grade: item.grade }))
+        .sort((a, b) => b.score - a.score);
+
+    // Split the ranking so a product never shows up as both best and worst
+    const bestCount = Math.min(3, Math.ceil(ranked.length / 2));
+
+    const averageScore = rated.length > 0
+        ? Math.round(rated.reduce((sum, item) => sum + item.score, 0) / rated.length)
+        : null;
+
+    return {
+        count: scans.length,
+        uniqueProducts: ranked.length,
+        averageScore,
+        gradeDistribution,
+        topCategories,
+        best: ranked.slice(0, bestCount),
+        worst: ranked.slice(bestCount).slice(-3).reverse()
+    };
+}
+
+/**
+ * Score and grade of a saved scan on the current algorithm version
+ * Stored scores keep the version they were made with (migrated history is engine-v2 or older),
+ * so averaging or ranking them together mixes scales. Items saved without nutrition keep their stored score.
+ */
+function rescoreScan(item) {
+    if (!item.nutrition || typeof calculateHealthScore !== 'function') {
+        return { score: item.score, grade: item.grade };
+    }
+
+    const { score, grade } = calculateHealthScore(item.nutrition, { additives: collectAdditiveCodes(item) });
+    return { score, grade };
+}
+
+/**
+ * Daily intake statistics from journal entries
+ */
+function summarizeIntake(entries, options = {}) {
+    const byDay = {};
+    entries.forEach(entry => {
+        (byDay[entry.date] = byDay[entry.date] || []).push(entry);
+    });
+
+    const dayTotals = Object.entries(byDay)
+        .map(([date, dayEntries]) => ({ date, totals: calculateJournalTotals(dayEntries) }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    const sugarLimit = calculateDailyValue(0, 'sugar', options).target;
+    const saltLimit = calculateDailyValue(0, 'salt', options).target;
+
+    const daysOverSugar = dayTotals.filter(day => (day.totals.sugar || 0) > sugarLimit).length;
+    const daysOverSalt = dayTotals.filter(day => (day.totals.salt || 0) > saltLimit).length;
+
+    const average = key => dayTotals.length > 0
+        ? Math.round(dayTotals.reduce((sum, day) => sum + (day.totals[key] || 0), 0) / dayTotals.length * 10) / 10
+        : null;
+
+    return {
+        daysLogged: dayTotals.length,
+        entries: entries.length,
+        sugarLimit,
+        saltLimit,
+        daysOverSugar,
+        daysOverSalt,
+        averageCalories: average('calories'),
+        averageSugar: average('sugar'),
+        averageSalt: average('salt'),
+        days: dayTotals
+    };
+}
+
+/**
+ * Plain-text lines used by the PDF export
+ * @param {Object} report - Output of buildNutritionReport
+ * @returns {Array} Lines of { text, size }
+ */
+function formatReportLines(report) {
+    const { scans, intake } = report;
+    const lines = [
+        { text: `Period: ${report.from} to ${report.to} (${report.periodDays} days)`, size: 12 },
+        { text: 'Scans', size: 16 },
+        { text: `Products scanned: ${scans.count} (${scans.uniqueProducts} unique)` },
+        { text: `Average health score: ${scans.averageScore ?? 'n/a'}` },
+        { text: `Grades: ${GRADE_ORDER.map(grade => `${grade} ${scans.gradeDistribution[grade]}`).join(', ')}` }
+    ];
+
+    if (scans.topCategories.length > 0) {
+        lines.push({ text: `Top categories: ${scans.topCategories.map(c => `${c.name} (${c.count})`).join(', ')}` });
+    }
+    scans.best.forEach((item, i) => lines.push({ text: `Best #${i + 1}: ${item.name} - ${item.score}/100 (${item.grade})` }));
+    scans.worst.forEach((item, i) => lines.push({ text: `Worst #${i + 1}: ${item.name} - ${item.score}/100 (${item.grade})` }));
+
+    lines.push(
+        { text: 'Logged intake', size: 16 },
+        { text: `Days logged: ${intake.daysLogged} (${intake.entries} entries)` },
+        { text: `Average calories per day: ${intake.averageCalories ?? 'n/a'} kcal` },
+        { text: `Days over sugar limit (${intake.sugarLimit}g): ${intake.daysOverSugar}` },
+        { text: `Days over salt limit (${intake.saltLimit}g): ${intake.daysOverSalt}` }
+    );
+
+    return lines;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REPORT_PERIODS,
+        buildNutritionReport,
+        formatReportLines
+    };
+}
+
+console.log('✅ Nutrition Reports loaded successfully');
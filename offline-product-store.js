@@ -0,0 +1,428 @@
+// ============================================
+// 💾 OFFLINE PRODUCT STORE - IndexedDB
+// ============================================
+// Persistent product catalog used when the network is unavailable
+// Holds previously scanned products and pre-seeded regional catalogs
+// imported from Open Food Facts CSV/JSONL dumps
+
+const OFFLINE_DB_CONFIG = {
+    name: 'nutravue-offline',
+    version: 1,
+    productStore: 'products'
+};
+
+/**
+ * Open (and upgrade if needed) an IndexedDB database
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} onUpgrade - Called with the db during upgrades
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openIndexedDB(name, version, onUpgrade) {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = () => onUpgrade(request.result);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Offline Product Store
+ * Records are keyed by barcode and keep the raw Open Food Facts product,
+ * so they can be re-enriched with the current user's options
+ */
+class OfflineProductStore {
+    constructor(config = OFFLINE_DB_CONFIG) {
+        this.config = config;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check IndexedDB support
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Lazily open the database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = openIndexedDB(this.config.name, this.config.version, (db) => {
+                if (!db.objectStoreNames.contains(this.config.productStore)) {
+                    const store = db.createObjectStore(this.config.productStore, { keyPath: 'barcode' });
+                    store.createIndex('origin', 'origin', { unique: false });
+                }
+            }).catch(error => {
+                // Allow a later retry (e.g. private mode toggled off)
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a callback against the product object store
+     */
+    async withStore(mode, callback) {
+        const db = await this.open();
+        const tx = db.transaction(this.config.productStore, mode);
+        const result = callback(tx.objectStore(this.config.productStore));
+
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+
+        return result;
+    }
+
+    /**
+     * Save a single raw API product
+     * @param {string} barcode - Product barcode
+     * @param {Object} apiProduct - Raw provider payload (Open Food Facts unless provider says otherwise)
+     * @param {string} origin - 'scan' or 'import'
+     * @param {string} provider - Provider id that produced the payload
+     */
+    async saveProduct(barcode, apiProduct, origin = 'scan', provider = 'off') {
+        if (!barcode || !apiProduct) return;
+
+        await this.withStore('readwrite', store => {
+            store.put(createOfflineRecord(barcode, apiProduct, origin, provider));
+        });
+    }
+
+    /**
+     * Save many raw API products in a single transaction
+     * @param {Array} apiProducts - Raw Open Food Facts products (with `code`)
+     * @param {string} origin - Record origin
+     * @returns {Promise<Object>} Import counts
+     */
+    async saveProducts(apiProducts, origin = 'import') {
+        let imported = 0;
+        let skipped = 0;
+
+        await this.withStore('readwrite', store => {
+            apiProducts.forEach(apiProduct => {
+                const barcode = apiProduct && String(apiProduct.code || '').trim();
+                if (!barcode) {
+                    skipped++;
+                    return;
+                }
+                store.put(createOfflineRecord(barcode, apiProduct, origin));
+                imported++;
+            });
+        });
+
+        return { imported, skipped };
+    }
+
+    /**
+     * Get a stored record by barcode
+     * Records are keyed by canonical GTIN; ones saved before that under the raw code
+     * @returns {Promise<Object|null>} Record or null
+     */
+    async getProduct(barcode) {
+        const db = await this.open();
+        const tx = db.transaction(this.config.productStore, 'readonly');
+        const store = tx.objectStore(this.config.productStore);
+        const record = await promisifyRequest(store.get(toGTINKey(barcode))) ||
+            await promisifyRequest(store.get(String(barcode)));
+        return record || null;
+    }
+
+    /**
+     * Get every stored record (used for offline name search)
+     * @returns {Promise<Array>} Records
+     */
+    async getAllProducts() {
+        const db = await this.open();
+        const tx = db.transaction(this.config.productStore, 'readonly');
+        return promisifyRequest(tx.objectStore(this.config.productStore).getAll());
+    }
+
+    /**
+     * Count stored products
+     */
+    async count() {
+        const db = await this.open();
+        const tx = db.transaction(this.config.productStore, 'readonly');
+        return promisifyRequest(tx.objectStore(this.config.productStore).count());
+    }
+
+    /**
+     * Remove every stored product
+     */
+    async clear() {
+        await this.withStore('readwrite', store => store.clear());
+        console.log('✅ Offline product store cleared');
+    }
+
+    /**
+     * Import an Open Food Facts dump (CSV/TSV or JSONL)
+     * @param {File|string} source - File from an <input> or raw text
+     * @param {Object} options - { format: 'csv' | 'jsonl' }
+     * @returns {Promise<Object>} Import counts
+     */
+    async importDump(source, options = {}) {
+        const isFile = typeof source !== 'string';
+        const text = isFile ? await source.text() : source;
+        const format = options.format || detectDumpFormat(isFile ? source.name : '', text);
+
+        const products = parseOFFDump(text, format);
+        const result = await this.saveProducts(products, 'import');
+
+        console.log(`✅ Imported ${result.imported} products into offline store (${result.skipped} skipped)`);
+        return { ...result, format };
+    }
+}
+
+/**
+ * Build a stored record
+ */
+function createOfflineRecord(barcode, apiProduct, origin, provider = 'off') {
+    return {
+        barcode: toGTINKey(barcode),
+        product: apiProduct,
+        provider,
+        origin,
+        storedAt: new Date().toISOString()
+    };
+}
+
+// ============================================
+// DUMP PARSING
+// ============================================
+
+/**
+ * Guess dump format from file name or content
+ */
+function detectDumpFormat(fileName, text) {
+    const name = (fileName || '').toLowerCase();
+    if (name.endsWith('.jsonl') || name.endsWith('.ndjson') || name.endsWith('.json')) return 'jsonl';
+    if (name.endsWith('.csv') || name.endsWith('.tsv')) return 'csv';
+
+    return text.trimStart().startsWith('{') ? 'jsonl' : 'csv';
+}
+
+/**
+ * Parse an Open Food Facts dump into raw API-shaped products
+ * @param {string} text - Dump content
+ * @param {string} format - 'csv' or 'jsonl'
+ * @returns {Array} Products with `code` and `nutriments`
+ */
+function parseOFFDump(text, format) {
+    if (format === 'jsonl') {
+        return text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .map(line => {
+                try {
+                    const parsed = JSON.parse(line);
+                    // Accept both dump rows and saved API responses
+                    return parsed.product ? { code: parsed.code, ...parsed.product } : parsed;
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(product => product && product.code);
+    }
+
+    // OFF's official "CSV" export is tab separated
+    const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+    const delimiter = firstLine.includes('\t') ? '\t' : ',';
+    const rows = parseDelimitedText(text, delimiter);
+    if (rows.length < 2) return [];
+
+    const headers = rows[0].map(h => h.trim());
+    return rows.slice(1)
+        .filter(values => values.length > 1 || (values[0] || '').trim() !== '')
+        .map(values => mapOFFDumpRow(headers, values))
+        .filter(product => product.code);
+}
+
+/**
+ * Split delimited text into rows, honouring double-quoted fields
+ */
+function parseDelimitedText(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Map one dump row to the API product shape the OFF provider normalises
+ */
+function mapOFFDumpRow(headers, values) {
+    const product = { nutriments: {} };
+
+    headers.forEach((header, index) => {
+        const raw = (values[index] || '').trim();
+        if (raw === '') return;
+
+        if (header.endsWith('_100g') || header.endsWith('_serving')) {
+            const number = parseFloat(raw);
+            if (!isNaN(number)) product.nutriments[header] = number;
+        } else if (header.endsWith('_tags')) {
+            product[header] = raw.split(',').map(tag => tag.trim()).filter(Boolean);
+        } else if (header === 'nova_group' || header === 'last_modified_t' || header === 'created_t') {
+            const number = parseInt(raw, 10);
+            if (!isNaN(number)) product[header] = number;
+        } else {
+            product[header] = raw;
+        }
+    });
+
+    // Older exports only carry the plain "allergens" column
+    if (!product.allergens_tags && product.allergens) {
+        product.allergens_tags = product.allergens.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+
+    return product;
+}
+
+// ============================================
+// FUZZY MATCHING
+// ============================================
+
+/**
+ * Split text into lowercase words without accents
+ */
+function tokenizeForSearch(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * How well a query matches a product name
+ * Every query word must match some word of the text, exactly, as a
+ * prefix, inside it, or with a typo or two for longer words
+ * @param {string} query - What the user typed
+ * @param {string} text - Name (and brand) to match against
+ * @returns {number} 0 (no match) to 1 (every word exact)
+ */
+function fuzzyMatchScore(query, text) {
+    const queryWords = tokenizeForSearch(query);
+    const textWords = tokenizeForSearch(text);
+    if (queryWords.length === 0 || textWords.length === 0) return 0;
+
+    let total = 0;
+    for (const queryWord of queryWords) {
+        const allowedTypos = queryWord.length >= 7 ? 2 : queryWord.length >= 4 ? 1 : 0;
+
+        const best = Math.max(...textWords.map(word => {
+            if (word === queryWord) return 1;
+            if (word.startsWith(queryWord)) return 0.9;
+            if (queryWord.length >= 3 && word.includes(queryWord)) return 0.75;
+            if (allowedTypos > 0 && editDistance(queryWord, word, allowedTypos) <= allowedTypos) return 0.6;
+            return 0;
+        }));
+
+        if (best === 0) return 0;
+        total += best;
+    }
+
+    return total / queryWords.length;
+}
+
+// ============================================
+// GLOBAL INSTANCE
+// ============================================
+
+const offlineProductStore = new OfflineProductStore();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        OfflineProductStore,
+        offlineProductStore,
+        openIndexedDB,
+        promisifyRequest,
+        parseOFFDump,
+        parseDelimitedText,
+        fuzzyMatchScore
+    };
+}
+
+console.log('✅ Offline Product Store loaded successfully');
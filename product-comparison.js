@@ -0,0 +1,292 @@
+// ============================================
+// 🔄 PRODUCT COMPARISON
+// ============================================
+// Side-by-side comparison of 2-4 products
+// Combines health score, daily values, diabetic risk and
+// population verdicts into rows with a winner per row
+
+const COMPARISON_LIMITS = {
+    min: 2,
+    max: 4
+};
+
+/**
+ * Nutrients shown in the per-100g and per-portion sections
+ */
+const COMPARISON_NUTRIENTS = [
+    { key: 'calories', label: 'Calories', unit: 'kcal', better: 'lower' },
+    { key: 'sugar', label: 'Sugar', unit: 'g', better: 'lower' },
+    { key: 'fat', label: 'Fat', unit: 'g', better: 'lower' },
+    { key: 'salt', label: 'Salt', unit: 'g', better: 'lower' },
+    { key: 'protein', label: 'Protein', unit: 'g', better: 'higher' },
+    { key: 'fiber', label: 'Fiber', unit: 'g', better: 'higher' }
+];
+
+/**
+ * Rank of diabetic risk levels (lower is better)
+ */
+const DIABETIC_RISK_RANK = {
+    safe: 0,
+    low: 1,
+    moderate: 2,
+    high: 3,
+    critical: 4
+};
+
+/**
+ * Rank of population verdicts (lower is better)
+ */
+const POPULATION_VERDICT_RANK = {
+    'Good Choice': 0,
+    'Moderate': 1,
+    'Avoid': 2
+};
+
+/**
+ * Analyze one product for the comparison table
+ * @param {Object} product - Product in app format
+ * @param {Object} options - { gender, customGrams }
+ * @returns {Object} Product analysis
+ */
+function analyzeForComparison(product, options = {}) {
+    const nutrition = product.nutrition || {};
+    const gender = options.gender || 'male';
+
+    // Always score with the current default algorithm so every column is comparable
+    const health = calculateHealthScore(nutrition, { gender, additives: collectAdditiveCodes(product) });
+
+    const dailyValues = typeof calculateAllDailyValues === 'function'
+        ? calculateAllDailyValues(nutrition, { gender }).dailyValues
+        : null;
+
+    // Risk is shown for everyone; the diabetic preference only adds a note to the verdict
+    const diabeticRisk = typeof assessDiabeticRisk === 'function'
+        ? assessDiabeticRisk(nutrition, true)
+        : null;
+
+    const populations = {};
+    if (typeof evaluateFoodForPopulation === 'function') {
+        const productData = {
+            name: product.name,
+            ingredients: product.ingredients,
+            allergens: product.allergens,
+            categories: product.categories,
+            nova: product.nova,
+            novaSource: product.novaSource
+        };
+        populations.pregnant = evaluateFoodForPopulation(nutrition, 'pregnant', productData);
+        populations.child = evaluateFoodForPopulation(nutrition, 'child', productData);
+    }
+
+    return {
+        product,
+        health,
+        perServing: calculatePerServing(nutrition, product.servingQuantity),
+        perPackage: calculatePerServing(nutrition, product.packageQuantity),
+        perCustom: options.customGrams ? calculatePerServing(nutrition, options.customGrams) : null,
+        dailyValues,
+        diabeticRisk,
+        populations
+    };
+}
+
+/**
+ * Scale per-100g nutrition to one serving (or any portion in grams)
+ * @param {Object} nutrition - Nutrition per 100g
+ * @param {number} servingQuantity - Serving size in grams
+ * @returns {Object|null} Nutrition per serving, or null if serving size is unknown
+ */
+function calculatePerServing(nutrition, servingQuantity) {
+    if (!servingQuantity || servingQuantity <= 0) return null;
+
+    const factor = servingQuantity / 100;
+    const perServing = {};
+    COMPARISON_NUTRIENTS.forEach(({ key }) => {
+        perServing[key] = isKnownValue(nutrition[key]) ? Math.round(nutrition[key] * factor * 10) / 10 : null;
+    });
+    return perServing;
+}
+
+/**
+ * Find the winning column(s) of a row
+ * @param {Array} values - One numeric value per product (null = not comparable)
+ * @param {string} better - 'lower' or 'higher'
+ * @returns {Array} Indexes of the winners, empty when all values tie
+ */
+function pickRowWinners(values, better) {
+    const comparable = values
+        .map((value, index) => ({ value, index }))
+        .filter(entry => typeof entry.value === 'number' && !isNaN(entry.value));
+
+    if (comparable.length < 2) return [];
+
+    const best = better === 'higher'
+        ? Math.max(...comparable.map(entry => entry.value))
+        : Math.min(...comparable.map(entry => entry.value));
+
+    const winners = comparable.filter(entry => entry.value === best).map(entry => entry.index);
+
+    // Everyone tied - nobody wins the row
+    return winners.length === comparable.length ? [] : winners;
+}
+
+/**
+ * Build the full comparison table
+ * @param {Array} products - 2-4 products in app format
+ * @param {Object} options - { gender, isDiabetic, customGrams }
+ * @returns {Object} Columns, rows and overall recommendation
+ */
+function buildComparison(products, options = {}) {
+    if (!Array.isArray(products) || products.length < COMPARISON_LIMITS.min) {
+        throw new Error(`Add at least ${COMPARISON_LIMITS.min} products to compare`);
+    }
+
+    const analyses = products.slice(0, COMPARISON_LIMITS.max)
+        .map(product => analyzeForComparison(product, options));
+    const rows = [];
+
+    const addRow = (section, label, cells, better) => {
+        rows.push({
+            section,
+            label,
+            cells,
+            winners: pickRowWinners(cells.map(cell => cell.value), better)
+        });
+    };
+
+    // Nutrition per 100g (undeclared values can't win a row)
+    COMPARISON_NUTRIENTS.forEach(({ key, label, unit, better }) => {
+        addRow('Per 100g', label, analyses.map(a => {
+            const value = knownOrNull(a.product.nutrition?.[key]);
+            if (value === null) return { value: null, display: 'Not declared' };
+            return { value, display: `${formatComparisonNumber(value)} ${unit}` };
+        }), better);
+    });
+
+    // Nutrition per serving, per package and per custom amount
+    const portionSections = [['Per serving', 'perServing'], ['Per package', 'perPackage']];
+    if (options.customGrams) {
+        portionSections.push([`Per ${formatComparisonNumber(options.customGrams)}g`, 'perCustom']);
+    }
+    portionSections.forEach(([section, portion]) => {
+        COMPARISON_NUTRIENTS.forEach(({ key, label, unit, better }) => {
+            addRow(section, label, analyses.map(a => {
+                if (!a[portion]) return { value: null, display: '—' };
+                if (a[portion][key] === null) return { value: null, display: 'Not declared' };
+                return { value: a[portion][key], display: `${formatComparisonNumber(a[portion][key])} ${unit}` };
+            }), better);
+        });
+    });
+
+    // Health score
+    addRow('Health', 'Health score', analyses.map(a => ({
+        value: a.health.score,
+        display: `${a.health.score}/100 (${a.health.grade})`
+    })), 'higher');
+
+    // Diabetic risk
+    if (analyses.every(a => a.diabeticRisk)) {
+        addRow('Health', 'Diabetic risk', analyses.map(a => ({
+            value: DIABETIC_RISK_RANK[a.diabeticRisk.risk] ?? null,
+            display: a.diabeticRisk.risk
+        })), 'lower');
+    }
+
+    // Daily values
+    if (analyses.every(a => a.dailyValues)) {
+        COMPARISON_NUTRIENTS.forEach(({ key, label, better }) => {
+            addRow('% Daily value (per 100g)', label, analyses.map(a => {
+                const percentage = a.dailyValues[key]?.percentage;
+                return { value: percentage ?? null, display: percentage != null ? `${percentage}%` : '—' };
+            }), better);
+        });
+    }
+
+    // Population verdicts
+    [['pregnant', '🤰 Pregnancy'], ['child', '👶 Children under 6']].forEach(([group, label]) => {
+        if (!analyses.every(a => a.populations[group])) return;
+
+        addRow('Suitability', label, analyses.map(a => {
+            const verdict = a.populations[group];
+            return {
+                value: POPULATION_VERDICT_RANK[verdict.suitability] ?? null,
+                display: `${verdict.emoji} ${verdict.suitability}`
+            };
+        }), 'lower');
+    });
+
+    return {
+        columns: analyses.map(a => ({
+            name: a.product.name,
+            brand: a.product.brand,
+            barcode: a.product.barcode,
+            image: a.product.image,
+            score: a.health.score,
+            grade: a.health.grade,
+            color: a.health.color
+        })),
+        rows,
+        overall: recommendOverall(analyses, rows, options)
+    };
+}
+
+/**
+ * Pick the overall winner from row wins, breaking ties on health score
+ */
+function recommendOverall(analyses, rows, options = {}) {
+    const wins = analyses.map(() => 0);
+    rows.forEach(row => row.winners.forEach(index => wins[index]++));
+
+    const ranked = analyses
+        .map((analysis, index) => ({ index, wins: wins[index], score: analysis.health.score }))
+        .sort((a, b) => b.wins - a.wins || b.score - a.score);
+
+    const best = ranked[0];
+    const runnerUp = ranked[1];
+    const bestAnalysis = analyses[best.index];
+    const decidedRows = rows.filter(row => row.winners.length > 0).length;
+
+    if (best.wins === runnerUp.wins && best.score === runnerUp.score) {
+        return {
+            winnerIndex: null,
+            wins,
+            message: '🤝 These products are evenly matched - pick on taste or price.'
+        };
+    }
+
+    const notes = [];
+    if (options.isDiabetic && bestAnalysis.diabeticRisk &&
+        DIABETIC_RISK_RANK[bestAnalysis.diabeticRisk.risk] >= DIABETIC_RISK_RANK.high) {
+        notes.push('still high risk for diabetics');
+    }
+    if (bestAnalysis.populations.pregnant?.suitability === 'Avoid') {
+        notes.push('not recommended during pregnancy');
+    }
+
+    return {
+        winnerIndex: best.index,
+        wins,
+        message: `🏆 ${bestAnalysis.product.name} is the better choice - best on ${best.wins} of ${decidedRows} rows ` +
+            `(score ${bestAnalysis.health.score}/100)` +
+            (notes.length ? `, but ${notes.join(' and ')}.` : '.')
+    };
+}
+
+/**
+ * Format a nutrient value for the table
+ */
+function formatComparisonNumber(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COMPARISON_LIMITS,
+        buildComparison,
+        calculatePerServing,
+        pickRowWinners
+    };
+}
+
+console.log('✅ Product Comparison loaded successfully');
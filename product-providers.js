@@ -0,0 +1,412 @@
+// ============================================
+// 🔌 PRODUCT DATA PROVIDERS
+// ============================================
+// Barcode lookups chained across several product sources.
+// Each provider fetches its own payload and normalises it into one
+// provider-neutral record; `nutrition` always has the shape that
+// extractNutritionData produces (per 100g, OFF units).
+
+const PRODUCT_PROVIDER_CONFIG = {
+    // Providers tried in order until one knows the barcode
+    order: ['off', 'usda', 'catalog'],
+    usda: {
+        // FoodData Central branded foods download, hosted next to the app
+        // (no file, or url: null, means the provider finds nothing)
+        url: 'data/usda-branded-foods.json'
+    },
+    catalog: {
+        // In-house catalog: { products: [{ barcode, name, brand, nutrition, ... }] }
+        url: 'data/catalog.json'
+    }
+};
+
+/**
+ * FoodData Central nutrient numbers mapped onto extractNutritionData keys
+ * unit is FDC's usual unit, used when an entry doesn't name one; values
+ * are converted to storage units (units.js)
+ */
+const USDA_NUTRIENT_MAP = {
+    '208': { key: 'calories', unit: 'kcal' },
+    '205': { key: 'carbs', unit: 'g' },
+    '269': { key: 'sugar', unit: 'g' },
+    '204': { key: 'fat', unit: 'g' },
+    '606': { key: 'saturatedFat', unit: 'g' },
+    '203': { key: 'protein', unit: 'g' },
+    '291': { key: 'fiber', unit: 'g' },
+    '307': { key: 'sodium', unit: 'mg' },
+    '601': { key: 'cholesterol', unit: 'mg' },
+    '262': { key: 'caffeine', unit: 'mg' },
+    '320': { key: 'vitamins.a', unit: 'µg' },
+    '318': { key: 'vitamins.a', unit: 'IU' },
+    '401': { key: 'vitamins.c', unit: 'mg' },
+    '328': { key: 'vitamins.d', unit: 'µg' },
+    '324': { key: 'vitamins.d', unit: 'IU' },
+    '323': { key: 'vitamins.e', unit: 'mg' },
+    '418': { key: 'vitamins.b12', unit: 'µg' },
+    '435': { key: 'vitamins.folate', unit: 'µg' },
+    '301': { key: 'minerals.calcium', unit: 'mg' },
+    '303': { key: 'minerals.iron', unit: 'mg' },
+    '304': { key: 'minerals.magnesium', unit: 'mg' },
+    '306': { key: 'minerals.potassium', unit: 'mg' },
+    '309': { key: 'minerals.zinc', unit: 'mg' }
+};
+
+/**
+ * Empty record every normaliser starts from
+ * @param {string} providerId - Provider that produced the record
+ * @param {string} barcode - Product barcode
+ */
+function createProviderRecord(providerId, barcode) {
+    return {
+        provider: providerId,
+        barcode: String(barcode),
+        name: 'Unknown Product',
+        brand: 'Unknown Brand',
+        image: null,
+        nutrition: extractNutritionData({}),
+        allergens: [],
+        ingredients: null,
+        categories: '',
+        categoriesTags: [],
+        additiveTags: [],
+        nutriscore: null,
+        nova: null,
+        ecoscore: null,
+        fruitVegNuts: null,
+        servingSize: null,
+        servingQuantity: null,
+        servingUnit: null,
+        packageSize: null,
+        packageQuantity: null,
+        packageUnit: null,
+        lastModified: null,
+        completeness: 0
+    };
+}
+
+/**
+ * Share of the key fields a record has filled in (0-100)
+ */
+function estimateRecordCompleteness(record) {
+    const checks = [
+        record.name !== 'Unknown Product',
+        record.brand !== 'Unknown Brand',
+        record.ingredients,
+        record.image,
+        isKnownValue(record.nutrition.calories),
+        isKnownValue(record.nutrition.sugar),
+        isKnownValue(record.nutrition.fat),
+        isKnownValue(record.nutrition.protein),
+        record.categories,
+        record.servingSize
+    ];
+
+    return checks.filter(Boolean).length * 10;
+}
+
+// ============================================
+// PROVIDERS
+// ============================================
+
+/**
+ * Open Food Facts v2 API
+ */
+const openFoodFactsProvider = {
+    id: 'off',
+    name: 'Open Food Facts',
+
+    async lookup(barcode) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.timeout);
+
+        try {
+            const response = await apiFetch(`${API_CONFIG.baseURL}/product/${barcode}`, {
+                headers: {
+                    'User-Agent': API_CONFIG.userAgent,
+                    'Accept': 'application/json'
+                },
+                signal: controller.signal
+            });
+
+            // OFF answers unknown barcodes with 404 or status 0
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            return data.status === 0 || !data.product ? null : data.product;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    },
+
+    normalize(apiProduct, barcode) {
+        const nutriments = apiProduct.nutriments || {};
+
+        return {
+            ...createProviderRecord('off', barcode),
+            name: apiProduct.product_name || apiProduct.product_name_en || 'Unknown Product',
+            brand: apiProduct.brands || 'Unknown Brand',
+            image: extractProductImage(apiProduct),
+            nutrition: extractNutritionData(apiProduct),
+            allergens: extractAllergens(apiProduct),
+            ingredients: apiProduct.ingredients_text || apiProduct.ingredients_text_en || null,
+            categories: apiProduct.categories || '',
+            categoriesTags: apiProduct.categories_tags || [],
+            additiveTags: apiProduct.additives_tags || [],
+            nutriscore: apiProduct.nutriscore_grade || null,
+            nova: apiProduct.nova_group || null,
+            ecoscore: apiProduct.ecoscore_grade || null,
+            fruitVegNuts: nutriments['fruits-vegetables-nuts_100g'] ??
+                nutriments['fruits-vegetables-nuts-estimate-from-ingredients_100g'] ?? null,
+            ...extractPortionSizes(apiProduct),
+            lastModified: apiProduct.last_modified_t ? new Date(apiProduct.last_modified_t * 1000).toISOString() : null,
+            completeness: calculateCompleteness(apiProduct)
+        };
+    }
+};
+
+/**
+ * Provider backed by a JSON file that is downloaded once and indexed by barcode
+ * A dump that isn't configured or deployed (404) knows no products, so it
+ * doesn't turn "not found" into a fetch failure
+ * @param {Object} definition - { id, name, getUrl, index(json) → Map, normalize }
+ * @returns {Object} Provider
+ */
+function createJSONDumpProvider(definition) {
+    let indexPromise = null;
+
+    const loadIndex = () => {
+        if (!definition.getUrl()) {
+            return Promise.resolve(new Map());
+        }
+
+        if (!indexPromise) {
+            indexPromise = fetch(definition.getUrl())
+                .then(response => {
+                    if (response.status === 404) {
+                        // Checked again next time, e.g. once the file has been deployed
+                        indexPromise = null;
+                        return null;
+                    }
+                    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    return response.json();
+                })
+                .then(json => json === null ? new Map() : definition.index(json))
+                .catch(error => {
+                    // Allow a later retry, e.g. after a network error
+                    indexPromise = null;
+                    throw error;
+                });
+        }
+        return indexPromise;
+    };
+
+    return {
+        id: definition.id,
+        name: definition.name,
+
+        async lookup(barcode) {
+            const index = await loadIndex();
+            return index.get(toGTINKey(barcode)) || null;
+        },
+
+        normalize: definition.normalize,
+
+        // Forget the downloaded file (used after the dump is replaced)
+        reset() {
+            indexPromise = null;
+        }
+    };
+}
+
+/**
+ * Locally hosted USDA FoodData Central branded-foods dump
+ */
+const usdaProvider = createJSONDumpProvider({
+    id: 'usda',
+    name: 'USDA FoodData Central',
+    getUrl: () => PRODUCT_PROVIDER_CONFIG.usda.url,
+
+    index(json) {
+        const foods = Array.isArray(json) ? json : (json.BrandedFoods || json.foods || []);
+        return new Map(foods
+            .filter(food => food.gtinUpc)
+            .map(food => [toGTINKey(food.gtinUpc), food]));
+    },
+
+    normalize(food, barcode) {
+        const record = createProviderRecord('usda', barcode);
+
+        // Branded food nutrients are reported per 100g
+        (food.foodNutrients || []).forEach(entry => {
+            const number = String(entry.nutrient?.number || entry.nutrientNumber || '');
+            const mapping = USDA_NUTRIENT_MAP[number];
+            const amount = entry.amount ?? entry.value;
+            if (!mapping || typeof amount !== 'number') return;
+
+            const [group, key] = mapping.key.includes('.') ? mapping.key.split('.') : [null, mapping.key];
+            const target = group ? record.nutrition[group] : record.nutrition;
+            // A measured value (µg RAE) wins over the IU figure for the same vitamin
+            if (isKnownValue(target[key]) && normalizeUnit(mapping.unit) === 'iu') return;
+
+            const unit = entry.nutrient?.unitName || entry.unitName || mapping.unit;
+            target[key] = convertUnit(amount, unit, getStorageUnit(mapping.key), mapping.key);
+        });
+        if (record.nutrition.sodium !== null) {
+            record.nutrition.salt = record.nutrition.sodium * 2.5;
+        }
+
+        const unit = ({ grm: 'g', mlt: 'ml' })[(food.servingSizeUnit || '').toLowerCase()] || (food.servingSizeUnit || '').toLowerCase();
+        const measured = unit === 'g' || unit === 'ml';
+
+        Object.assign(record, {
+            name: food.description || record.name,
+            brand: food.brandName || food.brandOwner || record.brand,
+            ingredients: food.ingredients || null,
+            categories: food.brandedFoodCategory || '',
+            servingSize: food.servingSize ? `${food.servingSize} ${food.servingSizeUnit || ''}`.trim() : (food.householdServingFullText || null),
+            servingQuantity: measured ? parseFloat(food.servingSize) || null : null,
+            servingUnit: measured ? unit : null,
+            packageSize: food.packageWeight || null,
+            lastModified: food.modifiedDate || food.publicationDate || null
+        });
+        completePortionSizes(record);
+        record.completeness = estimateRecordCompleteness(record);
+
+        return record;
+    }
+});
+
+/**
+ * In-house catalog JSON
+ * Products already use app field names; nutrition is per 100g in OFF
+ * units unless an item lists others in nutritionUnits ({ 'minerals.iron': 'mg' })
+ */
+const catalogProvider = createJSONDumpProvider({
+    id: 'catalog',
+    name: 'In-house catalog',
+    getUrl: () => PRODUCT_PROVIDER_CONFIG.catalog.url,
+
+    index(json) {
+        const products = Array.isArray(json) ? json : (json.products || []);
+        return new Map(products
+            .filter(item => item.barcode)
+            .map(item => [toGTINKey(item.barcode), item]));
+    },
+
+    normalize(item, barcode) {
+        const record = createProviderRecord('catalog', barcode);
+        const nutrition = normalizeNutritionUnits(item.nutrition || {}, item.nutritionUnits);
+
+        Object.assign(record, {
+            ...item,
+            provider: 'catalog',
+            barcode: String(barcode),
+            nutrition: {
+                ...record.nutrition,
+                ...nutrition,
+                vitamins: { ...record.nutrition.vitamins, ...(nutrition.vitamins || {}) },
+                minerals: { ...record.nutrition.minerals, ...(nutrition.minerals || {}) }
+            }
+        });
+        completePortionSizes(record);
+        record.completeness = estimateRecordCompleteness(record);
+
+        return record;
+    }
+});
+
+/**
+ * Registered providers by id
+ */
+const PRODUCT_PROVIDERS = {
+    off: openFoodFactsProvider,
+    usda: usdaProvider,
+    catalog: catalogProvider
+};
+
+/**
+ * Add or replace a provider
+ * @param {Object} provider - { id, name, lookup(barcode), normalize(payload, barcode) }
+ */
+function registerProductProvider(provider) {
+    if (!provider || !provider.id || typeof provider.lookup !== 'function' || typeof provider.normalize !== 'function') {
+        throw new Error('A provider needs an id, lookup() and normalize()');
+    }
+    PRODUCT_PROVIDERS[provider.id] = provider;
+}
+
+/**
+ * Normalise a stored payload with the provider that produced it
+ * @param {string} providerId - Provider id (records saved before providers existed are OFF)
+ */
+function normalizeProviderPayload(providerId, payload, barcode) {
+    const provider = PRODUCT_PROVIDERS[providerId || 'off'];
+    if (!provider) {
+        throw new Error(`Unknown product provider "${providerId}"`);
+    }
+    return provider.normalize(payload, barcode);
+}
+
+/**
+ * Look a barcode up across providers
+ * A provider that fails is skipped; the next one gets a chance
+ * @param {string} barcode - Product barcode
+ * @param {Object} options - { providers: ids in order }
+ * @returns {Promise<Object>} { provider, payload, product }
+ * @throws {Error} 'PRODUCT_NOT_FOUND' when every provider answered, otherwise the collected failures
+ */
+async function lookupProduct(barcode, options = {}) {
+    const order = options.providers || PRODUCT_PROVIDER_CONFIG.order;
+    const failures = [];
+
+    for (const id of order) {
+        const provider = PRODUCT_PROVIDERS[id];
+        if (!provider) {
+            console.warn(`Unknown product provider "${id}", skipping`);
+            continue;
+        }
+
+        try {
+            const payload = await provider.lookup(barcode);
+            if (payload) {
+                console.log(`✅ ${provider.name} answered for ${barcode}`);
+                return { provider: id, payload, product: provider.normalize(payload, barcode) };
+            }
+        } catch (error) {
+            console.warn(`⚠️ ${provider.name} lookup failed:`, error.message);
+            failures.push(`${provider.name}: ${error.name === 'AbortError' ? 'timed out' : error.message}`);
+        }
+    }
+
+    if (failures.length === 0) {
+        throw new Error('PRODUCT_NOT_FOUND');
+    }
+
+    const error = new Error(failures.join('; '));
+    error.failures = failures;
+    throw error;
+}
+
+/**
+ * Display name of a provider
+ */
+function getProviderName(providerId) {
+    return PRODUCT_PROVIDERS[providerId]?.name || providerId || 'Unknown source';
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PRODUCT_PROVIDER_CONFIG,
+        PRODUCT_PROVIDERS,
+        registerProductProvider,
+        normalizeProviderPayload,
+        lookupProduct,
+        getProviderName
+    };
+}
+
+console.log('✅ Product Providers loaded successfully');
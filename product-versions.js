@@ -0,0 +1,225 @@
+// ============================================
+// 📜 PRODUCT VERSIONS - Reformulation Tracking
+// ============================================
+// Keeps a nutrition snapshot per product version, keyed by barcode and
+// versioned with the provider's last-modified date (OFF last_modified_t).
+// A re-scan whose nutrition differs from the last snapshot is a
+// reformulation: it starts a new version and is described to the user
+// ("sugar went from 12 g to 8 g, score 54→66").
+
+const PRODUCT_VERSION_CONFIG = {
+    maxVersions: 10,    // per product
+    maxProducts: 300    // matches the scan history limit
+};
+
+/**
+ * Nutrients compared between versions
+ * decimals is the precision a label prints, so rounding noise isn't a change
+ */
+const REFORMULATION_NUTRIENTS = [
+    { key: 'calories', label: 'calories', unit: 'kcal', decimals: 0 },
+    { key: 'sugar', label: 'sugar', unit: 'g', decimals: 1 },
+    { key: 'fat', label: 'fat', unit: 'g', decimals: 1 },
+    { key: 'saturatedFat', label: 'saturated fat', unit: 'g', decimals: 1 },
+    { key: 'salt', label: 'salt', unit: 'g', decimals: 2 },
+    { key: 'protein', label: 'protein', unit: 'g', decimals: 1 },
+    { key: 'fiber', label: 'fiber', unit: 'g', decimals: 1 },
+    { key: 'carbs', label: 'carbs', unit: 'g', decimals: 1 }
+];
+
+/**
+ * Nutrition snapshot of one product version
+ * @param {Object} product - Product (app, enriched or history format)
+ * @param {Object} scoreData - { score, algorithmVersion } from calculateHealthScore (optional)
+ * @returns {Object} { lastModified, recordedAt, lastSeenAt, nutrition, score, scoreVersion }
+ */
+function createNutritionSnapshot(product, scoreData = null) {
+    const nutrition = product.nutrition || {};
+    const now = new Date().toISOString();
+
+    return {
+        lastModified: product.lastModified ?? product.metadata?.lastModified ?? null,
+        recordedAt: now,
+        lastSeenAt: now,
+        nutrition: Object.fromEntries(
+            [...REFORMULATION_NUTRIENTS.map(n => n.key), 'sodium'].map(key => [key, knownOrNull(nutrition[key])])
+        ),
+        score: scoreData?.score ?? product.healthScore?.score ?? product.score ?? null,
+        scoreVersion: scoreData?.algorithmVersion ?? product.healthScore?.algorithmVersion ?? product.scoreVersion ?? null
+    };
+}
+
+/**
+ * Nutrients whose declared value differs between two snapshots
+ * @returns {Array} [{ nutrient, label, unit, from, to }] (from/to null when undeclared)
+ */
+function diffNutritionSnapshots(previous, current) {
+    const round = (value, decimals) => isKnownValue(value) ? Number(value.toFixed(decimals)) : null;
+
+    return REFORMULATION_NUTRIENTS
+        .map(({ key, label, unit, decimals }) => ({
+            nutrient: key,
+            label,
+            unit,
+            from: round(previous.nutrition?.[key], decimals),
+            to: round(current.nutrition?.[key], decimals)
+        }))
+        .filter(change => change.from !== change.to);
+}
+
+/**
+ * Score before and after, on the current snapshot's algorithm version
+ * Older snapshots are rescored so a version bump doesn't look like a reformulation
+ * @returns {Object|null} { from, to } or null when unchanged or unknown
+ */
+function compareSnapshotScores(previous, current) {
+    let from = previous.score;
+
+    if (previous.scoreVersion !== current.scoreVersion && typeof calculateHealthScore === 'function') {
+        from = calculateHealthScore(previous.nutrition, { algorithmVersion: current.scoreVersion || undefined }).score;
+    }
+
+    if (!isKnownValue(from) || !isKnownValue(current.score) || from === current.score) return null;
+    return { from, to: current.score };
+}
+
+/**
+ * One line for a reformulation ("sugar went from 12 g to 8 g, score 54→66")
+ */
+function summarizeProductChange(changes, score = null) {
+    const parts = changes.map(({ label, unit, from, to }) => {
+        if (from === null) return `${label} now declared (${to} ${unit})`;
+        if (to === null) return `${label} no longer declared (was ${from} ${unit})`;
+        return `${label} went from ${from} ${unit} to ${to} ${unit}`;
+    });
+
+    if (score) parts.push(`score ${score.from}→${score.to}`);
+    return parts.join(', ');
+}
+
+/**
+ * Compare two versions of a product
+ * @param {Object} previous - Earlier product or snapshot
+ * @param {Object} current - Newer product or snapshot
+ * @returns {Object|null} { changes, score, summary, fromModified, toModified } or null when nutrition is the same
+ */
+function detectReformulation(previous, current) {
+    const before = previous.recordedAt ? previous : createNutritionSnapshot(previous);
+    const after = current.recordedAt ? current : createNutritionSnapshot(current);
+    const changes = diffNutritionSnapshots(before, after);
+
+    if (changes.length === 0) return null;
+
+    const score = compareSnapshotScores(before, after);
+    return {
+        changes,
+        score,
+        summary: summarizeProductChange(changes, score),
+        fromModified: before.lastModified,
+        toModified: after.lastModified
+    };
+}
+
+/**
+ * Time of a snapshot's last provider edit in ms, NaN when unknown
+ * Providers date edits differently (OFF ISO timestamps, USDA "4/1/2019"), so compare parsed dates
+ */
+function editedAt(snapshot) {
+    return snapshot.lastModified ? Date.parse(snapshot.lastModified) : NaN;
+}
+
+/**
+ * Record a scan in the product's timeline
+ * @param {Object} timelines - { [barcode]: [snapshot, …] }, oldest first; updated in place
+ * @param {Object} product - Scanned product
+ * @param {Object} scoreData - calculateHealthScore result for it
+ * @param {Object} options - { baseline: earlier product to start a missing timeline from (history or journal) }
+ * @returns {Object} { timeline, change } - change is null unless the product was reformulated
+ */
+function recordProductVersion(timelines, product, scoreData = null, options = {}) {
+    const barcode = product?.barcode;
+    if (!barcode || product.metadata?.offline) {
+        return { timeline: timelines[barcode] || [], change: null };
+    }
+
+    const snapshot = createNutritionSnapshot(product, scoreData);
+    const timeline = timelines[barcode] || (timelines[barcode] = []);
+
+    // Products seen before versioning existed start from what was saved then
+    if (timeline.length === 0 && options.baseline) {
+        const baseline = createNutritionSnapshot(options.baseline);
+        baseline.recordedAt = baseline.lastSeenAt = options.baseline.timestamp || baseline.recordedAt;
+        timeline.push(baseline);
+    }
+
+    const latest = timeline[timeline.length - 1];
+    if (!latest) {
+        timeline.push(snapshot);
+        pruneProductTimelines(timelines);
+        return { timeline, change: null };
+    }
+
+    // An older edit (e.g. a stale mirror) doesn't undo a newer one
+    if (editedAt(snapshot) < editedAt(latest)) {
+        return { timeline, change: null };
+    }
+
+    const change = detectReformulation(latest, snapshot);
+    if (!change) {
+        latest.lastSeenAt = snapshot.recordedAt;
+        latest.lastModified = snapshot.lastModified || latest.lastModified;
+        return { timeline, change: null };
+    }
+
+    snapshot.change = { summary: change.summary, changes: change.changes, score: change.score };
+    timeline.push(snapshot);
+    if (timeline.length > PRODUCT_VERSION_CONFIG.maxVersions) {
+        timeline.splice(0, timeline.length - PRODUCT_VERSION_CONFIG.maxVersions);
+    }
+
+    return { timeline, change };
+}
+
+/**
+ * A product's versions, newest first, each with what changed
+ * @returns {Array} [{ ...snapshot, summary }]
+ */
+function getProductTimeline(timelines, barcode) {
+    return (timelines[barcode] || [])
+        .map((snapshot, index) => ({
+            ...snapshot,
+            summary: snapshot.change?.summary || (index === 0 ? 'First seen' : 'Changed')
+        }))
+        .reverse();
+}
+
+/**
+ * Keep the most recently seen products
+ */
+function pruneProductTimelines(timelines, maxProducts = PRODUCT_VERSION_CONFIG.maxProducts) {
+    const barcodes = Object.keys(timelines);
+    if (barcodes.length <= maxProducts) return;
+
+    const lastSeen = barcode => timelines[barcode].at(-1)?.lastSeenAt || '';
+    barcodes
+        .sort((a, b) => lastSeen(b).localeCompare(lastSeen(a)))
+        .slice(maxProducts)
+        .forEach(barcode => delete timelines[barcode]);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PRODUCT_VERSION_CONFIG,
+        REFORMULATION_NUTRIENTS,
+        createNutritionSnapshot,
+        diffNutritionSnapshots,
+        summarizeProductChange,
+        detectReformulation,
+        recordProductVersion,
+        getProductTimeline,
+        pruneProductTimelines
+    };
+}
+
+console.log('✅ Product Versions loaded successfully');
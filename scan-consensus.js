@@ -0,0 +1,149 @@
+// ============================================
+// 🗳️ SCAN CONSENSUS - Multi-frame Decoding
+// ============================================
+// A single frame can decode wrong digits (glare on glossy packaging).
+// Detections are buffered instead, and a code is only accepted once
+// enough frames in a short window agree on it: each digit position is
+// voted on across the frames (weighted by decoder confidence), and the
+// voted code must have a valid check digit. How many frames, how long
+// and how much agreement is set by the strictness level.
+
+const SCAN_CONSENSUS_CONFIG = {
+    strictness: 'balanced',
+    levels: {
+        // frames: readings needed, windowMs: how long a reading counts,
+        // agreement: share of the vote the winning digit needs at every position
+        relaxed: { frames: 2, windowMs: 1000, agreement: 0.6 },
+        balanced: { frames: 3, windowMs: 1500, agreement: 0.6 },
+        strict: { frames: 5, windowMs: 2500, agreement: 0.75 }
+    },
+    minWeight: 0.1 // a zero-confidence frame still counts a little
+};
+
+/**
+ * Per-digit vote across readings of the same length
+ * @param {Array} readings - [{ digits, weight }]
+ * @returns {Object} { code, agreement } - agreement is the weakest position's winning share
+ */
+function voteDigits(readings) {
+    const length = readings[0].digits.length;
+    let code = '';
+    let agreement = 1;
+
+    for (let position = 0; position < length; position++) {
+        const tally = {};
+        let total = 0;
+        readings.forEach(({ digits, weight }) => {
+            tally[digits[position]] = (tally[digits[position]] || 0) + weight;
+            total += weight;
+        });
+
+        const [winner, weight] = Object.entries(tally).sort((a, b) => b[1] - a[1])[0];
+        code += winner;
+        agreement = Math.min(agreement, weight / total);
+    }
+
+    return { code, agreement };
+}
+
+/**
+ * Consensus buffer for one camera session
+ */
+class ScanConsensus {
+    /**
+     * @param {Object} options - { strictness: 'relaxed' | 'balanced' | 'strict' } or explicit { frames, windowMs, agreement }
+     */
+    constructor(options = {}) {
+        this.setStrictness(options.strictness || SCAN_CONSENSUS_CONFIG.strictness, options);
+        this.readings = [];
+    }
+
+    /**
+     * Change how much agreement is needed
+     * @param {string} strictness - Level name
+     * @param {Object} overrides - { frames, windowMs, agreement }
+     */
+    setStrictness(strictness, overrides = {}) {
+        const level = SCAN_CONSENSUS_CONFIG.levels[strictness];
+        if (!level) {
+            throw new Error(`Unknown scan strictness: ${strictness}`);
+        }
+
+        this.strictness = strictness;
+        this.level = {
+            frames: overrides.frames ?? level.frames,
+            windowMs: overrides.windowMs ?? level.windowMs,
+            agreement: overrides.agreement ?? level.agreement
+        };
+    }
+
+    /**
+     * Add one frame's detection
+     * @param {Object} detection - { code, format, confidence } from barcode-decoders.js
+     * @param {number} at - Time of the frame (ms)
+     * @returns {Object} { status: 'accepted' | 'pending' | 'ignored', code, format, frames, needed, agreement, progress }
+     */
+    add(detection, at = Date.now()) {
+        const digits = cleanBarcode(detection.code);
+        if (!GTIN_FORMATS[digits.length]) {
+            return { status: 'ignored', code: detection.code, progress: 0 };
+        }
+
+        this.readings = this.readings.filter(reading => at - reading.at <= this.level.windowMs);
+        this.readings.push({
+            digits,
+            format: detection.format || null,
+            weight: Math.max(detection.confidence ?? 1, SCAN_CONSENSUS_CONFIG.minWeight),
+            at
+        });
+
+        // A misread rarely changes the length, so only same-length readings vote
+        const group = this.readings.filter(reading => reading.digits.length === digits.length);
+        const { code, agreement } = voteDigits(group);
+        const format = mostCommon(group.map(reading => reading.format));
+        const { frames, agreement: needed } = this.level;
+
+        const result = {
+            code,
+            format,
+            frames: group.length,
+            needed: frames,
+            agreement: Math.round(agreement * 100) / 100
+        };
+
+        if (group.length >= frames && agreement >= needed && isValidGTIN(code, { format })) {
+            this.reset();
+            return { ...result, status: 'accepted', progress: 1 };
+        }
+
+        // Full frames without agreement stay just short of done
+        return { ...result, status: 'pending', progress: Math.min(group.length / frames, 0.9) };
+    }
+
+    /**
+     * Forget buffered frames (new camera session, or after a code is accepted)
+     */
+    reset() {
+        this.readings = [];
+    }
+}
+
+/**
+ * Most frequent value (first seen wins a tie)
+ */
+function mostCommon(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCAN_CONSENSUS_CONFIG,
+        ScanConsensus,
+        voteDigits
+    };
+}
+
+console.log('✅ Scan Consensus loaded successfully');
@@ -0,0 +1,210 @@
+// ============================================
+// 🍽️ SERVING SIZES
+// ============================================
+// Parses serving and package sizes ("2 biscuits (25 g)",
+// "1 cup (240ml)", "330 ml", "6 x 25 g") into grams or
+// millilitres, and turns the selected portion into the multiple
+// of 100g that nutrition values are scaled by. Liquids are
+// labelled per 100ml, so 1 ml is treated like 1 g.
+
+/**
+ * Units a quantity can be written in, converted to g or ml
+ */
+const QUANTITY_UNITS = {
+    mg: { unit: 'g', factor: 0.001 },
+    g: { unit: 'g', factor: 1 },
+    gr: { unit: 'g', factor: 1 },
+    gram: { unit: 'g', factor: 1 },
+    grams: { unit: 'g', factor: 1 },
+    kg: { unit: 'g', factor: 1000 },
+    oz: { unit: 'g', factor: 28.3495 },
+    lb: { unit: 'g', factor: 453.592 },
+    lbs: { unit: 'g', factor: 453.592 },
+    ml: { unit: 'ml', factor: 1 },
+    cl: { unit: 'ml', factor: 10 },
+    dl: { unit: 'ml', factor: 100 },
+    l: { unit: 'ml', factor: 1000 },
+    litre: { unit: 'ml', factor: 1000 },
+    litres: { unit: 'ml', factor: 1000 },
+    liter: { unit: 'ml', factor: 1000 },
+    liters: { unit: 'ml', factor: 1000 },
+    floz: { unit: 'ml', factor: 29.5735 }
+};
+
+/**
+ * Optional "6 x" multipack count, an amount and a unit
+ */
+const QUANTITY_PATTERN = /(?:(\d+)\s*[x×*]\s*)?(\d+(?:\.\d+)?)\s*(fl\.?\s*oz|mg|kg|grams?|gr|g|ml|cl|dl|litres?|liters?|l|oz|lbs?)(?![a-z])/g;
+
+/**
+ * Portions the nutrition views can be scaled to
+ */
+const PORTION_TYPES = ['100', 'serving', 'package', 'custom'];
+
+/**
+ * Parse a written quantity into grams or millilitres
+ * A measure in brackets wins ("2 biscuits (25 g)" is 25 g)
+ * @param {string} text - Serving or package size as printed
+ * @returns {Object|null} { amount, unit: 'g' | 'ml' } or null without a usable measure
+ */
+function parseQuantity(text) {
+    if (typeof text !== 'string' || !text.trim()) return null;
+
+    const normalized = text.toLowerCase().replace(/(\d),(\d)/g, '$1.$2');
+    const measures = [...normalized.matchAll(QUANTITY_PATTERN)].map(match => {
+        const before = normalized.slice(0, match.index);
+        const { unit, factor } = QUANTITY_UNITS[match[3].replace(/[.\s]/g, '')];
+        const count = match[1] ? parseInt(match[1], 10) : 1;
+
+        return {
+            amount: Math.round(parseFloat(match[2]) * factor * count * 10) / 10,
+            unit,
+            inBrackets: (before.match(/\(/g) || []).length > (before.match(/\)/g) || []).length
+        };
+    });
+
+    const measure = measures.find(m => m.inBrackets) || measures[0];
+    if (!measure || !(measure.amount > 0)) return null;
+
+    return { amount: measure.amount, unit: measure.unit };
+}
+
+/**
+ * Quantity from a numeric field, falling back to the printed text
+ * OFF's *_quantity fields are already in g or ml; the unit field
+ * or the text tells which
+ */
+function readQuantity(quantity, unit, text) {
+    const parsed = parseQuantity(text);
+    const amount = parseFloat(quantity);
+
+    if (amount > 0) {
+        const declaredUnit = String(unit || '').toLowerCase();
+        return {
+            amount,
+            unit: declaredUnit === 'ml' || declaredUnit === 'g' ? declaredUnit : (parsed ? parsed.unit : 'g')
+        };
+    }
+
+    return parsed;
+}
+
+/**
+ * Serving and package sizes of an Open Food Facts product
+ * @param {Object} apiProduct - OFF product (serving_size, serving_quantity, quantity, product_quantity)
+ * @returns {Object} Record fields { servingSize, servingQuantity, servingUnit, packageSize, packageQuantity, packageUnit }
+ */
+function extractPortionSizes(apiProduct = {}) {
+    const serving = readQuantity(apiProduct.serving_quantity, apiProduct.serving_quantity_unit, apiProduct.serving_size);
+    const pack = readQuantity(apiProduct.product_quantity, apiProduct.product_quantity_unit, apiProduct.quantity);
+
+    return {
+        servingSize: apiProduct.serving_size || null,
+        servingQuantity: serving ? serving.amount : null,
+        servingUnit: serving ? serving.unit : null,
+        packageSize: apiProduct.quantity || null,
+        packageQuantity: pack ? pack.amount : null,
+        packageUnit: pack ? pack.unit : null
+    };
+}
+
+/**
+ * Fill missing serving and package quantities from their printed sizes
+ * For records whose source only gives text (catalog, USDA package weight)
+ * @param {Object} record - Product record
+ * @returns {Object} The same record
+ */
+function completePortionSizes(record) {
+    if (!record.servingQuantity) {
+        const serving = parseQuantity(record.servingSize);
+        record.servingQuantity = serving ? serving.amount : null;
+        record.servingUnit = serving ? serving.unit : null;
+    }
+
+    if (!record.packageQuantity) {
+        const pack = parseQuantity(record.packageSize);
+        record.packageQuantity = pack ? pack.amount : null;
+        record.packageUnit = pack ? pack.unit : null;
+    }
+
+    return record;
+}
+
+/**
+ * Whether the product is labelled per 100ml
+ */
+function isLiquidProduct(product = {}) {
+    return (product.servingUnit || product.packageUnit) === 'ml';
+}
+
+/**
+ * Grams (or ml) in a portion
+ * @param {Object} product - Product with servingQuantity / packageQuantity
+ * @param {string} portion - '100' | 'serving' | 'package' | 'custom'
+ * @param {number} customGrams - Amount for the custom portion
+ * @returns {number|null} Amount, or null when the product doesn't know it
+ */
+function getPortionGrams(product = {}, portion = '100', customGrams = null) {
+    switch (portion) {
+        case 'serving':
+            return product.servingQuantity > 0 ? product.servingQuantity : null;
+        case 'package':
+            return product.packageQuantity > 0 ? product.packageQuantity : null;
+        case 'custom':
+            return customGrams > 0 ? customGrams : null;
+        default:
+            return 100;
+    }
+}
+
+/**
+ * Readable portion ("1 serving (25 g)", "Package (330 ml)", "150 g")
+ */
+function describePortion(product = {}, portion = '100', customGrams = null) {
+    const grams = getPortionGrams(product, portion, customGrams);
+    const unit = isLiquidProduct(product) ? 'ml' : 'g';
+    if (grams === null) return null;
+
+    const amount = `${Math.round(grams * 10) / 10} ${unit}`;
+    if (portion === 'serving') return `1 serving (${amount})`;
+    if (portion === 'package') return `Package (${amount})`;
+    return amount;
+}
+
+/**
+ * Portion choices for a product, with the ones it can't size disabled
+ * @param {Object} product - Product in app format
+ * @param {number} customGrams - Amount for the custom portion
+ * @returns {Array} [{ id, label, grams, available }]
+ */
+function getPortionOptions(product = {}, customGrams = null) {
+    const unit = isLiquidProduct(product) ? 'ml' : 'g';
+    const labels = { '100': `100${unit}`, serving: 'Serving', package: 'Package', custom: 'Custom' };
+
+    return PORTION_TYPES.map(id => {
+        const grams = getPortionGrams(product, id, customGrams);
+        return {
+            id,
+            label: labels[id],
+            grams,
+            available: id === 'custom' || grams !== null
+        };
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QUANTITY_UNITS,
+        PORTION_TYPES,
+        parseQuantity,
+        extractPortionSizes,
+        completePortionSizes,
+        isLiquidProduct,
+        getPortionGrams,
+        describePortion,
+        getPortionOptions
+    };
+}
+
+console.log('✅ Serving Sizes loaded successfully');
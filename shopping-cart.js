@@ -0,0 +1,174 @@
+// ============================================
+// 🛒 SHOPPING CART - Continuous Scanning
+// ============================================
+// Cart for grocery runs: the camera stays live and every new barcode
+// is added as an item with a mini score and an allergen flag. Repeat
+// detections of an item are debounced. The summary totals nutrition
+// over whole packages and picks the worst offenders to suggest swaps for.
+
+const CART_CONFIG = {
+    debounceMs: 3000,     // re-detections of the same item within this are ignored silently
+    maxItems: 100,
+    worstCount: 3,        // offenders listed in the summary
+    offenderBelow: 60     // only items scoring under this count as offenders
+};
+
+/**
+ * Empty cart
+ */
+function createCart() {
+    return { items: [], startedAt: new Date().toISOString() };
+}
+
+/**
+ * Register a scanned barcode
+ * @param {Object} cart - Cart, updated in place
+ * @param {string} barcode - Scanned code (any GTIN form)
+ * @param {number} at - Scan time (ms)
+ * @returns {Object} { status: 'added' | 'duplicate' | 'debounced' | 'full', item }
+ */
+function addCartScan(cart, barcode, at = Date.now()) {
+    const key = toGTINKey(barcode);
+    const existing = cart.items.find(item => item.barcode === key);
+
+    if (existing) {
+        const status = at - existing.lastSeenAt < CART_CONFIG.debounceMs ? 'debounced' : 'duplicate';
+        existing.lastSeenAt = at;
+        return { status, item: existing };
+    }
+
+    if (cart.items.length >= CART_CONFIG.maxItems) {
+        return { status: 'full', item: null };
+    }
+
+    const item = { barcode: key, status: 'loading', addedAt: at, lastSeenAt: at };
+    cart.items.push(item);
+    return { status: 'added', item };
+}
+
+/**
+ * Fill in a looked-up item
+ * @param {Object} cart - Cart, updated in place
+ * @param {string} barcode - Item barcode
+ * @param {Object} product - Product in app format
+ * @param {Object} healthData - calculateHealthScore result for it
+ * @param {Object} options - { allergens: the user's allergens }
+ * @returns {Object|null} The item, or null when it was removed meanwhile
+ */
+function resolveCartItem(cart, barcode, product, healthData, options = {}) {
+    const item = cart.items.find(entry => entry.barcode === toGTINKey(barcode));
+    if (!item) return null;
+
+    const productAllergens = product.allergens || [];
+    Object.assign(item, {
+        status: 'ready',
+        name: product.name,
+        brand: product.brand,
+        image: product.image,
+        categories: product.categories || '',
+        nutriscore: product.nutriscore || null,
+        score: healthData.score,
+        grade: healthData.grade,
+        allergens: productAllergens.filter(allergen => (options.allergens || []).includes(allergen)),
+        packageQuantity: product.packageQuantity > 0 ? product.packageQuantity : null,
+        nutrition: JSON.parse(JSON.stringify(product.nutrition || {}))
+    });
+    return item;
+}
+
+/**
+ * Mark an item whose lookup failed
+ * @param {string} status - 'not-found' | 'error'
+ */
+function failCartItem(cart, barcode, status, message = null) {
+    const item = cart.items.find(entry => entry.barcode === toGTINKey(barcode));
+    if (item) Object.assign(item, { status, error: message });
+    return item || null;
+}
+
+/**
+ * Remove an item
+ */
+function removeCartItem(cart, barcode) {
+    const key = toGTINKey(barcode);
+    cart.items = cart.items.filter(item => item.barcode !== key);
+}
+
+/**
+ * Cart summary
+ * @param {Object} cart - Cart
+ * @returns {Object} { count, pending, failed, averageScore, gradeDistribution, nutrients, sized, unsized, allergenItems, worst }
+ *   nutrients are totals over whole packages (JOURNAL_NUTRIENTS units); items without a package size are left out
+ */
+function summarizeCart(cart) {
+    const ready = cart.items.filter(item => item.status === 'ready');
+    const sized = ready.filter(item => item.packageQuantity);
+
+    const totals = sized.reduce(
+        (sum, item) => sumNutrition(sum, scaleNutrition(item.nutrition, item.packageQuantity / 100)),
+        {}
+    );
+    const nutrients = JOURNAL_NUTRIENTS
+        .map(({ key, label, unit }) => {
+            const value = readNutrient(totals, key, unit);
+            return { key, label, unit, value: value === null ? null : Math.round(value * 10) / 10 };
+        })
+        .filter(row => row.value !== null);
+
+    const gradeDistribution = {};
+    ready.forEach(item => {
+        gradeDistribution[item.grade] = (gradeDistribution[item.grade] || 0) + 1;
+    });
+
+    const worst = ready
+        .filter(item => item.score < CART_CONFIG.offenderBelow)
+        .sort((a, b) => a.score - b.score)
+        .slice(0, CART_CONFIG.worstCount);
+
+    return {
+        count: ready.length,
+        pending: cart.items.filter(item => item.status === 'loading').length,
+        failed: cart.items.filter(item => item.status === 'not-found' || item.status === 'error').length,
+        averageScore: ready.length === 0
+            ? null
+            : Math.round(ready.reduce((sum, item) => sum + item.score, 0) / ready.length),
+        gradeDistribution,
+        nutrients,
+        sized: sized.length,
+        unsized: ready.length - sized.length,
+        allergenItems: ready.filter(item => item.allergens.length > 0),
+        worst
+    };
+}
+
+/**
+ * Best swap for an offender: the highest-scoring alternative that beats it
+ * @param {Object} item - Cart item
+ * @param {Array} alternatives - [{ name, brand, score, ... }] from fetchAlternativeProducts
+ * @param {Object} cart - Cart (alternatives already in it are skipped)
+ * @returns {Object|null} Alternative plus { gain } in score points
+ */
+function pickCartSwap(item, alternatives, cart = { items: [] }) {
+    const inCart = new Set(cart.items.map(entry => (entry.name || '').toLowerCase()));
+    const best = (alternatives || [])
+        .filter(alt => alt.score > item.score && !inCart.has((alt.name || '').toLowerCase()))
+        .sort((a, b) => b.score - a.score)[0];
+
+    return best ? { ...best, gain: best.score - item.score } : null;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CART_CONFIG,
+        createCart,
+        addCartScan,
+        resolveCartItem,
+        failCartItem,
+        removeCartItem,
+        summarizeCart,
+        pickCartSwap
+    };
+}
+
+console.log('✅ Shopping Cart loaded successfully');
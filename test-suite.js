@@ -23,6 +23,9 @@ class HealthSystemTester {
         // Module existence tests
         await this.testModulesLoaded();
 
+        // Script load order tests
+        await this.testScriptLoadOrder();
+
         // Health score tests
         await this.testHealthScoreCalculation();
 
@@ -35,6 +38,72 @@ class HealthSystemTester {
         // API integration tests
         await this.testAPIIntegration();
 
+        // Product provider tests
+        await this.testProductProviders();
+
+        // Serving size tests
+        await this.testServingSizes();
+
+        // Nutrient unit tests
+        await this.testUnits();
+
+        // API cache tests
+        await this.testApiCache();
+
+        // Batch lookup tests
+        await this.testBatchLookup();
+
+        // Product version tests
+        await this.testProductVersions();
+
+        // Barcode (GTIN) tests
+        await this.testGTIN();
+
+        // Barcode decoder tests
+        await this.testBarcodeDecoders();
+
+        // Barcode from a photo tests
+        await this.testImageDecoding();
+
+        // Scan consensus tests
+        await this.testScanConsensus();
+
+        // Offline store tests
+        await this.testOfflineStore();
+
+        // Comparison tests
+        await this.testComparison();
+
+        // Shopping cart tests
+        await this.testShoppingCart();
+
+        // Food journal tests
+        await this.testFoodJournal();
+
+        // Trend report tests
+        await this.testNutritionReports();
+
+        // Achievement tests
+        await this.testAchievements();
+
+        // Ingredient parser tests
+        await this.testIngredientParser();
+
+        // Additive analysis tests
+        await this.testAdditiveAnalysis();
+
+        // Nutri-Score tests
+        await this.testNutriScore();
+
+        // NOVA classifier tests
+        await this.testNovaClassifier();
+
+        // Data quality tests
+        await this.testDataQuality();
+
+        // Unknown nutrient tests
+        await this.testUnknownNutrients();
+
         // UI integration tests
         await this.testUIIntegration();
 
@@ -82,6 +151,54 @@ class HealthSystemTester {
         );
     }
 
+    /**
+     * Test: index.html's scripts load in order without errors
+     * The other tests call modules directly, so top-level code that uses a
+     * module loaded after it only shows up here
+     */
+    async testScriptLoadOrder() {
+        console.log('\n📜 Testing Script Load Order...\n');
+
+        if (typeof document === 'undefined' || typeof fetch !== 'function') {
+            console.log('   ⏭️ Skipped (needs the page in a browser)');
+            return;
+        }
+
+        // Load the page in a hidden frame, recording errors before any script runs
+        const html = await (await fetch('index.html')).text();
+        const frame = document.createElement('iframe');
+        frame.style.display = 'none';
+        document.body.appendChild(frame);
+
+        await new Promise((resolve) => {
+            const page = frame.contentDocument;
+            page.open();
+            frame.contentWindow.addEventListener('load', resolve);
+            page.write(html.replace('<head>', `<head>
+                <base href="${location.href}">
+                <script>window.loadErrors = []; addEventListener('error', (e) => loadErrors.push(e.message));<\/script>`));
+            page.close();
+        });
+
+        const errors = frame.contentWindow.loadErrors || [];
+        this.assert(
+            'Scripts load in index.html order without errors',
+            errors.length === 0,
+            errors.join('; ')
+        );
+
+        // journalDay is set by init(), which only runs if app.js loaded to the end
+        let initialized = false;
+        try {
+            initialized = frame.contentWindow.eval('journalDay') !== null;
+        } catch (error) {
+            initialized = false;
+        }
+        this.assert('App initializes after the page loads', initialized);
+
+        frame.remove();
+    }
+
     /**
      * Test: Health score calculation
      */
@@ -163,6 +280,31 @@ class HealthSystemTester {
             'Score never exceeds 100',
             extremeScore.score <= 100
         );
+
+        // Test 6: Versioned algorithms
+        const midNutrition = {
+            calories: 350,
+            sugar: 12,
+            fat: 14,
+            salt: 0.3,
+            protein: 2,
+            fiber: 1
+        };
+
+        const legacyScore = calculateHealthScore(midNutrition, { algorithmVersion: 'legacy-app-v1' });
+        this.assert(
+            'Legacy algorithm reproduces original app.js grade',
+            legacyScore.score === 41 && legacyScore.grade === 'D',
+            `Score: ${legacyScore.score}, Grade: ${legacyScore.grade}`
+        );
+        this.assert(
+            'Default algorithm is tagged with its version',
+            calculateHealthScore(midNutrition).algorithmVersion === DEFAULT_SCORING_VERSION
+        );
+        this.assert(
+            'Unknown algorithm version falls back to default',
+            calculateHealthScore(midNutrition, { algorithmVersion: 'missing' }).algorithmVersion === DEFAULT_SCORING_VERSION
+        );
     }
 
     /**
@@ -276,66 +418,1712 @@ class HealthSystemTester {
 
     /**
      * Test: API integration
+     * Replays recorded responses (fixtures/openfoodfacts.json) so it runs offline;
+     * in record mode it hits the live API and captures them instead
      */
     async testAPIIntegration() {
         console.log('\n🌐 Testing API Integration...\n');
 
+        const mode = getApiTransportMode() === 'record' ? 'record' : 'replay';
+        await withApiTransport(mode, async () => {
+            try {
+                // Test 1: Valid barcode (Nutella)
+                const product = await fetchProductWithHealthScore('3017620422003', {
+                    gender: 'male',
+                    isDiabetic: false,
+                    forceRefresh: true
+                });
+
+                this.assert(
+                    'Product fetched successfully',
+                    product !== null && product !== undefined
+                );
+
+                this.assert(
+                    'Product has name',
+                    product.name && product.name.length > 0,
+                    `Name: ${product.name}`
+                );
+
+                this.assert(
+                    'Product has nutrition data',
+                    product.nutrition && typeof product.nutrition.calories === 'number'
+                );
+
+                this.assert(
+                    'Health score calculated',
+                    product.healthScore && typeof product.healthScore.score === 'number',
+                    `Score: ${product.healthScore?.score}`
+                );
+
+                this.assert(
+                    'Daily values calculated',
+                    product.dailyValues && product.dailyValues.dailyValues
+                );
+
+                this.assert(
+                    'Product has image',
+                    product.image && product.image.length > 0
+                );
+
+                // Test 2: Cache working
+                console.log('   Testing API cache...');
+                const startTime = Date.now();
+                await fetchProductWithHealthScore('3017620422003');
+                const cacheTime = Date.now() - startTime;
+
+                this.assert(
+                    'Cache speeds up subsequent requests',
+                    cacheTime < 100,
+                    `Cache time: ${cacheTime}ms`
+                );
+
+                // Cached copies are enriched for each caller's profile
+                const forDiabetic = await fetchProductWithHealthScore('3017620422003', { isDiabetic: true });
+                this.assert(
+                    'Cached product enriched with the caller\'s options',
+                    product.diabeticWarnings.length === 0 && forDiabetic.diabeticWarnings.length > 0,
+                    `Warnings: ${product.diabeticWarnings.length} → ${forDiabetic.diabeticWarnings.length}`
+                );
+
+                // Test 3: Search and alternatives
+                const results = await searchProducts('nutella', { throwOnError: true });
+                this.assert('Search returns products', results.length > 0, `Results: ${results.length}`);
+
+                const alternatives = await fetchHealthierAlternatives('Breakfasts, Spreads', product.healthScore.score);
+                this.assert(
+                    'Healthier alternatives scored above the product',
+                    alternatives.length > 0 && alternatives.every(alt => alt.score > product.healthScore.score)
+                );
+
+            } catch (error) {
+                this.assert(
+                    'API integration functional',
+                    false,
+                    `Error: ${error.message}`
+                );
+            }
+        });
+
+        // Test 4: Error paths, replayed from simulated responses
+        await this.testAPIErrorPaths();
+    }
+
+    /**
+     * Test: Timeouts, 404s, status 0 and malformed payloads (replay only)
+     */
+    async testAPIErrorPaths() {
+        const saved = { timeout: API_CONFIG.timeout, retryDelay: API_CONFIG.retryDelay };
+        API_CONFIG.timeout = 50;
+        API_CONFIG.retryDelay = 0;
+
+        const failure = barcode => fetchProductWithHealthScore(barcode, { providers: ['off'], maxRetries: 2, forceRefresh: true })
+            .then(() => null, error => error);
+
         try {
-            // Test 1: Valid barcode (Nutella)
-            const product = await fetchProductWithHealthScore('3017620422003', {
-                gender: 'male',
-                isDiabetic: false
+            await withApiTransport('replay', async () => {
+                const notFound = await failure('2000000000404');
+                const statusZero = await failure('2000000000000');
+                this.assert(
+                    '404 and status 0 reported as not found',
+                    notFound?.code === 'PRODUCT_NOT_FOUND' && statusZero?.code === 'PRODUCT_NOT_FOUND',
+                    `${notFound?.code}, ${statusZero?.code}`
+                );
+
+                const malformed = await failure('2000000000500');
+                this.assert(
+                    'Malformed payload reported as a fetch failure',
+                    malformed?.code === 'FETCH_FAILED' && malformed.message.includes('after 2 attempts'),
+                    malformed?.message
+                );
+
+                const timedOut = await failure('2000000000408');
+                const offline = await failure('2000000000503');
+                this.assert(
+                    'Timeouts and network errors retried, then reported',
+                    timedOut?.code === 'FETCH_FAILED' && timedOut.message.includes('timed out') &&
+                    offline?.code === 'FETCH_FAILED',
+                    timedOut?.message
+                );
+
+                const recovered = await fetchProductWithHealthScore('2000000000307', { providers: ['off'], maxRetries: 2, forceRefresh: true });
+                this.assert('Retry succeeds after a timeout', recovered.name === 'Rolled oats');
+
+                let missing = null;
+                await searchProducts('no fixture for this', { throwOnError: true }).catch(error => {
+                    missing = error;
+                });
+                this.assert('Unrecorded requests fail in replay', missing?.code === 'FIXTURE_MISSING');
             });
+        } finally {
+            Object.assign(API_CONFIG, saved);
+        }
+    }
 
-            this.assert(
-                'Product fetched successfully',
-                product !== null && product !== undefined
-            );
+    /**
+     * Test: Product providers
+     */
+    async testProductProviders() {
+        console.log('\n🔌 Testing Product Providers...\n');
+
+        // Test 1: Each normaliser produces the extractNutritionData shape
+        const nutritionKeys = Object.keys(extractNutritionData({})).sort().join();
+
+        const off = normalizeProviderPayload('off', {
+            product_name: 'Nutella', brands: 'Ferrero', nutriments: { 'energy-kcal_100g': 539, sugars_100g: 56.3 }
+        }, '3017620422003');
+        const usda = normalizeProviderPayload('usda', {
+            gtinUpc: '009800800056', description: 'HAZELNUT SPREAD', brandOwner: 'Ferrero U.S.A.',
+            servingSize: 37, servingSizeUnit: 'g',
+            foodNutrients: [
+                { nutrient: { number: '208' }, amount: 541 },
+                { nutrient: { number: '269' }, amount: 56.8 },
+                { nutrient: { number: '307' }, amount: 41 },
+                { nutrientNumber: '401', amount: 2 }
+            ]
+        }, '009800800056');
+        const catalog = normalizeProviderPayload('catalog', {
+            barcode: '2000000000011', name: 'House granola', nutrition: { calories: 450, fiber: 8 }
+        }, '2000000000011');
 
-            this.assert(
-                'Product has name',
-                product.name && product.name.length > 0,
-                `Name: ${product.name}`
-            );
+        this.assert(
+            'Normalisers share the extractNutritionData shape',
+            [off, usda, catalog].every(record => Object.keys(record.nutrition).sort().join() === nutritionKeys)
+        );
+        this.assert(
+            'USDA units converted to OFF units',
+            usda.nutrition.calories === 541 && Math.abs(usda.nutrition.sodium - 0.041) < 1e-9 &&
+            Math.abs(usda.nutrition.salt - 0.1025) < 1e-9 && usda.nutrition.vitamins.c === 0.002 &&
+            usda.servingQuantity === 37
+        );
+        this.assert(
+            'Records remember their provider',
+            off.provider === 'off' && usda.provider === 'usda' && catalog.provider === 'catalog' &&
+            catalog.nutrition.fiber === 8 && catalog.nutrition.sugar === null
+        );
 
-            this.assert(
-                'Product has nutrition data',
-                product.nutrition && typeof product.nutrition.calories === 'number'
-            );
+        // Test 2: Lookup chain
+        const payloads = { '111': { name: 'Second source' } };
+        registerProductProvider({ id: 'test-broken', name: 'Broken', lookup: async () => { throw new Error('offline'); }, normalize: p => p });
+        registerProductProvider({ id: 'test-empty', name: 'Empty', lookup: async () => null, normalize: p => p });
+        registerProductProvider({
+            id: 'test-local', name: 'Local',
+            lookup: async barcode => payloads[barcode] || null,
+            normalize: (payload, barcode) => ({ ...payload, provider: 'test-local', barcode })
+        });
+
+        const found = await lookupProduct('111', { providers: ['test-broken', 'test-empty', 'test-local'] });
+        this.assert(
+            'Failing and empty providers fall through to the next one',
+            found.provider === 'test-local' && found.product.name === 'Second source'
+        );
 
-            this.assert(
-                'Health score calculated',
-                product.healthScore && typeof product.healthScore.score === 'number',
-                `Score: ${product.healthScore?.score}`
-            );
+        let notFound = null;
+        try {
+            await lookupProduct('222', { providers: ['test-empty', 'test-local'] });
+        } catch (error) {
+            notFound = error.message;
+        }
+        this.assert('Unknown everywhere reports PRODUCT_NOT_FOUND', notFound === 'PRODUCT_NOT_FOUND');
 
-            this.assert(
-                'Daily values calculated',
-                product.dailyValues && product.dailyValues.dailyValues
-            );
+        let failed = null;
+        try {
+            await lookupProduct('222', { providers: ['test-broken', 'test-empty'] });
+        } catch (error) {
+            failed = error;
+        }
+        this.assert('Provider failures are reported', failed && failed.failures.length === 1, failed && failed.message);
+
+        ['test-broken', 'test-empty', 'test-local'].forEach(id => delete PRODUCT_PROVIDERS[id]);
+
+        // Test 3: Default chain while the dump files aren't deployed
+        const realFetch = globalThis.fetch;
+        const dumpRequests = [];
+        const saved = { timeout: API_CONFIG.timeout, retryDelay: API_CONFIG.retryDelay };
+        API_CONFIG.timeout = 50;
+        API_CONFIG.retryDelay = 0;
+        const dumpURLs = [PRODUCT_PROVIDER_CONFIG.usda.url, PRODUCT_PROVIDER_CONFIG.catalog.url];
+        globalThis.fetch = async (url, init) => {
+            if (!dumpURLs.includes(url)) return realFetch(url, init);
+            dumpRequests.push(url);
+            return new Response('Not Found', { status: 404, statusText: 'Not Found' });
+        };
+        PRODUCT_PROVIDERS.usda.reset();
+        PRODUCT_PROVIDERS.catalog.reset();
 
+        try {
+            const missing = await withApiTransport('replay', () =>
+                fetchProductWithHealthScore('2000000000404', { maxRetries: 2, forceRefresh: true })
+                    .then(() => null, error => error));
             this.assert(
-                'Product has image',
-                product.image && product.image.length > 0
+                'Missing dump files count as not found in the default chain',
+                missing?.code === 'PRODUCT_NOT_FOUND' && dumpRequests.length === 2,
+                `${missing?.code}: ${missing?.message}`
             );
+        } finally {
+            globalThis.fetch = realFetch;
+            Object.assign(API_CONFIG, saved);
+            PRODUCT_PROVIDERS.usda.reset();
+            PRODUCT_PROVIDERS.catalog.reset();
+        }
+    }
 
-            // Test 2: Cache working
-            console.log('   Testing API cache...');
-            const startTime = Date.now();
-            await fetchProductWithHealthScore('3017620422003');
-            const cacheTime = Date.now() - startTime;
-            
-            this.assert(
-                'Cache speeds up subsequent requests',
-                cacheTime < 100,
-                `Cache time: ${cacheTime}ms`
-            );
+    /**
+     * Test: Serving and package sizes
+     */
+    async testServingSizes() {
+        console.log('\n🍽️ Testing Serving Sizes...\n');
+
+        // Test 1: Printed quantities
+        const parsed = ['2 biscuits (25 g)', '1 cup (240ml)', '330 ml', '6 x 25 g', '1,5 L', '1 portion']
+            .map(text => parseQuantity(text));
+        this.assert(
+            'Quantities parsed to grams or millilitres',
+            parsed[0].amount === 25 && parsed[0].unit === 'g' &&
+            parsed[1].amount === 240 && parsed[1].unit === 'ml' &&
+            parsed[2].amount === 330 && parsed[3].amount === 150 &&
+            parsed[4].amount === 1500 && parsed[5] === null,
+            JSON.stringify(parsed)
+        );
+
+        // Test 2: OFF fields, numeric quantity first
+        const sizes = extractPortionSizes({ serving_size: '1 can (330 ml)', quantity: '4 x 330 ml', product_quantity: '1320' });
+        this.assert(
+            'Serving and package sizes read from OFF',
+            sizes.servingQuantity === 330 && sizes.servingUnit === 'ml' &&
+            sizes.packageQuantity === 1320 && sizes.packageUnit === 'ml'
+        );
+
+        // Test 3: Portions
+        const product = { servingQuantity: 25, packageQuantity: 300, nutrition: { calories: 480, sugar: null } };
+        this.assert(
+            'Portion grams per view',
+            getPortionGrams(product, 'serving') === 25 && getPortionGrams(product, 'package') === 300 &&
+            getPortionGrams(product, 'custom', 60) === 60 && getPortionGrams({}, 'serving') === null
+        );
+        this.assert(
+            'Portion described for the journal',
+            describePortion(product, 'serving') === '1 serving (25 g)' &&
+            createJournalEntry(product, 0.25, new Date(), describePortion(product, 'serving')).portion === '1 serving (25 g)'
+        );
+
+        // Test 4: Comparison adds per-package rows
+        const comparison = buildComparison([
+            { ...product, name: 'A', barcode: '1', nutrition: { calories: 480, sugar: 20, fat: 20, salt: 1, protein: 6, fiber: 2 } },
+            { name: 'B', barcode: '2', packageQuantity: 150, nutrition: { calories: 400, sugar: 10, fat: 15, salt: 1, protein: 8, fiber: 3 } }
+        ], { customGrams: 50 });
+        const packageCalories = comparison.rows.find(row => row.section === 'Per package' && row.label === 'Calories');
+        this.assert(
+            'Per-package and custom rows compared',
+            packageCalories.cells[0].value === 1440 && packageCalories.winners.join() === '1' &&
+            comparison.rows.some(row => row.section === 'Per 50g')
+        );
+    }
+
+    /**
+     * Test: Nutrient units and conversions
+     */
+    async testUnits() {
+        console.log('\n📏 Testing Nutrient Units...\n');
 
+        // Test 1: Conversions
+        this.assert(
+            'Mass, energy and IU conversions',
+            convertUnit(0.002, 'g', 'mg') === 2 &&
+            Math.abs(convertUnit(100, 'MCG', 'mg') - 0.1) < 1e-9 &&
+            Math.abs(convertUnit(418.4, 'kJ', 'kcal') - 100) < 1e-9 &&
+            Math.abs(convertUnit(400, 'IU', 'µg', 'vitaminD') - 10) < 1e-9 &&
+            Math.abs(convertUnit(1000, 'IU', 'µg', 'vitamins.a') - 300) < 1e-9 &&
+            convertUnit(null, 'g', 'mg') === null
+        );
+
+        let incompatible = null;
+        try {
+            convertUnit(1, 'IU', 'g', 'iron');
         } catch (error) {
+            incompatible = error.message;
+        }
+        this.assert('IU without a vitamin equivalent is refused', incompatible !== null, incompatible);
+
+        // Test 2: Reading OFF data in threshold units
+        const offNutrition = extractNutritionData({
+            nutriments: { 'energy-kj_100g': 1500, sugars_100g: 2, salt_100g: 0.1, iron_100g: 0.0035, calcium_100g: 0.12, 'vitamin-b9_100g': 0.00015 }
+        });
+        this.assert(
+            'OFF gram values read as mg and µg',
+            Math.abs(readNutrient(offNutrition, 'iron', 'mg') - 3.5) < 1e-9 &&
+            Math.abs(readNutrient(offNutrition, 'folate', 'µg') - 150) < 1e-9 &&
+            readNutrient({ iron: 0.002 }, 'iron', 'mg') === 2 &&
+            readNutrient(offNutrition, 'zinc', 'mg') === null
+        );
+        this.assert(
+            'Calories derived from kJ',
+            Math.round(offNutrition.calories) === 359,
+            `Calories: ${offNutrition.calories}`
+        );
+        this.assert(
+            'Thresholds compared in their own unit',
+            meetsThreshold(offNutrition, 'iron', PREGNANT_LIMITS.requiredNutrients.iron) === true &&
+            meetsThreshold(offNutrition, 'vitaminD', { amount: 10, unit: 'µg' }) === null
+        );
+
+        // Test 3: Micronutrient checks fire on real OFF data
+        const positives = checkEssentialNutrients(offNutrition, PREGNANT_LIMITS.requiredNutrients).positives;
+        this.assert(
+            'Iron, calcium and folate positives from OFF grams',
+            positives.some(p => p.includes('iron (3.5mg)')) &&
+            positives.some(p => p.includes('calcium source (120mg)')) &&
+            positives.some(p => p.includes('folate (150µg)')),
+            JSON.stringify(positives)
+        );
+
+        // Test 4: USDA IU values stored in grams
+        const usda = normalizeProviderPayload('usda', {
+            gtinUpc: '1', description: 'FORTIFIED MILK',
+            foodNutrients: [
+                { nutrient: { number: '324', unitName: 'IU' }, amount: 40 },
+                { nutrient: { number: '301', unitName: 'MG' }, amount: 120 }
+            ]
+        }, '1');
+        this.assert(
+            'USDA IU and mg converted to grams',
+            Math.abs(usda.nutrition.vitamins.d - 0.000001) < 1e-12 &&
+            Math.abs(usda.nutrition.minerals.calcium - 0.12) < 1e-9
+        );
+
+        // Test 5: Catalog entries can declare their units
+        const catalog = normalizeProviderPayload('catalog', {
+            barcode: '2', name: 'Iron cereal', nutrition: { calories: 380, minerals: { iron: 12 } },
+            nutritionUnits: { iron: 'mg' }
+        }, '2');
+        this.assert(
+            'Catalog units normalised',
+            Math.abs(catalog.nutrition.minerals.iron - 0.012) < 1e-9
+        );
+
+        // Test 6: Journal totals compared in DAILY_VALUES units
+        const sodium = compareTotalsToDailyValues({ sodium: 1.2 }).find(row => row.nutrient === 'sodium');
+        this.assert(
+            'Journal sodium shown in mg',
+            sodium.value === 1200 && sodium.unit === 'mg',
+            JSON.stringify(sodium)
+        );
+    }
+
+    /**
+     * Test: Tiered API cache
+     */
+    async testApiCache() {
+        console.log('\n🗄️ Testing API Cache...\n');
+
+        // Test 1: LRU eviction by entry count and by bytes
+        const lru = new TieredCache({ persistent: false, memory: { maxEntries: 2, maxBytes: 1000 } });
+        await lru.set('a', 'product', { name: 'A' });
+        await lru.set('b', 'product', { name: 'B' });
+        await lru.get('a');
+        await lru.set('c', 'product', { name: 'C' });
+        this.assert(
+            'Least recently used entry evicted by count',
+            (await lru.get('b')) === null && (await lru.get('a')).data.name === 'A' && lru.stats.evictions === 1
+        );
+
+        const sized = new TieredCache({ persistent: false, memory: { maxEntries: 10, maxBytes: 60 } });
+        await sized.set('big1', 'search', 'x'.repeat(40));
+        await sized.set('big2', 'search', 'y'.repeat(40));
+        this.assert(
+            'Entries evicted past the byte budget',
+            (await sized.get('big1')) === null && (await sized.get('big2')) !== null && sized.memoryBytes <= 60
+        );
+
+        // Test 2: TTLs per kind and the stale window
+        const ttl = new TieredCache({
+            persistent: false,
+            ttl: { search: -1, alternatives: -1 },
+            staleFor: { search: 60000, alternatives: 0 }
+        });
+        await ttl.set('p', 'product', 1);
+        await ttl.set('s', 'search', 2);
+        await ttl.set('alt', 'alternatives', 3);
+        this.assert(
+            'Kinds expire on their own TTL',
+            (await ttl.get('p')).stale === false && (await ttl.get('s')).stale === true &&
+            (await ttl.get('alt')) === null
+        );
+
+        // Test 3: Stale data served at once, refreshed in the background
+        const swr = new TieredCache({ persistent: false, ttl: { product: -1 } });
+        let version = 0;
+        let refreshed = null;
+        const load = async () => ++version;
+        const options = { onRefresh: data => { refreshed = data; } };
+
+        const first = await swr.fetch('product_1', 'product', load, options);
+        const second = await swr.fetch('product_1', 'product', load, options);
+        await swr.refreshing.get('product_1');
+        const third = await swr.fetch('product_1', 'product', load, options);
+        this.assert(
+            'Stale value returned while revalidating',
+            first === 1 && second === 1 && refreshed === 2 && third === 2 && swr.stats.revalidations >= 1,
+            `${first}, ${second}, ${third}`
+        );
+
+        let failing = false;
+        const flaky = async () => {
+            if (failing) throw new Error('offline');
+            return 'cached';
+        };
+        await swr.fetch('search_x', 'product', flaky);
+        failing = true;
+        const kept = await swr.fetch('search_x', 'product', flaky);
+        await swr.refreshing.get('search_x');
+        this.assert(
+            'Failed refresh keeps the stale copy',
+            kept === 'cached' && swr.stats.revalidationErrors === 1 && (await swr.get('search_x')).data === 'cached'
+        );
+
+        // Test 4: Values the caller rejects aren't cached
+        const skip = new TieredCache({ persistent: false });
+        await skip.fetch('product_2', 'product', async () => ({ metadata: { offline: true } }), {
+            shouldCache: product => !product.metadata.offline
+        });
+        this.assert('Offline fallbacks not cached', (await skip.get('product_2')) === null);
+
+        // Test 5: Diagnostics
+        const diagnostics = await swr.getDiagnostics();
+        this.assert(
+            'Diagnostics report hits, misses and sizes',
+            diagnostics.hits === 3 && diagnostics.misses === 2 && diagnostics.hitRate === 60 &&
+            diagnostics.byKind.product.hits === 3 && diagnostics.memory.entries === 2 &&
+            diagnostics.persistent.enabled === false,
+            JSON.stringify({ hits: diagnostics.hits, misses: diagnostics.misses, hitRate: diagnostics.hitRate })
+        );
+    }
+
+    /**
+     * Test: Batch lookups and the request queue
+     */
+    async testBatchLookup() {
+        console.log('\n📦 Testing Batch Lookup...\n');
+
+        // Test 1: Concurrency cap and rate limit
+        const queue = createRequestQueue({ concurrency: 2, requestsPerSecond: 20 });
+        let running = 0;
+        let maxRunning = 0;
+        const starts = [];
+        const task = () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            starts.push(Date.now());
+            return sleep(120).then(() => { running--; });
+        };
+
+        await Promise.all([1, 2, 3, 4, 5].map(() => queue.add(task)));
+        const gaps = starts.slice(1).map((start, i) => start - starts[i]);
+        this.assert('Queue never exceeds its concurrency', maxRunning === 2, `max ${maxRunning}`);
+        this.assert('Queue spaces request starts', gaps.every(gap => gap >= 45), gaps.join(', '));
+
+        // Test 2: Per-barcode results with dedupe
+        const lookups = {};
+        registerProductProvider({
+            id: 'test-batch',
+            name: 'Batch test',
+            lookup: async barcode => {
+                lookups[barcode] = (lookups[barcode] || 0) + 1;
+                if (barcode === '20000000000035') throw new Error('upstream down');
+                return barcode === '20000000000011' ? { barcode } : null;
+            },
+            normalize: (payload, barcode) => ({
+                ...normalizeProviderPayload('catalog', { name: 'Batch item', nutrition: { calories: 100 } }, barcode),
+                provider: 'test-batch'
+            })
+        });
+
+        const progress = [];
+        const batch = await fetchProductsBatch(
+            ['20000000000011', '20000000000028', '20000000000011', '20000000000035', 'abc'],
+            { providers: ['test-batch'], requestsPerSecond: 0, maxRetries: 1, onProgress: event => progress.push(event) }
+        );
+        const statusOf = barcode => batch.results.find(r => r.barcode === barcode).status;
+
+        this.assert(
+            'Batch reports success, not-found and error per barcode',
+            statusOf('20000000000011') === 'success' && statusOf('20000000000028') === 'not-found' &&
+            statusOf('20000000000035') === 'error' && statusOf('abc') === 'error'
+        );
+        this.assert(
+            'Duplicate barcodes are fetched once',
+            batch.results.length === 4 && lookups['20000000000011'] === 1
+        );
+        this.assert(
+            'Progress reported for every barcode',
+            progress.length === 4 && progress[3].completed === 4 && progress[3].total === 4
+        );
+        this.assert(
+            'Summary counts match',
+            batch.summary.success === 1 && batch.summary.notFound === 1 && batch.summary.error === 2
+        );
+
+        // Test 3: Concurrent single lookups share one request
+        await Promise.all([
+            fetchProductWithHealthScore('20000000000004', { providers: ['test-batch'], maxRetries: 1 }).catch(() => null),
+            fetchProductWithHealthScore('20000000000004', { providers: ['test-batch'], maxRetries: 1 }).catch(() => null)
+        ]);
+        this.assert('In-flight lookups are shared', lookups['20000000000004'] === 1);
+
+        delete PRODUCT_PROVIDERS['test-batch'];
+    }
+
+    /**
+     * Test: Reformulation detection and version timelines
+     */
+    async testProductVersions() {
+        console.log('\n📜 Testing Product Versions...\n');
+
+        const before = {
+            barcode: '5000000000001', name: 'Cereal', lastModified: '2024-01-10T00:00:00.000Z',
+            nutrition: { calories: 380, sugar: 12, fat: 3, saturatedFat: 1, salt: 0.5, protein: 8, fiber: 6, carbs: 75 }
+        };
+        const after = {
+            ...before, lastModified: '2024-06-01T00:00:00.000Z',
+            nutrition: { ...before.nutrition, sugar: 8, salt: 0.504 }
+        };
+
+        // Test 1: Differences above label precision
+        const change = detectReformulation(
+            { ...before, score: 54, scoreVersion: 'engine-v4' },
+            { ...after, score: 66, scoreVersion: 'engine-v4' }
+        );
+        this.assert(
+            'Reformulation described with the score change',
+            change && change.changes.length === 1 &&
+            change.summary === 'sugar went from 12 g to 8 g, score 54→66',
+            change?.summary
+        );
+        this.assert('Same nutrition is not a reformulation', detectReformulation(before, { ...before }) === null);
+
+        // Test 2: Timeline per barcode
+        const timelines = {};
+        const first = recordProductVersion(timelines, before, calculateHealthScore(before.nutrition));
+        const rescan = recordProductVersion(timelines, { ...before }, calculateHealthScore(before.nutrition));
+        const changed = recordProductVersion(timelines, after, calculateHealthScore(after.nutrition));
+        this.assert(
+            'Only reformulations start a new version',
+            first.change === null && rescan.change === null && changed.change !== null &&
+            timelines[before.barcode].length === 2
+        );
+
+        const stale = recordProductVersion(timelines, before, calculateHealthScore(before.nutrition));
+        this.assert(
+            'An older edit is ignored',
+            stale.change === null && timelines[before.barcode].length === 2
+        );
+
+        // USDA dates edits as "4/1/2019", OFF as ISO timestamps
+        const usda = recordProductVersion(timelines, { ...before, lastModified: '4/1/2019' }, calculateHealthScore(before.nutrition));
+        this.assert(
+            'Edit dates compared as dates across providers',
+            usda.change === null && timelines[before.barcode].length === 2
+        );
+
+        const timeline = getProductTimeline(timelines, before.barcode);
+        this.assert(
+            'Timeline lists versions newest first',
+            timeline[0].summary.startsWith('sugar went from 12 g to 8 g') && timeline[1].summary === 'First seen',
+            timeline.map(version => version.summary).join(' | ')
+        );
+
+        // Test 3: Products scanned before versioning start from history
+        const seeded = {};
+        const fromHistory = recordProductVersion(seeded, after, calculateHealthScore(after.nutrition), {
+            baseline: { ...before, timestamp: '2024-02-01T00:00:00.000Z' }
+        });
+        this.assert(
+            'Change detected against a history baseline',
+            fromHistory.change !== null && seeded[before.barcode][0].recordedAt === '2024-02-01T00:00:00.000Z'
+        );
+
+        // Test 4: Offline copies aren't versions
+        const offline = recordProductVersion({}, { ...after, metadata: { offline: true } });
+        this.assert('Offline copies not recorded', offline.timeline.length === 0 && offline.change === null);
+
+        // Test 5: A forced refetch starts a new version in the timeline
+        const version = (sugar, modified) => ({
+            status: 200,
+            body: { status: 1, product: { product_name: 'Replay cereal', last_modified_t: modified, nutriments: { 'energy-kcal_100g': 380, sugars_100g: sugar, fat_100g: 3, salt_100g: 0.5 } } }
+        });
+        registerApiFixtures({
+            [`GET ${API_CONFIG.baseURL}/product/5000000000018`]: [version(12, 1704844800), version(8, 1717200000)]
+        });
+
+        await withApiTransport('replay', async () => {
+            const options = { providers: ['off'], forceRefresh: true };
+            const refetches = {};
+            const cached = await fetchProductWithHealthScore('5000000000018', options);
+            recordProductVersion(refetches, cached, cached.healthScore);
+            const refetched = await fetchProductWithHealthScore('5000000000018', options);
+            const { change } = recordProductVersion(refetches, refetched, refetched.healthScore);
             this.assert(
-                'API integration functional',
-                false,
-                `Error: ${error.message}`
+                'Refetch recorded as a reformulation',
+                change?.summary.startsWith('sugar went from 12 g to 8 g'),
+                change?.summary
+            );
+        });
+    }
+
+    /**
+     * Test GTIN validation and normalisation
+     */
+    async testGTIN() {
+        console.log('\n🔢 Testing GTIN Normalisation...\n');
+
+        // Test 1: Check digits for every format
+        this.assert(
+            'Valid check digits accepted for EAN-8, UPC-A, EAN-13 and GTIN-14',
+            ['96385074', '012345678905', '3017620422003', '10012345678902'].every(code => isValidGTIN(code))
+        );
+        this.assert(
+            'Wrong check digits rejected',
+            ['96385075', '012345678906', '3017620422004', '10012345678903'].every(code => !isValidGTIN(code))
+        );
+        const tooShort = normalizeGTIN('4210000526');
+        this.assert(
+            'Unsupported lengths and non-digits rejected with a reason',
+            !tooShort.valid && tooShort.error.includes('digits') && !isValidGTIN('30176204220ab')
+        );
+
+        // Test 2: UPC-E expansion
+        this.assert(
+            'UPC-E expands to UPC-A',
+            expandUPCE('04252614') === '042100005264' && expandUPCE('425261') === '042100005264'
+        );
+        const upcE = normalizeGTIN('04252614', { format: 'upc_e' });
+        this.assert(
+            'UPC-E check digit must match the expanded UPC-A',
+            upcE.valid && upcE.format === 'UPC-E' && !isValidGTIN('04252615', { format: 'upc_e' })
+        );
+
+        // Test 3: One key per product across symbologies
+        const keys = ['04252614', '042100005264', '0042100005264', '00042100005264'].map(toGTINKey);
+        this.assert(
+            'UPC-E, UPC-A, EAN-13 and GTIN-14 scans share one key',
+            keys.every(key => key === '0042100005264'),
+            keys.join(', ')
+        );
+        this.assert(
+            'EAN-8 stays 8 digits, padded EAN-8 comes back to it',
+            toGTINKey('96385074') === '96385074' && toGTINKey('00000096385074') === '96385074'
+        );
+        this.assert(
+            'Invalid codes keep their digits as key',
+            toGTINKey(' 2000000000011 ') === '2000000000011'
+        );
+
+        // Test 4: Reports count the product once
+        const now = new Date(2024, 2, 10, 12, 0);
+        const report = buildNutritionReport({
+            scanHistory: [
+                { barcode: '042100005264', name: 'Soda', score: 30, grade: 'D', timestamp: new Date(2024, 2, 9).toISOString() },
+                { barcode: '0042100005264', name: 'Soda', score: 30, grade: 'D', timestamp: new Date(2024, 2, 8).toISOString() }
+            ],
+            journal: []
+        }, 7, { now });
+        this.assert(
+            'Scans via different symbologies are one product in reports',
+            report.scans.count === 2 && report.scans.uniqueProducts === 1
+        );
+    }
+
+    /**
+     * Test barcode decoders (native first, fallbacks, detection reports)
+     */
+    async testBarcodeDecoders() {
+        console.log('\n🔍 Testing Barcode Decoders...\n');
+
+        const video = { readyState: 4 };
+        const hadDetector = typeof BarcodeDetector !== 'undefined';
+        const realDetector = hadDetector ? BarcodeDetector : undefined;
+
+        // Test 1: Native BarcodeDetector preferred, detections tagged
+        let frames = 0;
+        globalThis.BarcodeDetector = class {
+            static async getSupportedFormats() { return ['ean_13', 'upc_e', 'qr_code']; }
+            constructor(options) { this.formats = options.formats; }
+            async detect() {
+                frames++;
+                return frames < 2 ? [] : [{ rawValue: '04252614', format: 'upc_e' }];
+            }
+        };
+
+        let decoder = null;
+        const detection = await new Promise((resolve, reject) => {
+            startBarcodeDecoder(video, resolve, { decoders: ['native', 'quagga'] })
+                .then(started => { decoder = started; })
+                .catch(reject);
+        });
+        decoder.stop();
+
+        this.assert(
+            'BarcodeDetector used when the browser has it',
+            decoder.id === 'native' && detection.decoder === 'native' && detection.decoderName === 'BarcodeDetector'
+        );
+        this.assert(
+            'Detection reports code, format and timing',
+            detection.code === '04252614' && detection.format === 'upc_e' && detection.confidence === null &&
+            typeof detection.timing.decodeMs === 'number' && detection.timing.sinceStartMs >= 0,
+            JSON.stringify(detection.timing)
+        );
+        const stats = getDecoderStats().native;
+        this.assert(
+            'Frames and detections counted per decoder',
+            stats.frames >= 2 && stats.detections >= 1 && stats.name === 'BarcodeDetector'
+        );
+
+        // Test 2: API without usable formats counts as unsupported
+        globalThis.BarcodeDetector.getSupportedFormats = async () => [];
+        const fallbacks = [];
+        const fake = (id, fails) => ({
+            id,
+            name: `Test ${id}`,
+            create: () => ({
+                id,
+                name: `Test ${id}`,
+                isSupported: async () => true,
+                start: async () => {
+                    fallbacks.push(id);
+                    if (fails) throw new Error('camera busy');
+                },
+                stop: () => {}
+            })
+        });
+        registerBarcodeDecoder(fake('test-broken', true));
+        registerBarcodeDecoder(fake('test-working', false));
+
+        const fallback = await startBarcodeDecoder(video, () => {}, { decoders: ['native', 'test-broken', 'test-working'] });
+        this.assert(
+            'Falls back past unsupported and failing decoders',
+            fallback.id === 'test-working' && fallbacks.join(',') === 'test-broken,test-working'
+        );
+
+        // Test 3: Nothing left to try
+        if (hadDetector) globalThis.BarcodeDetector = realDetector;
+        else delete globalThis.BarcodeDetector;
+
+        const noDecoder = await startBarcodeDecoder(video, () => {}, { decoders: ['test-broken'] })
+            .then(() => null, error => error);
+        this.assert(
+            'Start fails with every decoder\'s reason',
+            noDecoder && noDecoder.message.includes('Test test-broken: camera busy')
+        );
+
+        let rejected = false;
+        try {
+            registerBarcodeDecoder({ id: 'incomplete' });
+        } catch (error) {
+            rejected = true;
+        }
+        this.assert('Decoders without create() are rejected', rejected);
+
+        delete BARCODE_DECODERS['test-broken'];
+        delete BARCODE_DECODERS['test-working'];
+    }
+
+    /**
+     * Test decoding barcodes from still images
+     */
+    async testImageDecoding() {
+        console.log('\n📁 Testing Barcode from a Photo...\n');
+
+        // Images and variants are stand-ins; the fake decoder only reads the one turned 90°
+        const renderVariant = (image, rotation, scale) => ({ image, rotation, scale });
+        const tried = [];
+        registerBarcodeDecoder({
+            id: 'test-live-only',
+            create: () => ({ id: 'test-live-only', name: 'Live only', isSupported: async () => true, start: async () => {}, stop: () => {} })
+        });
+        registerBarcodeDecoder({
+            id: 'test-still',
+            name: 'Still',
+            create: () => ({
+                id: 'test-still',
+                name: 'Still',
+                isSupported: async () => true,
+                start: async () => {},
+                stop: () => {},
+                decodeImage: async ({ image, rotation, scale }) => {
+                    tried.push(`${scale}@${rotation}`);
+                    if (image.name === 'broken') throw new Error('unreadable');
+                    if (image.name === 'blank' || rotation !== 90) return [];
+                    return [
+                        { code: '036000291452', format: 'upc_a', confidence: 0.9 },
+                        { code: '0036000291452', format: 'ean_13', confidence: 0.8 },
+                        { code: '4006381333931', format: 'ean_13', confidence: 0.7 },
+                        { code: '12345', format: 'code_39', confidence: 0.9 }
+                    ];
+                }
+            })
+        });
+        const options = { decoders: ['test-live-only', 'test-still'], renderVariant };
+
+        // Test 1: Rotations tried until one reads
+        const codes = await decodeBarcodesFromImage({ name: 'photo' }, options);
+        this.assert(
+            'Image tried at each rotation until a code is read',
+            tried.join(',') === '1@0,1@90' && codes[0]?.rotation === 90 && codes[0]?.scale === 1,
+            tried.join(',')
+        );
+
+        // Test 2: Same product once, non-GTINs dropped
+        this.assert(
+            'UPC-A and EAN-13 of one product found once, other codes dropped',
+            codes.length === 2 && codes[0].code === '0036000291452' && codes[0].rawCode === '036000291452' &&
+            codes[0].gtinFormat === 'UPC-A' && codes[1].code === '4006381333931',
+            JSON.stringify(codes.map(code => code.code))
+        );
+        this.assert(
+            'Image detections name the decoder',
+            codes[0].decoder === 'test-still' && codes[0].decoderName === 'Still' && codes[0].confidence === 0.9
+        );
+
+        // Test 3: Every rotation and scale tried before giving up
+        tried.length = 0;
+        const none = await decodeBarcodesFromImage({ name: 'blank' }, options);
+        const { scales, rotations } = BARCODE_DECODER_CONFIG.image;
+        this.assert(
+            'Image without a barcode gives no codes after every variant',
+            none.length === 0 && tried.length === scales.length * rotations.length
+        );
+
+        const broken = await decodeBarcodesFromImage({ name: 'broken' }, options);
+        this.assert('Decoder errors on an image give no codes', broken.length === 0);
+
+        delete BARCODE_DECODERS['test-live-only'];
+        delete BARCODE_DECODERS['test-still'];
+    }
+
+    /**
+     * Test multi-frame scan consensus
+     */
+    async testScanConsensus() {
+        console.log('\n🗳️ Testing Scan Consensus...\n');
+
+        const nutella = '3017620422003';
+        const misread = '3017680422003'; // one digit off, fails its check digit
+        const frame = (code, confidence = null) => ({ code, format: 'ean_13', confidence });
+
+        // Test 1: Same code across N frames
+        const balanced = new ScanConsensus({ strictness: 'balanced' });
+        const first = balanced.add(frame(nutella), 0);
+        const second = balanced.add(frame(nutella), 100);
+        const third = balanced.add(frame(nutella), 200);
+        this.assert(
+            'Code accepted only after enough frames',
+            first.status === 'pending' && second.status === 'pending' && third.status === 'accepted' && third.code === nutella
+        );
+        this.assert(
+            'Progress builds while frames agree',
+            first.progress < second.progress && second.progress < 1 && third.progress === 1,
+            `${first.progress}, ${second.progress}, ${third.progress}`
+        );
+
+        // Test 2: Per-digit voting outvotes a misread
+        const voting = new ScanConsensus();
+        voting.add(frame(nutella), 0);
+        voting.add(frame(misread), 100);
+        const voted = voting.add(frame(nutella), 200);
+        this.assert(
+            'Misread digit outvoted across frames',
+            voted.status === 'accepted' && voted.code === nutella && voted.agreement === 0.67
+        );
+
+        const split = new ScanConsensus({ strictness: 'relaxed' });
+        split.add(frame(misread), 0);
+        this.assert(
+            'Split vote is not accepted',
+            split.add(frame(nutella), 100).status === 'pending'
+        );
+
+        const weighted = new ScanConsensus({ strictness: 'relaxed' });
+        weighted.add(frame(misread, 0.1), 0);
+        this.assert(
+            'Low-confidence frames count for less',
+            weighted.add(frame(nutella, 0.9), 100).code === nutella
+        );
+
+        // Test 3: Check digit and time window
+        const invalid = new ScanConsensus();
+        [0, 100, 200, 300].forEach(at => invalid.add(frame(misread), at));
+        this.assert(
+            'Agreed code with a wrong check digit is rejected',
+            invalid.add(frame(misread), 400).status === 'pending'
+        );
+
+        const slow = new ScanConsensus();
+        const spaced = [0, 2000, 4000].map(at => slow.add(frame(nutella), at));
+        this.assert(
+            'Frames outside the window do not count',
+            spaced.every(result => result.status === 'pending' && result.frames === 1)
+        );
+
+        // Test 4: Strictness
+        const strict = new ScanConsensus({ strictness: 'strict' });
+        const strictResults = [0, 100, 200, 300, 400].map(at => strict.add(frame(nutella), at).status);
+        this.assert(
+            'Strict mode needs five frames',
+            strictResults.join(',') === 'pending,pending,pending,pending,accepted'
+        );
+        this.assert(
+            'Non-product codes ignored',
+            strict.add(frame('ABC-123'), 0).status === 'ignored'
+        );
+
+        let unknownLevel = false;
+        try {
+            strict.setStrictness('paranoid');
+        } catch (error) {
+            unknownLevel = true;
+        }
+        this.assert('Unknown strictness rejected', unknownLevel);
+    }
+
+    /**
+     * Test: Offline product store dump parsing
+     */
+    async testOfflineStore() {
+        console.log('\n💾 Testing Offline Product Store...\n');
+
+        this.assert(
+            'Offline store loaded',
+            typeof offlineProductStore !== 'undefined'
+        );
+
+        // Test 1: Tab separated OFF export
+        const tsv = [
+            'code\tproduct_name\tallergens\tenergy-kcal_100g\tsugars_100g',
+            '3017620422003\tNutella\ten:milk,en:nuts\t539\t56.3'
+        ].join('\n');
+        const fromTSV = parseOFFDump(tsv, 'csv');
+        this.assert(
+            'TSV row parsed into API shape',
+            fromTSV.length === 1 && fromTSV[0].nutriments['sugars_100g'] === 56.3
+        );
+        this.assert(
+            'Allergen column mapped to allergens_tags',
+            fromTSV[0].allergens_tags.includes('en:nuts')
+        );
+
+        // Test 2: Quoted CSV fields
+        const csv = 'code,product_name,ingredients_text\n123,"Crackers, salted","wheat, ""sea"" salt"';
+        const fromCSV = parseOFFDump(csv, 'csv');
+        this.assert(
+            'Quoted CSV fields kept intact',
+            fromCSV[0].product_name === 'Crackers, salted' && fromCSV[0].ingredients_text === 'wheat, "sea" salt'
+        );
+
+        // Test 3: JSONL with API responses and dump rows
+        const jsonl = '{"code":"1","product":{"product_name":"A"}}\n{"code":"2","product_name":"B"}\nnot json';
+        const fromJSONL = parseOFFDump(jsonl, 'jsonl');
+        this.assert(
+            'JSONL lines parsed and invalid lines skipped',
+            fromJSONL.length === 2 && fromJSONL[0].product_name === 'A'
+        );
+
+        // Test 4: Fuzzy name matching for offline search
+        this.assert(
+            'Exact words rank above prefixes',
+            fuzzyMatchScore('oat milk', 'Oat Milk Barista') > fuzzyMatchScore('oat mil', 'Oat Milk Barista')
+        );
+        this.assert(
+            'Typos and accents still match',
+            fuzzyMatchScore('nutela', 'Nutella Ferrero') > 0 && fuzzyMatchScore('creme', 'Crème fraîche') === 1
+        );
+        this.assert(
+            'Every query word must match',
+            fuzzyMatchScore('oat cookies', 'Oat Milk Barista') === 0
+        );
+    }
+
+    /**
+     * Test product comparison
+     */
+    async testComparison() {
+        console.log('\n🔄 Testing Product Comparison...\n');
+
+        // Test 1: Row winners
+        this.assert(
+            'Lowest value wins a "lower is better" row',
+            pickRowWinners([5, 2, 9], 'lower').join() === '1'
+        );
+        this.assert(
+            'All-tied row has no winner',
+            pickRowWinners([3, 3], 'higher').length === 0
+        );
+
+        // Test 2: Full comparison
+        const oats = {
+            name: 'Oats', barcode: '1', servingQuantity: 40, ingredients: 'whole grain oats',
+            nutrition: { calories: 370, sugar: 1, fat: 7, salt: 0.01, protein: 13, fiber: 10 }
+        };
+        const cereal = {
+            name: 'Frosted Cereal', barcode: '2', ingredients: 'corn, sugar, salt',
+            nutrition: { calories: 380, sugar: 37, fat: 1, salt: 1.1, protein: 4, fiber: 2 }
+        };
+        const comparison = buildComparison([oats, cereal]);
+
+        this.assert(
+            'Healthier product recommended overall',
+            comparison.overall.winnerIndex === 0,
+            comparison.overall.message
+        );
+        this.assert(
+            'Unknown serving size is not compared',
+            comparison.rows.filter(row => row.section === 'Per serving').every(row => row.winners.length === 0)
+        );
+    }
+
+    /**
+     * Test continuous-scan shopping cart
+     */
+    async testShoppingCart() {
+        console.log('\n🛒 Testing Shopping Cart...\n');
+
+        const cart = createCart();
+
+        // Test 1: Unique items, debounced duplicates
+        const added = addCartScan(cart, '042100005264', 0);
+        const repeat = addCartScan(cart, '04252614', 1000);  // same product as UPC-E
+        const later = addCartScan(cart, '0042100005264', 10000);
+        this.assert(
+            'New barcode added, re-detections debounced',
+            added.status === 'added' && repeat.status === 'debounced' && cart.items.length === 1
+        );
+        this.assert(
+            'Rescanning an item later reports a duplicate',
+            later.status === 'duplicate' && later.item === added.item
+        );
+
+        // Test 2: Items get a mini score and allergen flag
+        const soda = {
+            name: 'Soda', brand: 'Fizz', categories: 'Beverages', allergens: [],
+            packageQuantity: 330, nutrition: { calories: 42, sugar: 10.6, salt: 0.01 }
+        };
+        const cookies = {
+            name: 'Cookies', brand: 'Bakery', categories: 'Biscuits', allergens: ['gluten', 'milk'],
+            packageQuantity: 200, nutrition: { calories: 480, sugar: 30, salt: 0.8 }
+        };
+        const apples = { name: 'Apples', categories: 'Fruits', allergens: [], nutrition: { calories: 52, sugar: 10 } };
+
+        addCartScan(cart, '3017620422003', 20000);
+        addCartScan(cart, '96385074', 21000);
+        addCartScan(cart, '10012345678902', 22000);
+        resolveCartItem(cart, '0042100005264', soda, { score: 35, grade: 'D' });
+        const flagged = resolveCartItem(cart, '3017620422003', cookies, { score: 20, grade: 'F' }, { allergens: ['milk'] });
+        resolveCartItem(cart, '96385074', apples, { score: 90, grade: 'A+' });
+        failCartItem(cart, '10012345678902', 'not-found');
+        this.assert(
+            'Only the user\'s allergens are flagged',
+            flagged.allergens.length === 1 && flagged.allergens[0] === 'milk' && flagged.score === 20
+        );
+
+        // Test 3: Summary
+        const summary = summarizeCart(cart);
+        const sugar = summary.nutrients.find(row => row.key === 'sugar');
+        this.assert(
+            'Nutrition totalled over whole packages',
+            sugar.value === 95 && summary.sized === 2 && summary.unsized === 1,
+            `Sugar: ${sugar.value} g`
+        );
+        this.assert(
+            'Counts, average score and allergen items',
+            summary.count === 3 && summary.failed === 1 && summary.averageScore === 48 &&
+            summary.allergenItems.length === 1
+        );
+        this.assert(
+            'Worst offenders are the low scorers, worst first',
+            summary.worst.map(item => item.name).join(',') === 'Cookies,Soda'
+        );
+
+        // Test 4: Swaps
+        const swap = pickCartSwap(summary.worst[1], [
+            { name: 'Diet soda', score: 55 },
+            { name: 'Sparkling water', score: 80 },
+            { name: 'Apples', score: 95 }
+        ], cart);
+        this.assert(
+            'Swap is the best alternative not already in the cart',
+            swap.name === 'Sparkling water' && swap.gain === 45
+        );
+        this.assert(
+            'No swap when nothing scores better',
+            pickCartSwap(summary.worst[1], [{ name: 'Cola', score: 30 }], cart) === null
+        );
+
+        removeCartItem(cart, '04252614');
+        this.assert('Items removed by any form of their barcode', cart.items.length === 3);
+    }
+
+    /**
+     * Test food journal
+     */
+    async testFoodJournal() {
+        console.log('\n📔 Testing Food Journal...\n');
+
+        // Test 1: Local day keys
+        const lateEvening = new Date(2024, 0, 31, 23, 59);
+        this.assert(
+            'Day key uses local calendar day',
+            toDayKey(lateEvening) === '2024-01-31'
+        );
+        this.assert(
+            'Day key shifts across month boundary',
+            shiftDayKey('2024-01-31', 1) === '2024-02-01'
+        );
+
+        // Test 2: Totals with serving multipliers
+        const yogurt = {
+            barcode: '1', name: 'Yogurt',
+            nutrition: { calories: 60, sugar: 4, sodium: 0.05, minerals: { calcium: 0.12 } }
+        };
+        const entries = [
+            createJournalEntry(yogurt, 1.5, lateEvening),
+            createJournalEntry(yogurt, 1, new Date(2024, 1, 1, 8, 0))
+        ];
+        const totals = calculateJournalTotals(getJournalEntriesForDay(entries, '2024-01-31'));
+        this.assert(
+            'Totals only include the requested day',
+            totals.calories === 90,
+            `Calories: ${totals.calories}`
+        );
+        this.assert(
+            'Nested minerals are scaled',
+            Math.abs(totals.minerals.calcium - 0.18) < 1e-9
+        );
+
+        // Test 3: Daily value comparison
+        const sodium = compareTotalsToDailyValues(totals, { gender: 'female' })
+            .find(row => row.nutrient === 'sodium');
+        this.assert(
+            'Sodium converted to mg for daily values',
+            sodium.value === 75 && sodium.target === 2400,
+            `${sodium.value}/${sodium.target}`
+        );
+
+        // Test 4: Undeclared values stay unknown in the totals
+        const noSugarData = { barcode: '2', name: 'Granola', nutrition: { calories: 450, sugar: null, salt: 0.2 } };
+        const unknownDay = calculateJournalTotals([createJournalEntry(noSugarData, 1, lateEvening)]);
+        const mixedDay = calculateJournalTotals([
+            createJournalEntry(noSugarData, 1, lateEvening),
+            createJournalEntry(yogurt, 1, lateEvening)
+        ]);
+        const sugarRow = totalsToCheck => compareTotalsToDailyValues(totalsToCheck, { gender: 'female' })
+            .find(row => row.nutrient === 'sugar');
+
+        this.assert(
+            'Entry without sugar data leaves the day\'s sugar unknown, not 0 g',
+            unknownDay.unknown.includes('sugar') && sugarRow(unknownDay).value === null &&
+            sugarRow(unknownDay).percentage === null && !unknownDay.unknown.includes('calories'),
+            JSON.stringify(sugarRow(unknownDay))
+        );
+        this.assert(
+            'Partly declared sugar is a flagged lower bound',
+            sugarRow(mixedDay).unknown && sugarRow(mixedDay).value === 4
+        );
+        this.assert(
+            'An empty day totals zero',
+            sugarRow(calculateJournalTotals([])).value === 0 && !sugarRow(calculateJournalTotals([])).unknown
+        );
+    }
+
+    /**
+     * Test trend reports
+     */
+    async testNutritionReports() {
+        console.log('\n📈 Testing Nutrition Reports...\n');
+
+        const now = new Date(2024, 2, 10, 12, 0);
+        const daysAgo = days => new Date(2024, 2, 10 - days, 9, 0).toISOString();
+        const scanHistory = [
+            { barcode: '1', name: 'Apple chips', categories: 'Snacks', score: 82, grade: 'A', timestamp: daysAgo(1) },
+            { barcode: '2', name: 'Cola', categories: 'Beverages', score: 20, grade: 'F', timestamp: daysAgo(2) },
+            { barcode: '3', name: 'Crisps', categories: 'Snacks, Salty snacks', score: 44, grade: 'F', timestamp: daysAgo(3) },
+            { barcode: '4', name: 'Old scan', categories: 'Snacks', score: 90, grade: 'A+', timestamp: daysAgo(20) }
+        ];
+        const journal = [
+            { date: '2024-03-09', servingMultiplier: 3, nutrition: { calories: 200, sugar: 12, salt: 0.1 } },
+            { date: '2024-03-08', servingMultiplier: 1, nutrition: { calories: 500, sugar: 5, salt: 7 } }
+        ];
+
+        const weekly = buildNutritionReport({ scanHistory, journal }, 7, { gender: 'female', now });
+        this.assert(
+            'Weekly report only includes the last 7 days',
+            weekly.scans.count === 3 && weekly.scans.averageScore === 49,
+            `Scans: ${weekly.scans.count}, Avg: ${weekly.scans.averageScore}`
+        );
+        this.assert(
+            'Most scanned category counted',
+            weekly.scans.topCategories[0].name === 'Snacks' && weekly.scans.topCategories[0].count === 2
+        );
+        this.assert(
+            'Best and worst products ranked',
+            weekly.scans.best[0].name === 'Apple chips' && weekly.scans.worst[0].name === 'Cola'
+        );
+        this.assert(
+            'Days over sugar and salt limits counted',
+            weekly.intake.daysOverSugar === 1 && weekly.intake.daysOverSalt === 1
+        );
+
+        const monthly = buildNutritionReport({ scanHistory, journal }, 30, { now });
+        this.assert(
+            'Monthly report includes older scans',
+            monthly.scans.count === 4
+        );
+
+        // Scores saved under older versions are re-scored, and unscored scans left out
+        const versioned = buildNutritionReport({
+            scanHistory: [
+                {
+                    barcode: '5', name: 'Spread', score: 90, grade: 'C', scoreVersion: 'engine-v2', timestamp: daysAgo(1),
+                    nutrition: { calories: 539, sugar: 56.3, fat: 30.9, saturatedFat: 10.6, salt: 0.107, protein: 6.3, fiber: 0, carbs: 57.5 }
+                },
+                {
+                    barcode: '6', name: 'Oats', score: 40, grade: 'C', scoreVersion: 'engine-v2', timestamp: daysAgo(1),
+                    nutrition: { calories: 350, sugar: 1, fat: 2, saturatedFat: 0.4, salt: 0.02, protein: 12, fiber: 10, carbs: 60 }
+                },
+                { barcode: '7', name: 'Unscored', timestamp: daysAgo(1) }
+            ]
+        }, 7, { now });
+        const { best, worst, averageScore, gradeDistribution } = versioned.scans;
+        this.assert(
+            'Ranking re-scores saved scans on the current version',
+            best[0].name === 'Oats' && worst[0].name === 'Spread' && best.length + worst.length === 2,
+            `Best: ${best[0].name} (${best[0].score})`
+        );
+        this.assert(
+            'Average and grades use the re-scored values, without unscored scans',
+            averageScore === Math.round((best[0].score + worst[0].score) / 2) &&
+            gradeDistribution.C === 0 && Object.values(gradeDistribution).reduce((sum, n) => sum + n, 0) === 2,
+            `Avg: ${averageScore}, grades: ${JSON.stringify(gradeDistribution)}`
+        );
+    }
+
+    /**
+     * Test streaks and achievements
+     */
+    async testAchievements() {
+        console.log('\n🏆 Testing Streaks & Achievements...\n');
+
+        // Test 1: Streaks
+        const streak = computeStreak(['2024-03-08', '2024-03-09', '2024-03-09', '2024-03-01', '2024-03-02', '2024-03-03', '2024-03-04'], '2024-03-10');
+        this.assert(
+            'Streak stays alive until today ends',
+            streak.current === 2,
+            `Current: ${streak.current}`
+        );
+        this.assert(
+            'Longest streak found in older activity',
+            streak.longest === 4,
+            `Longest: ${streak.longest}`
+        );
+        this.assert(
+            'Streak crosses month boundary',
+            computeStreak(['2024-02-29', '2024-03-01'], '2024-03-01').current === 2
+        );
+
+        // Test 2: Declarative rules
+        const aGrade = (barcode, categories) => ({ barcode, categories, grade: 'A' });
+        const context = {
+            totalScans: 12,
+            healthyChoices: 2,
+            streak: { current: 0, longest: 3 },
+            scanHistory: ['1', '2', '3', '4', '5'].map(code => aGrade(code, 'Yogurts'))
+                .concat([aGrade('1', 'Yogurts')]),
+            journal: Array.from({ length: 7 }, (_, day) => ({
+                date: `2024-03-0${day + 1}`,
+                servingMultiplier: 1,
+                nutrition: { sugar: 10, salt: 9 }
+            })),
+            dailyValueOptions: { gender: 'female' }
+        };
+        const unlocked = evaluateAchievements(context, { 'first-scan': '2024-01-01T00:00:00.000Z' }).map(def => def.id);
+
+        this.assert(
+            'Thresholds, streaks and category grades unlock',
+            ['scanner-pro', 'streak-3', 'category-champion'].every(id => unlocked.includes(id)),
+            unlocked.join(', ')
+        );
+        this.assert(
+            'Week under sugar limit unlocks, over salt does not',
+            unlocked.includes('sugar-smart-week') && !unlocked.includes('salt-smart-week')
+        );
+        this.assert(
+            'Already unlocked achievements are skipped',
+            !unlocked.includes('first-scan') && !unlocked.includes('health-warrior')
+        );
+
+        // Test 3: Days without sugar data are not evaluated
+        const undeclared = context.journal.map((entry, day) => ({
+            ...entry,
+            nutrition: { sugar: day === 3 ? null : 10, salt: 1 }
+        }));
+        const withGap = evaluateAchievements({ ...context, journal: undeclared }, {}).map(def => def.id);
+        this.assert(
+            'A day without sugar data doesn\'t count toward Sugar Smart',
+            !withGap.includes('sugar-smart-week'),
+            withGap.join(', ')
+        );
+    }
+
+    /**
+     * Test ingredient parser
+     */
+    async testIngredientParser() {
+        console.log('\n🧾 Testing Ingredient Parser...\n');
+
+        const parsed = parseIngredients(
+            'Ingredients: Milk chocolate 45% (sugar, cocoa butter, emulsifier: lecithins (soya)), ' +
+            'wheat flour, colour (E150d), sweetener: aspartame, no added salt, gluten-free oats.'
+        );
+        const chocolate = parsed.ingredients[0];
+
+        // Test 1: Structure
+        this.assert(
+            'Nested sub-ingredients and percentages parsed',
+            chocolate.name === 'milk chocolate' && chocolate.percent === 45 && chocolate.children.length === 3
+        );
+        this.assert(
+            'E-numbers resolved through additive table',
+            findIngredient(parsed, 'e150d').additive.function === 'colour'
+        );
+        this.assert(
+            'Additive names resolve to E-numbers',
+            findIngredient(parsed, 'e951') !== null && findIngredient(parsed, 'e322') !== null
+        );
+
+        // Test 2: Negations and whole-word matching
+        this.assert(
+            'Negated claims never match',
+            findIngredient(parsed, 'salt') === null && findIngredient(parsed, 'gluten') === null
+        );
+        this.assert(
+            'Substrings inside other words do not match',
+            findIngredient(parseIngredients('steak, coconut'), 'tea') === null &&
+            findIngredient(parseIngredients('steak, coconut'), 'nut') === null
+        );
+
+        // Test 3: Evaluators use the parsed structure
+        if (typeof evaluateFoodForPopulation === 'function') {
+            const result = evaluateFoodForPopulation(
+                { sugar: 1, salt: 0.1, fat: 2, protein: 5, fiber: 3, calories: 100 },
+                'child',
+                { name: 'Oat bars', ingredients: 'oats, dates, steak stock, free from caffeine' }
+            );
+            this.assert(
+                'Population evaluator ignores negated and partial matches',
+                result.suitability !== 'Avoid',
+                result.suitability
+            );
+        }
+    }
+
+    /**
+     * Test additive analysis
+     */
+    async testAdditiveAnalysis() {
+        console.log('\n🧪 Testing Additive Analysis...\n');
+
+        const product = {
+            ingredients: 'sugar, citric acid, colour: tartrazine, sweetener (E951)',
+            additiveTags: ['en:e330', 'en:e129', 'en:e322i']
+        };
+        const codes = collectAdditiveCodes(product);
+
+        // Test 1: Codes from ingredients and OFF tags, deduplicated
+        this.assert(
+            'Additive codes merged from ingredients and tags',
+            ['e330', 'e102', 'e951', 'e129', 'e322'].every(code => codes.includes(code)) && codes.length === 5,
+            codes.join(', ')
+        );
+
+        // Test 2: Tiers, rationale and population concerns
+        const report = assessAdditives(codes, { populations: ['children'] });
+        const tartrazine = report.additives.find(a => a.code === 'e102');
+        this.assert(
+            'Southampton colours are high risk with a children concern',
+            tartrazine.tier === 'high' && tartrazine.relevantConcerns[0].population === 'children'
+        );
+        this.assert(
+            'Unlisted additives are low concern with a rationale',
+            report.additives.find(a => a.code === 'e330').tier === 'low' && report.additives.every(a => a.rationale)
+        );
+        this.assert(
+            'Highest risk additives listed first',
+            report.highestTier === 'high' && report.additives[0].tier === 'high'
+        );
+        this.assert(
+            'Unknown E-numbers are not assessed',
+            assessAdditives(['e999']).additives[0].tier === 'unknown'
+        );
+
+        // Test 3: engine-v3 penalties
+        const nutrition = { calories: 150, sugar: 4, fat: 3, salt: 0.2, protein: 2, fiber: 1 };
+        const plain = calculateHealthScore(nutrition, { algorithmVersion: 'engine-v3' });
+        const withAdditives = calculateHealthScore(nutrition, { algorithmVersion: 'engine-v3', additives: codes });
+        const additivePenalties = withAdditives.penalties.filter(p => p.type === 'additive');
+        this.assert(
+            'engine-v3 without additives matches engine-v2',
+            plain.score === calculateHealthScore(nutrition, { algorithmVersion: 'engine-v2' }).score
+        );
+        this.assert(
+            'engine-v3 penalises additives with explanations',
+            withAdditives.score === plain.score - report.totalPenalty &&
+            additivePenalties.length > 0 && additivePenalties.every(p => p.message.includes(':')),
+            `${plain.score} -> ${withAdditives.score}`
+        );
+        this.assert(
+            'Additive penalty is capped',
+            assessAdditives(['e102', 'e104', 'e110', 'e122', 'e124', 'e129']).totalPenalty === 15
+        );
+    }
+
+    /**
+     * Test Nutri-Score computation
+     */
+    async testNutriScore() {
+        console.log('\n🅰️ Testing Nutri-Score...\n');
+
+        // Test 1: General foods (hazelnut spread)
+        const spread = computeNutriScore({ calories: 539, sugar: 56.3, saturatedFat: 10.6, sodium: 0.041, fiber: 0, protein: 6.3 });
+        this.assert(
+            'Hazelnut spread scores E',
+            spread.grade === 'e' && spread.score === 26,
+            `${spread.grade} (${spread.score})`
+        );
+        this.assert(
+            'Protein ignored when negative points reach 11',
+            !spread.proteinCounted && spread.positive.points === 0
+        );
+        this.assert(
+            'Every component reports its points',
+            spread.negative.components.length === 4 && spread.positive.components.every(c => typeof c.points === 'number')
+        );
+
+        // Test 2: Variants
+        const cola = computeNutriScore({ calories: 42, sugar: 10.6, saturatedFat: 0, sodium: 0 }, { category: 'beverage' });
+        this.assert('Sugary soda scores E on the beverage scale', cola.grade === 'e', `${cola.grade} (${cola.score})`);
+
+        const oil = computeNutriScore({ calories: 824, fat: 91.6, saturatedFat: 14, sugar: 0, sodium: 0 }, { category: 'fat', fruitVegNuts: 100 });
+        this.assert(
+            'Added fats use the saturated fat ratio',
+            oil.negative.components.some(c => c.key === 'saturatedFatRatio') && oil.grade === 'c',
+            `${oil.grade} (${oil.score})`
+        );
+
+        const cheddar = computeNutriScore({ calories: 410, sugar: 0.1, saturatedFat: 21.7, sodium: 0.7, protein: 25 }, { category: 'cheese' });
+        this.assert('Cheese always counts protein', cheddar.proteinCounted && cheddar.grade === 'd', `${cheddar.grade} (${cheddar.score})`);
+
+        this.assert('Water is always A', computeNutriScore({}, { category: 'water' }).grade === 'a');
+        this.assert(
+            'Categories detected from OFF categories',
+            detectNutriScoreCategory({ categories: 'Beverages, Carbonated drinks, Sodas' }) === 'beverage' &&
+            detectNutriScoreCategory({ categories: 'Beverages, Dairy drinks' }) === 'general' &&
+            detectNutriScoreCategory({ categoriesTags: ['en:dairies', 'en:cheeses'] }) === 'cheese'
+        );
+
+        // Test 3: Fruit/veg estimate and source labelling
+        this.assert(
+            'Fruit, vegetable and nut share estimated from ingredients',
+            estimateFruitVegNuts({ ingredients: 'apple puree 60%, sugar, hazelnuts 25%' }).percent === 85
+        );
+        const product = { nutrition: { calories: 42, sugar: 10.6 }, categories: 'Beverages' };
+        this.assert(
+            'Computed grades are labelled',
+            resolveNutriScore(product).source === 'computed' &&
+            resolveNutriScore({ ...product, nutriscore: 'b' }).source === 'api' &&
+            resolveNutriScore({ ...product, nutriscore: 'b' }).grade === 'b'
+        );
+    }
+
+    /**
+     * Test NOVA classifier
+     */
+    async testNovaClassifier() {
+        console.log('\n🏭 Testing NOVA Classifier...\n');
+
+        // Test 1: Groups from ingredient markers
+        const ultra = estimateNovaGroup({ ingredients: 'wheat flour, sugar, palm oil, emulsifier (E471), flavouring' });
+        this.assert(
+            'Industrial markers give NOVA 4 with evidence',
+            ultra.group === 4 && ultra.markers.some(m => m.term === 'flavouring') && ultra.markers.some(m => m.term.startsWith('E471')),
+            ultra.markers.map(m => m.term).join(', ')
+        );
+        this.assert(
+            'Modified starch is an industrial marker',
+            estimateNovaGroup({ ingredients: 'potatoes, modified starch, salt' }).group === 4
+        );
+        this.assert(
+            'Food with added salt or oil is NOVA 3',
+            estimateNovaGroup({ ingredients: 'chickpeas, water, salt' }).group === 3
+        );
+        this.assert(
+            'Culinary ingredient on its own is NOVA 2',
+            estimateNovaGroup({ ingredients: 'extra virgin olive oil' }).group === 2
+        );
+        this.assert(
+            'Whole foods are NOVA 1',
+            estimateNovaGroup({ ingredients: 'rolled oats' }).group === 1
+        );
+        this.assert(
+            'No ingredients means no estimate',
+            estimateNovaGroup({ ingredients: '' }).group === null
+        );
+        this.assert(
+            'OFF additive tags count as markers',
+            estimateNovaGroup({ ingredients: 'water, sugar', additiveTags: ['en:e950'] }).group === 4
+        );
+
+        // Test 2: Fallback only when OFF has no value
+        this.assert(
+            'OFF nova_group is preferred',
+            resolveNovaGroup({ nova: 1, ingredients: 'sugar, flavouring' }).source === 'api' &&
+            resolveNovaGroup({ nova: null, ingredients: 'sugar, flavouring' }).group === 4
+        );
+
+        // Test 3: Population warning fires on the estimate
+        if (typeof evaluateFoodForPopulation === 'function') {
+            const result = evaluateFoodForPopulation(
+                { sugar: 2, salt: 0.2, fat: 3, protein: 4, fiber: 2, calories: 150 },
+                'pregnant',
+                { name: 'Snack', ingredients: 'corn, sunflower oil, maltodextrin, flavouring' }
+            );
+            this.assert(
+                'Processing warning fires without nova_group',
+                result.warnings.some(w => w.includes('Ultra-processed') && w.includes('maltodextrin')),
+                result.warnings.join(' | ')
+            );
+        }
+    }
+
+    /**
+     * Test: Nutrition data consistency checks
+     */
+    async testDataQuality() {
+        console.log('\n📋 Testing Data Quality...\n');
+
+        // Test 1: A consistent label passes
+        const consistent = { calories: 200, carbs: 30, sugar: 10, fat: 4.5, saturatedFat: 1, protein: 10, fiber: 3, salt: 1, sodium: 0.4 };
+        const clean = assessDataQuality(consistent);
+        this.assert(
+            'Consistent label rated excellent',
+            clean.quality === 'excellent' && clean.confidence.sugar === 'high',
+            clean.issues.join('; ')
+        );
+
+        // Test 2: Energy that doesn't match 4/4/9
+        const kilojoules = assessDataQuality({ ...consistent, calories: 837 });
+        this.assert(
+            'Energy far from Atwater estimate marks calories low',
+            kilojoules.quality === 'poor' && kilojoules.confidence.calories === 'low' &&
+            kilojoules.confidence.carbs === 'medium'
+        );
+
+        // Test 3: Salt vs sodium
+        const salt = assessDataQuality({ ...consistent, sodium: 1 });
+        this.assert(
+            'Salt not matching sodium × 2.5 is flagged',
+            salt.checks.some(c => c.id === 'salt-sodium') && salt.confidence.salt === 'low'
+        );
+
+        // Test 4: Sub-totals and macro sum
+        const sugar = assessDataQuality({ ...consistent, sugar: 45, calories: 260 });
+        this.assert(
+            'Sugar above carbohydrates is flagged',
+            sugar.checks.some(c => c.id === 'sugar-carbs') && sugar.confidence.sugar === 'low'
+        );
+        const overfull = assessDataQuality({ calories: 620, carbs: 70, sugar: 5, fat: 20, saturatedFat: 25, protein: 20, fiber: 5, salt: 0, sodium: 0 });
+        this.assert(
+            'Saturated fat above fat and macros over 100g are flagged',
+            overfull.checks.some(c => c.id === 'saturated-fat') && overfull.checks.some(c => c.id === 'macro-sum')
+        );
+
+        // Test 5: Downstream modules soften or withhold verdicts
+        const badSugar = { ...consistent, sugar: 45, calories: 260 };
+        const score = calculateHealthScore(badSugar);
+        this.assert(
+            'Health score carries low confidence',
+            score.confidence === 'low' && score.dataWarning.startsWith('Treat this score as approximate')
+        );
+        const released = calculateHealthScore(badSugar, { algorithmVersion: 'engine-v2' });
+        this.assert(
+            'Released versions keep their recommendation',
+            released.recommendation === scoreWithEngineV2(badSugar, {}).recommendation && released.dataWarning !== null
+        );
+
+        const diabetic = generateDiabeticWarnings(badSugar, { isDiabetic: true });
+        this.assert(
+            'Diabetic warnings refuse a sugar verdict',
+            diabetic.length === 1 && diabetic[0].type === 'sugar_unreliable'
+        );
+
+        if (typeof evaluateFoodForPopulation === 'function') {
+            const evaluation = evaluateFoodForPopulation(badSugar, 'child', { ingredients: 'wheat flour, sugar' });
+            this.assert(
+                'Population evaluation returns Insufficient Data',
+                evaluation.suitability === 'Insufficient Data'
+            );
+        }
+    }
+
+    /**
+     * Test: Undeclared nutrients stay unknown
+     */
+    async testUnknownNutrients() {
+        console.log('\n❓ Testing Unknown Nutrients...\n');
+
+        // Test 1: Extraction keeps missing values null
+        const extracted = extractNutritionData({ nutriments: { 'energy-kcal_100g': 120, proteins_100g: 0, sodium_100g: 0.4 } });
+        this.assert(
+            'Missing nutrients extracted as null, declared zero kept',
+            extracted.sugar === null && extracted.fat === null && extracted.protein === 0,
+            JSON.stringify(extracted)
+        );
+        this.assert(
+            'Salt derived from sodium',
+            Math.abs(extracted.salt - 1) < 0.001
+        );
+
+        // Test 2: Missing sugar can't earn a top score
+        const noSugar = { calories: 80, fat: 1, salt: 0.1, protein: 12, fiber: 6 };
+        const score = calculateHealthScore(noSugar);
+        this.assert(
+            'Score capped and sugar reported as not evaluated',
+            score.score <= UNKNOWN_NUTRIENT_SCORE_CAP && score.notEvaluated.some(item => item.type === 'sugar'),
+            `Score: ${score.score}`
+        );
+        this.assert(
+            'Older versions still read missing as zero',
+            calculateHealthScore(noSugar, { algorithmVersion: 'engine-v3' }).score > UNKNOWN_NUTRIENT_SCORE_CAP
+        );
+
+        // Test 3: Nutri-Score withholds a grade without every negative component
+        const nutriScore = computeNutriScore(noSugar);
+        this.assert(
+            'Nutri-Score grade null without sugar',
+            nutriScore.grade === null && nutriScore.notEvaluated.includes('sugars')
+        );
+
+        // Test 4: Diabetic warnings list what was skipped
+        const warnings = generateDiabeticWarnings({ calories: 50, sugar: 2, carbs: 4 }, { isDiabetic: true });
+        const skipped = warnings.find(w => w.type === 'not_evaluated');
+        this.assert(
+            'Diabetic not-evaluated warning lists undeclared nutrients',
+            skipped && skipped.message.includes('salt') && skipped.message.includes('fiber')
+        );
+
+        // Test 5: Pregnancy analysis won't call a food safe without sugar or salt
+        if (typeof analyzePregnancySafety === 'function') {
+            const pregnancy = analyzePregnancySafety({ calories: 60, protein: 8, fiber: 4 });
+            this.assert(
+                'Pregnancy analysis not Safe with sugar and salt undeclared',
+                pregnancy.status !== 'Safe' && pregnancy.notEvaluated.includes('sugar')
             );
         }
     }
@@ -22,7 +22,7 @@ class HealthUIIntegration {
     cacheElements() {
         const ids = [
             'scoreCircle', 'scoreNumber', 'scoreLabel', 'scoreEmoji',
-            'scoreRecommendation', 'nutritionGrid', 'warningsList',
+            'scoreRecommendation', 'scoreDataWarning', 'nutritionGrid', 'warningsList',
             'warningsCard', 'warningCount', 'productName', 'productBrand',
             'productImage', 'productBarcode', 'insightsList'
         ];
@@ -77,7 +77,7 @@ class HealthUIIntegration {
      * Update health score display
      */
     updateHealthScore(healthScore) {
-        const { score, grade, label, emoji, color, recommendation } = healthScore;
+        const { score, grade, label, emoji, color, recommendation, dataWarning } = healthScore;
 
         // Update score number with animation
         if (this.elements.scoreNumber) {
@@ -115,6 +115,12 @@ class HealthUIIntegration {
             this.elements.scoreRecommendation.style.color = '#374151';
         }
 
+        // Show data quality caveat
+        if (this.elements.scoreDataWarning) {
+            this.elements.scoreDataWarning.textContent = dataWarning ? `⚠️ ${dataWarning}` : '';
+            this.elements.scoreDataWarning.style.display = dataWarning ? 'block' : 'none';
+        }
+
         // Update circle border
         if (this.elements.scoreCircle) {
             this.elements.scoreCircle.style.borderColor = color;
@@ -131,10 +137,17 @@ class HealthUIIntegration {
 
     /**
      * Update nutrition grid with daily values
+     * options.servingMultiplier scales the per-100g values to the selected portion
      */
     updateNutritionGrid(nutrition, dailyValues, options = {}) {
         if (!this.elements.nutritionGrid) return;
 
+        const multiplier = options.servingMultiplier || 1;
+        if (multiplier !== 1) {
+            nutrition = scaleNutrition(nutrition, multiplier);
+            dailyValues = calculateAllDailyValues(nutrition, options);
+        }
+
         const gender = options.gender || 'male';
         const genderSymbol = gender === 'male' ? '♂' : '♀';
 
@@ -148,7 +161,20 @@ class HealthUIIntegration {
         ];
 
         this.elements.nutritionGrid.innerHTML = items.map(item => {
-            const value = nutrition[item.key] || 0;
+            if (!isKnownValue(nutrition[item.key])) {
+                return `
+                <div class="nutrition-item not-declared">
+                    <div class="nutrition-header">
+                        <span class="nutrition-icon">${item.icon}</span>
+                        <span class="nutrition-label">${item.label}</span>
+                        <span class="nutrition-value" title="Not declared">—</span>
+                    </div>
+                    <div class="nutrition-unknown">Not declared</div>
+                </div>
+            `;
+            }
+
+            const value = nutrition[item.key];
             const dv = dailyValues.dailyValues[item.key];
             
             // Calculate bar percentage
@@ -433,7 +459,7 @@ class HealthUIIntegration {
         }
 
         // Diabetic-specific
-        if (options.isDiabetic && nutrition.sugar < 5) {
+        if (options.isDiabetic && isKnownValue(nutrition.sugar) && nutrition.sugar < 5) {
             insights.push({
                 icon: '✅',
                 title: 'Diabetic Friendly',
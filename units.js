@@ -0,0 +1,183 @@
+// ============================================
+// 📏 NUTRIENT UNITS
+// ============================================
+// One unit system for every module. Nutrition is stored the way
+// Open Food Facts reports it (grams per 100g, energy in kcal);
+// thresholds carry their own unit ({ amount: 2, unit: 'mg' }) and
+// values are read in that unit before comparing. Converts between
+// g, mg, µg, IU (vitamins A, D, E) and kJ/kcal.
+
+/**
+ * Mass units in grams
+ */
+const MASS_UNITS = {
+    kg: 1000,
+    g: 1,
+    mg: 0.001,
+    'µg': 0.000001
+};
+
+/**
+ * Energy units in kcal
+ */
+const ENERGY_UNITS = {
+    kcal: 1,
+    kj: 1 / 4.184
+};
+
+/**
+ * What one IU is worth, per vitamin
+ * A as retinol, D as cholecalciferol, E as natural alpha-tocopherol
+ */
+const IU_EQUIVALENTS = {
+    'vitamins.a': { amount: 0.3, unit: 'µg' },
+    'vitamins.d': { amount: 0.025, unit: 'µg' },
+    'vitamins.e': { amount: 0.67, unit: 'mg' }
+};
+
+/**
+ * Short names used by thresholds, mapped to nutrition paths
+ */
+const NUTRIENT_ALIASES = {
+    vitaminA: 'vitamins.a',
+    vitaminC: 'vitamins.c',
+    vitaminD: 'vitamins.d',
+    vitaminE: 'vitamins.e',
+    vitaminB12: 'vitamins.b12',
+    folate: 'vitamins.folate',
+    calcium: 'minerals.calcium',
+    iron: 'minerals.iron',
+    magnesium: 'minerals.magnesium',
+    potassium: 'minerals.potassium',
+    zinc: 'minerals.zinc'
+};
+
+/**
+ * Canonical spelling of a unit ('MG' → 'mg', 'mcg' → 'µg', 'kJ' → 'kj')
+ * Qualifiers are dropped (FoodData Central's 'MG_ATE' is mg)
+ */
+function normalizeUnit(unit) {
+    const value = String(unit || '').trim().toLowerCase().replace('μ', 'µ').split('_')[0];
+    if (value === 'mcg' || value === 'ug') return 'µg';
+    if (value === 'iu' || value === 'ui') return 'iu';
+    return value;
+}
+
+/**
+ * Full nutrition path of a nutrient ('iron' → 'minerals.iron')
+ */
+function resolveNutrientPath(nutrient) {
+    return NUTRIENT_ALIASES[nutrient] || nutrient;
+}
+
+/**
+ * Unit a nutrient is stored in
+ */
+function getStorageUnit(nutrient) {
+    return resolveNutrientPath(nutrient) === 'calories' ? 'kcal' : 'g';
+}
+
+/**
+ * Convert a value between units
+ * @param {number} value - Amount in the source unit
+ * @param {string} from - Source unit
+ * @param {string} to - Target unit
+ * @param {string} nutrient - Needed for IU, which differs per vitamin
+ * @returns {number|null} Converted amount, null for an unknown value
+ */
+function convertUnit(value, from, to, nutrient = null) {
+    if (!isKnownValue(value)) return null;
+
+    const source = normalizeUnit(from);
+    const target = normalizeUnit(to);
+    if (source === target) return value;
+
+    if (source in ENERGY_UNITS && target in ENERGY_UNITS) {
+        return value * ENERGY_UNITS[source] / ENERGY_UNITS[target];
+    }
+
+    // IU goes through the vitamin's mass equivalent
+    const iu = IU_EQUIVALENTS[resolveNutrientPath(nutrient)];
+    if (source === 'iu' && iu) {
+        return convertUnit(value * iu.amount, iu.unit, target);
+    }
+    if (target === 'iu' && iu) {
+        return convertUnit(value, source, iu.unit) / iu.amount;
+    }
+
+    if (source in MASS_UNITS && target in MASS_UNITS) {
+        return value * MASS_UNITS[source] / MASS_UNITS[target];
+    }
+
+    throw new Error(`Cannot convert ${from} to ${to}${nutrient ? ` for ${nutrient}` : ''}`);
+}
+
+/**
+ * Read a nutrient in the unit a threshold uses
+ * Accepts short names and legacy top-level fields ({ iron } as well as { minerals: { iron } })
+ * @param {Object} nutrition - Nutrition data in storage units
+ * @param {string} nutrient - Nutrient name or path
+ * @param {string} unit - Unit wanted
+ * @returns {number|null} Value, or null when not declared
+ */
+function readNutrient(nutrition, nutrient, unit) {
+    const path = resolveNutrientPath(nutrient);
+    const [group, key] = path.includes('.') ? path.split('.') : [null, path];
+    const value = group
+        ? knownOrNull(nutrition?.[group]?.[key]) ?? knownOrNull(nutrition?.[key]) ?? knownOrNull(nutrition?.[nutrient])
+        : knownOrNull(nutrition?.[key]);
+
+    return convertUnit(value, getStorageUnit(path), unit || getStorageUnit(path), path);
+}
+
+/**
+ * Whether a nutrient reaches a threshold
+ * @param {Object} nutrition - Nutrition data in storage units
+ * @param {string} nutrient - Nutrient name or path
+ * @param {Object} threshold - { amount, unit }
+ * @returns {boolean|null} null when the nutrient isn't declared
+ */
+function meetsThreshold(nutrition, nutrient, threshold) {
+    const value = readNutrient(nutrition, nutrient, threshold.unit);
+    return value === null ? null : value >= threshold.amount;
+}
+
+/**
+ * Convert declared values into storage units
+ * @param {Object} nutrition - Nutrition data
+ * @param {Object} units - Unit per path, e.g. { 'minerals.iron': 'mg', 'vitamins.d': 'IU' }
+ * @returns {Object} Copy of nutrition in storage units
+ */
+function normalizeNutritionUnits(nutrition, units = {}) {
+    const normalized = {
+        ...nutrition,
+        vitamins: { ...(nutrition.vitamins || {}) },
+        minerals: { ...(nutrition.minerals || {}) }
+    };
+
+    Object.entries(units).forEach(([nutrient, unit]) => {
+        const path = resolveNutrientPath(nutrient);
+        const [group, key] = path.includes('.') ? path.split('.') : [null, path];
+        const target = group ? normalized[group] : normalized;
+        target[key] = convertUnit(knownOrNull(target[key]), unit, getStorageUnit(path), path);
+    });
+
+    return normalized;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MASS_UNITS,
+        ENERGY_UNITS,
+        IU_EQUIVALENTS,
+        normalizeUnit,
+        getStorageUnit,
+        convertUnit,
+        readNutrient,
+        meetsThreshold,
+        normalizeNutritionUnits
+    };
+}
+
+console.log('✅ Nutrient Units loaded successfully');